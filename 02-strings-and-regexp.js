@@ -2,6 +2,7 @@
 /* eslint-disable no-use-before-define */
 /* eslint-disable prefer-const */
 /* eslint-disable no-unused-vars */
+/* eslint-disable learn/unicode-regexp-for-astral */
 
 // BETTER UNICODE SUPPORT
 // **********************
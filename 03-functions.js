@@ -2,6 +2,9 @@
 /* eslint-disable no-inner-declarations */
 /* eslint-disable no-new-func */
 /* eslint-disable no-unused-vars */
+/* eslint-disable learn/no-or-default */
+/* eslint-disable learn/prefer-rest-params */
+/* eslint-disable learn/no-this-in-method-callback */
 
 // OVERVIEW
 // ********
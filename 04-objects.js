@@ -3,6 +3,7 @@
 /* eslint-disable eqeqeq */
 /* eslint-disable no-compare-neg-zero */
 /* eslint-disable no-unused-vars */
+/* eslint-disable learn/no-assign-accessors */
 // OVERVIEW
 // ********
 //  ES6 heavily improves the utility of objects
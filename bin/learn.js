@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Entry point of the `learn` command line
+// Each command lives in tools/commands/<name>.js and exports:
+//  - usage, summary: help text
+//  - options: the flags accepted by tools/args.js
+//  - main(args): returns (or resolves to) the exit code
+
+const path = require('path')
+const { parseArgs } = require('../tools/args')
+const { UsageError } = require('../tools/errors')
+
+const COMMANDS = ['run', 'doctest', 'errors', 'features', 'export', 'playground', 'events', 'verify', 'when', 'edition', 'requires', 'modernize', 'scope', 'bench', 'watch', 'repl', 'explain', 'search', 'outline', 'quiz', 'loops', 'realms', 'status', 'next', 'equivalence', 'polyfills']
+
+function loadCommand (name) {
+  return require(path.join(__dirname, '..', 'tools', 'commands', name))
+}
+
+function printHelp () {
+  console.log('Usage: learn <command> [arguments]\n')
+  console.log('Commands:')
+  const width = Math.max(...COMMANDS.map(name => name.length))
+  COMMANDS.forEach(name => {
+    const command = loadCommand(name)
+    console.log(`  ${name.padEnd(width)} ${command.summary}`)
+  })
+}
+
+async function main (argv) {
+  const [name, ...rest] = argv
+  if (!name || name === 'help' || name === '--help') {
+    printHelp()
+    return 0
+  }
+  if (!COMMANDS.includes(name)) {
+    console.error(`Unknown command "${name}"\n`)
+    printHelp()
+    return 2
+  }
+
+  const command = loadCommand(name)
+  try {
+    return (await command.main(parseArgs(rest, command.options))) || 0
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err
+    console.error(`${err.message}\n\nUsage: ${command.usage}`)
+    return 2
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code
+}, err => {
+  console.error(err.stack)
+  process.exitCode = 1
+})
@@ -0,0 +1,38 @@
+// EXERCISES: BLOCK BINDINGS
+// *************************
+//  Fill in the functions below, then check them with `learn verify 01`
+//  The tests are not in this file: they call the exported functions
+//  Hints point back to the sections of 01-block-bindings.js
+
+// EXERCISE 1: FUNCTIONS IN LOOPS
+// ******************************
+//  createCounters(count) returns an array of `count` functions
+//  The function at index `i` must return `i`
+//  The version below returns `count` from every function: fix it without
+//  creating an IIFE, only by changing how the loop variable is declared
+
+function createCounters (count) {
+  var counters = []
+  for (var i = 0; i < count; i++) {
+    counters.push(function () {
+      return i
+    })
+  }
+  return counters
+}
+
+// EXERCISE 2: ES6 CONSTANTS
+// *************************
+//  `const` makes the *binding* constant, not the value
+//  deepFreeze(object) freezes `object` and every object reachable from its own
+//  properties, then returns `object`
+//  Assigning to a property of the result (at any depth) must throw in strict mode
+
+function deepFreeze (object) {
+  // ...
+}
+
+module.exports = {
+  createCounters,
+  deepFreeze
+}
@@ -0,0 +1,41 @@
+// EXERCISES: STRINGS AND REGULAR EXPRESSIONS
+// ******************************************
+//  Fill in the functions below, then check them with `learn verify 02`
+//  The tests are not in this file: they call the exported functions
+//  Hints point back to the sections of 02-strings-and-regexp.js
+
+// EXERCISE 1: COUNTING CODE POINTS
+// ********************************
+//  reverse(text) returns `text` with its characters in reverse order
+//  The version below reverses code units: it breaks the surrogate pairs of
+//  characters outside of the BMP such as '𠮷'
+
+function reverse (text) {
+  return text.split('').reverse().join('')
+}
+
+// EXERCISE 2: `str.repeat(times)`
+// *******************************
+//  indent(text, level) prefixes every line of `text` with `level` times two spaces
+//  Empty lines stay empty
+
+function indent (text, level) {
+  // ...
+}
+
+// EXERCISE 3: TAGGED TEMPLATE
+// ***************************
+//  html is a template tag that escapes the substitutions, never the literals:
+//    html`<b>${'<i>'}</b>` === '<b>&lt;i&gt;</b>'
+//  Escape &, <, >, " and ' as &amp; &lt; &gt; &quot; &#39;
+//  Substitutions that are not strings are converted with String() first
+
+function html (literals, ...substitutions) {
+  // ...
+}
+
+module.exports = {
+  reverse,
+  indent,
+  html
+}
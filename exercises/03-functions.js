@@ -0,0 +1,52 @@
+/* eslint-disable learn/no-or-default */
+/* eslint-disable learn/prefer-rest-params */
+
+// EXERCISES: FUNCTIONS
+// ********************
+//  Fill in the functions below, then check them with `learn verify 03`
+//  The tests are not in this file: they call the exported functions
+//  Hints point back to the sections of 03-functions.js
+
+// EXERCISE 1: BETTER DEFAULT PARAMS WITH ES6
+// ******************************************
+//  makeRequest(url, timeout, callback) returns the options it would use:
+//  { url, timeout, callback }
+//  `timeout` defaults to 2000 and `callback` to a function that does nothing
+//  The version below is makeRequest1: a timeout of 0 becomes 2000
+//  Only `undefined` should fall back on the default, `0` and `null` are valid values
+
+function makeRequest (url, timeout, callback) {
+  timeout = timeout || 2000
+  callback = callback || function () {}
+  return { url, timeout, callback }
+}
+
+// EXERCISE 2: BETTER UNNAMED PARAMETERS IN ES6: REST PARAMETER
+// ************************************************************
+//  pick(object, ...keys) copies the listed properties of `object` into a new
+//  object without prototype
+//  Rewrite it with a rest parameter instead of `arguments`
+
+function pick (object) {
+  const result = Object.create(null)
+  for (let i = 1, len = arguments.length; i < len; i++) {
+    result[arguments[i]] = object[arguments[i]]
+  }
+  return result
+}
+
+// EXERCISE 3: `new.target` META-PROPERTY
+// **************************************
+//  Person(name) works both as a constructor and as a factory:
+//    new Person('Nicholas') and Person('Nicholas') both return a Person
+//  Use `new.target` to tell the two calls apart
+
+function Person (name) {
+  this.name = name
+}
+
+module.exports = {
+  makeRequest,
+  pick,
+  Person
+}
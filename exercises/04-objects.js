@@ -0,0 +1,48 @@
+// EXERCISES: OBJECTS
+// ******************
+//  Fill in the functions below, then check them with `learn verify 04`
+//  The tests are not in this file: they call the exported functions
+//  Hints point back to the sections of 04-objects.js
+
+// EXERCISE 1: `Object.is()`
+// *************************
+//  indexOfValue(array, value) is array.indexOf(value), except that it can find
+//  NaN and that it tells -0 and +0 apart
+//  Returns -1 when the value is not found
+
+function indexOfValue (array, value) {
+  return array.indexOf(value)
+}
+
+// EXERCISE 2: `Object.assign()`
+// *****************************
+//  withDefaults(options, defaults) returns the options completed with the
+//  defaults: a property of `options` wins over the same property of `defaults`
+//  Neither `options` nor `defaults` may be modified
+
+function withDefaults (options, defaults) {
+  // ...
+}
+
+// EXERCISE 3: EASY PROTOTYPE ACCESS WITH `super` REFERENCES
+// *********************************************************
+//  createFriend(prototype) returns an object whose prototype is `prototype` and
+//  whose getGreeting() returns the greeting of the prototype followed by ', hi!'
+//  The version below breaks as soon as another object inherits from the friend:
+//  Object.getPrototypeOf(this) is then the friend itself and the call recurses
+
+function createFriend (prototype) {
+  const friend = {
+    getGreeting: function () {
+      return Object.getPrototypeOf(this).getGreeting.call(this) + ', hi!'
+    }
+  }
+  Object.setPrototypeOf(friend, prototype)
+  return friend
+}
+
+module.exports = {
+  indexOfValue,
+  withDefaults,
+  createFriend
+}
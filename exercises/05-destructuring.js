@@ -0,0 +1,45 @@
+// EXERCISES: DESTRUCTURING
+// ************************
+//  Fill in the functions below, then check them with `learn verify 05`
+//  The tests are not in this file: they call the exported functions
+//  Hints point back to the sections of 05-destructuring.js
+
+// EXERCISE 1: ARRAY DESTRUCTURING
+// *******************************
+//  swap(pair) returns a new array with the two items of `pair` swapped
+//  Use a destructuring assignment instead of a temporary variable
+
+function swap (pair) {
+  // ...
+}
+
+// EXERCISE 2: REST ITEMS
+// **********************
+//  headAndTail(array) returns { head, tail }: the first item and an array of
+//  the other ones. `array` must not be modified
+
+function headAndTail (array) {
+  const copy = array.slice()
+  const head = copy.shift()
+  return { head, tail: copy }
+}
+
+// EXERCISE 3: DEFAULT VALUES FOR DESTRUCTURED PARAMS
+// **************************************************
+//  cookieString(name, value, options) builds the text of a Set-Cookie header:
+//    cookieString('type', 'js') === 'type=js; Path=/'
+//    cookieString('type', 'js', { secure: true, domain: 'example.com', maxAge: 60 })
+//      === 'type=js; Path=/; Domain=example.com; Max-Age=60; Secure'
+//  The options are optional and so is each of them: `path` defaults to '/',
+//  `secure` to false, `domain` and `maxAge` are left out when not given
+//  Destructure the options in the parameter list
+
+function cookieString (name, value, options) {
+  // ...
+}
+
+module.exports = {
+  swap,
+  headAndTail,
+  cookieString
+}
@@ -0,0 +1,42 @@
+// EXERCISES: SYMBOLS AND SYMBOLS PROPERTIES
+// *****************************************
+//  Fill in the functions below, then check them with `learn verify 06`
+//  The tests are not in this file: they call the exported functions
+//  Hints point back to the sections of 06-symbols.js
+
+// EXERCISE 1: `Symbol.toPrimitive()`
+// **********************************
+//  A Money holds an amount in cents and a currency: new Money(1999, 'USD')
+//  Converted to a number, it is the amount in cents: +price === 1999
+//  Converted to a string, it shows two decimals: `${price}` === '19.99 USD'
+//  With the "default" hint (`price + ''`, `price == 1999`), it behaves as a number
+
+function Money (cents, currency) {
+  this.cents = cents
+  this.currency = currency
+}
+
+// EXERCISE 2: `Symbol.hasInstance()`
+// **********************************
+//  `Even` is a function such that `value instanceof Even` is true for even
+//  integers, false for anything else: `4 instanceof Even` is true
+//  Only the default Symbol.hasInstance returns false for every non-object,
+//  a custom one is called with any value, numbers included
+
+function Even () {}
+
+// EXERCISE 3: `Symbol.toStringTag()`
+// **********************************
+//  Object.prototype.toString.call(new Vector(1, 2)) should return '[object Vector]'
+//  and String(new Vector(1, 2)) should return 'Vector(1, 2)'
+
+function Vector (x, y) {
+  this.x = x
+  this.y = y
+}
+
+module.exports = {
+  Money,
+  Even,
+  Vector
+}
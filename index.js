@@ -0,0 +1,28 @@
+// Entry point of the package: the reusable helpers of the chapters
+// The chapter files cannot be required, they run their examples as soon as
+// they are loaded: the helpers live in lib/, one module per chapter, and
+// lib/type-of.js has the typeOf() of `learn realms`
+//
+//   const { codePointLength } = require('understanding_es6')
+//   import { codePointLength } from 'understanding_es6'   (see index.mjs)
+
+const { codePointLength, hasRegExpU, hasRegExpY, passThru } = require('./lib/strings-and-regexp')
+const { pick2, factorial, factorialOptimized } = require('./lib/functions')
+const { createPerson, mixin } = require('./lib/objects')
+const { Temperature, Person } = require('./lib/symbols')
+const { typeOf } = require('./lib/type-of')
+
+module.exports = {
+  codePointLength,
+  hasRegExpU,
+  hasRegExpY,
+  passThru,
+  pick2,
+  factorial,
+  factorialOptimized,
+  createPerson,
+  mixin,
+  Temperature,
+  Person,
+  typeOf
+}
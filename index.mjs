@@ -0,0 +1,20 @@
+// ES module entry point: the helpers of index.js as named exports
+
+import helpers from './index.js'
+
+export const {
+  codePointLength,
+  hasRegExpU,
+  hasRegExpY,
+  passThru,
+  pick2,
+  factorial,
+  factorialOptimized,
+  createPerson,
+  mixin,
+  Temperature,
+  Person,
+  typeOf
+} = helpers
+
+export default helpers
@@ -0,0 +1,29 @@
+// Helpers of 03-functions.js, without the examples around them
+
+// A copy of `object` restricted to the given keys, with no prototype
+function pick2 (object, ...keys) {
+  const result = Object.create(null)
+  for (let i = 0, len = keys.length; i < len; i++) {
+    result[keys[i]] = object[keys[i]]
+  }
+  return result
+}
+
+function factorial (n) {
+  if (n <= 1) return 1
+  return n * factorial(n - 1)
+}
+
+// The tail-call version: the multiplication happens before the recursive call
+// The chapter version recurses into factorial(), which drops the accumulator
+function factorialOptimized (n, p = 1) {
+  if (n <= 1) return 1 * p
+  const result = n * p
+  return factorialOptimized(n - 1, result)
+}
+
+module.exports = {
+  pick2,
+  factorial,
+  factorialOptimized
+}
@@ -0,0 +1,20 @@
+// Helpers of 04-objects.js, without the examples around them
+
+function createPerson (name, age) {
+  return { name, age }
+}
+
+// The ES5 ancestor of Object.assign(): copies the own enumerable string keys
+// of `extras` onto `final` by assignment. Unlike Object.assign(), it skips
+// symbol keys, and it takes a single supplier
+function mixin (final, extras) {
+  Object.keys(extras).forEach(key => {
+    final[key] = extras[key]
+  })
+  return final
+}
+
+module.exports = {
+  createPerson,
+  mixin
+}
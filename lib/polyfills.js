@@ -0,0 +1,451 @@
+// ES2015 polyfills for the built-ins the chapters teach, for runtimes that
+// predate them:
+//  - String.prototype.codePointAt(), normalize(), includes(), startsWith(),
+//    endsWith() and repeat(), String.fromCodePoint()
+//  - the RegExp.prototype.flags getter
+//  - Object.is(), Object.assign(), Object.setPrototypeOf() and
+//    Object.getOwnPropertySymbols()
+// Each one follows the steps of its algorithm in the spec, numbered as in
+// ECMAScript 2015, with the same errors as V8. The file itself is ES5 and is
+// used either way:
+//
+//   require('understanding_es6/polyfills').install()   // => the names installed
+//
+//   <script src="lib/normalization-data.js"></script>  // without CommonJS, the
+//   <script src="lib/polyfills.js"></script>           // polyfills install themselves
+//
+// Only the missing built-ins are installed. What cannot be polyfilled in ES5:
+//  - Object.setPrototypeOf() needs the `__proto__` setter of Annex B, which
+//    most ES5 runtimes have: without it, it is not installed
+//  - Object.getOwnPropertySymbols() reads the keys with Reflect.ownKeys(): a
+//    runtime without it has no symbols, and returns []
+// `learn polyfills` deletes the native built-ins in a vm realm and runs the
+// chapters against these polyfills
+/* eslint-disable learn/prefer-rest-params */
+
+;(function (global, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./normalization-data'))
+  } else {
+    factory(global.ES2015_NORMALIZATION_DATA).install()
+  }
+}(typeof global === 'object' ? global : this, function (normalizationData) {
+  'use strict'
+
+  var MAX_CODE_POINT = 0x10FFFF
+  var hasOwnProperty = Object.prototype.hasOwnProperty
+  var objectToString = Object.prototype.toString
+  var protoDescriptor = Object.getOwnPropertyDescriptor(Object.prototype, '__proto__')
+  var setProto = protoDescriptor && protoDescriptor.set
+  var nativeSymbols = Object.getOwnPropertySymbols
+
+  // Abstract operations (ECMAScript 2015, chapter 7)
+  // ************************************************
+
+  function isObject (value) {
+    return typeof value === 'object' ? value !== null : typeof value === 'function'
+  }
+
+  function requireObjectCoercible (value, method) {
+    if (value === undefined || value === null) throw new TypeError(method + ' called on null or undefined')
+    return value
+  }
+
+  function toObject (value) {
+    if (value === undefined || value === null) throw new TypeError('Cannot convert undefined or null to object')
+    return Object(value)
+  }
+
+  // String() describes symbols where ToString() throws
+  function toString (value) {
+    if (typeof value === 'symbol') throw new TypeError('Cannot convert a Symbol value to a string')
+    return String(value)
+  }
+
+  function toInteger (value) {
+    var number = Number(value)
+    if (isNaN(number)) return 0
+    if (number === 0 || number === Infinity || number === -Infinity) return number
+    return (number < 0 ? -1 : 1) * Math.floor(Math.abs(number))
+  }
+
+  function sameValue (x, y) {
+    if (x === y) return x !== 0 || 1 / x === 1 / y
+    // eslint-disable-next-line no-self-compare
+    return x !== x && y !== y
+  }
+
+  function isRegExp (argument) {
+    if (!isObject(argument)) return false
+    if (typeof Symbol === 'function' && typeof Symbol.match === 'symbol') {
+      var isRegExp = argument[Symbol.match]
+      if (isRegExp !== undefined) return Boolean(isRegExp)
+    }
+    return objectToString.call(argument) === '[object RegExp]'
+  }
+
+  // O.[[OwnPropertyKeys]](): the string keys, then the symbols
+  function ownPropertyKeys (object) {
+    if (typeof Reflect === 'object' && typeof Reflect.ownKeys === 'function') return Reflect.ownKeys(object)
+    var keys = Object.getOwnPropertyNames(object)
+    return nativeSymbols ? keys.concat(nativeSymbols(object)) : keys
+  }
+
+  function utf16Encoding (codePoint) {
+    if (codePoint <= 0xFFFF) return String.fromCharCode(codePoint)
+    var cu1 = Math.floor((codePoint - 0x10000) / 0x400) + 0xD800
+    var cu2 = ((codePoint - 0x10000) % 0x400) + 0xDC00
+    return String.fromCharCode(cu1, cu2)
+  }
+
+  // String (21.1)
+  // *************
+
+  // 21.1.2.2 String.fromCodePoint(...codePoints)
+  function fromCodePoint (codePoints) {
+    var elements = []
+    for (var nextIndex = 0; nextIndex < arguments.length; nextIndex++) {
+      var nextCP = Number(arguments[nextIndex])
+      if (!sameValue(nextCP, toInteger(nextCP))) throw new RangeError('Invalid code point ' + nextCP)
+      if (nextCP < 0 || nextCP > MAX_CODE_POINT) throw new RangeError('Invalid code point ' + nextCP)
+      elements.push(utf16Encoding(nextCP))
+    }
+    return elements.join('')
+  }
+
+  // 21.1.3.3 String.prototype.codePointAt(pos)
+  function codePointAt (pos) {
+    var S = toString(requireObjectCoercible(this, 'String.prototype.codePointAt'))
+    var position = toInteger(pos)
+    var size = S.length
+    if (position < 0 || position >= size) return undefined
+    var first = S.charCodeAt(position)
+    if (first < 0xD800 || first > 0xDBFF || position + 1 === size) return first
+    var second = S.charCodeAt(position + 1)
+    if (second < 0xDC00 || second > 0xDFFF) return first
+    return ((first - 0xD800) * 0x400) + (second - 0xDC00) + 0x10000
+  }
+
+  // 21.1.3.6 String.prototype.endsWith(searchString [, endPosition])
+  function endsWith (searchString) {
+    var S = toString(requireObjectCoercible(this, 'String.prototype.endsWith'))
+    if (isRegExp(searchString)) throw new TypeError('First argument to String.prototype.endsWith must not be a regular expression')
+    var searchStr = toString(searchString)
+    var len = S.length
+    var endPosition = arguments[1]
+    var pos = endPosition === undefined ? len : toInteger(endPosition)
+    var end = Math.min(Math.max(pos, 0), len)
+    var start = end - searchStr.length
+    if (start < 0) return false
+    return S.slice(start, end) === searchStr
+  }
+
+  // 21.1.3.7 String.prototype.includes(searchString [, position])
+  function includes (searchString) {
+    var S = toString(requireObjectCoercible(this, 'String.prototype.includes'))
+    if (isRegExp(searchString)) throw new TypeError('First argument to String.prototype.includes must not be a regular expression')
+    var searchStr = toString(searchString)
+    var pos = toInteger(arguments[1])
+    var start = Math.min(Math.max(pos, 0), S.length)
+    return S.indexOf(searchStr, start) !== -1
+  }
+
+  // 21.1.3.12 String.prototype.normalize([form])
+  function normalize () {
+    var S = toString(requireObjectCoercible(this, 'String.prototype.normalize'))
+    var form = arguments[0]
+    var f = form === undefined ? 'NFC' : toString(form)
+    if (f !== 'NFC' && f !== 'NFD' && f !== 'NFKC' && f !== 'NFKD') {
+      throw new RangeError('The normalization form should be one of NFC, NFD, NFKC, NFKD.')
+    }
+    return normalizeString(S, f)
+  }
+
+  // 21.1.3.13 String.prototype.repeat(count)
+  function repeat (count) {
+    var S = toString(requireObjectCoercible(this, 'String.prototype.repeat'))
+    var n = toInteger(count)
+    if (n < 0 || n === Infinity) throw new RangeError('Invalid count value: ' + n)
+    var T = ''
+    for (var chunk = S; n > 0; n = Math.floor(n / 2)) {
+      if (n % 2 === 1) T += chunk
+      if (n > 1) chunk += chunk
+    }
+    return T
+  }
+
+  // 21.1.3.18 String.prototype.startsWith(searchString [, position])
+  function startsWith (searchString) {
+    var S = toString(requireObjectCoercible(this, 'String.prototype.startsWith'))
+    if (isRegExp(searchString)) throw new TypeError('First argument to String.prototype.startsWith must not be a regular expression')
+    var searchStr = toString(searchString)
+    var pos = toInteger(arguments[1])
+    var len = S.length
+    var start = Math.min(Math.max(pos, 0), len)
+    var searchLength = searchStr.length
+    if (searchLength + start > len) return false
+    return S.slice(start, start + searchLength) === searchStr
+  }
+
+  // Unicode normalization (UAX #15), with the data of normalization-data.js
+  // ***********************************************************************
+
+  var S_BASE = 0xAC00
+  var L_BASE = 0x1100
+  var V_BASE = 0x1161
+  var T_BASE = 0x11A7
+  var L_COUNT = 19
+  var V_COUNT = 21
+  var T_COUNT = 28
+  var N_COUNT = V_COUNT * T_COUNT
+  var S_COUNT = L_COUNT * N_COUNT
+  var tables = null
+
+  function parseCodePoints (text) {
+    var codePoints = text.split(' ')
+    for (var i = 0; i < codePoints.length; i++) codePoints[i] = parseInt(codePoints[i], 16)
+    return codePoints
+  }
+
+  function parseDecompositions (text) {
+    var decompositions = {}
+    var entries = text ? text.split(',') : []
+    for (var i = 0; i < entries.length; i++) {
+      var entry = entries[i].split(':')
+      decompositions[parseInt(entry[0], 16)] = parseCodePoints(entry[1])
+    }
+    return decompositions
+  }
+
+  function loadTables () {
+    if (tables) return tables
+    if (!normalizationData) throw new Error('String.prototype.normalize needs lib/normalization-data.js, loaded first')
+    tables = {
+      canonical: parseDecompositions(normalizationData.canonical),
+      compatibility: parseDecompositions(normalizationData.compatibility),
+      classes: {},
+      compositions: {}
+    }
+    // The order of the classes is what counts, not their values
+    var classes = normalizationData.classes.split(';')
+    for (var i = 0; i < classes.length; i++) {
+      var members = classes[i].split(',')
+      for (var j = 0; j < members.length; j++) tables.classes[parseInt(members[j], 16)] = i + 1
+    }
+    var compositions = normalizationData.compositions.split(',')
+    for (var k = 0; k < compositions.length; k++) {
+      var entry = compositions[k].split(':')
+      var pair = parseCodePoints(entry[0])
+      tables.compositions[pair[0] * 0x110000 + pair[1]] = parseInt(entry[1], 16)
+    }
+    return tables
+  }
+
+  function combiningClass (codePoint) {
+    return tables.classes[codePoint] || 0
+  }
+
+  // Lone surrogates are kept as they are
+  function codePointsOf (string) {
+    var codePoints = []
+    for (var i = 0; i < string.length; i++) {
+      var codePoint = codePointAt.call(string, i)
+      codePoints.push(codePoint)
+      if (codePoint > 0xFFFF) i++
+    }
+    return codePoints
+  }
+
+  function decompose (codePoints, compatibility) {
+    var result = []
+    for (var i = 0; i < codePoints.length; i++) {
+      var codePoint = codePoints[i]
+      var sIndex = codePoint - S_BASE
+      if (sIndex >= 0 && sIndex < S_COUNT) {
+        result.push(L_BASE + Math.floor(sIndex / N_COUNT), V_BASE + Math.floor((sIndex % N_COUNT) / T_COUNT))
+        if (sIndex % T_COUNT) result.push(T_BASE + (sIndex % T_COUNT))
+        continue
+      }
+      var mapping = (compatibility && tables.compatibility[codePoint]) || tables.canonical[codePoint]
+      if (mapping) result.push.apply(result, mapping)
+      else result.push(codePoint)
+    }
+    // Canonical ordering: a stable sort of each run of combining characters
+    for (var j = 1; j < result.length; j++) {
+      var current = result[j]
+      var currentClass = combiningClass(current)
+      if (!currentClass) continue
+      var k = j
+      while (k > 0 && combiningClass(result[k - 1]) > currentClass) {
+        result[k] = result[k - 1]
+        k--
+      }
+      result[k] = current
+    }
+    return result
+  }
+
+  function composePair (first, second) {
+    var lIndex = first - L_BASE
+    var vIndex = second - V_BASE
+    if (lIndex >= 0 && lIndex < L_COUNT && vIndex >= 0 && vIndex < V_COUNT) return S_BASE + (lIndex * V_COUNT + vIndex) * T_COUNT
+    var sIndex = first - S_BASE
+    var tIndex = second - T_BASE
+    if (sIndex >= 0 && sIndex < S_COUNT && sIndex % T_COUNT === 0 && tIndex > 0 && tIndex < T_COUNT) return first + tIndex
+    var composite = tables.compositions[first * 0x110000 + second]
+    return composite === undefined ? -1 : composite
+  }
+
+  // Canonical composition: a character composes with the last starter unless
+  // a character of the same or of a higher class stands between them
+  function compose (codePoints) {
+    var result = []
+    var starter = -1
+    var lastClass = 0
+    for (var i = 0; i < codePoints.length; i++) {
+      var codePoint = codePoints[i]
+      var codePointClass = combiningClass(codePoint)
+      var composite = starter === -1 ? -1 : composePair(result[starter], codePoint)
+      if (composite !== -1 && (lastClass < codePointClass || lastClass === 0)) {
+        result[starter] = composite
+        continue
+      }
+      if (codePointClass === 0) starter = result.length
+      lastClass = starter === -1 ? 256 : codePointClass
+      result.push(codePoint)
+    }
+    return result
+  }
+
+  function normalizeString (string, form) {
+    loadTables()
+    var codePoints = decompose(codePointsOf(string), form === 'NFKC' || form === 'NFKD')
+    if (form === 'NFC' || form === 'NFKC') codePoints = compose(codePoints)
+    var chunks = []
+    for (var i = 0; i < codePoints.length; i++) chunks.push(utf16Encoding(codePoints[i]))
+    return chunks.join('')
+  }
+
+  // RegExp (21.2)
+  // *************
+
+  // 21.2.5.3 get RegExp.prototype.flags, with the flags added since ES2015
+  // (`d`, `s`, `v`), which a runtime without them never sets
+  function flags () {
+    var R = this
+    if (!isObject(R)) throw new TypeError('RegExp.prototype.flags getter called on non-object ' + String(R))
+    var result = ''
+    if (R.hasIndices) result += 'd'
+    if (R.global) result += 'g'
+    if (R.ignoreCase) result += 'i'
+    if (R.multiline) result += 'm'
+    if (R.dotAll) result += 's'
+    if (R.unicode) result += 'u'
+    if (R.unicodeSets) result += 'v'
+    if (R.sticky) result += 'y'
+    return result
+  }
+  // ES5 functions cannot be renamed: the getter is then named `flags`
+  try {
+    Object.defineProperty(flags, 'name', { value: 'get flags' })
+  } catch (err) {}
+
+  // Object (19.1)
+  // *************
+
+  // 19.1.2.1 Object.assign(target, ...sources)
+  function assign (target, firstSource) {
+    var to = toObject(target)
+    for (var i = 1; i < arguments.length; i++) {
+      var nextSource = arguments[i]
+      if (nextSource === undefined || nextSource === null) continue
+      var from = toObject(nextSource)
+      var keys = ownPropertyKeys(from)
+      for (var j = 0; j < keys.length; j++) {
+        var desc = Object.getOwnPropertyDescriptor(from, keys[j])
+        // A failed assignment throws in strict mode, as Set(to, key, value, true)
+        if (desc !== undefined && desc.enumerable) to[keys[j]] = from[keys[j]]
+      }
+    }
+    return to
+  }
+
+  // 19.1.2.8 Object.getOwnPropertySymbols(O)
+  function getOwnPropertySymbols (O) {
+    var obj = toObject(O)
+    if (typeof Reflect !== 'object' || typeof Reflect.ownKeys !== 'function') return []
+    return Reflect.ownKeys(obj).filter(function (key) {
+      return typeof key === 'symbol'
+    })
+  }
+
+  // 19.1.2.10 Object.is(value1, value2)
+  function is (value1, value2) {
+    return sameValue(value1, value2)
+  }
+
+  // 19.1.2.18 Object.setPrototypeOf(O, proto)
+  // The `__proto__` setter calls O.[[SetPrototypeOf]](proto) and throws when
+  // it returns false
+  function setPrototypeOf (O, proto) {
+    requireObjectCoercible(O, 'Object.setPrototypeOf')
+    if (proto !== null && !isObject(proto)) throw new TypeError('Object prototype may only be an Object or null: ' + String(proto))
+    if (!isObject(O)) return O
+    setProto.call(O, proto)
+    return O
+  }
+
+  // Installation
+  // ************
+
+  // [object, name, implementation], accessors as { get }
+  var POLYFILLS = [
+    [String, 'fromCodePoint', fromCodePoint],
+    [String.prototype, 'codePointAt', codePointAt],
+    [String.prototype, 'endsWith', endsWith],
+    [String.prototype, 'includes', includes],
+    [String.prototype, 'normalize', normalize],
+    [String.prototype, 'repeat', repeat],
+    [String.prototype, 'startsWith', startsWith],
+    [RegExp.prototype, 'flags', { get: flags }],
+    [Object, 'assign', assign],
+    [Object, 'getOwnPropertySymbols', getOwnPropertySymbols],
+    [Object, 'is', is]
+  ]
+  if (setProto) POLYFILLS.push([Object, 'setPrototypeOf', setPrototypeOf])
+
+  function nameOf (object, name) {
+    var owner = object === String || object === Object ? object : object.constructor
+    return owner.name + (object === owner ? '.' : '.prototype.') + name
+  }
+
+  // Defines the missing built-ins as the native ones are: writable,
+  // configurable and not enumerable. Returns the names of those defined
+  function install () {
+    var installed = []
+    for (var i = 0; i < POLYFILLS.length; i++) {
+      var object = POLYFILLS[i][0]
+      var name = POLYFILLS[i][1]
+      var implementation = POLYFILLS[i][2]
+      if (hasOwnProperty.call(object, name)) continue
+      if (typeof implementation === 'function') {
+        Object.defineProperty(object, name, { value: implementation, writable: true, enumerable: false, configurable: true })
+      } else {
+        Object.defineProperty(object, name, { get: implementation.get, enumerable: false, configurable: true })
+      }
+      installed.push(nameOf(object, name))
+    }
+    return installed
+  }
+
+  var polyfills = {}
+  for (var i = 0; i < POLYFILLS.length; i++) {
+    var implementation = POLYFILLS[i][2]
+    polyfills[nameOf(POLYFILLS[i][0], POLYFILLS[i][1])] = typeof implementation === 'function' ? implementation : implementation.get
+  }
+
+  return {
+    polyfills: polyfills,
+    install: install
+  }
+}))
@@ -0,0 +1,42 @@
+// Helpers of 02-strings-and-regexp.js, without the examples around them
+
+// Counts code points rather than code units: codePointLength('𠮷bc') === 3
+function codePointLength (text) {
+  const result = text.match(/[\s\S]/gu)
+  return result ? result.length : 0
+}
+
+// The RegExp constructor throws on the flags an engine does not support
+function hasRegExpU () {
+  try {
+    return new RegExp('.', 'u').unicode === true
+  } catch (err) {
+    return false
+  }
+}
+
+function hasRegExpY () {
+  try {
+    return new RegExp('.', 'y').sticky === true
+  } catch (err) {
+    return false
+  }
+}
+
+// A template tag that gives back the string the template would have made
+// The chapter only logs its arguments: this is the complete version
+function passThru (literals, ...substitutions) {
+  let result = ''
+  for (let i = 0; i < substitutions.length; i++) {
+    result += literals[i]
+    result += substitutions[i]
+  }
+  return result + literals[literals.length - 1]
+}
+
+module.exports = {
+  codePointLength,
+  hasRegExpU,
+  hasRegExpY,
+  passThru
+}
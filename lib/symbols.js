@@ -0,0 +1,33 @@
+// Helpers of 06-symbols.js, without the examples around them
+
+// Converts to a string, a number or a mix of both depending on the hint:
+// `${freezing}` is '32°', freezing / 2 is 16 and freezing + '!' is '32 degrees!'
+function Temperature (degrees) {
+  this.degrees = degrees
+}
+
+Temperature.prototype[Symbol.toPrimitive] = function (hint) {
+  switch (hint) {
+    case 'string':
+      return this.degrees + '°'
+    case 'number':
+      return this.degrees
+    default:
+      return this.degrees + ' degrees'
+  }
+}
+
+// Object.prototype.toString.call(new Person('Nicholas')) === '[object Person]'
+function Person (name) {
+  this.name = name
+}
+
+Person.prototype[Symbol.toStringTag] = 'Person'
+Person.prototype.toString = function () {
+  return this.name
+}
+
+module.exports = {
+  Temperature,
+  Person
+}
@@ -0,0 +1,101 @@
+// Type names that do not depend on the realm a value comes from
+//
+// `value instanceof Array` compares prototypes, and every realm (a vm
+// context, an iframe, a worker) has its own Array.prototype: an array made in
+// another realm is not an `instanceof Array` here. typeOf() relies on what
+// does not change between realms instead:
+//  - typeof for primitives ('string', 'symbol', 'bigint'...), 'null' for null
+//  - the internal slots of the built-ins, read by Array.isArray() and the
+//    `util.types` checks: a Map is a Map wherever it was made
+//  - Symbol.toStringTag for everything else, which is how classes name their
+//    instances (`Person.prototype[Symbol.toStringTag] = 'Person'`), then the
+//    name of the constructor
+// A tag that claims a built-in name (`{ [Symbol.toStringTag]: 'Array' }`)
+// without the slots of that built-in is not trusted
+//
+//   typeOf(vm.runInNewContext('[]'))        // => 'Array'
+//   typeOf(new Person('Nicholas'))          // => 'Person'
+//   typeOf(Object.create(null))             // => 'Object'
+
+const { types } = require('util')
+
+const TypedArray = Object.getPrototypeOf(Uint8Array)
+const typedArrayTag = Object.getOwnPropertyDescriptor(TypedArray.prototype, Symbol.toStringTag).get
+
+// [name, brand check], in the order they are tried
+const BRANDS = [
+  ['Array', Array.isArray],
+  ['Map', types.isMap],
+  ['Set', types.isSet],
+  ['WeakMap', types.isWeakMap],
+  ['WeakSet', types.isWeakSet],
+  ['Date', types.isDate],
+  ['RegExp', types.isRegExp],
+  ['Promise', types.isPromise],
+  ['ArrayBuffer', types.isArrayBuffer],
+  ['SharedArrayBuffer', types.isSharedArrayBuffer],
+  ['DataView', types.isDataView],
+  ['String', types.isStringObject],
+  ['Number', types.isNumberObject],
+  ['Boolean', types.isBooleanObject],
+  ['Symbol', types.isSymbolObject],
+  ['BigInt', types.isBigIntObject],
+  ['Arguments', types.isArgumentsObject],
+  ['Generator', types.isGeneratorObject],
+  ['Map Iterator', types.isMapIterator],
+  ['Set Iterator', types.isSetIterator],
+  ['Module', types.isModuleNamespaceObject]
+]
+const BUILT_IN_NAMES = new Set(BRANDS.map(([name]) => name).concat('Function', 'Error', 'AsyncFunction', 'GeneratorFunction', 'AsyncGeneratorFunction'))
+const ERROR_NAMES = ['EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError', 'AggregateError']
+
+function tagOf (value) {
+  try {
+    const tag = value[Symbol.toStringTag]
+    return typeof tag === 'string' ? tag : null
+  } catch (err) {
+    return null
+  }
+}
+
+function constructorName (value) {
+  const prototype = Object.getPrototypeOf(value)
+  if (prototype === null) return 'Object'
+  const descriptor = Object.getOwnPropertyDescriptor(prototype, 'constructor')
+  const constructor = descriptor && descriptor.value
+  return typeof constructor === 'function' && constructor.name ? constructor.name : 'Object'
+}
+
+// The name of the native error class in the prototype chain
+function errorName (value) {
+  for (let prototype = Object.getPrototypeOf(value); prototype !== null; prototype = Object.getPrototypeOf(prototype)) {
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'constructor')
+    const name = descriptor && typeof descriptor.value === 'function' ? descriptor.value.name : null
+    if (name === 'Error' || ERROR_NAMES.includes(name)) return name
+  }
+  return 'Error'
+}
+
+function functionName (value) {
+  if (types.isAsyncFunction(value)) return types.isGeneratorFunction(value) ? 'AsyncGeneratorFunction' : 'AsyncFunction'
+  if (types.isGeneratorFunction(value)) return 'GeneratorFunction'
+  return 'Function'
+}
+
+function typeOf (value) {
+  if (value === null) return 'null'
+  const type = typeof value
+  if (type === 'function') return functionName(value)
+  if (type !== 'object') return type
+
+  if (types.isTypedArray(value)) return typedArrayTag.call(value)
+  const brand = BRANDS.find(([, isBrand]) => isBrand(value))
+  if (brand) return brand[0]
+  if (types.isNativeError(value)) return errorName(value)
+
+  const tag = tagOf(value)
+  if (tag && !BUILT_IN_NAMES.has(tag)) return tag
+  return constructorName(value)
+}
+
+module.exports = { typeOf }
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const vm = require('vm')
+const equivalence = require('../tools/equivalence')
+
+const { findPairs, selectPairs, inputsOf, checkPair } = equivalence
+const { parseSections } = require('../tools/chapters')
+
+const PAIRS = findPairs()
+
+function pairOf (query) {
+  return selectPairs(PAIRS, query)[0]
+}
+
+function chapter (source) {
+  return { file: '07-virtual.js', source, sections: parseSections(source) }
+}
+
+function differing (report) {
+  return report.results.filter(result => !result.same).map(result => result.input)
+}
+
+describe('describe', () => {
+  it('shows what an object holds, whatever its realm', () => {
+    assert.equal(equivalence.describe(vm.runInNewContext('[1, "a"]')), 'Array { 0: 1, 1: "a", length (non-enumerable): 2 }')
+    assert.equal(equivalence.describe({ get name () { return 'file.js' }, [Symbol('id')]: 1 }), '{ name: [Getter], [Symbol(id)]: 1 }')
+    assert.equal(equivalence.describe(Object.freeze({ a: -0 })), '(frozen) { a: -0 }')
+    assert.equal(equivalence.describe(function callback () {}), '[Function]')
+  })
+})
+
+describe('findPairs', () => {
+  it('finds the ES5 and ES6 versions of the chapters', () => {
+    const ids = PAIRS.map(pair => pair.id)
+    ;['funcs-funcs2', 'getValue-getValue2', 'makeRequest1-makeRequest3', 'makeRequest2-makeRequest4', 'pick-pick2', 'mixin-Object.assign']
+      .forEach(id => assert.ok(ids.includes(id), id))
+    assert.ok(!ids.includes('makeRequest1-makeRequest2'))
+    assert.ok(!ids.some(id => /doSomething/.test(id)), 'functions without parameters')
+  })
+
+  it('finds a new pair by its names and the editions of its sections', () => {
+    const [pair, ...others] = findPairs([chapter([
+      '// SPLITTING IN ES5',
+      '// ****************',
+      'function split (text, separator) {',
+      '  separator = separator || ","',
+      '  return text.split(separator)',
+      '}',
+      '',
+      '// SPLITTING IN ES6',
+      '// ****************',
+      'function split2 (text, separator = ",") {',
+      '  return text.split(separator)',
+      '}',
+      '',
+      'function other (a) { return a }',
+      ''
+    ].join('\n'))])
+    assert.deepEqual(others, [])
+    assert.equal(pair.id, 'split-split2')
+    assert.deepEqual(pair.before.observe, ['separator'])
+    const labels = pair.inputs.map(input => input.label)
+    ;['separator = 0', "separator = ''", 'text: accessor property', 'text: null'].forEach(label => assert.ok(labels.includes(label), label))
+  })
+
+  it('generates inputs from how the parameters are used, with the edge cases written by hand', () => {
+    const labels = pairOf('mixin').inputs.map(input => input.label)
+    ;['final: frozen', 'final: setter', 'extras: symbol-keyed property', 'extras: accessor property', 'extras: null', 'two suppliers']
+      .forEach(label => assert.ok(labels.includes(label), label))
+    const pick = pairOf('pick').inputs.map(input => input.label)
+    ;['extra argument: symbol key', 'repeated extra argument', 'the example of the chapter'].forEach(label => assert.ok(pick.includes(label), label))
+  })
+})
+
+describe('checkPair', () => {
+  it('finds the differences of mixin() and Object.assign()', () => {
+    const report = checkPair(pairOf('mixin'))
+    assert.equal(report.error, null)
+    assert.deepEqual(differing(report), ['final: frozen', 'final: null', 'extras: symbol-keyed property', 'extras: null', 'two suppliers'])
+  })
+
+  it('tells the defaults of || from those of ES6, and their length', () => {
+    const report = checkPair(pairOf('makeRequest1'))
+    assert.deepEqual(differing(report).filter(input => /^timeout|length/.test(input)),
+      ['timeout = null', 'timeout = 0', "timeout = ''", 'timeout = false', 'timeout = NaN', 'function length'])
+    assert.deepEqual(report.results[report.results.length - 1].differences, [{ aspect: 'length', before: '3', after: '1' }])
+  })
+
+  it('compares the inputs that --list counts', () => {
+    PAIRS.forEach(pair => {
+      assert.deepEqual(checkPair(pair).results.map(result => result.input), inputsOf(pair).map(input => input.label), pair.id)
+    })
+  })
+})
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseSections } = require('../tools/chapters')
+const { collectErrorExamples, verifyErrorExamples } = require('../tools/error-examples')
+const { isErrorComment } = require('../tools/expectations')
+
+const SOURCE = [
+  '// DECLARATIONS',
+  '// ************',
+  '',
+  '// const GREET // => SyntaxError because it must be initialized',
+  'let count = 1',
+  '// let count = 2 // => throw Syntax error',
+  'const sum = Symbol() / 1 // => Type error',
+  'const fine = 1 // => TypeError',
+  'missing() // => TypeError',
+  'const after = Symbol() + 1 // => Type error',
+  '',
+  '// BLOCKS',
+  '// ******',
+  '',
+  'if (typeof nothing !== "undefined") {',
+  '  null.x // => TypeError',
+  '  let value // This line is never executed because the previous line throws an error.',
+  '}',
+  '',
+  '// BLOCKED',
+  '// *******',
+  '',
+  'notDefined()',
+  'null.y // => TypeError',
+  ''
+].join('\n')
+
+const CHAPTER = { file: 'virtual.js', path: '/virtual/virtual.js', source: SOURCE, sections: parseSections(SOURCE) }
+
+describe('isErrorComment', () => {
+  it('takes the annotations of the chapters', () => {
+    [
+      '=> throw Syntax error',
+      '=> SyntaxError because it must be initialized',
+      '=> Within TDZ: throw ReferenceError',
+      '=> This is an error: Changing the object binding!',
+      'Mistake: => error',
+      'ReferenceError: value is not defined',
+      'throws error: doSomething is currently in the TDZ',
+      'Error! stickyResult is null',
+      'Syntax error'
+    ].forEach(text => assert.ok(isErrorComment(text), text))
+  })
+
+  it('leaves prose out', () => {
+    [
+      'This line is never executed because the previous line throws an error.',
+      'Attempting to access it before initialization will result in a ReferenceError',
+      'Logical operators do not throw an error because all symbols are considered a truthy value',
+      'The throw-away counter variables (i, j, k...) are meant to be used only inside the loop',
+      '=> 3 without any error',
+      '=> undefined'
+    ].forEach(text => assert.ok(!isErrorComment(text), text))
+  })
+})
+
+describe('collectErrorExamples', () => {
+  it('finds commented-out and live examples, with the error they name', () => {
+    const examples = collectErrorExamples(CHAPTER.sections[0])
+    assert.deepEqual(examples.map(example => [example.line, example.live, example.errorName]), [
+      [4, false, 'SyntaxError'],
+      [6, false, 'SyntaxError'],
+      [7, true, 'TypeError'],
+      [8, true, 'TypeError'],
+      [9, true, 'TypeError'],
+      [10, true, 'TypeError']
+    ])
+    assert.equal(examples[2].code, 'const sum = Symbol() / 1')
+  })
+
+  it('does not take a prose comment for an example', () => {
+    assert.deepEqual(collectErrorExamples(CHAPTER.sections[1]).map(example => example.line), [16])
+  })
+})
+
+describe('verifyErrorExamples', () => {
+  const results = new Map(verifyErrorExamples(CHAPTER).map(result => [result.line, result]))
+
+  it('confirms early errors at compile time, with the whole chapter', () => {
+    assert.equal(results.get(4).status, 'confirmed')
+    assert.equal(results.get(4).phase, 'compile')
+    assert.equal(results.get(6).status, 'confirmed')
+    assert.equal(results.get(6).error.name, 'SyntaxError')
+  })
+
+  it('runs each live example with the others commented out', () => {
+    assert.equal(results.get(7).status, 'confirmed')
+    assert.equal(results.get(7).phase, 'run')
+    assert.equal(results.get(10).status, 'confirmed')
+  })
+
+  it('tells a line that throws nothing or another error', () => {
+    assert.equal(results.get(8).status, 'no-throw')
+    assert.equal(results.get(9).status, 'different')
+    assert.equal(results.get(9).error.name, 'ReferenceError')
+  })
+
+  it('tells an example that never runs from one that throws nothing', () => {
+    assert.equal(results.get(16).status, 'not-reached')
+    assert.equal(results.get(8).status, 'no-throw')
+  })
+
+  it('skips an example when a line above it throws', () => {
+    assert.equal(results.get(24).status, 'blocked')
+    assert.equal(results.get(24).error.line, 23)
+  })
+})
@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test')
+const { RuleTester } = require('eslint')
+const { rules } = require('../tools/eslint-plugin-learn')
+
+RuleTester.describe = describe
+RuleTester.it = it
+
+const ruleTester = new RuleTester({ parserOptions: { ecmaVersion: 2020 } })
+
+ruleTester.run('no-this-in-method-callback', rules['no-this-in-method-callback'], {
+  valid: [
+    'const handler = { init () { document.addEventListener("click", event => this.doSomething(event.type)) } }',
+    'const handler = { init () { items.forEach(function (item) { console.log(item) }) } }',
+    'document.addEventListener("click", function () { this.classList.toggle("active") })',
+    'const handler = { init () { const self = this; items.forEach(function () { return function () { return this } }) } }'
+  ],
+  invalid: [
+    {
+      // PageHandler1: the arrow function of PageHandler3 would be the fix,
+      // but it is not applied
+      code: 'const PageHandler = { init: function () { document.addEventListener("click", function (event) { this.doSomething(event.type) }, false) } }',
+      output: null,
+      errors: [{ messageId: 'thisInCallback', data: { method: 'init' } }]
+    },
+    {
+      // `this` is the clicked element: an arrow function would change it
+      code: 'class Toggle { bind (button) { button.addEventListener("click", function () { this.classList.toggle("active") }) } }',
+      output: null,
+      errors: [{ messageId: 'thisInCallback', data: { method: 'bind' } }]
+    },
+    {
+      code: 'const counter = { start () { setTimeout(function () { const tick = () => this.count++; tick() }, 10) } }',
+      output: null,
+      errors: [{ messageId: 'thisInCallback', data: { method: 'start' } }]
+    }
+  ]
+})
+
+ruleTester.run('no-or-default', rules['no-or-default'], {
+  valid: [
+    'function makeRequest3 (url, timeout = 2000) {}',
+    'function f (a) { const b = a || 1 }',
+    'let timeout; function f () { timeout = timeout || 2000 }',
+    'function f (timeout, other) { timeout = other || 2000 }'
+  ],
+  invalid: [
+    {
+      code: 'function makeRequest1 (url, timeout, callback) { timeout = timeout || 2000; callback = callback || function () {} }',
+      output: null,
+      errors: [
+        { messageId: 'orDefault', data: { name: 'timeout' } },
+        { messageId: 'orDefault', data: { name: 'callback' } }
+      ]
+    },
+    {
+      code: 'function f (timeout) { timeout || (timeout = 2000) }',
+      output: null,
+      errors: [{ messageId: 'orDefault', data: { name: 'timeout' } }]
+    }
+  ]
+})
+
+ruleTester.run('prefer-rest-params', rules['prefer-rest-params'], {
+  valid: [
+    'function pick2 (object, ...keys) { return keys }',
+    'function count () { return arguments.length }',
+    'const f = (...args) => args'
+  ],
+  invalid: [
+    {
+      code: 'function pick (object) { const result = {}; for (let i = 1, len = arguments.length; i < len; i++) { result[arguments[i]] = object[arguments[i]] } return result }',
+      output: 'function pick (object, ...rest) { const result = {}; for (let i = 0, len = rest.length; i < len; i++) { result[rest[i]] = object[rest[i]] } return result }',
+      errors: [{ messageId: 'preferRest' }]
+    },
+    {
+      code: 'function f (a) { var others = Array.prototype.slice.call(arguments, 1); return others }',
+      output: 'function f (a, ...others) { return others }',
+      errors: [{ messageId: 'preferRest' }]
+    },
+    {
+      // Passed on as a whole: no rewrite keeps that
+      code: 'function f () { return g.apply(null, arguments) }',
+      output: null,
+      errors: [{ messageId: 'preferRest' }]
+    },
+    {
+      code: 'function f (a) { "use strict"; return [].slice.call(arguments, 1) }',
+      output: null,
+      errors: [{ messageId: 'preferRest' }]
+    }
+  ]
+})
+
+ruleTester.run('unicode-regexp-for-astral', rules['unicode-regexp-for-astral'], {
+  valid: [
+    '/^.$/u.test("𠮷")',
+    '/^.$/.test("abc")',
+    '/𠮷/.test("𠮷")',
+    'let text = "𠮷"; text = "a"; /^.$/.test(text)'
+  ],
+  invalid: [
+    {
+      code: 'const text = "𠮷"; /^.$/.test(text)',
+      output: 'const text = "𠮷"; /^.$/u.test(text)',
+      errors: [{ messageId: 'astralText', data: { text: '`text`' } }]
+    },
+    {
+      code: '"𠮷𠮷".match(/[^a]/g)',
+      output: '"𠮷𠮷".match(/[^a]/gu)',
+      errors: [{ messageId: 'astralText', data: { text: 'the text' } }]
+    },
+    {
+      code: '/𠮷+/.test(value)',
+      output: '/𠮷+/u.test(value)',
+      errors: [{ messageId: 'astralPattern' }]
+    },
+    {
+      // \- is not valid in unicode mode outside of a class: no fix
+      code: '/[𠮷]\\-/.test(value)',
+      output: null,
+      errors: [{ messageId: 'astralPattern' }]
+    }
+  ]
+})
+
+ruleTester.run('no-assign-accessors', rules['no-assign-accessors'], {
+  valid: [
+    'Object.assign({}, { name: "file.js" })',
+    'const supplier = { name: "file.js" }; Object.assign({}, supplier)',
+    'const Object = { assign () {} }; Object.assign({}, { get name () { return "file.js" } })'
+  ],
+  invalid: [
+    {
+      // The getter would keep reading `supplier`: a suggestion, not a fix
+      code: 'const supplier = { get name () { return "file.js" } }; const copy = Object.assign({}, supplier)',
+      output: null,
+      errors: [{
+        messageId: 'accessors',
+        data: { name: 'name' },
+        suggestions: [{
+          messageId: 'defineProperties',
+          output: 'const supplier = { get name () { return "file.js" } }; const copy = Object.defineProperties({}, Object.getOwnPropertyDescriptors(supplier))'
+        }]
+      }]
+    },
+    {
+      // Defining on an existing receiver is not the same as setting: no fix
+      code: 'const supplier = { get name () { return "file.js" } }; Object.assign(receiver2, supplier)',
+      output: null,
+      errors: [{ messageId: 'accessors', data: { name: 'name' }, suggestions: [] }]
+    }
+  ]
+})
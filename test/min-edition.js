@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { analyzeSource, detectableFeatures } = require('../tools/min-edition')
+const { loadEditions, allFeatures } = require('../tools/editions')
+
+function findingsOf (code) {
+  return analyzeSource(code).findings.map(finding => finding.id)
+}
+
+describe('analyzeSource', () => {
+  it('finds nothing in ES5 code', () => {
+    const result = analyzeSource('var a = 1\nfunction f (b) { return a + b }')
+    assert.equal(result.minimum, 'ES5')
+    assert.deepEqual(result.findings, [])
+  })
+
+  it('reports the latest edition among the findings', () => {
+    assert.equal(analyzeSource('let a = 1').minimum, 'ES2015')
+    assert.equal(analyzeSource('let a = 2 ** 3').minimum, 'ES2016')
+    assert.equal(analyzeSource('let a = b?.c').minimum, 'ES2020')
+  })
+
+  it('finds object rest in declarations and parameters', () => {
+    const declaration = analyzeSource('const { a, ...rest } = o')
+    assert.equal(declaration.minimum, 'ES2018')
+    assert.ok(findingsOf('const { a, ...rest } = o').includes('object-rest-spread'))
+
+    const parameter = analyzeSource('function f ({ a, ...rest }) {}')
+    assert.equal(parameter.minimum, 'ES2018')
+    assert.ok(findingsOf('function f ({ a, ...rest }) {}').includes('destructured-parameters'))
+  })
+
+  it('tells array rest and rest parameters from object rest', () => {
+    assert.deepEqual(findingsOf('let [a, ...b] = c').sort(), ['array-destructuring', 'let'])
+    assert.deepEqual(findingsOf('function f (...args) {}'), ['rest-parameters'])
+    assert.deepEqual(findingsOf('var o2 = { ...o }'), ['object-rest-spread'])
+  })
+
+  it('reports the lines of each feature once', () => {
+    const [finding] = analyzeSource('var o = {}\nObject.assign(o, {})\nObject.assign(o, {}, {})').findings
+    assert.equal(finding.id, 'object-assign')
+    assert.deepEqual(finding.lines, [2, 3])
+  })
+
+  it('leaves out built-ins that the file declares itself', () => {
+    assert.deepEqual(findingsOf('var Object = {}; Object.assign({}, o)'), [])
+    assert.deepEqual(findingsOf('function Map () {}\nnew Map()'), [])
+  })
+
+  it('counts only the earliest edition of likely alternatives', () => {
+    const result = analyzeSource('s.includes("a")')
+    assert.equal(result.minimum, 'ES2015')
+    assert.ok(result.findings.every(finding => finding.confidence === 'likely'))
+  })
+})
+
+describe('detectableFeatures', () => {
+  it('lists features of data/es-editions.json', () => {
+    const ids = new Set(allFeatures(loadEditions()).map(feature => feature.id))
+    detectableFeatures().forEach(id => assert.ok(ids.has(id), id))
+  })
+
+  it('has the features that analyzeSource() finds, and not those it cannot', () => {
+    const detectable = detectableFeatures()
+    const code = 'const { a, ...rest } = o\nlet s = `a`\nObject.assign({}, o)\n/a/u.test(s)\n"x".includes(s)\nx ?? y'
+    analyzeSource(code).findings.forEach(finding => assert.ok(detectable.has(finding.id), finding.id))
+    ;['var', 'arguments-object', 'function-bind', 'object-create', 'object-keys'].forEach(id => assert.ok(!detectable.has(id), id))
+  })
+})
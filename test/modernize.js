@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { modernize } = require('../tools/modernize')
+
+function rewritten (code, only) {
+  return modernize(code, { only }).code
+}
+
+describe('modernize', () => {
+  it('turns a `var` into `let` or `const`, but not a global one', () => {
+    const result = modernize('var a = 1\nfunction f () { var b = 2; b++; var c = b; return c }')
+    assert.equal(result.code, 'var a = 1\nfunction f () { let b = 2; b++; const c = b; return c }')
+    assert.deepEqual(result.kept.map(entry => [entry.rewrite, entry.line]), [['let-const', 1]])
+  })
+
+  it('keeps a `var` that another case of its switch uses', () => {
+    const shared = 'function f (n) { switch (n) { case 1: var z = 1; return z; case 2: z = 2; return z } }'
+    const result = modernize(shared, { only: ['let-const'] })
+    assert.equal(result.code, shared)
+    assert.equal(result.kept[0].reason, '`z` is used by another case of the switch')
+
+    const own = 'function f (n) { switch (n) { case 1: var z = 1; return z; default: return 0 } }'
+    assert.equal(rewritten(own, ['let-const']), 'function f (n) { switch (n) { case 1: const z = 1; return z; default: return 0 } }')
+  })
+
+  it('turns an undefined check into a default parameter, not `||`', () => {
+    const check = "function makeRequest (url, timeout) {\n  timeout = (typeof timeout !== 'undefined') ? timeout : 2000\n  return timeout\n}"
+    assert.equal(rewritten(check, ['default-parameters']), 'function makeRequest (url, timeout = 2000) {\n  return timeout\n}')
+
+    const or = 'function makeRequest (url, timeout) {\n  timeout = timeout || 2000\n  return timeout\n}'
+    const result = modernize(or, { only: ['default-parameters'] })
+    assert.equal(result.code, or)
+    assert.match(result.kept[0].reason, /0, '', false and null/)
+  })
+
+  it('turns `arguments` into a rest parameter', () => {
+    const pick = 'function pick (object) {\n  for (var i = 1, len = arguments.length; i < len; i++) {\n    use(object[arguments[i]])\n  }\n}'
+    assert.equal(rewritten(pick, ['rest-parameters']),
+      'function pick (object, ...rest) {\n  for (var i = 0, len = rest.length; i < len; i++) {\n    use(object[rest[i]])\n  }\n}')
+  })
+
+  it('turns a mixin() into Object.assign()', () => {
+    const mixin = 'function mixin (receiver, supplier) {\n  Object.keys(supplier).forEach(function (key) {\n    receiver[key] = supplier[key]\n  })\n  return receiver\n}\nmixin(a, b)'
+    assert.match(rewritten(mixin, ['object-assign']), /Object\.assign\(a, b\)/)
+  })
+
+  it('turns callbacks into arrow functions unless they use `this`', () => {
+    assert.equal(rewritten('items.map(function (item) { return item * 2 })', ['arrow-functions']), 'items.map(item => item * 2)')
+    const own = 'var o = { init: function () { items.forEach(function (item) { this.add(item) }) } }'
+    const result = modernize(own, { only: ['arrow-functions'] })
+    assert.equal(result.code, own)
+    assert.equal(result.kept[0].reason, 'it uses `this`')
+  })
+
+  it('turns function () {}.bind(this) into an arrow function', () => {
+    const bound = 'var o = { init: function () { on("click", function (event) { this.handle(event) }.bind(this)) } }'
+    assert.equal(rewritten(bound, ['arrow-functions']), 'var o = { init: function () { on("click", event => { this.handle(event) }) } }')
+  })
+
+  it('keeps the parentheses of (function () {}).bind(this)', () => {
+    const bound = 'var o = { init: function () {\n  on("click", (function (event) {\n    this.handle(event)\n  }).bind(this), false)\n} }'
+    const result = modernize(bound, { only: ['arrow-functions'] })
+    assert.equal(result.code, 'var o = { init: function () {\n  on("click", (event => {\n    this.handle(event)\n  }), false)\n} }')
+    assert.equal(result.rewrites.length, 1)
+
+    const nested = 'var o = { f: function () { g(((function () { this.a() })) /* ) */ .bind(this)) } }'
+    assert.equal(rewritten(nested, ['arrow-functions']), 'var o = { f: function () { g(((() => { this.a() }))) } }')
+  })
+
+  it('turns string concatenation into a template literal', () => {
+    assert.equal(rewritten("var s = 'Hello, ' + name + '!'", ['template-literals']), 'var s = `Hello, ${name}!`') // eslint-disable-line no-template-curly-in-string
+  })
+
+  it('gives a diff for every rewrite', () => {
+    const result = modernize('function f () { var b = 2; return b }', { file: 'f.js' })
+    assert.equal(result.rewrites.length, 1)
+    assert.match(result.rewrites[0].diff, /^--- a\/f\.js\n\+\+\+ b\/f\.js\n/)
+    assert.match(result.rewrites[0].diff, /^\+function f \(\) \{ const b = 2; return b \}$/m)
+  })
+
+  it('tells the lines of the original code', () => {
+    const code = [
+      'function f (a) {',
+      "  a = (typeof a !== 'undefined') ? a : 1",
+      '  return a',
+      '}',
+      'items.map(function (x) {',
+      '  return others.map(function (y) { return x + y })',
+      '})'
+    ].join('\n')
+    const result = modernize(code, { only: ['default-parameters', 'arrow-functions'] })
+    // The inner callback is rewritten by the second pass, once the line of the
+    // default value is gone
+    assert.deepEqual(result.rewrites.map(rewrite => [rewrite.rewrite, rewrite.line]),
+      [['default-parameters', 1], ['arrow-functions', 5], ['arrow-functions', 6]])
+  })
+
+  it('rejects an unknown rewrite', () => {
+    assert.throws(() => modernize('', { only: ['classes'] }), /Unknown rewrite classes/)
+  })
+})
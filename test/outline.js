@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseSections } = require('../tools/chapters')
+const { notesOf, outlineDrift } = require('../tools/outline')
+
+const README = [
+  '# Learn ES6',
+  '',
+  '## Table of Contents',
+  '',
+  '1. Symbols: `symbols.js`',
+  '1. Sets and Maps: `sets-and-maps.js`',
+  '',
+  '## 1. Symbols: `symbols.js`',
+  '',
+  '- Creating symbols',
+  '- Well-Known Symbols',
+  '  - `Symbol.iterator`',
+  '  - `Symbol.match`',
+  '  - `Symbol.replace`',
+  '  - `Symbol.search`',
+  '  - `Symbol.toPrimitive`',
+  '',
+  '## 2. Sets and Maps: `sets-and-maps.js`',
+  '',
+  '- Default values',
+  '- Default values',
+  ''
+].join('\n')
+
+function chapter (number, name, lines) {
+  const source = lines.join('\n')
+  return { number, name, file: `${String(number).padStart(2, '0')}-${name}.js`, source, sections: parseSections(source) }
+}
+
+function banner (title) {
+  return [`// ${title}`, `// ${'*'.repeat(title.length)}`, '', 'void 0', '']
+}
+
+const SYMBOLS = chapter(1, 'symbols', [
+  ...banner('CREATING SYMBOLS'),
+  ...banner('WELL-KNOWN SYMBOLS'),
+  ...banner('`Symbol.match`, `Symbol.replace`, `Symbol.search`'),
+  ...banner('`Symbol.toPrimitive`'),
+  ...banner('GLOBAL REGISTRY')
+])
+
+const SETS = chapter(2, 'sets-and-maps', banner('DEFAULT VALUES'))
+
+function driftOf (type) {
+  return outlineDrift([SYMBOLS, SETS], README)
+    .filter(issue => issue.type === type)
+    .map(issue => issue.message)
+}
+
+describe('outlineDrift', () => {
+  it('matches the topics of the readme to sections by their words', () => {
+    const readmeOnly = driftOf('readme-only')
+    assert.ok(!readmeOnly.some(message => /Creating symbols|Well-Known|toPrimitive/.test(message)), readmeOnly.join('\n'))
+    assert.ok(readmeOnly.includes('"`Symbol.iterator`" matches no section of 01-symbols.js'))
+    assert.deepEqual(driftOf('chapter-only'), ['[5] GLOBAL REGISTRY is not in the readme outline'])
+  })
+
+  it('lets a section that lists several topics cover each of them', () => {
+    const readmeOnly = driftOf('readme-only')
+    ;['match', 'replace', 'search'].forEach(name => {
+      assert.ok(!readmeOnly.some(message => message.includes(`Symbol.${name}`)), name)
+    })
+  })
+
+  it('still matches a section once to the same topic listed twice', () => {
+    assert.deepEqual(driftOf('readme-only').filter(message => /Default values/.test(message)),
+      ['"Default values" matches no section of 02-sets-and-maps.js'])
+  })
+
+  it('tells chapters missing from the table of contents, and the other way around', () => {
+    const issues = outlineDrift([SYMBOLS, chapter(3, 'promises', banner('BASICS'))], README)
+    assert.deepEqual(issues.filter(issue => /chapter$/.test(issue.type)).map(issue => issue.type), ['missing-chapter', 'unlisted-chapter'])
+  })
+})
+
+describe('notesOf', () => {
+  it('takes the notes of a section, joined to the line they introduce', () => {
+    const [section] = parseSections([
+      ...banner('SETS'),
+      '// NOTE: Sets compare with Object.is()',
+      'new Set()',
+      '// TIP:',
+      '// Spread a set to remove duplicates',
+      '[...new Set(items)]'
+    ].join('\n'))
+    assert.deepEqual(notesOf(section), [
+      { text: 'NOTE: Sets compare with Object.is()', line: 6 },
+      { text: 'TIP: Spread a set to remove duplicates', line: 8 }
+    ])
+  })
+})
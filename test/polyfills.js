@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { polyfills } = require('../lib/polyfills')
+
+const normalize = polyfills['String.prototype.normalize']
+const fromCodePoint = polyfills['String.fromCodePoint']
+const assign = polyfills['Object.assign']
+
+// Composed, decomposed, compatibility and Hangul forms, out of order marks
+const SAMPLES = ['caf\u00E9', 'cafe\u0301', '\uFB01', '\u2460', '\u212B', '\u1E9B\u0323', 'q\u0307\u0323', '\uD55C\uAD6D\uC5B4', '\u1100\u1161\u11A8', '\uFF71\uFF72\uFF73', '']
+
+// What `fn` throws as [name, message], or its result
+function outcome (fn) {
+  try {
+    return fn()
+  } catch (error) {
+    return [error.name, error.message]
+  }
+}
+
+describe('String.prototype.normalize', () => {
+  it('gives the native result in every form', () => {
+    ;['NFC', 'NFD', 'NFKC', 'NFKD', undefined].forEach(form => {
+      SAMPLES.forEach(sample => {
+        assert.equal(normalize.call(sample, form), sample.normalize(form), `${JSON.stringify(sample)} ${form}`)
+      })
+    })
+  })
+
+  it('throws the native errors', () => {
+    assert.deepEqual(outcome(() => normalize.call('a', 'nfc')), outcome(() => 'a'.normalize('nfc')))
+    assert.deepEqual(outcome(() => Reflect.apply(normalize, null, [])), outcome(() => Reflect.apply(String.prototype.normalize, null, [])))
+  })
+})
+
+describe('String.fromCodePoint', () => {
+  it('gives the native result', () => {
+    const codePoints = [0x61, 0x1F600, 0xD83D, 0x10FFFF, '42', 0]
+    assert.equal(fromCodePoint.apply(null, codePoints), String.fromCodePoint(...codePoints))
+    assert.equal(fromCodePoint(), String.fromCodePoint())
+  })
+
+  it('throws a RangeError for what is not a code point', () => {
+    ;[-1, 0x110000, 1.5, NaN, Infinity, 'a', undefined].forEach(codePoint => {
+      const error = outcome(() => fromCodePoint(codePoint))
+      assert.deepEqual(error, outcome(() => String.fromCodePoint(codePoint)), String(codePoint))
+      assert.equal(error[0], 'RangeError')
+    })
+  })
+})
+
+describe('Object.assign', () => {
+  it('copies the symbol keys, after the string keys, as the native one does', () => {
+    const id = Symbol('id')
+    const hidden = Symbol('hidden')
+    const source = { [id]: 1, name: 'file.js' }
+    Object.defineProperty(source, hidden, { value: 2, enumerable: false })
+    const copy = assign({}, source)
+    assert.deepEqual(Reflect.ownKeys(copy), Reflect.ownKeys(Object.assign({}, source)))
+    assert.deepEqual(Reflect.ownKeys(copy), ['name', id])
+    assert.equal(copy[id], 1)
+  })
+
+  it('reads the getters and calls the setters', () => {
+    const log = []
+    const target = { get name () { return null }, set name (value) { log.push(value) } }
+    assign(target, { get name () { return 'file.js' } }, null, undefined)
+    assert.deepEqual(log, ['file.js'])
+  })
+
+  it('throws the native errors', () => {
+    assert.deepEqual(outcome(() => assign(null)), outcome(() => Object.assign(null)))
+    assert.deepEqual(outcome(() => assign(Object.freeze({ a: 1 }), { a: 2 })), outcome(() => Object.assign(Object.freeze({ a: 1 }), { a: 2 })))
+  })
+})
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { distractorsFor, checkAnswer } = require('../tools/quiz')
+
+function question (answer, kind, siblings = []) {
+  return { expression: 'value', answer, kind, siblings, options: null }
+}
+
+function texts (distractors) {
+  return distractors.map(distractor => distractor.text)
+}
+
+describe('distractorsFor', () => {
+  it('leaves out the choices that log as the answer', () => {
+    assert.ok(!texts(distractorsFor(question('12345', 'number'))).includes('"12345"'))
+    assert.ok(!texts(distractorsFor(question('"16"', 'string'))).includes('16'))
+    assert.ok(!texts(distractorsFor(question('Symbol(uid)', 'symbol'))).includes('"Symbol(uid)"'))
+  })
+
+  it('leaves out what another line logs the same way', () => {
+    const siblings = [{ expression: 'String(degrees)', text: '"16"' }, { expression: 'degrees * 2', text: '32' }]
+    assert.deepEqual(texts(distractorsFor(question('16', 'number', siblings))), ['32', '17', 'NaN'])
+  })
+})
+
+describe('checkAnswer', () => {
+  it('takes a free answer that logs as the answer, quotes or not', () => {
+    assert.equal(checkAnswer(question('"12345"', 'string'), '12345').correct, true)
+    assert.equal(checkAnswer(question('12345', 'number'), '"12345"').correct, true)
+    assert.equal(checkAnswer(question('"true"', 'string'), 'true').correct, true)
+    assert.equal(checkAnswer(question('12345', 'number'), '12346').correct, false)
+  })
+})
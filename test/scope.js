@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const vm = require('vm')
+const { analyzeScopes } = require('../tools/scopes')
+
+function bindingOf (result, name) {
+  return result.bindings.find(binding => binding.name === name)
+}
+
+function problemsOf (result, type) {
+  return result.problems.filter(problem => problem.type === type)
+}
+
+// The error the engine throws for `code`, to check what the analyzer predicts
+function thrown (code) {
+  try {
+    vm.runInNewContext(code)
+  } catch (error) {
+    return error.name
+  }
+  return null
+}
+
+describe('analyzeScopes', () => {
+  it('tells the TDZ of a `let`, from the top of its block to the end of its declaration', () => {
+    const code = '{\n  typeof value\n  let value = "blue"\n}'
+    const result = analyzeScopes(code)
+    const { tdz } = bindingOf(result, 'value')
+    assert.deepEqual([tdz.start, tdz.end], [{ line: 1, column: 1 }, { line: 3, column: 21 }])
+    assert.deepEqual(problemsOf(result, 'tdz').map(problem => [problem.severity, problem.line, problem.column]), [['error', 2, 10]])
+    assert.equal(thrown(code), 'ReferenceError')
+  })
+
+  it('warns about a function created inside the TDZ, which throws only if it runs there', () => {
+    const code = 'function read () { return x }\nlet x = 1\nread()'
+    const [problem] = problemsOf(analyzeScopes(code), 'tdz')
+    assert.equal(problem.severity, 'warning')
+    assert.match(problem.message, /ReferenceError if it runs before 2:10/)
+    assert.equal(thrown(code), null)
+    assert.equal(thrown('function read () { return x }\nread()\nlet x = 1'), 'ReferenceError')
+  })
+
+  it('tells a default value that reads a later parameter', () => {
+    const code = 'function add (first = second, second) {}\nadd(undefined, 1)'
+    const [problem] = problemsOf(analyzeScopes(code), 'tdz')
+    assert.deepEqual([problem.name, problem.line, problem.column], ['second', 1, 23])
+    assert.match(problem.message, /ReferenceError when `first` is missing/)
+    assert.equal(thrown(code), 'ReferenceError')
+    assert.equal(thrown('function add (first = second, second) {}\nadd(1, 1)'), null)
+  })
+
+  it('reports a `let` that redeclares a `var`, but not two `var`', () => {
+    const code = 'var count = 1\nlet count = 2'
+    const [problem] = problemsOf(analyzeScopes(code), 'redeclaration')
+    assert.deepEqual([problem.line, problem.column], [2, 5])
+    assert.equal(problem.message, '`let count` (2:5) conflicts with `var count` (1:5) in the global scope: SyntaxError')
+    assert.equal(thrown(code), 'SyntaxError')
+
+    assert.deepEqual(analyzeScopes('var count = 1\nvar count = 2').problems, [])
+    assert.equal(thrown('var count = 1\nvar count = 2'), null)
+  })
+
+  it('reports an assignment to a `const`', () => {
+    const code = 'const PI = 3.14\nPI = 3'
+    const [problem] = problemsOf(analyzeScopes(code), 'const')
+    assert.deepEqual([problem.line, problem.column], [2, 1])
+    assert.equal(problem.message, '`PI` is assigned at 2:1, but it is a `const` (1:7): TypeError')
+    assert.equal(thrown(code), 'TypeError')
+  })
+
+  it('gives the lines of the chapter with `lineOffset`', () => {
+    const result = analyzeScopes('{\n  typeof value\n  let value = "blue"\n}', { lineOffset: 10 })
+    assert.deepEqual(bindingOf(result, 'value').tdz.start, { line: 11, column: 1 })
+    assert.equal(problemsOf(result, 'tdz')[0].line, 12)
+  })
+})
@@ -0,0 +1,55 @@
+// Minimal command-line parser for the `learn` commands
+// Every command declares its flags up front:
+//  - boolean flags are `--flag`
+//  - string flags are `--flag value` or `--flag=value`
+// Anything else that starts with `--` is a UsageError
+
+const { UsageError } = require('./errors')
+
+function parseArgs (argv, { boolean = [], string = [] } = {}) {
+  const positionals = []
+  const flags = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1))
+      break
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg)
+      continue
+    }
+
+    const eq = arg.indexOf('=')
+    const name = arg.slice(2, eq === -1 ? undefined : eq)
+    if (boolean.includes(name)) {
+      if (eq !== -1) throw new UsageError(`Flag --${name} does not take a value`)
+      flags[name] = true
+    } else if (string.includes(name)) {
+      if (eq !== -1) {
+        flags[name] = arg.slice(eq + 1)
+      } else if (i + 1 < argv.length) {
+        flags[name] = argv[++i]
+      } else {
+        throw new UsageError(`Flag --${name} expects a value`)
+      }
+    } else {
+      throw new UsageError(`Unknown flag --${name}`)
+    }
+  }
+
+  return { positionals, flags }
+}
+
+// Parses a numeric flag, falling back to `defaultValue` when it is absent
+function numberFlag (flags, name, defaultValue) {
+  if (flags[name] === undefined) return defaultValue
+  const value = Number(flags[name])
+  if (!Number.isFinite(value) || value < 0) {
+    throw new UsageError(`Flag --${name} expects a positive number, got "${flags[name]}"`)
+  }
+  return value
+}
+
+module.exports = { parseArgs, numberFlag }
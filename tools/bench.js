@@ -0,0 +1,200 @@
+// Microbenchmark harness for the performance claims of the chapters
+//
+// Each case of a claim is measured on its own:
+//  1. Warm-up: the case runs for `warmup` ms, so that V8 optimizes it first
+//  2. Calibration: the number of iterations per sample doubles until a sample
+//     lasts `time / samples` ms, far above the resolution of the clock
+//  3. Samples: `samples` timings, each turned into nanoseconds per operation
+// Every case gets its own loop, compiled with vm.compileFunction(): a shared
+// loop would make its call site polymorphic and slow down the later cases.
+// The mean comes with its relative margin of error at 95% (rme), and two cases
+// only differ when their confidence intervals do not overlap
+
+const os = require('os')
+const util = require('util')
+const vm = require('vm')
+
+const DEFAULTS = { warmup: 100, time: 500, samples: 20 }
+
+const LOOP = `
+  let result
+  for (let i = 0; i < iterations; i++) result = fn(input)
+  return result
+`
+
+// Two-tailed Student's t values at 95% for 1 to 30 degrees of freedom
+const T_TABLE = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042
+]
+
+function tValue (degrees) {
+  return T_TABLE[Math.min(degrees, T_TABLE.length) - 1] || 1.96
+}
+
+function summarize (samples) {
+  const sorted = samples.slice().sort((a, b) => a - b)
+  const count = sorted.length
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count
+  const variance = count > 1 ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1) : 0
+  const sd = Math.sqrt(variance)
+  const middle = Math.floor(count / 2)
+  const median = count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  const moe = count > 1 ? tValue(count - 1) * sd / Math.sqrt(count) : 0
+  return {
+    mean,
+    median,
+    sd,
+    min: sorted[0],
+    max: sorted[count - 1],
+    rme: mean ? moe / mean * 100 : 0,
+    opsPerSec: mean ? 1e9 / mean : 0,
+    samples: count
+  }
+}
+
+function timeLoop (loop, fn, input, iterations) {
+  const start = process.hrtime.bigint()
+  const result = loop(fn, input, iterations)
+  return { elapsed: Number(process.hrtime.bigint() - start), result }
+}
+
+// Nanoseconds per operation of `fn(input)`, summarized
+function measure (fn, input, options = {}) {
+  const { warmup, time, samples } = Object.assign({}, DEFAULTS, options)
+  const loop = vm.compileFunction(LOOP, ['fn', 'input', 'iterations'])
+  const sampleTime = time / samples * 1e6
+
+  const warmupStart = process.hrtime.bigint()
+  while (Number(process.hrtime.bigint() - warmupStart) < warmup * 1e6) loop(fn, input, 100)
+
+  let iterations = 1
+  let run = timeLoop(loop, fn, input, iterations)
+  while (run.elapsed < sampleTime && iterations < 2 ** 30) {
+    iterations *= 2
+    run = timeLoop(loop, fn, input, iterations)
+  }
+
+  const timings = []
+  for (let i = 0; i < samples; i++) {
+    run = timeLoop(loop, fn, input, iterations)
+    timings.push(run.elapsed / iterations)
+  }
+  return Object.assign(summarize(timings), { iterations, result: run.result })
+}
+
+function interval (stats) {
+  const moe = stats.mean * stats.rme / 100
+  return [stats.mean - moe, stats.mean + moe]
+}
+
+// -1 when `a` is faster than `b`, 1 when slower, 0 when their confidence
+// intervals overlap
+function compareStats (a, b) {
+  const [aLow, aHigh] = interval(a)
+  const [bLow, bHigh] = interval(b)
+  if (aHigh < bLow) return -1
+  if (bHigh < aLow) return 1
+  return 0
+}
+
+// Runs every case of a claim on the same input
+// Cases are expected to return the same result unless `claim.sameResult` is
+// false: a faster case that computes something else proves nothing
+function runClaim (claim, options = {}) {
+  const input = claim.setup ? claim.setup() : undefined
+  const cases = claim.cases.map(({ name, fn }) => {
+    const stats = measure(fn, input, options)
+    const result = stats.result
+    delete stats.result
+    return Object.assign({ name }, stats, { result })
+  })
+
+  const notes = []
+  if (claim.sameResult !== false) {
+    const reference = cases[0]
+    cases.slice(1).forEach(other => {
+      if (!util.isDeepStrictEqual(other.result, reference.result)) {
+        notes.push(`"${other.name}" does not return the same result as "${reference.name}"`)
+      }
+    })
+  }
+  if (claim.check) notes.push(...[].concat(claim.check(input)))
+
+  const fastest = cases.reduce((best, other) => other.mean < best.mean ? other : best)
+  cases.forEach(other => {
+    delete other.result
+    other.ratio = other.mean / fastest.mean
+    other.significant = other === fastest ? null : compareStats(fastest, other) < 0
+  })
+  return {
+    id: claim.id,
+    title: claim.title,
+    chapter: claim.chapter,
+    section: claim.section,
+    claim: claim.claim,
+    fastest: fastest.name,
+    cases,
+    notes
+  }
+}
+
+function environment (options) {
+  const cpus = os.cpus()
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    platform: `${process.platform} ${process.arch}`,
+    cpu: cpus.length ? `${cpus[0].model} (${cpus.length} cores)` : 'unknown',
+    date: new Date().toISOString(),
+    options: Object.assign({}, DEFAULTS, options)
+  }
+}
+
+// Case by case comparison of two runs (a saved one and the current one):
+// `change` is the ratio of the means, `significant` tells whether the
+// confidence intervals are apart
+function compareRuns (before, after) {
+  const rows = []
+  after.claims.forEach(claim => {
+    const previous = before.claims.find(other => other.id === claim.id)
+    if (!previous) return
+    claim.cases.forEach(current => {
+      const old = previous.cases.find(other => other.name === current.name)
+      if (!old) return
+      rows.push({
+        claim: claim.id,
+        name: current.name,
+        before: old.mean,
+        after: current.mean,
+        change: current.mean / old.mean,
+        significant: compareStats(old, current) !== 0
+      })
+    })
+    if (previous.fastest !== claim.fastest) {
+      rows.push({ claim: claim.id, fastest: { before: previous.fastest, after: claim.fastest } })
+    }
+  })
+  return rows
+}
+
+// 1234.5 -> '1.23 µs'
+function formatTime (nanoseconds) {
+  const units = [['s', 1e9], ['ms', 1e6], ['µs', 1e3]]
+  const unit = units.find(([, size]) => nanoseconds >= size)
+  if (!unit) return `${nanoseconds.toFixed(nanoseconds < 10 ? 2 : 1)} ns`
+  const value = nanoseconds / unit[1]
+  return `${value.toFixed(value < 10 ? 2 : value < 100 ? 1 : 0)} ${unit[0]}`
+}
+
+module.exports = {
+  DEFAULTS,
+  summarize,
+  measure,
+  compareStats,
+  runClaim,
+  environment,
+  compareRuns,
+  formatTime
+}
@@ -0,0 +1,171 @@
+// The performance claims of the chapters, as benchmarks
+// Each claim names the section that makes it and lists the cases to compare:
+//  - setup():    builds the input, shared by every case
+//  - cases:      [{ name, fn(input) }], the first one is the chapter's own code
+//  - sameResult: false when the cases cannot return equal values (new functions)
+//  - check():    facts that are not timings, added to the notes of the claim
+
+// 10,000 characters with one astral character (two code units) every 4
+const MIXED_TEXT = 'ab𠮷c'.repeat(2500)
+
+const NUMBERS = Array.from({ length: 1000 }, (value, i) => (i * 7919) % 1000)
+
+// factorialOptimized() of 03-functions.js calls factorial() in its tail call,
+// not itself: the tail recursive version below calls itself
+// BigInts keep the results exact whatever the order of the multiplications
+function factorial (n) {
+  return n <= 1n ? 1n : n * factorial(n - 1n)
+}
+
+function factorialTail (n, p = 1n) {
+  return n <= 1n ? p : factorialTail(n - 1n, n * p)
+}
+
+function factorialLoop (n) {
+  let result = 1n
+  for (let i = 2n; i <= n; i++) result *= i
+  return result
+}
+
+function overflows (fn, n) {
+  try {
+    fn(n)
+    return false
+  } catch (err) {
+    return err instanceof RangeError
+  }
+}
+
+const CLAIMS = [
+  {
+    id: 'code-points',
+    title: 'Counting the code points of a long string',
+    chapter: '02-strings-and-regexp.js',
+    section: 'COUNTING CODE POINTS',
+    claim: 'Although this approach works, it’s not very fast, especially when applied to long strings',
+    setup: () => MIXED_TEXT,
+    cases: [
+      {
+        name: 'text.match(/[\\s\\S]/gu)',
+        fn: text => {
+          const result = text.match(/[\s\S]/gu)
+          return result ? result.length : 0
+        }
+      },
+      { name: '[...text].length', fn: text => [...text].length },
+      {
+        name: 'for-of loop',
+        fn: text => {
+          let count = 0
+          // eslint-disable-next-line no-unused-vars
+          for (const char of text) count++
+          return count
+        }
+      },
+      { name: 'replace surrogate pairs', fn: text => text.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length }
+    ]
+  },
+  {
+    id: 'tail-calls',
+    title: 'factorial(100): recursion, tail recursion and a loop',
+    chapter: '03-functions.js',
+    section: 'HARNESSING TAIL CALL OPTIMIZATION',
+    claim: 'it can provide a significant performance improvement, especially when applied in a computationally-expensive function',
+    setup: () => 100n,
+    cases: [
+      { name: 'factorial(n)', fn: factorial },
+      { name: 'factorialTail(n, p)', fn: factorialTail },
+      { name: 'loop', fn: factorialLoop }
+    ],
+    check: () => {
+      const n = 100000n
+      return overflows(factorialTail, n)
+        ? `factorialTail(${n}) overflows the call stack: ${process.version} does not optimize tail calls`
+        : `factorialTail(${n}) runs: tail calls are optimized on ${process.version}`
+    }
+  },
+  {
+    id: 'max-spread',
+    title: 'The largest of 1,000 numbers',
+    chapter: '03-functions.js',
+    section: 'SPREAD OPERATOR',
+    claim: 'You’ll likely find it to be a suitable replacement for the `apply()` method in most circumstances',
+    setup: () => NUMBERS,
+    cases: [
+      { name: 'Math.max(...values)', fn: values => Math.max(...values) },
+      { name: 'Math.max.apply(Math, values)', fn: values => Math.max.apply(Math, values) },
+      {
+        name: 'loop',
+        fn: values => {
+          let max = -Infinity
+          for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i]
+          return max
+        }
+      }
+    ]
+  },
+  {
+    id: 'bind-create',
+    title: 'Creating a callback that keeps `this`',
+    chapter: '03-functions.js',
+    section: 'NO `this` BINDING',
+    claim: 'By calling `bind(this)`, you’re actually creating a new function [...] To avoid creating an extra function, a better way to fix this code is to use an arrow function',
+    setup: () => ({
+      id: '123456',
+      withBind () {
+        return function (type) { return this.id + type }.bind(this)
+      },
+      withArrow () {
+        return type => this.id + type
+      }
+    }),
+    sameResult: false,
+    cases: [
+      { name: 'function () {}.bind(this)', fn: handler => handler.withBind() },
+      { name: 'arrow function', fn: handler => handler.withArrow() }
+    ]
+  },
+  {
+    id: 'bind-call',
+    title: 'Calling a callback that keeps `this`',
+    chapter: '03-functions.js',
+    section: 'NO `this` BINDING',
+    claim: 'By calling `bind(this)`, you’re actually creating a new function whose `this` is bound to the current `this`',
+    setup: () => {
+      const handler = { id: '123456' }
+      handler.bound = function (type) { return this.id + type }.bind(handler)
+      handler.arrow = type => handler.id + type
+      return handler
+    },
+    cases: [
+      { name: 'bound function', fn: handler => handler.bound('click') },
+      { name: 'arrow function', fn: handler => handler.arrow('click') }
+    ]
+  },
+  {
+    id: 'assign-spread',
+    title: 'Copying an object of 10 properties',
+    chapter: '04-objects.js',
+    section: '`Object.assign()`',
+    claim: '`Object.assign()` is very similar to the Object Spread Operator',
+    setup: () => {
+      const supplier = {}
+      for (let i = 0; i < 10; i++) supplier[`key${i}`] = i
+      return supplier
+    },
+    cases: [
+      { name: 'Object.assign({}, supplier)', fn: supplier => Object.assign({}, supplier) },
+      { name: '{ ...supplier }', fn: supplier => ({ ...supplier }) },
+      {
+        name: 'for-in copy',
+        fn: supplier => {
+          const receiver = {}
+          for (const key in supplier) receiver[key] = supplier[key]
+          return receiver
+        }
+      }
+    ]
+  }
+]
+
+module.exports = { CLAIMS }
@@ -0,0 +1,108 @@
+// Top-level bindings of a section and how they carry over to later sections
+//
+// Sections run in separate contexts, yet a chapter is written to be read in
+// order: `DEFAULT VALUES` in 05-destructuring.js keeps using the `node` object
+// declared two sections earlier. carryBindings() reproduces that reading order
+// without sharing a context:
+//  - after a section runs, the values of its top-level bindings are harvested
+//  - before a section runs, the names it uses but does not declare itself are
+//    defined as globals with the latest harvested values
+
+const vm = require('vm')
+const walk = require('acorn-walk')
+const { parse } = require('./parse')
+
+function patternNames (pattern, names = []) {
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name)
+      break
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => patternNames(property.type === 'RestElement' ? property : property.value, names))
+      break
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => element && patternNames(element, names))
+      break
+    case 'RestElement':
+      patternNames(pattern.argument, names)
+      break
+    case 'AssignmentPattern':
+      patternNames(pattern.left, names)
+      break
+  }
+  return names
+}
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']
+
+// Names declared in the top-level scope: every top-level declaration plus the
+// `var` declarations hoisted out of blocks
+function declaredNames (ast) {
+  const names = new Set()
+  ast.body.forEach(node => {
+    if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+      names.add(node.id.name)
+    }
+  })
+  walk.ancestor(ast, {
+    VariableDeclaration (node, ancestors) {
+      const inFunction = ancestors.some(ancestor => FUNCTION_TYPES.includes(ancestor.type))
+      const topLevel = ancestors[ancestors.length - 2] === ast
+      if (inFunction || (node.kind !== 'var' && !topLevel)) return
+      node.declarations.forEach(declarator => patternNames(declarator.id).forEach(name => names.add(name)))
+    }
+  })
+  return names
+}
+
+// Every identifier name that appears in the section
+function usedNames (ast) {
+  const names = new Set()
+  walk.full(ast, node => {
+    if (node.type === 'Identifier') names.add(node.name)
+  })
+  return names
+}
+
+function analyze (code) {
+  try {
+    const ast = parse(code)
+    return { declared: declaredNames(ast), used: usedNames(ast) }
+  } catch (err) {
+    return { declared: new Set(), used: new Set() }
+  }
+}
+
+function carryBindings () {
+  const values = new Map()
+
+  return {
+    // Globals to define before running `section`
+    // `all` also defines the bindings the section does not use (for a REPL)
+    globalsFor (section, { all = false } = {}) {
+      const { declared, used } = analyze(section.code)
+      const globals = {}
+      values.forEach((value, name) => {
+        if (!declared.has(name) && (all || used.has(name))) globals[name] = value
+      })
+      return globals
+    },
+
+    // Reads the top-level bindings of `section` once it ran in `context`
+    // Bindings still in their TDZ (the section stopped early) are left out
+    harvest (section, context) {
+      analyze(section.code).declared.forEach(name => {
+        try {
+          values.set(name, vm.runInContext(name, context))
+        } catch (err) {}
+      })
+    }
+  }
+}
+
+module.exports = {
+  patternNames,
+  declaredNames,
+  usedNames,
+  carryBindings
+}
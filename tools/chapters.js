@@ -0,0 +1,196 @@
+// Chapters are the numbered lesson scripts at the root of the repository
+// (01-block-bindings.js, 02-strings-and-regexp.js, ...)
+// Each chapter is split into sections on its banner comments:
+//
+//   // TITLE
+//   // *****
+//
+// A section runs from its banner down to the line before the next banner
+// Sections keep their original line numbers so that errors and reports can
+// point back into the chapter file
+
+const fs = require('fs')
+const path = require('path')
+const { UsageError } = require('./errors')
+
+const ROOT = path.resolve(__dirname, '..')
+const CHAPTER_FILE = /^(\d{2})-([\w-]+)\.js$/
+const BANNER_RULE = /^\s*\/\/\s*\*{3,}\s*$/
+const COMMENT_LINE = /^\s*\/\/ ?(.*)$/
+const COMMENTED_EXAMPLE = /^\s*\/\/ ?\S.*\s\/\/\s*=>/
+
+function describeChapter (root, file) {
+  const [, number, name] = CHAPTER_FILE.exec(file)
+  return { number: Number(number), name, file, path: path.join(root, file) }
+}
+
+function listChapters (root = ROOT) {
+  return fs.readdirSync(root)
+    .filter(file => CHAPTER_FILE.test(file))
+    .sort()
+    .map(file => describeChapter(root, file))
+}
+
+// Accepts `4`, `04`, `objects`, `04-objects` or `04-objects.js`
+function findChapter (query, root = ROOT) {
+  const chapters = listChapters(root)
+  const wanted = path.basename(String(query)).replace(/\.js$/, '').toLowerCase()
+  const found = chapters.find(chapter =>
+    chapter.file.replace(/\.js$/, '') === wanted ||
+    chapter.name === wanted ||
+    (/^\d+$/.test(wanted) && chapter.number === Number(wanted))
+  )
+  if (!found) {
+    const available = chapters.map(chapter => chapter.file).join(', ')
+    throw new UsageError(`Unknown chapter "${query}". Available chapters: ${available}`)
+  }
+  return found
+}
+
+function slugify (title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+// A line holds code when it is neither blank nor a comment
+function isCodeLine (line) {
+  const trimmed = line.trim()
+  return trimmed !== '' && !trimmed.startsWith('//') && !trimmed.startsWith('/*')
+}
+
+function parseSections (source) {
+  const lines = source.split(/\r?\n/)
+  const banners = []
+
+  for (let i = 0; i + 1 < lines.length; i++) {
+    const title = COMMENT_LINE.exec(lines[i])
+    if (title && !BANNER_RULE.test(lines[i]) && BANNER_RULE.test(lines[i + 1])) {
+      banners.push({ title: title[1].trim(), start: i + 1 })
+    }
+  }
+
+  const sections = []
+  const firstBanner = banners.length ? banners[0].start : lines.length + 1
+  // Code above the first banner (if any) is kept as a preamble section
+  if (lines.slice(0, firstBanner - 1).some(isCodeLine)) {
+    banners.unshift({ title: 'PREAMBLE', start: 1, preamble: true })
+  }
+
+  banners.forEach((banner, i) => {
+    const end = i + 1 < banners.length ? banners[i + 1].start - 1 : lines.length
+    const sectionLines = lines.slice(banner.start - 1, end)
+    sections.push({
+      index: sections.length + 1,
+      title: banner.title,
+      slug: slugify(banner.title),
+      banner: !banner.preamble,
+      start: banner.start,
+      end,
+      lines: sectionLines,
+      code: sectionLines.join('\n')
+    })
+  })
+
+  return sections
+}
+
+// Splits a section into prose and code blocks, below its banner
+// Lines are grouped into chunks separated by blank lines:
+//  - a chunk made only of comments is prose
+//  - a chunk with any code is code, comments included (notes on the next
+//    statement), and so is a chunk of commented-out examples only:
+//      // const GREET // => SyntaxError because it must be initialized
+// Consecutive code chunks form a single block
+// Prose blocks hold the comment text, code blocks the source lines
+function parseBlocks (section) {
+  const lines = section.lines
+  const first = section.banner ? 2 : 0
+  const chunks = []
+  let chunk = null
+
+  for (let i = first; i < lines.length; i++) {
+    const line = lines[i]
+    if (line.trim() === '' || /^\s*\/\*\s*eslint/.test(line)) {
+      chunk = null
+      continue
+    }
+    if (!chunk) {
+      chunk = { start: i, end: i, code: false }
+      chunks.push(chunk)
+    }
+    chunk.end = i
+    chunk.code = chunk.code || isCodeLine(line)
+    chunk.examples = (chunk.examples !== false) && COMMENTED_EXAMPLE.test(line)
+  }
+  chunks.forEach(chunk => { chunk.code = chunk.code || chunk.examples })
+
+  const blocks = []
+  chunks.forEach(({ start, end, code }) => {
+    const previous = blocks[blocks.length - 1]
+    if (code && previous && previous.type === 'code') {
+      previous.lines.push(...lines.slice(previous.end - section.start + 1, end + 1))
+      previous.end = end + section.start
+      return
+    }
+    blocks.push({
+      type: code ? 'code' : 'prose',
+      start: start + section.start,
+      end: end + section.start,
+      lines: code
+        ? lines.slice(start, end + 1)
+        : lines.slice(start, end + 1).map(line => COMMENT_LINE.exec(line)[1])
+    })
+  })
+  return blocks
+}
+
+function loadChapter (chapter) {
+  const source = fs.readFileSync(chapter.path, 'utf8')
+  return Object.assign({}, chapter, { source, sections: parseSections(source) })
+}
+
+// Accepts a 1-based section number, a slug or any part of a section title
+function findSection (chapter, query) {
+  const { sections } = chapter
+  if (/^\d+$/.test(query)) {
+    const section = sections[Number(query) - 1]
+    if (!section) {
+      throw new UsageError(`${chapter.file} has ${sections.length} sections, there is no section ${query}`)
+    }
+    return section
+  }
+
+  const slug = slugify(query)
+  const exact = sections.find(section => section.slug === slug)
+  if (exact) return exact
+
+  const matches = sections.filter(section => section.slug.includes(slug))
+  if (matches.length === 1) return matches[0]
+  if (!matches.length) {
+    throw new UsageError(`No section of ${chapter.file} matches "${query}"`)
+  }
+  const candidates = matches.map(section => `  [${section.index}] ${section.title}`).join('\n')
+  throw new UsageError(`"${query}" matches several sections of ${chapter.file}:\n${candidates}`)
+}
+
+// The comments of a section, as paragraphs
+function proseOf (section) {
+  return parseBlocks(section)
+    .filter(block => block.type === 'prose')
+    .map(block => block.lines.join('\n'))
+}
+
+module.exports = {
+  ROOT,
+  listChapters,
+  findChapter,
+  loadChapter,
+  parseSections,
+  parseBlocks,
+  proseOf,
+  findSection,
+  isCodeLine,
+  slugify
+}
@@ -0,0 +1,20 @@
+// ANSI colors for the terminal output of the `learn` commands
+// Only used when stdout is a terminal: NO_COLOR (https://no-color.org)
+// turns them off, FORCE_COLOR turns them on for pipes
+
+const CODES = { bold: 1, dim: 2, red: 31, green: 32, yellow: 33, cyan: 36 }
+
+function colorsEnabled (env = process.env, stream = process.stdout) {
+  if ('NO_COLOR' in env) return false
+  if ('FORCE_COLOR' in env) return env.FORCE_COLOR !== '0'
+  return Boolean(stream.isTTY)
+}
+
+const enabled = colorsEnabled()
+
+const colors = {}
+Object.keys(CODES).forEach(name => {
+  colors[name] = text => enabled ? `\u001b[${CODES[name]}m${text}\u001b[0m` : String(text)
+})
+
+module.exports = Object.assign(colors, { colorsEnabled })
@@ -0,0 +1,118 @@
+// learn bench [claim...] [--list] [--time ms] [--samples n] [--warmup ms]
+//             [--save] [--out file] [--compare file] [--json]
+// Measures the performance claims of the chapters (see tools/benchmarks.js)
+//
+// --save writes the run to benchmarks/node-<version>.json in the learn
+// directory (see tools/store.js), --out to another file. --compare prints the
+// changes since a saved run: a Node upgrade can make a claim true or false
+
+const fs = require('fs')
+const path = require('path')
+const { findChapter, loadChapter, findSection } = require('../chapters')
+const { CLAIMS } = require('../benchmarks')
+const { DEFAULTS, runClaim, environment, compareRuns, formatTime } = require('../bench')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const { writeStore } = require('../store')
+
+function selectClaims (queries) {
+  if (!queries.length) return CLAIMS
+  return queries.map(query => {
+    const claim = CLAIMS.find(other => other.id === query)
+    if (!claim) throw new UsageError(`Unknown claim "${query}", expected one of: ${CLAIMS.map(other => other.id).join(', ')}`)
+    return claim
+  })
+}
+
+// `02-strings-and-regexp.js:134 COUNTING CODE POINTS`
+function sourceOf (claim, chapters) {
+  if (!chapters.has(claim.chapter)) chapters.set(claim.chapter, loadChapter(findChapter(claim.chapter)))
+  const section = findSection(chapters.get(claim.chapter), claim.section)
+  return `${claim.chapter}:${section.start} ${section.title}`
+}
+
+function printClaim (result) {
+  console.log(`${result.id}: ${result.title} (${result.source})`)
+  console.log(`  "${result.claim}"`)
+  const width = Math.max(...result.cases.map(other => other.name.length))
+  result.cases.forEach(other => {
+    const time = `${formatTime(other.mean)}/op`.padStart(12)
+    const rme = `±${other.rme.toFixed(1)}%`.padStart(7)
+    let verdict = 'fastest'
+    if (other.name !== result.fastest) {
+      verdict = other.significant ? `${other.ratio.toFixed(2)}x slower` : `${other.ratio.toFixed(2)}x, within the margin of error`
+    }
+    console.log(`  ${other.name.padEnd(width)} ${time} ${rme}  ${verdict}`)
+  })
+  result.notes.forEach(note => console.log(`  note: ${note}`))
+}
+
+function printComparison (before, rows) {
+  console.log(`\nCompared with ${before.node} (V8 ${before.v8}, ${before.date.slice(0, 10)}):`)
+  if (!rows.length) console.log('  no claim in common')
+  rows.forEach(row => {
+    if (row.fastest) {
+      console.log(`  ${row.claim}: the fastest is now "${row.fastest.after}" (was "${row.fastest.before}")`)
+      return
+    }
+    const change = row.change < 1 ? `${(1 / row.change).toFixed(2)}x faster` : `${row.change.toFixed(2)}x slower`
+    const verdict = row.significant ? change : 'unchanged, within the margin of error'
+    console.log(`  ${row.claim} ${row.name}: ${formatTime(row.before)} -> ${formatTime(row.after)}, ${verdict}`)
+  })
+}
+
+function readRun (file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new UsageError(`Cannot read the saved run ${file}: ${err.code || err.message}`)
+  }
+}
+
+module.exports = {
+  usage: 'learn bench [claim...] [--list] [--time ms] [--samples n] [--warmup ms] [--save] [--out file] [--compare file] [--json]',
+  summary: 'Measure the performance claims of the chapters',
+  options: { boolean: ['list', 'save', 'json'], string: ['time', 'samples', 'warmup', 'out', 'compare'] },
+
+  main ({ positionals, flags }) {
+    const claims = selectClaims(positionals)
+    const chapters = new Map()
+    if (flags.list) {
+      claims.forEach(claim => console.log(`${claim.id.padEnd(14)} ${claim.title} (${sourceOf(claim, chapters)})`))
+      return 0
+    }
+
+    const options = {
+      time: numberFlag(flags, 'time', DEFAULTS.time),
+      samples: numberFlag(flags, 'samples', DEFAULTS.samples),
+      warmup: numberFlag(flags, 'warmup', DEFAULTS.warmup)
+    }
+    if (options.samples < 2) throw new UsageError('--samples must be at least 2')
+    const before = flags.compare ? readRun(flags.compare) : null
+
+    const run = Object.assign(environment(options), { claims: [] })
+    if (!flags.json) console.log(`Node ${run.node} (V8 ${run.v8}), ${run.cpu}\n`)
+    claims.forEach((claim, i) => {
+      const result = Object.assign(runClaim(claim, options), { source: sourceOf(claim, chapters) })
+      run.claims.push(result)
+      if (!flags.json) {
+        if (i) console.log('')
+        printClaim(result)
+      }
+    })
+
+    const rows = before ? compareRuns(before, run) : null
+    if (flags.json) console.log(JSON.stringify(rows ? Object.assign({}, run, { comparison: rows }) : run, null, 2))
+    else if (rows) printComparison(before, rows)
+
+    if (flags.out) {
+      fs.mkdirSync(path.dirname(flags.out), { recursive: true })
+      fs.writeFileSync(flags.out, JSON.stringify(run, null, 2) + '\n')
+      if (!flags.json) console.log(`\nSaved to ${flags.out}`)
+    } else if (flags.save) {
+      const file = writeStore(path.join('benchmarks', `node-${process.version}`), run)
+      if (!flags.json) console.log(`\nSaved to ${file}`)
+    }
+    return 0
+  }
+}
@@ -0,0 +1,67 @@
+// learn doctest [chapter...]
+// Checks the `// =>` expected-output comments against what the examples print
+
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { verifyChapter } = require('../doctest')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+
+const STATUSES = ['pass', 'fail', 'error', 'unreached']
+
+function formatResult (chapter, section, result) {
+  const where = `${chapter.file}:${result.line} ${section.title}`
+  switch (result.status) {
+    case 'fail':
+      return `  FAIL  ${where}\n        ${result.expression}\n        expected ${result.expected}, got ${result.actual}`
+    case 'error':
+      return `  ERROR ${where}\n        ${result.expression}\n        expected ${result.expected}, threw ${result.actual}`
+    case 'unreached':
+      return `  SKIP  ${where}\n        ${result.expression}\n        never evaluated`
+    default:
+      return `  ok    ${where}  ${result.expression}`
+  }
+}
+
+module.exports = {
+  usage: 'learn doctest [chapter...] [--isolated] [--verbose] [--json] [--timeout ms]',
+  summary: 'Verify the `// =>` expected-output comments of the chapters',
+  options: { boolean: ['isolated', 'verbose', 'json'], string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    const chapters = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+    const totals = { pass: 0, fail: 0, error: 0, unreached: 0, skipped: 0 }
+    const report = []
+
+    chapters.map(loadChapter).forEach(chapter => {
+      const verified = verifyChapter(chapter, { timeout, isolated: flags.isolated })
+      report.push({
+        chapter: chapter.file,
+        sections: verified.map(({ section, results, skipped, error }) => ({ title: section.title, start: section.start, results, skipped, error }))
+      })
+
+      if (!flags.json) console.log(chapter.file)
+      verified.forEach(({ section, results, skipped, error }) => {
+        totals.skipped += skipped
+        results.forEach(result => {
+          totals[result.status]++
+          if (!flags.json && (flags.verbose || result.status !== 'pass')) {
+            console.log(formatResult(chapter, section, result))
+          }
+        })
+        if (!flags.json && error && results.some(result => result.status === 'unreached')) {
+          const where = error.line ? ` at line ${error.line}` : ''
+          console.log(`        (${section.title} stopped${where}: ${error.name}: ${error.message})`)
+        }
+      })
+    })
+
+    if (flags.json) {
+      console.log(JSON.stringify({ totals, chapters: report }, null, 2))
+    } else {
+      const summary = STATUSES.map(status => `${totals[status]} ${status === 'unreached' ? 'not reached' : status}`)
+      console.log(`\n${summary.join(', ')}, ${totals.skipped} comments skipped (not an expected value)`)
+    }
+    return totals.fail || totals.error ? 1 : 0
+  }
+}
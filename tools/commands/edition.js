@@ -0,0 +1,55 @@
+// learn edition [edition] [--json]
+// Lists the editions, or the features of one edition:
+//   learn edition ES2018  (also ES9, 2018 or "ECMAScript 2018")
+
+const { loadEditions, findEdition, sectionOf } = require('../editions')
+const { UsageError } = require('../errors')
+
+function printEditions (data) {
+  data.editions.forEach(edition => {
+    const year = edition.year || '----'
+    const aliases = edition.aliases.filter(alias => !alias.startsWith('ECMAScript')).join(', ')
+    const count = `${edition.features.length} feature${edition.features.length === 1 ? '' : 's'}`
+    console.log(`${edition.id.padEnd(7)} ${year}  ${count.padEnd(12)} ${aliases}`.trimEnd())
+  })
+  console.log(`\nProposals (as of ${data.proposalsAsOf}): ${data.proposals.map(feature => feature.name.replace(/`/g, '')).join(', ')}`)
+}
+
+function printEdition (edition) {
+  const year = edition.year ? ` (${edition.year})` : ''
+  console.log(`${edition.id}: ${edition.name}${year}${edition.status === 'published' ? '' : `, ${edition.status}`}`)
+  console.log(`Also known as: ${edition.aliases.join(', ')}`)
+  console.log(edition.summary)
+  if (!edition.features.length) return
+  console.log('')
+  const width = Math.max(...edition.features.map(feature => feature.name.length))
+  const chapters = new Map()
+  edition.features.forEach(feature => {
+    const section = sectionOf(feature, chapters)
+    const taught = section ? `${section.file}:${section.line} ${section.title}` : ''
+    console.log(`  ${feature.name.padEnd(width)}  ${feature.kind.padEnd(9)}  ${taught}`.trimEnd())
+  })
+}
+
+module.exports = {
+  usage: 'learn edition [edition] [--json]',
+  summary: 'List the ES editions, or the features of one edition',
+  options: { boolean: ['json'] },
+
+  main ({ positionals, flags }) {
+    const data = loadEditions()
+    if (!positionals.length) {
+      if (flags.json) console.log(JSON.stringify(data, null, 2))
+      else printEditions(data)
+      return 0
+    }
+    const query = positionals.join(' ')
+    const edition = findEdition(data, query)
+    if (!edition) {
+      throw new UsageError(`Unknown edition "${query}". Editions: ${data.editions.map(entry => entry.id).join(', ')}`)
+    }
+    if (flags.json) console.log(JSON.stringify(edition, null, 2))
+    else printEdition(edition)
+    return 0
+  }
+}
@@ -0,0 +1,88 @@
+// learn equivalence [pair...] [--differences] [--json] [--timeout ms]
+// learn equivalence --list
+// Runs the ES5 and the ES6 versions of an example side by side on the same
+// inputs, edge cases included (`timeout = 0`, accessor properties, symbol
+// keys...), and reports the inputs on which they behave differently: what
+// they return or throw, do to their arguments, log, or set their parameters
+// to. The pairs are found in the chapters and their inputs generated (see
+// tools/equivalence.js). A pair is named by its id (`pick-pick2`) or one of
+// its versions (`pick` or `Object.assign`)
+//
+// --differences leaves out the inputs on which both versions agree. Exits with
+// 1 when a version cannot be found in its chapter
+
+const { findPairs, selectPairs, inputsOf, checkPair } = require('../equivalence')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const { bold, dim, green, yellow, red } = require('../colors')
+
+function printList (pairs) {
+  const width = Math.max(...pairs.map(pair => pair.id.length))
+  pairs.forEach(pair => console.log(`  ${pair.id.padEnd(width)} ${pair.title}  ${dim(`(${inputsOf(pair).length} inputs)`)}`))
+}
+
+function where (report, version) {
+  return version.line ? `${report.chapter}:${version.line}` : 'built-in'
+}
+
+function printDifference (report, difference) {
+  const width = Math.max(report.before.label.length, report.after.label.length) + 1
+  console.log(`             ${difference.aspect}`)
+  console.log(`               ${dim(`${report.before.label}:`.padEnd(width))} ${difference.before || dim('(nothing)')}`)
+  console.log(`               ${dim(`${report.after.label}:`.padEnd(width))} ${difference.after || dim('(nothing)')}`)
+}
+
+function printReport (report, onlyDifferences) {
+  console.log(bold(report.title))
+  if (report.error) {
+    console.log(`  ${red('error')}    ${report.error}`)
+    return
+  }
+  console.log(dim(`  ${report.before.label} ${where(report, report.before)}  vs  ${report.after.label} ${where(report, report.after)}`))
+  const differing = report.results.filter(result => !result.same)
+  report.results.forEach(result => {
+    if (result.same) {
+      if (!onlyDifferences) console.log(`  ${green('same')}     ${result.input}`)
+      return
+    }
+    console.log(`  ${yellow('differs')}  ${result.input}`)
+    result.differences.forEach(difference => printDifference(report, difference))
+  })
+  console.log(differing.length
+    ? `  ${differing.length} of ${report.results.length} inputs behave differently`
+    : `  ${green(`Same behavior on all ${report.results.length} inputs`)}`)
+}
+
+module.exports = {
+  usage: 'learn equivalence [pair...] [--differences] [--json] [--timeout ms]\n       learn equivalence --list',
+  summary: 'Compare the ES5 and ES6 versions of the examples on edge-case inputs',
+  options: { boolean: ['list', 'differences', 'json'], string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    const found = findPairs()
+    if (flags.list) {
+      printList(found)
+      return 0
+    }
+    const pairs = positionals.length
+      ? positionals.reduce((selected, query) => {
+        const matching = selectPairs(found, query)
+        if (!matching.length) throw new UsageError(`Unknown pair: ${query} (see learn equivalence --list)`)
+        return selected.concat(matching.filter(pair => !selected.includes(pair)))
+      }, [])
+      : found
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+    const reports = pairs.map(pair => checkPair(pair, { timeout }))
+
+    if (flags.json) {
+      console.log(JSON.stringify(reports, null, 2))
+    } else {
+      reports.forEach((report, i) => {
+        if (i) console.log('')
+        printReport(report, flags.differences)
+      })
+    }
+    return reports.some(report => report.error) ? 1 : 0
+  }
+}
@@ -0,0 +1,74 @@
+// learn errors [chapter...]
+// Checks that the documented error examples really throw on this Node version
+
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { verifyErrorExamples } = require('../error-examples')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+
+const LABELS = {
+  confirmed: 'ok',
+  different: 'DIFF',
+  'no-throw': 'NONE',
+  blocked: 'SKIP',
+  'not-reached': 'SKIP',
+  fragment: 'SKIP'
+}
+
+function formatResult (chapter, result) {
+  const expected = result.errorName || 'an error'
+  const lines = [`  ${LABELS[result.status].padEnd(5)} ${chapter.file}:${result.line} ${result.section}`, `        ${result.code}`]
+  switch (result.status) {
+    case 'confirmed':
+      lines.push(`        ${result.error.name} at ${result.phase === 'compile' ? 'compile time' : 'run time'}: ${result.error.message}`)
+      break
+    case 'different':
+      lines.push(`        expected ${expected}, got ${result.error.name}: ${result.error.message}`)
+      break
+    case 'no-throw':
+      lines.push(`        expected ${expected}, nothing was thrown by this line`)
+      break
+    case 'blocked':
+      lines.push(`        not reached: line ${result.error.line} threw ${result.error.name}: ${result.error.message}`)
+      break
+    case 'not-reached':
+      lines.push('        not reached: the line never runs here (a branch not taken, a handler never called)')
+      break
+    case 'fragment':
+      lines.push('        not a complete statement, cannot be run on its own')
+      break
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  usage: 'learn errors [chapter...] [--json] [--timeout ms]',
+  summary: 'Check that the documented error examples throw what they claim',
+  options: { boolean: ['json'], string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    const chapters = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+    const totals = { confirmed: 0, different: 0, 'no-throw': 0, blocked: 0, 'not-reached': 0, fragment: 0 }
+    const report = []
+
+    if (!flags.json) console.log(`Node ${process.version} (V8 ${process.versions.v8})\n`)
+    chapters.map(loadChapter).forEach(chapter => {
+      const results = verifyErrorExamples(chapter, { timeout })
+      report.push({ chapter: chapter.file, examples: results })
+      if (!flags.json) {
+        console.log(chapter.file)
+        results.forEach(result => console.log(formatResult(chapter, result)))
+      }
+      results.forEach(result => totals[result.status]++)
+    })
+
+    if (flags.json) {
+      console.log(JSON.stringify({ node: process.version, totals, chapters: report }, null, 2))
+    } else {
+      console.log(`\n${totals.confirmed} confirmed, ${totals.different} with another error, ` +
+        `${totals['no-throw']} not throwing, ${totals.blocked + totals['not-reached'] + totals.fragment} not checked`)
+    }
+    return totals.different || totals['no-throw'] ? 1 : 0
+  }
+}
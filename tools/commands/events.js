@@ -0,0 +1,50 @@
+// learn events [chapter...] [--json] [--timeout ms]
+// Runs the event handler examples (PageHandler1/2/3 in 03-functions.js)
+// against a DOM stand-in and reports which ones throw and which ones log
+
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { exerciseHandlers } = require('../event-handlers')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+
+function formatResult (result) {
+  const events = result.events.length ? ` on ${result.events.join(', ')}` : ''
+  const outcome = result.status === 'silent' ? 'logs nothing' : result.status
+  const agrees = result.status === result.expected
+  const lines = [`  ${result.name} (lines ${result.start}-${result.end}): ${outcome}${events}`]
+  result.logged.forEach(text => lines.push(`    | ${text}`))
+  result.errors.forEach(error => {
+    const where = error.line ? ` (line ${error.line})` : ''
+    lines.push(`    x ${error.name}: ${error.message}${where}`)
+  })
+  lines.push(`    ${agrees ? 'ok' : 'MISMATCH'}: the comments say it ${result.expected}`)
+  return lines.join('\n')
+}
+
+module.exports = {
+  usage: 'learn events [chapter...] [--json] [--timeout ms]',
+  summary: 'Fire synthetic DOM events at the event handler examples',
+  options: { boolean: ['json'], string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    const chapters = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+    const report = chapters.map(loadChapter)
+      .map(chapter => ({ chapter: chapter.file, handlers: exerciseHandlers(chapter, { timeout }) }))
+      .filter(entry => entry.handlers.length)
+    const mismatches = report.reduce((count, entry) =>
+      count + entry.handlers.filter(result => result.status !== result.expected).length, 0)
+
+    if (flags.json) {
+      console.log(JSON.stringify(report, null, 2))
+    } else if (!report.length) {
+      console.log('No event handler examples found')
+    } else {
+      report.forEach(entry => {
+        console.log(entry.chapter)
+        entry.handlers.forEach(result => console.log(formatResult(result)))
+      })
+    }
+    return mismatches ? 1 : 0
+  }
+}
@@ -0,0 +1,79 @@
+// learn explain [file...] [--message text] [--list] [--json]
+// Finds the errors of a stack trace or a log (files, or stdin when piped) and
+// prints the chapter section that explains each of them:
+//   node app.js 2>&1 | learn explain
+//   learn explain --message "TypeError: MyType is not a constructor"
+
+const fs = require('fs')
+const { CATALOG } = require('../error-catalog')
+const { parseErrors, explainError, formatExplanation } = require('../explain')
+const { UsageError } = require('../errors')
+
+function readStdin () {
+  return new Promise((resolve, reject) => {
+    let text = ''
+    process.stdin.setEncoding('utf8')
+    process.stdin.on('data', chunk => { text += chunk })
+    process.stdin.on('end', () => resolve(text))
+    process.stdin.on('error', reject)
+  })
+}
+
+async function readInput (positionals, flags) {
+  if (flags.message !== undefined) return flags.message
+  if (positionals.length) {
+    const texts = []
+    for (const file of positionals) {
+      if (file === '-') {
+        texts.push(await readStdin())
+        continue
+      }
+      try {
+        texts.push(fs.readFileSync(file, 'utf8'))
+      } catch (err) {
+        throw new UsageError(`Cannot read ${file}: ${err.code || err.message}`)
+      }
+    }
+    return texts.join('\n')
+  }
+  if (process.stdin.isTTY) throw new UsageError('Missing the error: pipe a stack trace, or pass a file or --message')
+  return readStdin()
+}
+
+module.exports = {
+  usage: 'learn explain [file...] [--message text] [--list] [--json]\n\nHook: node -r ./tools/explain-hook.js app.js',
+  summary: 'Explain the errors of a stack trace with the chapter sections about them',
+  options: { boolean: ['list', 'json'], string: ['message'] },
+
+  async main ({ positionals, flags }) {
+    if (flags.list) {
+      CATALOG.forEach(entry => console.log(`${entry.id.padEnd(26)} ${entry.name}: ${entry.pattern.source}  (${entry.chapter} ${entry.section})`))
+      return 0
+    }
+
+    const text = await readInput(positionals, flags)
+    const errors = parseErrors(text)
+    // `--message "Cannot access 'x' before initialization"` has no class name
+    if (!errors.length && flags.message !== undefined) {
+      CATALOG.forEach(entry => {
+        if (!errors.length && entry.pattern.test(text.trim())) errors.push({ name: entry.name, message: text.trim(), at: null })
+      })
+    }
+    if (!errors.length) {
+      console.log('No error message found')
+      return 1
+    }
+
+    const chapters = new Map()
+    const results = errors.map(error => ({ error, explanation: explainError(error, chapters) }))
+    if (flags.json) {
+      console.log(JSON.stringify(results, null, 2))
+    } else {
+      results.forEach(({ error, explanation }, i) => {
+        if (i) console.log('')
+        console.log(formatExplanation(error, explanation))
+      })
+    }
+    return results.some(result => result.explanation) ? 0 : 1
+  }
+}
@@ -0,0 +1,41 @@
+// learn export [chapter...] [--format md|ipynb] [--out dir] [--timeout ms]
+// Turns the chapters into Markdown documents or Jupyter notebooks, with the
+// output of every code block captured from a run
+
+const fs = require('fs')
+const path = require('path')
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { FORMATS, exportChapter } = require('../export')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+
+module.exports = {
+  usage: 'learn export [chapter...] [--format md|ipynb] [--out dir] [--timeout ms]',
+  summary: 'Export the chapters as Markdown or notebooks with their output',
+  options: { string: ['format', 'out', 'timeout'] },
+
+  main ({ positionals, flags }) {
+    const format = flags.format || 'md'
+    if (!FORMATS[format]) {
+      throw new UsageError(`Unknown format "${format}", expected one of: ${Object.keys(FORMATS).join(', ')}`)
+    }
+    const chapters = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+
+    // A single chapter without --out goes to stdout
+    if (!flags.out) {
+      if (chapters.length > 1) throw new UsageError('Exporting several chapters needs --out <dir>')
+      process.stdout.write(exportChapter(loadChapter(chapters[0]), { format, timeout }))
+      return 0
+    }
+
+    fs.mkdirSync(flags.out, { recursive: true })
+    chapters.map(loadChapter).forEach(chapter => {
+      const file = path.join(flags.out, chapter.file.replace(/\.js$/, FORMATS[format].extension))
+      fs.writeFileSync(file, exportChapter(chapter, { format, timeout }))
+      console.log(`${chapter.file} -> ${file}`)
+    })
+    return 0
+  }
+}
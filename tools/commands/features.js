@@ -0,0 +1,71 @@
+// learn features [--json] [--compare report.json]
+// Prints which ES features the running engine supports, chapter by chapter,
+// like the compatibility chart linked from the readme
+
+const fs = require('fs')
+const { CHAPTERS, detectFeatures, engine } = require('../features')
+const { UsageError } = require('../errors')
+
+function mark (supported) {
+  return supported ? 'yes' : 'no '
+}
+
+function printTable (results) {
+  const width = Math.max(...results.map(result => result.name.length))
+  CHAPTERS.forEach(chapter => {
+    const features = results.filter(result => result.chapter === chapter)
+    const supported = features.filter(result => result.supported).length
+    console.log(`\n${chapter} (${supported}/${features.length})`)
+    features.forEach(result => {
+      console.log(`  ${mark(result.supported)}  ${result.name.padEnd(width)}  ${result.kind}`)
+    })
+  })
+}
+
+function readReport (file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new UsageError(`Cannot read the report ${file}: ${err.message}`)
+  }
+}
+
+// Lists the features whose support differs between two reports
+function printComparison (current, other, file) {
+  const theirs = new Map(other.features.map(result => [`${result.chapter}/${result.name}`, result.supported]))
+  const differences = current.features.filter(result => {
+    const key = `${result.chapter}/${result.name}`
+    return theirs.has(key) && theirs.get(key) !== result.supported
+  })
+  const label = `${other.engine.node} (${file})`
+  console.log(`Comparing ${current.engine.node} (this engine) with ${label}`)
+  if (!differences.length) {
+    console.log('\nSame support for every feature')
+    return
+  }
+  differences.forEach(result => {
+    console.log(`  ${result.chapter}: ${result.name}`)
+    console.log(`    this engine: ${mark(result.supported)}  ${other.engine.node}: ${mark(!result.supported)}`)
+  })
+}
+
+module.exports = {
+  usage: 'learn features [--json] [--compare report.json]',
+  summary: 'Print the ES features supported by the running engine',
+  options: { boolean: ['json'], string: ['compare'] },
+
+  main ({ flags }) {
+    const report = { engine: engine(), features: detectFeatures() }
+
+    if (flags.json) {
+      console.log(JSON.stringify(report, null, 2))
+    } else if (flags.compare) {
+      printComparison(report, readReport(flags.compare), flags.compare)
+    } else {
+      const supported = report.features.filter(result => result.supported).length
+      console.log(`Node ${report.engine.node} (V8 ${report.engine.v8}): ${supported}/${report.features.length} features`)
+      printTable(report.features)
+    }
+    return 0
+  }
+}
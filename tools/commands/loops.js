@@ -0,0 +1,185 @@
+// learn loops <chapter> [section] [--json] [--timeout ms]
+// learn loops --file path | --code snippet [--json] [--timeout ms]
+// Runs a snippet and draws, for every loop that declares its variables in its
+// head, a timeline of its iterations: the value of each loop variable when
+// the iteration starts, the binding the iteration got (#1, #2...) and what the
+// closures created in it see once the snippet is done. A `var` loop shows one
+// binding for every iteration, `let` and `const` loops a new one each time
+//
+// Without a section, every section of the chapter that has such a loop is
+// traced, each with the bindings of the sections above it (see
+// tools/bindings.js), as the loops of a section often fill an array declared
+// one section earlier
+
+const fs = require('fs')
+const { findChapter, loadChapter, findSection } = require('../chapters')
+const { carryBindings } = require('../bindings')
+const { traceLoops } = require('../loop-trace')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const { bold, dim, cyan } = require('../colors')
+
+const MAX_COLUMNS = 10
+const MAX_RUNS = 3
+
+function trace (code, name, options) {
+  try {
+    return traceLoops(code, options)
+  } catch (err) {
+    const where = err.loc ? `:${err.loc.line + (options.lineOffset || 0)}:${err.loc.column + 1}` : ''
+    throw new UsageError(`${name}${where}: ${err.message.replace(/ \(\d+:\d+\)$/, '')}`)
+  }
+}
+
+// The iterations to draw: all of them, or the first ones and the last one
+function columnsOf (iterations) {
+  if (iterations.length <= MAX_COLUMNS) return iterations
+  return iterations.slice(0, MAX_COLUMNS - 1).concat(null, iterations[iterations.length - 1])
+}
+
+function printRow (label, cells, widths) {
+  console.log(`    ${label.padEnd(16)} ${cells.map((cell, i) => cell.padStart(widths[i])).join('  ')}`)
+}
+
+function printRun (loop, iterations) {
+  const columns = columnsOf(iterations)
+  const rows = [['iteration', columns.map(iteration => iteration ? String(iteration.index) : '...')]]
+  loop.variables.forEach(({ name }) => {
+    rows.push([`${name} entering`, columns.map(iteration => iteration ? iteration.entering[name] : '')])
+    rows.push([`${name} binding`, columns.map(iteration => iteration ? `#${iteration.binding[name]}` : '')])
+    rows.push([`${name} seen after`, columns.map(iteration => iteration ? iteration.later[name] : '')])
+  })
+  if (loop.timeline.some(iteration => iteration.closures.length)) {
+    rows.push(['closures', columns.map(iteration => iteration ? String(iteration.closures.length) : '')])
+  }
+  if (loop.timeline.some(iteration => iteration.iifes.length)) {
+    rows.push(['IIFEs', columns.map(iteration => iteration ? String(iteration.iifes.length) : '')])
+  }
+  const widths = columns.map((column, i) => Math.max(...rows.map(([, cells]) => cells[i].length)))
+  rows.forEach(([label, cells]) => printRow(label, cells, widths))
+}
+
+function count (items, noun) {
+  return items === 1 ? `1 ${noun}` : `${items} ${noun}s`
+}
+
+function verdict (loop, variable) {
+  const closures = loop.timeline.reduce((sum, iteration) => sum + iteration.closures.length, 0)
+  const iifes = loop.timeline.some(iteration => iteration.iifes.length)
+  const spec = variable.inferred ? ' (a `const` cannot be written to: told by its values)' : ''
+  if (loop.iterations === 1) return `A single iteration: nothing to compare its \`${variable.name}\` binding with`
+  if (variable.shared) {
+    const seen = loop.timeline[0].later[variable.name]
+    const what = closures ? `the ${count(closures, 'closure')} created in them all see ${variable.name} = ${seen}` : `it ends as ${seen}`
+    const copy = iifes ? ', unless an IIFE copied its value when the iteration ran' : ''
+    return `One \`${variable.name}\` binding shared by the ${loop.iterations} iterations: ${what}${copy}`
+  }
+  if (variable.bindings === loop.iterations) {
+    const what = closures ? ': each closure sees the value of its own iteration' : ''
+    return `A new \`${variable.name}\` binding for each of the ${loop.iterations} iterations${what}${spec}`
+  }
+  return `${count(variable.bindings, `\`${variable.name}\` binding`)} for ${loop.iterations} iterations${spec}`
+}
+
+function printLoop (loop, file) {
+  console.log(`  ${bold(`${file}:${loop.line}`)} ${cyan(loop.head)}  ${dim(loop.kind)}`)
+  if (!loop.iterations) {
+    console.log(dim('    (never iterated)'))
+    return
+  }
+  const runs = []
+  loop.timeline.forEach(iteration => {
+    if (!runs[iteration.run]) runs[iteration.run] = []
+    runs[iteration.run].push(iteration)
+  })
+  const started = runs.filter(Boolean)
+  started.slice(0, MAX_RUNS).forEach((iterations, i) => {
+    if (started.length > 1) console.log(dim(`    run ${i + 1} of ${started.length}`))
+    printRun(loop, iterations)
+  })
+  if (started.length > MAX_RUNS) console.log(dim(`    (${started.length - MAX_RUNS} more runs)`))
+  if (loop.skipped) console.log(dim(`    (${loop.skipped} more iterations not traced)`))
+  loop.variables.forEach(variable => console.log(`    ${verdict(loop, variable)}`))
+}
+
+function printTrace (result, file) {
+  result.loops.forEach((loop, i) => {
+    if (i) console.log('')
+    printLoop(loop, file)
+  })
+  if (result.error) {
+    const where = result.error.line ? ` (line ${result.error.line})` : ''
+    console.log(dim(`  stopped by ${result.error.name}: ${result.error.message}${where}`))
+  }
+}
+
+function toJSON (result) {
+  return { loops: result.loops, error: result.error }
+}
+
+function readSnippet (flags) {
+  if (flags.file === undefined) return { code: flags.code, name: 'snippet' }
+  try {
+    return { code: fs.readFileSync(flags.file, 'utf8'), name: flags.file }
+  } catch (err) {
+    throw new UsageError(`Cannot read ${flags.file}: ${err.code || err.message}`)
+  }
+}
+
+function hasLoop (section) {
+  return /\bfor\s*\(\s*(var|let|const)\b/.test(section.code)
+}
+
+module.exports = {
+  usage: 'learn loops <chapter> [section] [--json] [--timeout ms]\n       learn loops --file path [--json]\n       learn loops --code snippet [--json]',
+  summary: 'Trace the bindings each loop iteration gives to its closures',
+  options: { boolean: ['json'], string: ['file', 'code', 'timeout'] },
+
+  main ({ positionals, flags }) {
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+
+    if (flags.code !== undefined || flags.file !== undefined) {
+      if (positionals.length) throw new UsageError('Use either <chapter>, --file or --code')
+      const { code, name } = readSnippet(flags)
+      const result = trace(code, name, { filename: name, timeout })
+      if (flags.json) {
+        console.log(JSON.stringify(Object.assign({ file: name }, toJSON(result)), null, 2))
+      } else {
+        console.log(name)
+        if (!result.loops.length) console.log('  (no loop declaring its variables)')
+        printTrace(result, name)
+      }
+      return 0
+    }
+
+    const [chapterQuery, sectionQuery] = positionals
+    if (!chapterQuery) throw new UsageError('Missing <chapter>, --file or --code')
+    const chapter = loadChapter(findChapter(chapterQuery))
+    const wanted = sectionQuery ? findSection(chapter, sectionQuery) : null
+
+    const bindings = carryBindings()
+    const results = []
+    chapter.sections.forEach(section => {
+      if (wanted && section.index > wanted.index) return
+      const options = { filename: chapter.path, lineOffset: section.start - 1, timeout, globals: bindings.globalsFor(section) }
+      const result = trace(section.code, chapter.file, options)
+      bindings.harvest(section, result.context)
+      if ((!wanted && hasLoop(section)) || section === wanted) results.push({ section, result })
+    })
+
+    if (flags.json) {
+      const sections = results.map(({ section, result }) => Object.assign({ index: section.index, title: section.title, start: section.start }, toJSON(result)))
+      console.log(JSON.stringify({ chapter: chapter.file, sections }, null, 2))
+      return 0
+    }
+    if (!results.length) console.log(`${chapter.file}: no loop declaring its variables`)
+    results.forEach(({ section, result }, i) => {
+      if (i) console.log('')
+      console.log(`[${section.index}] ${section.title} (lines ${section.start}-${section.end})`)
+      if (!result.loops.length) console.log('  (no loop declaring its variables)')
+      printTrace(result, chapter.file)
+    })
+    return 0
+  }
+}
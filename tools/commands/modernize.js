@@ -0,0 +1,60 @@
+// learn modernize <file...> [--only rewrites] [--write] [--json]
+// Rewrites ES5 code the way the chapters rewrite their ES5 examples, printing
+// a diff for each rewrite. Files are only changed with --write
+
+const fs = require('fs')
+const { REWRITES, modernize } = require('../modernize')
+const { UsageError } = require('../errors')
+
+function printResult (file, result) {
+  result.rewrites.forEach(rewrite => {
+    console.log(`${file}:${rewrite.line} ${rewrite.rewrite}: ${rewrite.title}`)
+    if (rewrite.note) console.log(`note: ${rewrite.note}`)
+    process.stdout.write(rewrite.diff)
+    console.log('')
+  })
+  if (result.kept.length) {
+    console.log(`Kept in ${file}:`)
+    result.kept.forEach(entry => console.log(`  ${file}:${entry.line} ${entry.rewrite}: ${entry.title}, ${entry.reason}`))
+    console.log('')
+  }
+}
+
+module.exports = {
+  usage: `learn modernize <file...> [--only rewrites] [--write] [--json]\n\nRewrites: ${REWRITES.join(', ')}`,
+  summary: 'Rewrite ES5 code into ES2015 where it is safe, with a diff per rewrite',
+  options: { boolean: ['write', 'json'], string: ['only'] },
+
+  main ({ positionals, flags }) {
+    if (!positionals.length) throw new UsageError('Missing the file to modernize, e.g. `learn modernize legacy.js`')
+    const only = flags.only ? flags.only.split(',').map(name => name.trim()).filter(Boolean) : REWRITES
+    const unknown = only.filter(name => !REWRITES.includes(name))
+    if (unknown.length) throw new UsageError(`Unknown rewrite ${unknown.join(', ')}, expected some of: ${REWRITES.join(', ')}`)
+
+    let failed = false
+    const results = positionals.map(file => {
+      let result
+      try {
+        result = modernize(fs.readFileSync(file, 'utf8'), { file, only })
+      } catch (err) {
+        const where = err.loc ? `:${err.loc.line}:${err.loc.column + 1}` : ''
+        console.error(`${file}${where}: ${err.code === 'ENOENT' ? 'No such file' : err.message}`)
+        failed = true
+        return null
+      }
+      if (flags.write && result.rewrites.length) fs.writeFileSync(file, result.code)
+      if (!flags.json) printResult(file, result)
+      return Object.assign({ file }, result)
+    }).filter(Boolean)
+
+    if (flags.json) {
+      console.log(JSON.stringify(results.map(({ file, rewrites, kept }) => ({ file, rewrites, kept })), null, 2))
+    } else {
+      const count = results.reduce((sum, result) => sum + result.rewrites.length, 0)
+      const kept = results.reduce((sum, result) => sum + result.kept.length, 0)
+      const done = flags.write ? 'applied' : 'to apply with --write'
+      console.log(`${count} rewrite${count === 1 ? '' : 's'} ${done}, ${kept} kept as they are`)
+    }
+    return failed ? 1 : 0
+  }
+}
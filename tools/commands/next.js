@@ -0,0 +1,72 @@
+// learn next [--learner name] [--json]
+// Recommends the section to read next: the first incomplete section after the
+// last one the learner ran, quizzed or solved, in reading order. When that
+// section builds on sections not complete yet (data/prerequisites.json), the
+// first of them comes first, e.g. the prototype sections of 04-objects.js
+// before `Symbol.toPrimitive()` in 06-symbols.js
+//
+// The learner is --learner, else $LEARN_USER, else the login name
+
+const { listChapters, loadChapter } = require('../chapters')
+const {
+  learnerName,
+  loadProgress,
+  loadPrerequisites,
+  unknownPrerequisites,
+  chapterProgress,
+  recommendNext
+} = require('../progress')
+const { bold, dim, cyan, yellow } = require('../colors')
+
+const COMMANDS = {
+  ran: section => `learn run ${section.number} ${section.index}`,
+  quizzed: section => `learn quiz ${section.number}`,
+  exercises: section => `learn verify ${section.number}`
+}
+
+function describe (section) {
+  return `${section.chapter} [${section.index}] ${section.title}`
+}
+
+function todoOf (section) {
+  return section.needs.filter(activity => !section.done[activity]).map(activity => COMMANDS[activity](section))
+}
+
+function printRecommendation (next) {
+  const { section, chain, last } = next
+  if (last) console.log(dim(`Last: ${last.activity} ${last.key} (${last.date.slice(0, 10)})`))
+  console.log(`Next: ${bold(describe(section))}` + dim(`  (line ${section.start})`))
+  chain.slice(0, -1).forEach((needing, i) => {
+    const needed = chain[i + 1]
+    console.log(`  ${describe(needing)} builds on ${needed.title}, not complete yet`)
+  })
+  todoOf(section).forEach(command => console.log(`  ${cyan(command)}`))
+}
+
+module.exports = {
+  usage: 'learn next [--learner name] [--json]',
+  summary: 'Recommend the next section to read, prerequisites first',
+  options: { boolean: ['json'], string: ['learner'] },
+
+  main ({ flags }) {
+    const learner = flags.learner || learnerName()
+    const loaded = listChapters().map(loadChapter)
+    const progress = loadProgress()
+    const prerequisites = loadPrerequisites()
+    const next = recommendNext(chapterProgress(loaded, progress, learner), progress, learner, prerequisites)
+    const unknown = unknownPrerequisites(prerequisites, loaded)
+
+    if (flags.json) {
+      const todo = next ? todoOf(next.section) : []
+      console.log(JSON.stringify({ learner, next: next && Object.assign({ todo }, next), unknownPrerequisites: unknown }, null, 2))
+      return 0
+    }
+    unknown.forEach(key => console.error(yellow(`data/prerequisites.json: no section ${key}`)))
+    if (!next) {
+      console.log(`${learner} completed every section`)
+      return 0
+    }
+    printRecommendation(next)
+    return 0
+  }
+}
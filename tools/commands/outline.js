@@ -0,0 +1,65 @@
+// learn outline [chapter...] [--notes] [--drift] [--json]
+// Prints the outline of the chapters: their sections with their line ranges
+// and, with --notes, the `// NOTE:` remarks inside them
+//
+// --drift compares the outline with the readme instead: its table of contents
+// (chapters without a file, unlisted files, numbering, titles) and the topics
+// listed under each chapter heading. Exits with 1 when they drifted apart
+
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { chapterOutline, outlineDrift } = require('../outline')
+const { readReadme, tableOfContents } = require('../readme')
+const { bold, dim, yellow } = require('../colors')
+
+function printOutline (outline, withNotes) {
+  console.log(`${bold(outline.file)}  ${outline.title}`)
+  if (!outline.sections.length) console.log(dim('  (no section yet)'))
+  outline.sections.forEach(section => {
+    console.log(`  ${`[${section.index}]`.padStart(4)} ${section.title}  ${dim(`(lines ${section.start}-${section.end})`)}`)
+    if (withNotes) section.notes.forEach(note => console.log(`       ${note.text}  ${dim(`(line ${note.line})`)}`))
+  })
+}
+
+function printDrift (issues) {
+  if (!issues.length) {
+    console.log('The readme and the chapters agree')
+    return
+  }
+  issues.forEach(issue => {
+    const where = issue.type === 'chapter-only' ? `${issue.chapter}:${issue.line}` : `readme.md${issue.line ? `:${issue.line}` : ''}`
+    console.log(`${yellow(issue.type.padEnd(16))} ${where.padEnd(28)} ${issue.message}`)
+  })
+  console.log('')
+  console.log(`${issues.length} difference(s) between the readme and the chapters`)
+}
+
+module.exports = {
+  usage: 'learn outline [chapter...] [--notes] [--drift] [--json]',
+  summary: 'Print the outline of the chapters, or how it drifted from the readme',
+  options: { boolean: ['notes', 'drift', 'json'], string: [] },
+
+  main ({ positionals, flags }) {
+    const files = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const chapters = files.map(loadChapter)
+
+    if (flags.drift) {
+      let issues = outlineDrift(listChapters().map(loadChapter), readReadme())
+      if (positionals.length) issues = issues.filter(issue => chapters.some(chapter => chapter.file === issue.chapter))
+      if (flags.json) console.log(JSON.stringify(issues, null, 2))
+      else printDrift(issues)
+      return issues.length ? 1 : 0
+    }
+
+    const toc = tableOfContents()
+    const outlines = chapters.map(chapter => chapterOutline(chapter, toc))
+    if (flags.json) {
+      console.log(JSON.stringify(outlines, null, 2))
+      return 0
+    }
+    outlines.forEach((outline, i) => {
+      if (i) console.log('')
+      printOutline(outline, flags.notes)
+    })
+    return 0
+  }
+}
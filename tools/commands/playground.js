@@ -0,0 +1,30 @@
+// learn playground [--port 8080] [--host 127.0.0.1]
+// Serves the browser playground (see tools/playground.js) until interrupted
+
+const { startPlayground } = require('../playground')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+
+module.exports = {
+  usage: 'learn playground [--port 8080] [--host 127.0.0.1]',
+  summary: 'Serve the browser playground on localhost',
+  options: { string: ['port', 'host'] },
+
+  async main ({ flags }) {
+    const port = numberFlag(flags, 'port', 8080)
+    const host = flags.host || '127.0.0.1'
+    let server
+    try {
+      server = await startPlayground({ port, host })
+    } catch (err) {
+      throw new UsageError(`Cannot listen on ${host}:${port}: ${err.message}`)
+    }
+    const { port: listening } = server.address()
+    console.log(`Playground running at http://${host}:${listening}/ (Ctrl+C to stop)`)
+    return new Promise(resolve => {
+      const stop = () => server.close(() => resolve(0))
+      process.once('SIGINT', stop)
+      process.once('SIGTERM', stop)
+    })
+  }
+}
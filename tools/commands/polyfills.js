@@ -0,0 +1,111 @@
+// learn polyfills [chapter...] [--json] [--timeout ms]
+// learn polyfills --apis [--json]
+// learn polyfills --data
+// Runs the chapters again in a vm realm where the ES2015 built-ins they teach
+// are deleted and replaced with lib/polyfills.js, and compares what every
+// section logs and throws with a native run (see tools/polyfills.js). The
+// polyfills each section called are counted, so that a section that does not
+// use them is told apart from one that agrees with them
+//
+// --apis checks the polyfills themselves: edge cases evaluated natively and
+// polyfilled, and normalize() with every code point. --data writes
+// lib/normalization-data.js again from the normalize() of this Node.js. Exits
+// with 1 when a section or a case differs
+
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { compareChapter, checkCases, checkNormalization } = require('../polyfills')
+const { writeNormalizationData } = require('../normalization-data')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const { bold, dim, green, yellow } = require('../colors')
+
+function callsOf (calls) {
+  return Object.keys(calls).map(name => `${name.replace(/^.*\.prototype\./, '')} ×${calls[name]}`).join(', ')
+}
+
+function verdict (same) {
+  return same ? `${green('same')}     ` : `${yellow('differs')}  `
+}
+
+function printChapter (report) {
+  console.log(bold(report.chapter))
+  report.sections.forEach(section => {
+    const called = Object.keys(section.calls).length ? `  ${dim(callsOf(section.calls))}` : ''
+    console.log(`  ${verdict(section.same)}${section.title}${called}`)
+    if (section.same) return
+    console.log(`             ${dim('native:    ')} ${section.difference.native || dim('(nothing)')}`)
+    console.log(`             ${dim('polyfilled:')} ${section.difference.polyfilled || dim('(nothing)')}`)
+  })
+}
+
+function printTotals (reports) {
+  const totals = {}
+  reports.forEach(report => report.sections.forEach(section => {
+    Object.keys(section.calls).forEach(name => { totals[name] = (totals[name] || 0) + section.calls[name] })
+  }))
+  const sections = reports.reduce((count, report) => count + report.sections.length, 0)
+  const differing = reports.reduce((count, report) => count + report.sections.filter(section => !section.same).length, 0)
+  console.log(differing
+    ? `${differing} of ${sections} sections behave differently with the polyfills`
+    : green(`Same output on all ${sections} sections with the polyfills`))
+  console.log(dim(Object.keys(totals).length ? `Polyfills called: ${callsOf(totals)}` : 'No polyfill called'))
+}
+
+function printApis (cases, normalization) {
+  cases.forEach(check => {
+    const differing = check.cases.filter(result => !result.same)
+    console.log(`  ${verdict(!differing.length)}${check.name}  ${dim(`(${check.cases.length} cases)`)}`)
+    differing.forEach(result => {
+      console.log(`           ${result.expression}`)
+      console.log(`             ${dim('native:    ')} ${result.native}`)
+      console.log(`             ${dim('polyfilled:')} ${result.polyfilled}`)
+    })
+  })
+  const differences = normalization.differences
+  console.log(`  ${verdict(!differences.length)}normalize() of every code point  ${dim(`(${normalization.checked} cases)`)}`)
+  differences.forEach(difference => {
+    console.log(`           U+${difference.codePoint.toString(16).toUpperCase().padStart(4, '0')} ${difference.form}`)
+    console.log(`             ${dim('native:    ')} ${JSON.stringify(difference.native)}`)
+    console.log(`             ${dim('polyfilled:')} ${JSON.stringify(difference.polyfilled)}`)
+  })
+}
+
+module.exports = {
+  usage: 'learn polyfills [chapter...] [--json] [--timeout ms]\n       learn polyfills --apis [--json]\n       learn polyfills --data',
+  summary: 'Run the chapters against the ES2015 polyfills instead of the built-ins',
+  options: { boolean: ['apis', 'data', 'json'], string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    if ((flags.apis || flags.data) && positionals.length) {
+      throw new UsageError(`--${flags.apis ? 'apis' : 'data'} takes no chapter`)
+    }
+    if (flags.data) {
+      const { file, data } = writeNormalizationData()
+      console.log(`Wrote ${file} (Unicode ${data.unicode})`)
+      return 0
+    }
+    if (flags.apis) {
+      const cases = checkCases()
+      const normalization = checkNormalization()
+      if (flags.json) console.log(JSON.stringify({ cases, normalization }, null, 2))
+      else printApis(cases, normalization)
+      const failed = normalization.differences.length || cases.some(check => check.cases.some(result => !result.same))
+      return failed ? 1 : 0
+    }
+
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+    const chapters = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const reports = chapters.map(chapter => compareChapter(loadChapter(chapter), { timeout }))
+    if (flags.json) {
+      console.log(JSON.stringify(reports, null, 2))
+    } else {
+      reports.forEach(report => {
+        printChapter(report)
+        console.log('')
+      })
+      printTotals(reports)
+    }
+    return reports.some(report => report.sections.some(section => !section.same)) ? 1 : 0
+  }
+}
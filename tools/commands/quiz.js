@@ -0,0 +1,150 @@
+// learn quiz [chapter...] [--count n] [--free] [--seed n] [--json]
+// learn quiz --stats | --reset
+// Asks what the annotated examples of the chapters log, as multiple-choice
+// questions (answer with the letter, or type the value) or, with --free, as
+// free answers. Every answer is scored per topic and kept in the learn
+// directory (see tools/store.js), so that the next quizzes ask more about the
+// topics missed. The sections asked about count for the learner's progress
+// (see learn status)
+//
+// --json prints the questions with their choices and exits, e.g. to hand out
+// a printed quiz. Answers can be piped: `printf 'A\nC\n' | learn quiz 06`
+
+const readline = require('readline')
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const {
+  collectQuestions,
+  createRandom,
+  emptyStats,
+  buildQuiz,
+  checkAnswer,
+  recordAnswer,
+  recordSession,
+  topicScores,
+  STORE_VERSION
+} = require('../quiz')
+const { readStore, writeStore, removeStore, storePath } = require('../store')
+const { recordProgress } = require('../progress')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const { bold, dim, green, red } = require('../colors')
+
+const STORE = 'quiz'
+
+function loadStats () {
+  const stats = readStore(STORE, null)
+  if (!stats) return emptyStats()
+  if (stats.version !== STORE_VERSION) throw new UsageError(`${storePath(STORE)} has an unknown version: run learn quiz --reset`)
+  return stats
+}
+
+function percent (correct, asked) {
+  return `${Math.round(100 * correct / asked)}%`.padStart(4)
+}
+
+function printStats (stats) {
+  const { topics, chapters } = topicScores(stats)
+  if (!topics.length) {
+    console.log('No answer recorded yet: run learn quiz')
+    return
+  }
+  console.log(bold('Chapters'))
+  chapters.forEach(chapter => console.log(`  ${percent(chapter.correct, chapter.asked)}  ${String(`${chapter.correct}/${chapter.asked}`).padEnd(7)} ${chapter.chapter}`))
+  console.log('')
+  console.log(bold('Topics, weakest first'))
+  topics.forEach(topic => console.log(`  ${percent(topic.correct, topic.asked)}  ${String(`${topic.correct}/${topic.asked}`).padEnd(7)} ${topic.chapter} ${topic.section}`))
+  console.log('')
+  console.log(dim(`${stats.sessions.length} session(s), kept in ${storePath(STORE)}`))
+}
+
+function printQuestion (question, number, total) {
+  console.log(bold(`Question ${number}/${total}`) + dim(`  ${question.chapter} [${question.section.index}] ${question.section.title}`))
+  console.log('')
+  question.context.forEach(entry => {
+    if (!entry) console.log(dim('       ...'))
+    else console.log(dim(`  ${String(entry.line).padStart(4)} `) + entry.text)
+  })
+  console.log('')
+  console.log(`What does \`${question.expression}\` log?`)
+  if (question.options) question.options.forEach(option => console.log(`  ${option.letter}) ${option.text}`))
+}
+
+function printFeedback (question, result) {
+  if (result.correct) {
+    console.log(green('Correct'))
+  } else {
+    console.log(`${red('Wrong')}: it logs ${bold(question.answer)}`)
+    if (result.picked && result.picked.why) console.log(`  ${result.picked.text} is ${result.picked.why}`)
+  }
+  console.log(dim(`  See ${question.chapter}:${question.section.start} ${question.section.title}`))
+  console.log('')
+}
+
+async function ask (questions, stats) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) })
+  const lines = rl[Symbol.asyncIterator]()
+  const topics = []
+  let correct = 0
+  let asked = 0
+  try {
+    for (const question of questions) {
+      printQuestion(question, asked + 1, questions.length)
+      process.stdout.write('> ')
+      const { value, done } = await lines.next()
+      if (done) {
+        console.log('')
+        break
+      }
+      if (!process.stdin.isTTY) console.log(value)
+      const result = checkAnswer(question, value)
+      asked++
+      if (result.correct) correct++
+      if (!topics.includes(question.topic)) topics.push(question.topic)
+      recordAnswer(stats, question, result.correct)
+      printFeedback(question, result)
+    }
+  } finally {
+    rl.close()
+  }
+  return { asked, correct, topics }
+}
+
+module.exports = {
+  usage: 'learn quiz [chapter...] [--count n] [--free] [--seed n] [--json]\n       learn quiz --stats | --reset',
+  summary: 'Predict what the examples log, with scores per topic',
+  options: { boolean: ['free', 'json', 'stats', 'reset'], string: ['count', 'seed'] },
+
+  async main ({ positionals, flags }) {
+    if (flags.reset) {
+      console.log(removeStore(STORE) ? `Removed ${storePath(STORE)}` : 'No answer recorded yet')
+      return 0
+    }
+    const stats = loadStats()
+    if (flags.stats) {
+      if (flags.json) console.log(JSON.stringify(topicScores(stats), null, 2))
+      else printStats(stats)
+      return 0
+    }
+
+    const count = numberFlag(flags, 'count', 10)
+    const seed = numberFlag(flags, 'seed', Date.now() % 4294967296)
+    const files = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const available = collectQuestions(files.map(loadChapter))
+    if (!available.length) throw new UsageError('These chapters have no annotated example to ask about')
+    const questions = buildQuiz(available, stats, { count, random: createRandom(seed), free: flags.free })
+
+    if (flags.json) {
+      const handout = questions.map(({ siblings, ...question }) => question)
+      console.log(JSON.stringify({ seed, questions: handout }, null, 2))
+      return 0
+    }
+
+    const { asked, correct, topics } = await ask(questions, stats)
+    if (!asked) return 0
+    recordSession(stats, { date: new Date().toISOString(), asked, correct })
+    const file = writeStore(STORE, stats)
+    recordProgress('quizzed', topics)
+    console.log(bold(`Score: ${correct}/${asked}`) + dim(`  (saved to ${file}, see learn quiz --stats)`))
+    return 0
+  }
+}
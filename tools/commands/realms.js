@@ -0,0 +1,61 @@
+// learn realms [experiment...] [--list] [--json]
+// The cross-realm lab: makes arrays, `Person` instances, symbols and errors in
+// one `node:vm` realm and checks them in another (see tools/realms.js):
+// `instanceof` fails across realms, Object.prototype.toString() and the
+// symbol registry do not. Exits with 1 when a check does not give what the
+// lab expects on this version of Node
+
+const { EXPERIMENTS, runExperiment, findExperiment } = require('../realms')
+const { UsageError } = require('../errors')
+const { bold, dim, green, red } = require('../colors')
+
+function printExperiment (result) {
+  console.log(`${bold(result.title)}: \`${result.create}\` made in realm A`)
+  if (result.error) {
+    console.log(red(`  setup failed: ${result.error}`))
+    return
+  }
+  const width = Math.max(...result.checks.map(check => check.expression.length))
+  const cellWidth = Math.max(...result.checks.map(check => check.results[0].actual.length), 'in realm A'.length)
+  console.log(dim(`  ${''.padEnd(width)}   ${'in realm A'.padEnd(cellWidth)}   in realm B`))
+  result.checks.forEach(check => {
+    const cells = check.results.map((outcome, i) => {
+      const text = i === 0 ? outcome.actual.padEnd(cellWidth) : outcome.actual
+      return outcome.ok ? text : red(`${text} (expected ${outcome.expected})`)
+    })
+    console.log(`  ${check.expression.padEnd(width)}   ${cells.join('   ')}`)
+  })
+  console.log(`  ${green('→')} ${result.lesson}`)
+}
+
+module.exports = {
+  usage: 'learn realms [experiment...] [--list] [--json]',
+  summary: 'Pass arrays, instances and symbols between vm realms',
+  options: { boolean: ['list', 'json'], string: [] },
+
+  main ({ positionals, flags }) {
+    if (flags.list) {
+      EXPERIMENTS.forEach(experiment => console.log(`${experiment.id.padEnd(20)} ${experiment.title}`))
+      return 0
+    }
+    const experiments = positionals.length
+      ? positionals.map(id => {
+        const experiment = findExperiment(id)
+        if (!experiment) throw new UsageError(`Unknown experiment "${id}". Available experiments: ${EXPERIMENTS.map(other => other.id).join(', ')}`)
+        return experiment
+      })
+      : EXPERIMENTS
+    const results = experiments.map(runExperiment)
+    const failed = results.some(result => result.error || result.checks.some(check => check.results.some(outcome => !outcome.ok)))
+
+    if (flags.json) {
+      console.log(JSON.stringify(results, null, 2))
+    } else {
+      results.forEach((result, i) => {
+        if (i) console.log('')
+        printExperiment(result)
+      })
+    }
+    return failed ? 1 : 0
+  }
+}
@@ -0,0 +1,120 @@
+// learn repl <chapter> [section] [--timeout ms]
+// A REPL inside a chapter section: its top-level bindings (`book`, `pick2`,
+// `hasLengthOf10`...) are defined and tab completion knows them
+//   .section [section]  lists the sections, or switches to another one
+//   .explain            prints the comments of the current section
+
+const repl = require('repl')
+const vm = require('vm')
+const { findChapter, loadChapter, findSection, proseOf } = require('../chapters')
+const { loadSection, completeCode, namesOf } = require('../repl')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+
+// Incomplete input: the REPL waits for the next line instead of failing
+const INCOMPLETE = /^(Unexpected end of input|Unterminated template literal|missing \) after argument list)/
+
+// Only the frames of the typed code and of the chapter, not those of the REPL
+function trimStack (err, chapter) {
+  if (err && typeof err.stack === 'string') {
+    err.stack = err.stack.split('\n')
+      .filter(line => !/^\s+at /.test(line) || /[ (]repl:\d/.test(line) || line.includes(chapter.path))
+      .join('\n')
+  }
+  return err
+}
+
+function describe (current) {
+  const { section, bindings, carried, error } = current
+  const lines = [`[${section.index}] ${section.title} (lines ${section.start}-${section.end})`]
+  lines.push(bindings.length ? `  bindings: ${bindings.join(', ')}` : '  no top-level bindings')
+  if (carried.length) lines.push(`  from the sections above: ${carried.join(', ')}`)
+  if (error) {
+    const where = error.line ? ` at line ${error.line}` : ''
+    lines.push(`  the section stopped${where}: ${error.name}: ${error.message}`)
+  }
+  lines.push('  .explain prints its comments, .section switches to another section')
+  return lines.join('\n')
+}
+
+module.exports = {
+  usage: 'learn repl <chapter> [section] [--timeout ms]',
+  summary: 'Start a REPL with the bindings of a chapter section already defined',
+  options: { string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    const [chapterQuery, sectionQuery] = positionals
+    if (!chapterQuery) throw new UsageError('Missing <chapter>')
+    const chapter = loadChapter(findChapter(chapterQuery))
+    if (!chapter.sections.length) throw new UsageError(`${chapter.file} has no sections`)
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+
+    let current = loadSection(chapter, sectionQuery ? findSection(chapter, sectionQuery) : chapter.sections[0], { timeout })
+    // Names declared at the prompt, for the completion
+    let typed = []
+    const prompt = () => `${chapter.file.replace(/\.js$/, '')} [${current.section.index}]> `
+    console.log(describe(current))
+
+    function evaluate (code, context, filename, callback) {
+      let result
+      try {
+        result = vm.runInContext(code, current.context, { filename: 'repl', displayErrors: false, breakOnSigint: true })
+      } catch (err) {
+        if (err && err.name === 'SyntaxError' && INCOMPLETE.test(err.message)) return callback(new repl.Recoverable(err))
+        return callback(trimStack(err, chapter))
+      }
+      typed = typed.concat(namesOf(code))
+      callback(null, result)
+    }
+
+    function completer (line) {
+      const command = /^\s*\.section\s+(\S*)$/.exec(line)
+      if (command) {
+        const candidates = chapter.sections.map(section => String(section.index)).concat(chapter.sections.map(section => section.slug))
+        return [candidates.filter(candidate => candidate.startsWith(command[1])), command[1]]
+      }
+      if (/^\s*\.\w*$/.test(line)) {
+        const typedCommand = line.trim()
+        return [Object.keys(server.commands).map(name => `.${name}`).filter(name => name.startsWith(typedCommand)), typedCommand]
+      }
+      return completeCode(line, current.context, current.bindings.concat(typed))
+    }
+
+    const server = repl.start({ prompt: prompt(), eval: evaluate, completer, ignoreUndefined: true })
+
+    server.defineCommand('section', {
+      help: 'List the sections of the chapter, or switch to another one: .section <number or title>',
+      action (query) {
+        if (!query.trim()) {
+          chapter.sections.forEach(section => {
+            const marker = section === current.section ? '*' : ' '
+            console.log(`${marker} [${section.index}] ${section.title}`)
+          })
+        } else {
+          try {
+            current = loadSection(chapter, findSection(chapter, query.trim()), { timeout })
+            typed = []
+            server.setPrompt(prompt())
+            console.log(describe(current))
+          } catch (err) {
+            if (!(err instanceof UsageError)) throw err
+            console.log(err.message)
+          }
+        }
+        this.displayPrompt()
+      }
+    })
+
+    server.defineCommand('explain', {
+      help: 'Print the comments of the current section',
+      action () {
+        const prose = proseOf(current.section)
+        console.log(prose.length ? prose.join('\n\n') : '(no comments in this section)')
+        this.displayPrompt()
+      }
+    })
+
+    return new Promise(resolve => server.on('exit', () => resolve(0)))
+  }
+}
@@ -0,0 +1,134 @@
+// learn requires <file...> [--json]
+// learn requires --chapters [chapter...] [--json]
+// The minimum ES edition a file requires, with every post-ES5 construct it
+// uses and the chapter section that teaches it:
+//   learn requires dist/widget.js  ->  dist/widget.js requires ES2015
+//
+// --chapters runs the analyzer on the chapters themselves: a chapter must not
+// require a later edition than the latest feature it teaches
+
+const fs = require('fs')
+const path = require('path')
+const { listChapters, findChapter } = require('../chapters')
+const { loadEditions, sectionOf } = require('../editions')
+const { analyzeSource, detectableFeatures } = require('../min-edition')
+const { UsageError } = require('../errors')
+
+function analyzeFile (file, data, chapters) {
+  let code
+  try {
+    code = fs.readFileSync(file, 'utf8')
+  } catch (err) {
+    return { file, error: `Cannot read ${file}: ${err.code || err.message}` }
+  }
+  let result
+  try {
+    result = analyzeSource(code, { data })
+  } catch (err) {
+    const where = err.loc ? `:${err.loc.line}:${err.loc.column + 1}` : ''
+    return { file, error: `${file}${where}: ${err.message.replace(/ \(\d+:\d+\)$/, '')}` }
+  }
+  result.findings.forEach(finding => {
+    finding.taught = sectionOf(finding.feature, chapters)
+    delete finding.feature
+  })
+  return Object.assign({ file }, result)
+}
+
+// The latest edition among the syntax and APIs a chapter teaches
+function taughtEdition (chapter, data) {
+  let latest = null
+  data.editions.forEach(edition => {
+    if (edition.features.some(feature => feature.chapter === chapter.file && feature.kind !== 'semantics')) latest = edition.id
+  })
+  return latest
+}
+
+function checkChapter (chapter, data, chapters) {
+  const result = analyzeFile(path.relative(process.cwd(), chapter.path), data, chapters)
+  if (result.error) return Object.assign(result, { ok: false })
+  const ids = data.editions.map(edition => edition.id)
+  const expected = taughtEdition(chapter, data) || 'ES5'
+  const found = new Set(result.findings.map(finding => finding.id))
+  result.expected = expected
+  result.ok = ids.indexOf(result.minimum) <= ids.indexOf(expected)
+  // Taught in the comments only, the code does not use them. Features that
+  // the analyzer cannot find (`var`, `arguments`...) are left out
+  const detectable = detectableFeatures()
+  result.unused = []
+  data.editions.forEach(edition => edition.features.forEach(feature => {
+    if (feature.chapter !== chapter.file || feature.kind === 'semantics') return
+    if (detectable.has(feature.id) && !found.has(feature.id)) result.unused.push(feature.id)
+  }))
+  return result
+}
+
+function printFindings (result) {
+  result.findings.forEach(finding => {
+    const name = finding.name.replace(/`/g, '')
+    const likely = finding.confidence === 'likely' ? '?' : ' '
+    const edition = finding.edition || 'proposal'
+    const lines = finding.lines.length > 6 ? `${finding.lines.slice(0, 6).join(', ')}...` : finding.lines.join(', ')
+    console.log(`  ${edition.padEnd(8)}${likely} ${name} (line${finding.lines.length === 1 ? '' : 's'} ${lines})`)
+    if (finding.taught) {
+      const { file, line, title, chapter, index } = finding.taught
+      console.log(`             see ${file}:${line} ${title} (learn run ${chapter} ${index})`)
+    }
+  })
+}
+
+function printResult (result) {
+  if (result.error) {
+    console.log(result.error)
+    return
+  }
+  console.log(`${result.file} requires ${result.minimum} (${result.sourceType})`)
+  printFindings(result)
+  if (result.findings.some(finding => finding.confidence === 'likely')) {
+    console.log('  ? likely: a method or property of that name, the receiver type is unknown')
+  }
+}
+
+function printCheck (result) {
+  if (result.error) {
+    console.log(`FAIL ${result.error}`)
+    return
+  }
+  const status = result.ok ? 'ok  ' : 'FAIL'
+  console.log(`${status} ${result.file} requires ${result.minimum}, teaches up to ${result.expected}`)
+  if (!result.ok) printFindings(result)
+  if (result.unused.length) console.log(`     taught but not used in the code: ${result.unused.join(', ')}`)
+}
+
+module.exports = {
+  usage: 'learn requires <file...> [--json]\n       learn requires --chapters [chapter...] [--json]',
+  summary: 'Tell the minimum ES edition a source file requires',
+  options: { boolean: ['chapters', 'json'] },
+
+  main ({ positionals, flags }) {
+    const data = loadEditions()
+    const chapters = new Map()
+
+    if (flags.chapters) {
+      const selected = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+      const results = selected
+        .filter(chapter => fs.readFileSync(chapter.path, 'utf8').trim())
+        .map(chapter => checkChapter(chapter, data, chapters))
+      if (flags.json) console.log(JSON.stringify(results, null, 2))
+      else results.forEach(printCheck)
+      return results.every(result => result.ok) ? 0 : 1
+    }
+
+    if (!positionals.length) throw new UsageError('Missing the file to analyze, e.g. `learn requires dist/bundle.js`')
+    const results = positionals.map(file => analyzeFile(file, data, chapters))
+    if (flags.json) {
+      console.log(JSON.stringify(results, null, 2))
+    } else {
+      results.forEach((result, i) => {
+        if (i) console.log('')
+        printResult(result)
+      })
+    }
+    return results.some(result => result.error) ? 1 : 0
+  }
+}
@@ -0,0 +1,64 @@
+// learn run <chapter> [section]
+// Runs each section of a chapter in its own vm context and prints what it logs.
+// The sections run count for the learner's progress (see learn status)
+
+const { findChapter, loadChapter, findSection } = require('../chapters')
+const { runSection, DEFAULT_TIMEOUT } = require('../sandbox')
+const { recordProgress, sectionKeysOf } = require('../progress')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+
+function formatResult (result) {
+  const { section, output, error } = result
+  const lines = [`[${section.index}] ${section.title} (lines ${section.start}-${section.end})`]
+  output.forEach(entry => {
+    const prefix = entry.stream === 'stderr' ? '  ! ' : '  | '
+    entry.text.split('\n').forEach(text => lines.push(prefix + text))
+  })
+  if (!output.length && !error) lines.push('  (no output)')
+  if (error) {
+    const where = error.line ? ` (line ${error.line})` : ''
+    lines.push(`  x ${error.name}: ${error.message}${where}`)
+  }
+  return lines.join('\n')
+}
+
+function toJSON (result) {
+  const { section, output, error } = result
+  return {
+    index: section.index,
+    title: section.title,
+    slug: section.slug,
+    start: section.start,
+    end: section.end,
+    output,
+    error
+  }
+}
+
+module.exports = {
+  usage: 'learn run <chapter> [section] [--json] [--timeout ms]',
+  summary: 'Run a chapter section by section, each in an isolated vm context',
+  options: { boolean: ['json'], string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    const [chapterQuery, sectionQuery] = positionals
+    if (!chapterQuery) throw new UsageError('Missing <chapter>')
+
+    const chapter = loadChapter(findChapter(chapterQuery))
+    const sections = sectionQuery ? [findSection(chapter, sectionQuery)] : chapter.sections
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+    const results = sections.map(section => runSection(chapter, section, { timeout }))
+    const keys = sectionKeysOf(chapter)
+    recordProgress('ran', sections.map(section => keys[section.index - 1]))
+
+    if (flags.json) {
+      console.log(JSON.stringify({ chapter: chapter.file, sections: results.map(toJSON) }, null, 2))
+    } else {
+      console.log(chapter.file)
+      if (!results.length) console.log('  (no sections)')
+      results.forEach(result => console.log(formatResult(result)))
+    }
+    return 0
+  }
+}
@@ -0,0 +1,152 @@
+// learn scope <chapter> [section] [--examples] [--json]
+// learn scope --file path | --code snippet [--json]
+// Lists the bindings of a snippet with their kind, their scope, where they
+// are hoisted to and their TDZ, then the redeclarations and the TDZ reads
+//
+// Without a section, the whole chapter is analyzed as the single script it is.
+// --examples uncomments the commented-out error examples of the chapter one at
+// a time (`// let count = 40 // => throw Syntax error`) and reports what the
+// analyzer finds on their lines
+
+const fs = require('fs')
+const { findChapter, loadChapter, findSection } = require('../chapters')
+const { collectErrorExamples } = require('../error-examples')
+const { analyzeScopes } = require('../scopes')
+const { UsageError } = require('../errors')
+
+const LABELS = {
+  redeclaration: 'ERROR',
+  const: 'ERROR',
+  syntax: 'ERROR',
+  tdz: 'ERROR'
+}
+
+function label (problem) {
+  return problem.severity === 'warning' ? 'WARN ' : LABELS[problem.type]
+}
+
+function analyze (code, name, lineOffset) {
+  try {
+    return analyzeScopes(code, { lineOffset })
+  } catch (err) {
+    const where = err.loc ? `:${err.loc.line + lineOffset}:${err.loc.column + 1}` : ''
+    throw new UsageError(`${name}${where}: ${err.message.replace(/ \(\d+:\d+\)$/, '')}`)
+  }
+}
+
+function printAnalysis (result) {
+  if (!result.bindings.length) console.log('  (no bindings)')
+  result.bindings.forEach(binding => {
+    const where = binding.declarations.map(({ line, column }) => `${line}:${column}`).join(', ')
+    console.log(`  ${binding.kind.padEnd(9)} ${binding.name.padEnd(16)} ${where} in ${binding.scope}`)
+    console.log(`  ${''.padEnd(9)} ${binding.hoisted}`)
+    if (binding.tdz) {
+      const { start, end } = binding.tdz
+      console.log(`  ${''.padEnd(9)} TDZ ${start.line}:${start.column}-${end.line}:${end.column}`)
+    }
+  })
+  printProblems(result.problems)
+}
+
+function printProblems (problems, indent = '  ') {
+  if (!problems.length) return
+  console.log('')
+  problems.forEach(problem => console.log(`${indent}${label(problem)} ${problem.line}:${problem.column} ${problem.message}`))
+}
+
+// Chapter source with a commented-out example uncommented: redeclarations
+// only exist at the scale of the whole script
+function withExample (chapter, section, example) {
+  const lines = chapter.source.split(/\r?\n/)
+  for (let i = example.range.first; i <= example.range.last; i++) {
+    const index = i + section.start - 1
+    lines[index] = lines[index].replace(/^(\s*)\/\/ ?/, '$1')
+  }
+  return lines.join('\n')
+}
+
+function checkExamples (chapter, sections) {
+  const results = []
+  sections.forEach(section => {
+    collectErrorExamples(section).forEach(example => {
+      if (example.live || !example.range) return
+      const first = example.range.first + section.start
+      const last = example.range.last + section.start
+      const base = { section: section.title, line: example.line, code: example.code, note: example.note }
+      let result
+      try {
+        result = analyzeScopes(withExample(chapter, section, example))
+      } catch (err) {
+        results.push(Object.assign(base, { error: err.message.replace(/ \(\d+:\d+\)$/, ''), problems: [] }))
+        return
+      }
+      const problems = result.problems.filter(problem => problem.line >= first && problem.line <= last)
+      results.push(Object.assign(base, { problems }))
+    })
+  })
+  return results
+}
+
+function printExamples (chapter, results) {
+  console.log(chapter.file)
+  if (!results.length) console.log('  (no commented-out error examples)')
+  results.forEach(result => {
+    console.log(`  ${chapter.file}:${result.line} ${result.section}`)
+    console.log(`        ${result.code} // ${result.note}`)
+    if (result.error) console.log(`        does not parse: ${result.error}`)
+    else if (!result.problems.length) console.log('        no scope problem found')
+    else printProblems(result.problems, '        ')
+  })
+}
+
+module.exports = {
+  usage: 'learn scope <chapter> [section] [--examples] [--json]\n       learn scope --file path [--json]\n       learn scope --code snippet [--json]',
+  summary: 'Show the bindings of a snippet, where they are hoisted and their TDZ',
+  options: { boolean: ['examples', 'json'], string: ['file', 'code'] },
+
+  main ({ positionals, flags }) {
+    if (flags.code !== undefined || flags.file !== undefined) {
+      if (positionals.length) throw new UsageError('Use either <chapter>, --file or --code')
+      let code = flags.code
+      const name = flags.file !== undefined ? flags.file : 'snippet'
+      if (flags.file !== undefined) {
+        try {
+          code = fs.readFileSync(flags.file, 'utf8')
+        } catch (err) {
+          throw new UsageError(`Cannot read ${flags.file}: ${err.code || err.message}`)
+        }
+      }
+      const result = analyze(code, name, 0)
+      if (flags.json) {
+        console.log(JSON.stringify(Object.assign({ file: name }, result), null, 2))
+      } else {
+        console.log(`${name} (${result.sourceType})`)
+        printAnalysis(result)
+      }
+      return result.problems.length ? 1 : 0
+    }
+
+    const [chapterQuery, sectionQuery] = positionals
+    if (!chapterQuery) throw new UsageError('Missing <chapter>, --file or --code')
+    const chapter = loadChapter(findChapter(chapterQuery))
+    const section = sectionQuery ? findSection(chapter, sectionQuery) : null
+
+    if (flags.examples) {
+      const results = checkExamples(chapter, section ? [section] : chapter.sections)
+      if (flags.json) console.log(JSON.stringify({ chapter: chapter.file, examples: results }, null, 2))
+      else printExamples(chapter, results)
+      return 0
+    }
+
+    const result = section
+      ? analyze(section.code, `${chapter.file}`, section.start - 1)
+      : analyze(chapter.source, chapter.file, 0)
+    if (flags.json) {
+      console.log(JSON.stringify(Object.assign({ chapter: chapter.file, section: section ? section.title : null }, result), null, 2))
+    } else {
+      console.log(section ? `${chapter.file} [${section.index}] ${section.title} (lines ${section.start}-${section.end})` : chapter.file)
+      printAnalysis(result)
+    }
+    return result.problems.length ? 1 : 0
+  }
+}
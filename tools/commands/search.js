@@ -0,0 +1,48 @@
+// learn search <query...> [--limit n] [--code | --prose] [--json]
+// Ranked full-text search over the titles, the comments and the code of every
+// chapter section:
+//   learn search "enumeration order"
+// prints the sections that contain the words, best first, with the lines
+// where they appear
+
+const { listChapters, loadChapter } = require('../chapters')
+const { buildIndex, search } = require('../search')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const { bold, dim } = require('../colors')
+
+function fieldsOf (flags) {
+  if (flags.code && flags.prose) throw new UsageError('--code and --prose cannot be combined')
+  if (flags.code) return ['code']
+  if (flags.prose) return ['title', 'prose']
+  return undefined
+}
+
+module.exports = {
+  usage: 'learn search <query...> [--limit n] [--code | --prose] [--json]',
+  summary: 'Search the prose and the code of every chapter',
+  options: { boolean: ['code', 'prose', 'json'], string: ['limit'] },
+
+  main ({ positionals, flags }) {
+    const query = positionals.join(' ').trim()
+    if (!query) throw new UsageError('Missing the query, e.g. learn search "enumeration order"')
+    const limit = numberFlag(flags, 'limit', 10)
+    const index = buildIndex(listChapters().map(loadChapter))
+    const results = search(index, query, { limit, fields: fieldsOf(flags) })
+
+    if (flags.json) {
+      console.log(JSON.stringify(results, null, 2))
+      return results.length ? 0 : 1
+    }
+    if (!results.length) {
+      console.log(`No section matches "${query}"`)
+      return 1
+    }
+    results.forEach((result, i) => {
+      if (i) console.log('')
+      console.log(`${bold(`${result.chapter}:${result.section.start}`)} [${result.section.index}] ${result.section.title} ${dim(`(${result.matched} words, score ${result.score})`)}`)
+      result.lines.forEach(({ line, text }) => console.log(`  ${String(line).padStart(4)} ${text.trim()}`))
+    })
+    return 0
+  }
+}
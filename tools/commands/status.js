@@ -0,0 +1,87 @@
+// learn status [chapter...] [--learner name] [--json]
+// Prints how far a learner went through each chapter: the sections complete,
+// and how many were run (learn run), quizzed (learn quiz) and solved (learn
+// verify) out of those that have something to run, ask or solve. With
+// chapters, every section of them is listed with what is left to do
+//
+// The learner is --learner, else $LEARN_USER, else the login name. Progress is
+// kept in the learn directory (see tools/progress.js)
+
+const { listChapters, findChapter, loadChapter } = require('../chapters')
+const { STORE, ACTIVITIES, learnerName, loadProgress, chapterProgress } = require('../progress')
+const { storePath } = require('../store')
+const { bold, dim, green } = require('../colors')
+
+const BAR_WIDTH = 20
+const COMMANDS = { ran: 'learn run', quizzed: 'learn quiz', exercises: 'learn verify' }
+
+function bar (done, total) {
+  const filled = total ? Math.round(BAR_WIDTH * done / total) : 0
+  return green('█'.repeat(filled)) + dim('░'.repeat(BAR_WIDTH - filled))
+}
+
+// `ran 3/14` for each activity some section of the chapter needs
+function activityCounts (chapter) {
+  return ACTIVITIES.map(activity => {
+    const needing = chapter.sections.filter(section => section.needs.includes(activity))
+    if (!needing.length) return ''
+    const done = needing.filter(section => section.done[activity]).length
+    return `${activity} ${done}/${needing.length}`.padEnd(14)
+  }).join('').trimEnd()
+}
+
+function printSummary (chapters) {
+  const width = Math.max(...chapters.map(chapter => chapter.chapter.length))
+  chapters.forEach(chapter => {
+    const total = chapter.sections.length
+    if (!total) {
+      console.log(`  ${chapter.chapter.padEnd(width)}  ${dim('(no section yet)')}`)
+      return
+    }
+    const sections = `${chapter.complete}/${total}`.padStart(5)
+    console.log(`  ${chapter.chapter.padEnd(width)}  ${bar(chapter.complete, total)} ${sections} sections  ${dim(activityCounts(chapter))}`)
+  })
+  const complete = chapters.reduce((sum, chapter) => sum + chapter.complete, 0)
+  const total = chapters.reduce((sum, chapter) => sum + chapter.sections.length, 0)
+  console.log('')
+  console.log(`${complete}/${total} sections complete` + dim('  (learn status <chapter> for the details, learn next for what to read)'))
+}
+
+function printSections (chapter) {
+  console.log(`${bold(chapter.chapter)}  ${chapter.complete}/${chapter.sections.length} sections complete`)
+  if (!chapter.sections.length) console.log(dim('  (no section yet)'))
+  chapter.sections.forEach(section => {
+    const left = section.needs.filter(activity => !section.done[activity])
+    const mark = section.complete ? green('✓') : ' '
+    const todo = left.map(activity => `${COMMANDS[activity]} ${chapter.number}${activity === 'ran' ? ` ${section.index}` : ''}`)
+    console.log(`  ${mark} ${`[${section.index}]`.padStart(4)} ${section.title}${todo.length ? dim(`  (${todo.join(', ')})`) : ''}`)
+  })
+}
+
+module.exports = {
+  usage: 'learn status [chapter...] [--learner name] [--json]',
+  summary: 'Show how much of each chapter a learner completed',
+  options: { boolean: ['json'], string: ['learner'] },
+
+  main ({ positionals, flags }) {
+    const learner = flags.learner || learnerName()
+    const files = positionals.length ? positionals.map(query => findChapter(query)) : listChapters()
+    const chapters = chapterProgress(files.map(loadChapter), loadProgress(), learner)
+
+    if (flags.json) {
+      console.log(JSON.stringify({ learner, chapters }, null, 2))
+      return 0
+    }
+    console.log(`Progress of ${bold(learner)}` + dim(`  (kept in ${storePath(STORE)})`))
+    console.log('')
+    if (positionals.length) {
+      chapters.forEach((chapter, i) => {
+        if (i) console.log('')
+        printSections(chapter)
+      })
+    } else {
+      printSummary(chapters)
+    }
+    return 0
+  }
+}
@@ -0,0 +1,79 @@
+// learn verify [chapter...] [--file solution.js] [--timeout ms] [--memory mb] [--json]
+// Runs the hidden tests of the exercises/ files and reports pass/fail per
+// exercise, with a hint and the chapter section to read again on failure.
+// The sections of the exercises solved in exercises/ count for the learner's
+// progress (see learn status), not those solved in another --file
+
+const path = require('path')
+const { listChapters, findChapter, loadChapter, ROOT } = require('../chapters')
+const { verifyChapter, hasExercises, DEFAULT_LIMITS } = require('../verify')
+const { recordProgress, sectionKeysOf } = require('../progress')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+
+const MARKS = { pass: 'ok  ', fail: 'FAIL', error: 'ERR ', timeout: 'TIME', memory: 'MEM ', unreached: 'SKIP' }
+
+// Paths relative to the working directory, unless they are outside of it
+function displayPath (file) {
+  const relative = path.relative(process.cwd(), file)
+  return relative && !relative.startsWith('..') ? relative : file
+}
+
+function printReport (chapter, report) {
+  console.log(`${chapter.file} (${displayPath(report.file)})`)
+  report.exercises.forEach(exercise => {
+    const passed = exercise.tests.filter(test => test.status === 'pass').length
+    console.log(`  ${exercise.status === 'pass' ? 'ok  ' : 'FAIL'}  ${exercise.name} (${passed}/${exercise.tests.length})`)
+    if (exercise.status === 'pass') return
+    exercise.tests.forEach(test => {
+      console.log(`        ${MARKS[test.status]}  ${test.name}`)
+      if (test.message) console.log(`              ${test.message.split('\n')[0]}`)
+    })
+    console.log(`        Hint: ${exercise.hint}`)
+    if (exercise.section) {
+      const { index, title, line } = exercise.section
+      console.log(`        Read: ${displayPath(path.join(ROOT, chapter.file))}:${line} ${title} (learn run ${chapter.number} ${index})`)
+    }
+  })
+}
+
+function recordSolved (chapter, report) {
+  const keys = sectionKeysOf(chapter)
+  const solved = report.exercises.filter(exercise => exercise.status === 'pass' && exercise.section)
+  recordProgress('exercises', solved.map(exercise => keys[exercise.section.index - 1]))
+}
+
+module.exports = {
+  usage: 'learn verify [chapter...] [--file solution.js] [--timeout ms] [--memory mb] [--json]',
+  summary: 'Check your solutions to the exercises against the hidden tests',
+  options: { boolean: ['json'], string: ['file', 'timeout', 'memory'] },
+
+  async main ({ positionals, flags }) {
+    const chapters = positionals.length
+      ? positionals.map(query => findChapter(query))
+      : listChapters().filter(hasExercises)
+    const missing = chapters.filter(chapter => !hasExercises(chapter))
+    if (missing.length) {
+      throw new UsageError(`No exercises for ${missing.map(chapter => chapter.file).join(', ')}`)
+    }
+    if (flags.file && chapters.length !== 1) {
+      throw new UsageError('--file needs exactly one chapter')
+    }
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_LIMITS.timeout)
+    const memory = numberFlag(flags, 'memory', DEFAULT_LIMITS.memory)
+
+    const reports = []
+    for (const chapter of chapters.map(loadChapter)) {
+      const report = await verifyChapter(chapter, { file: flags.file, timeout, memory })
+      reports.push(report)
+      if (!flags.file) recordSolved(chapter, report)
+      if (!flags.json) printReport(chapter, report)
+    }
+
+    const exercises = [].concat(...reports.map(report => report.exercises))
+    const passed = exercises.filter(exercise => exercise.status === 'pass').length
+    if (flags.json) console.log(JSON.stringify(reports, null, 2))
+    else console.log(`\n${passed}/${exercises.length} exercises solved`)
+    return passed === exercises.length ? 0 : 1
+  }
+}
@@ -0,0 +1,126 @@
+// learn watch <chapter...> [--timeout ms]
+// Runs the chapters, then runs again the sections that change on every save:
+// a colored diff of their output against the previous run, and their `// =>`
+// annotations that do not hold. Ctrl+C stops watching
+
+const fs = require('fs')
+const path = require('path')
+const { findChapter } = require('../chapters')
+const { createWatcher } = require('../watch')
+const { hunks } = require('../diff')
+const { DEFAULT_TIMEOUT } = require('../sandbox')
+const { numberFlag } = require('../args')
+const { UsageError } = require('../errors')
+const colors = require('../colors')
+
+// Saves often come as several events (truncate, then write)
+const DEBOUNCE = 100
+
+const DIFF_COLORS = { ' ': colors.dim, '-': colors.red, '+': colors.green }
+
+function sectionHeader (section) {
+  return `[${section.index}] ${section.title} (lines ${section.start}-${section.end})`
+}
+
+function annotationSummary (results) {
+  const failed = results.filter(result => result.status !== 'pass')
+  if (!results.length) return ''
+  if (!failed.length) return colors.green(`${results.length} ok`)
+  return colors.red(`${failed.length} of ${results.length} failing`)
+}
+
+function printFailures (chapter, results) {
+  results.forEach(result => {
+    if (result.status === 'pass') return
+    const where = `${chapter.file}:${result.line}`
+    const actual = result.status === 'unreached'
+      ? 'never evaluated'
+      : `${result.status === 'error' ? 'threw' : 'got'} ${result.actual}`
+    console.log(`    ${colors.red(result.status.toUpperCase().padEnd(5))} ${where} ${result.expression}`)
+    console.log(`          expected ${result.expected}, ${actual}`)
+  })
+}
+
+function printChange (chapter, change) {
+  console.log(colors.bold(sectionHeader(change.section)) + (change.status === 'added' ? ` ${colors.cyan('new')}` : ''))
+  if (change.diff) {
+    const groups = hunks(change.diff, 2)
+    if (!groups.length) console.log(colors.dim('  output unchanged'))
+    groups.forEach(hunk => hunk.lines.forEach(op => console.log(DIFF_COLORS[op.type](`  ${op.type} ${op.text}`))))
+  } else {
+    change.lines.forEach(line => console.log(colors.dim(`  | ${line}`)))
+  }
+  const summary = annotationSummary(change.results)
+  if (summary) console.log(`  annotations: ${summary}`)
+  printFailures(chapter, change.results)
+}
+
+function printInitial (chapter, report) {
+  console.log(colors.bold(`${chapter.file}: ${report.sections} sections`))
+  report.changes.forEach(change => {
+    const error = change.error ? colors.red(` x ${change.error.name}: ${change.error.message}`) : ''
+    const summary = annotationSummary(change.results)
+    console.log(`  ${sectionHeader(change.section)}${summary ? `  ${summary}` : ''}${error}`)
+    printFailures(chapter, change.results)
+  })
+}
+
+function printUpdate (chapter, report) {
+  const time = new Date().toTimeString().slice(0, 8)
+  const count = report.changes.length
+  console.log(`\n${colors.dim(time)} ${colors.bold(chapter.file)}: ${count ? `${count} of ${report.sections} sections changed` : 'no section changed'}`)
+  report.removed.forEach(title => console.log(colors.yellow(`removed: ${title}`)))
+  report.changes.forEach(change => printChange(chapter, change))
+}
+
+function watchChapter (chapter, { timeout }) {
+  const watcher = createWatcher(chapter, { timeout })
+  let source = fs.readFileSync(chapter.path, 'utf8')
+  printInitial(chapter, watcher.update(source))
+
+  let pending = null
+  const onEvent = (event, filename) => {
+    if (filename && filename !== path.basename(chapter.path)) return
+    clearTimeout(pending)
+    pending = setTimeout(() => {
+      let next
+      try {
+        next = fs.readFileSync(chapter.path, 'utf8')
+      } catch (err) {
+        // Editors that save by renaming remove the file for a moment
+        return
+      }
+      if (next === source) return
+      source = next
+      printUpdate(chapter, watcher.update(source))
+    }, DEBOUNCE)
+  }
+  // The directory is watched rather than the file: saving by renaming would
+  // replace the watched file
+  const fsWatcher = fs.watch(path.dirname(chapter.path), onEvent)
+  return () => {
+    clearTimeout(pending)
+    fsWatcher.close()
+  }
+}
+
+module.exports = {
+  usage: 'learn watch <chapter...> [--timeout ms]',
+  summary: 'Re-run the edited sections of a chapter on every save and diff their output',
+  options: { string: ['timeout'] },
+
+  main ({ positionals, flags }) {
+    if (!positionals.length) throw new UsageError('Missing <chapter>')
+    const chapters = positionals.map(query => findChapter(query))
+    const timeout = numberFlag(flags, 'timeout', DEFAULT_TIMEOUT)
+
+    const stops = chapters.map(chapter => watchChapter(chapter, { timeout }))
+    console.log(colors.dim('\nWatching for changes, Ctrl+C to stop'))
+    return new Promise(resolve => {
+      process.once('SIGINT', () => {
+        stops.forEach(stop => stop())
+        resolve(0)
+      })
+    })
+  }
+}
@@ -0,0 +1,46 @@
+// learn when <feature> [--json]
+// Which edition introduced a feature, and where the chapters teach it:
+//   learn when Object.assign  ->  ES2015, 04-objects.js
+//   learn when '??'           ->  ES2020
+
+const { loadEditions, searchFeatures, sectionOf } = require('../editions')
+const { UsageError } = require('../errors')
+
+function stageLabel (feature) {
+  if (feature.stage === 4) return 'stage 4 (finished)'
+  if (feature.stage === null) return 'before the TC-39 stages'
+  return `stage ${feature.stage} (not in an edition yet)`
+}
+
+module.exports = {
+  usage: 'learn when <feature> [--json]',
+  summary: 'Tell which ES edition introduced a feature',
+  options: { boolean: ['json'] },
+
+  main ({ positionals, flags }) {
+    if (!positionals.length) throw new UsageError('Missing the feature to look for, e.g. `learn when Object.assign`')
+    const query = positionals.join(' ')
+    const data = loadEditions()
+    const chapters = new Map()
+    const found = searchFeatures(data, query).map(feature => Object.assign({}, feature, { taught: sectionOf(feature, chapters) }))
+
+    if (flags.json) {
+      console.log(JSON.stringify(found, null, 2))
+      return found.length ? 0 : 1
+    }
+    if (!found.length) {
+      console.log(`No feature matches "${query}" (see data/es-editions.json)`)
+      return 1
+    }
+    found.forEach(feature => {
+      const edition = feature.edition ? `${feature.edition} (${feature.year})` : `proposal, as of ${data.proposalsAsOf}`
+      console.log(`${feature.name.replace(/`/g, '')}: ${edition}`)
+      console.log(`  ${feature.kind}, ${stageLabel(feature)}`)
+      if (feature.taught) {
+        const { file, line, title, chapter, index } = feature.taught
+        console.log(`  Taught in ${file}:${line} ${title} (learn run ${chapter} ${index})`)
+      }
+    })
+    return 0
+  }
+}
@@ -0,0 +1,104 @@
+// Line diffs in the unified format of `diff -u` and git
+// The texts compared here differ in a few places (one rewrite, one edited
+// section), so the common head and tail are trimmed and only what remains
+// goes through the quadratic longest common subsequence
+
+function splitLines (text) {
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
+
+// [{ type: ' ' | '-' | '+', text, a, b }], `a` and `b` being the 1-based
+// line numbers in each text (the line that follows, for an added or a
+// removed line)
+function diffLines (before, after) {
+  const a = typeof before === 'string' ? splitLines(before) : before
+  const b = typeof after === 'string' ? splitLines(after) : after
+  let head = 0
+  while (head < a.length && head < b.length && a[head] === b[head]) head++
+  let tail = 0
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++
+
+  const n = a.length - head - tail
+  const m = b.length - head - tail
+  // lengths[i][j]: longest common subsequence of a[head + i..] and b[head + j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = a[head + i] === b[head + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const ops = []
+  const push = (type, text, i, j) => ops.push({ type, text, a: i + 1, b: j + 1 })
+  for (let k = 0; k < head; k++) push(' ', a[k], k, k)
+  let i = 0
+  let j = 0
+  while (i < n || j < m) {
+    if (i < n && j < m && a[head + i] === b[head + j]) {
+      push(' ', a[head + i], head + i, head + j)
+      i++
+      j++
+    } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('-', a[head + i], head + i, head + j)
+      i++
+    } else {
+      push('+', b[head + j], head + i, head + j)
+      j++
+    }
+  }
+  for (let k = tail; k > 0; k--) push(' ', a[a.length - k], a.length - k, b.length - k)
+  return ops
+}
+
+// Groups the changes with `context` unchanged lines around them
+function hunks (ops, context = 3) {
+  const groups = []
+  let current = null
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return
+    const start = Math.max(0, index - context)
+    if (current && start <= current.end + 1) {
+      current.end = Math.min(ops.length - 1, index + context)
+    } else {
+      current = { start, end: Math.min(ops.length - 1, index + context) }
+      groups.push(current)
+    }
+  })
+  return groups.map(({ start, end }) => {
+    const lines = ops.slice(start, end + 1)
+    const count = type => lines.filter(op => op.type === ' ' || op.type === type).length
+    const oldCount = count('-')
+    const newCount = count('+')
+    // An empty side is numbered after the line it follows, as diff -u does
+    const oldStart = oldCount ? lines[0].a : lines[0].a - 1
+    const newStart = newCount ? lines[0].b : lines[0].b - 1
+    return { oldStart, oldCount, newStart, newCount, lines }
+  })
+}
+
+function range (start, count) {
+  return count === 1 ? String(start) : `${start},${count}`
+}
+
+// `--- from` / `+++ to` headers then the hunks, '' when nothing changed
+function unifiedDiff (before, after, { from = 'a', to = 'b', context = 3 } = {}) {
+  const groups = hunks(diffLines(before, after), context)
+  if (!groups.length) return ''
+  const out = [`--- ${from}`, `+++ ${to}`]
+  groups.forEach(hunk => {
+    out.push(`@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@`)
+    hunk.lines.forEach(op => out.push(op.type + op.text))
+  })
+  return out.join('\n') + '\n'
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  hunks,
+  unifiedDiff
+}
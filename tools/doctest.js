@@ -0,0 +1,179 @@
+// Doctest verifier for the expected-output comments of the chapters
+//
+//   console.log(someValue) // => "abc"
+//
+// Every annotated console.log() statement of a section is rewritten into
+//
+//   __doctest__(id, () => [someValue])
+//
+// and the section runs in its own sandbox. The checker evaluates the arguments,
+// compares them with the annotation and still logs them, so the rest of the
+// section behaves as before. An annotated expression that throws does not stop
+// the section: it is recorded against its line instead
+//
+// By default a section sees the bindings of the sections above it (see
+// bindings.js), `isolated: true` runs every section on its own
+
+const walk = require('acorn-walk')
+const { parse, trailingComments } = require('./parse')
+const { carryBindings } = require('./bindings')
+const { createSandbox, DEFAULT_TIMEOUT } = require('./sandbox')
+const {
+  parseExpectation,
+  matchValue,
+  describeValue,
+  describeExpectation
+} = require('./expectations')
+
+function isConsoleLog (node) {
+  const callee = node.expression.callee
+  return node.expression.type === 'CallExpression' &&
+    callee.type === 'MemberExpression' &&
+    !callee.computed &&
+    callee.object.type === 'Identifier' && callee.object.name === 'console' &&
+    callee.property.type === 'Identifier' && callee.property.name === 'log'
+}
+
+// Finds the annotated console.log() statements of a section
+// Lines are chapter lines, `skipped` counts comments that are not expectations
+function collectAnnotations (section) {
+  const comments = []
+  let ast
+  try {
+    ast = parse(section.code, { comments })
+  } catch (err) {
+    return { annotations: [], skipped: 0, error: { name: 'SyntaxError', message: err.message, line: err.loc ? err.loc.line + section.start - 1 : null } }
+  }
+
+  const byLine = trailingComments(section.code, comments)
+  const annotations = []
+  let skipped = 0
+
+  walk.simple(ast, {
+    ExpressionStatement (node) {
+      if (!isConsoleLog(node) || !node.expression.arguments.length) return
+      const comment = byLine.get(node.loc.end.line)
+      if (!comment || comment.start < node.end) return
+      const expectation = parseExpectation(comment.value)
+      if (!expectation) {
+        skipped++
+        return
+      }
+      const args = node.expression.arguments
+      annotations.push({
+        id: annotations.length,
+        line: node.loc.end.line + section.start - 1,
+        node,
+        expression: section.code.slice(args[0].start, args[args.length - 1].end),
+        expectation
+      })
+    }
+  })
+
+  return { annotations, skipped, error: null }
+}
+
+function newlinesIn (text) {
+  return text.replace(/[^\n]/g, '')
+}
+
+// Rewrites the annotated statements, keeping every other line where it was
+function instrument (section, annotations) {
+  let code = section.code
+  annotations
+    .slice()
+    .sort((a, b) => b.node.start - a.node.start)
+    .forEach(({ id, node }) => {
+      const args = node.expression.arguments
+      const first = args[0]
+      const last = args[args.length - 1]
+      const replacement =
+        `__doctest__(${id}, () => [` + newlinesIn(code.slice(node.start, first.start)) +
+        code.slice(first.start, last.end) +
+        '])' + newlinesIn(code.slice(last.end, node.end)) + ';'
+      code = code.slice(0, node.start) + replacement + code.slice(node.end)
+    })
+  return code
+}
+
+function check (annotation, evaluation) {
+  const { expectation } = annotation
+  if (expectation.kind === 'error') {
+    if (!evaluation.error) return { status: 'fail', actual: describeValue(evaluation.args) }
+    if (expectation.errorName && evaluation.error.name !== expectation.errorName) {
+      return { status: 'fail', actual: `${evaluation.error.name}: ${evaluation.error.message}` }
+    }
+    return { status: 'pass', actual: evaluation.error.name }
+  }
+  if (evaluation.error) {
+    return { status: 'error', actual: `${evaluation.error.name}: ${evaluation.error.message}` }
+  }
+  if (matchValue(expectation, evaluation.args)) {
+    return { status: 'pass', actual: describeValue(evaluation.args) }
+  }
+  return { status: 'fail', actual: describeValue(evaluation.args) }
+}
+
+// Runs one section and checks each of its annotations
+// An annotation evaluated several times (inside a function called twice)
+// reports its first failure, an annotation never evaluated is 'unreached'
+function verifySection (chapter, section, { timeout = DEFAULT_TIMEOUT, globals = {} } = {}) {
+  const { annotations, skipped, error: parseError } = collectAnnotations(section)
+  if (parseError) return { section, results: [], skipped, error: parseError }
+
+  const evaluations = annotations.map(() => [])
+  const sandbox = createSandbox({
+    globals: {
+      ...globals,
+      __doctest__ (id, thunk) {
+        let args = []
+        let error = null
+        try {
+          args = thunk()
+        } catch (err) {
+          error = { name: err && err.name, message: err && err.message }
+        }
+        evaluations[id].push({ args, error })
+        if (!error) sandbox.context.console.log(...args)
+      }
+    }
+  })
+  const error = sandbox.run(instrument(section, annotations), {
+    filename: chapter.path,
+    lineOffset: section.start - 1,
+    timeout
+  })
+
+  const results = annotations.map(annotation => {
+    const base = {
+      line: annotation.line,
+      expression: annotation.expression,
+      expected: describeExpectation(annotation.expectation)
+    }
+    const runs = evaluations[annotation.id]
+    if (!runs.length) {
+      return Object.assign(base, { status: 'unreached', actual: null })
+    }
+    const checks = runs.map(evaluation => check(annotation, evaluation))
+    return Object.assign(base, checks.find(result => result.status !== 'pass') || checks[0])
+  })
+
+  return { section, results, skipped, error, output: sandbox.output, context: sandbox.context }
+}
+
+function verifyChapter (chapter, { timeout, isolated = false } = {}) {
+  const bindings = carryBindings()
+  return chapter.sections.map(section => {
+    const globals = isolated ? {} : bindings.globalsFor(section)
+    const verified = verifySection(chapter, section, { timeout, globals })
+    bindings.harvest(section, verified.context)
+    return verified
+  })
+}
+
+module.exports = {
+  collectAnnotations,
+  instrument,
+  verifySection,
+  verifyChapter
+}
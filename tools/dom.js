@@ -0,0 +1,106 @@
+// A minimal DOM stand-in for the browser-oriented examples
+// Only what the chapters use: `document.addEventListener()` and synthetic
+// events. Listeners are called as a browser calls them:
+//  - a function listener gets the target as `this` (the PageHandler1 mistake)
+//  - an object listener gets its handleEvent() method called on itself
+//  - a listener that throws does not stop the others: the error is reported
+//    (see `reportError`) and dispatching goes on
+
+class Event {
+  constructor (type, { cancelable = false } = {}) {
+    this.type = type
+    this.cancelable = cancelable
+    this.target = null
+    this.currentTarget = null
+    this.defaultPrevented = false
+    this.timeStamp = Date.now()
+    this.stopped = false
+  }
+
+  preventDefault () {
+    if (this.cancelable) this.defaultPrevented = true
+  }
+
+  stopImmediatePropagation () {
+    this.stopped = true
+  }
+}
+
+// `capture` and `once` may be given as a boolean (useCapture) or in an options object
+function listenerOptions (options) {
+  if (typeof options === 'boolean') return { capture: options, once: false }
+  const { capture = false, once = false } = options || {}
+  return { capture: Boolean(capture), once: Boolean(once) }
+}
+
+class EventTarget {
+  // `reportError(error, event)` receives the errors thrown by listeners
+  // By default they are rethrown once every listener ran
+  constructor ({ reportError = null } = {}) {
+    this.listeners = new Map()
+    this.reportError = reportError
+  }
+
+  addEventListener (type, listener, options) {
+    if (!listener) return
+    const { capture, once } = listenerOptions(options)
+    const listeners = this.listeners.get(type) || []
+    if (listeners.some(entry => entry.listener === listener && entry.capture === capture)) return
+    listeners.push({ listener, capture, once })
+    this.listeners.set(type, listeners)
+  }
+
+  removeEventListener (type, listener, options) {
+    const { capture } = listenerOptions(options)
+    const listeners = this.listeners.get(type) || []
+    this.listeners.set(type, listeners.filter(entry => entry.listener !== listener || entry.capture !== capture))
+  }
+
+  // Returns false when a listener called preventDefault() on a cancelable event
+  dispatchEvent (event) {
+    event.target = this
+    event.currentTarget = this
+    const errors = []
+    // Listeners added while dispatching are not called for this event
+    const listeners = (this.listeners.get(event.type) || []).slice()
+    for (const entry of listeners) {
+      if (event.stopped) break
+      if (entry.once) this.removeEventListener(event.type, entry.listener, entry)
+      try {
+        if (typeof entry.listener === 'function') {
+          entry.listener.call(this, event)
+        } else if (typeof entry.listener.handleEvent === 'function') {
+          entry.listener.handleEvent(event)
+        }
+      } catch (err) {
+        if (this.reportError) this.reportError(err, event)
+        else errors.push(err)
+      }
+    }
+    event.currentTarget = null
+    if (errors.length) throw errors[0]
+    return !event.defaultPrevented
+  }
+
+  listenerCount (type) {
+    return (this.listeners.get(type) || []).length
+  }
+}
+
+// The document of a page: an EventTarget with a click() shortcut
+class Document extends EventTarget {
+  constructor (options) {
+    super(options)
+    this.nodeName = '#document'
+  }
+
+  click () {
+    return this.dispatchEvent(new Event('click', { cancelable: true }))
+  }
+}
+
+module.exports = {
+  Event,
+  EventTarget,
+  Document
+}
@@ -0,0 +1,100 @@
+// The ECMAScript editions dataset: data/es-editions.json
+// notes/es-history.md tells the story, the dataset lists for each edition
+// (ES1 to ES2025) the features it introduced, with:
+//  - id:      a stable identifier, also used by the analyzer
+//  - name:    how the chapters write it, e.g. `Object.assign()`
+//  - kind:    'syntax', 'api' or 'semantics'
+//  - stage:   4 once finished, null for what predates the TC-39 stage process
+//  - aliases: other ways to search for it (`=>`, `...`, `??`)
+//  - chapter and section: where a chapter teaches it, when one does
+// Candidate proposals (stage 3) are listed apart, they belong to no edition yet
+
+const fs = require('fs')
+const path = require('path')
+const { ROOT, findChapter, loadChapter, findSection } = require('./chapters')
+
+const DATASET = path.join(ROOT, 'data', 'es-editions.json')
+
+function loadEditions (file = DATASET) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+// Every feature, with the id and year of its edition
+function allFeatures (data = loadEditions()) {
+  const features = []
+  data.editions.forEach(edition => {
+    edition.features.forEach(feature => features.push(Object.assign({ edition: edition.id, year: edition.year }, feature)))
+  })
+  data.proposals.forEach(feature => features.push(Object.assign({ edition: null, year: null }, feature)))
+  return features
+}
+
+function compact (text) {
+  return String(text).toLowerCase().replace(/\s+/g, '')
+}
+
+// Accepts `ES2018`, `es9`, `2018`, `ECMAScript 2018`, `ES5.1`...
+function findEdition (data, query) {
+  const wanted = compact(query)
+  return data.editions.find(edition =>
+    compact(edition.id) === wanted ||
+    String(edition.year) === wanted ||
+    edition.aliases.some(alias => compact(alias) === wanted)
+  ) || null
+}
+
+const RECEIVERS = { arr: 'array', str: 'string', fn: 'function' }
+
+// `Array.prototype.includes`, `arr.includes()` and `[].includes` all become
+// `array.includes`
+function normalize (text) {
+  return text.trim().toLowerCase()
+    .replace(/`/g, '')
+    .replace(/\(\s*\)$/, '')
+    .replace(/\.prototype\./, '.')
+    .replace(/^\[\]\./, 'array.')
+    .replace(/^(arr|str|fn)\./, (match, receiver) => `${RECEIVERS[receiver]}.`)
+}
+
+// The code snippets of a feature name: "`str.includes()`, `str.startsWith()`"
+function searchKeys (feature) {
+  const snippets = (feature.name.match(/`[^`]+`/g) || []).map(normalize)
+  return [feature.id, ...snippets, ...(feature.aliases || []).map(normalize)]
+}
+
+// Features matching `query`, best matches only:
+//  3. the id, an alias or a snippet of the name is the query
+//  2. the method name of a snippet is the query (`includes`)
+//  1. the name contains the query
+function searchFeatures (data, query) {
+  const wanted = normalize(query)
+  if (!wanted) return []
+  const scored = allFeatures(data).map(feature => {
+    const keys = searchKeys(feature)
+    let score = 0
+    if (keys.includes(wanted)) score = 3
+    else if (keys.some(key => key.split('.').pop() === wanted)) score = 2
+    else if (feature.name.toLowerCase().includes(wanted)) score = 1
+    return { feature, score }
+  })
+  const best = Math.max(...scored.map(entry => entry.score))
+  return best ? scored.filter(entry => entry.score === best).map(entry => entry.feature) : []
+}
+
+// Where a chapter teaches `feature`: { file, line, index, title } or null
+function sectionOf (feature, chapters = new Map()) {
+  if (!feature.chapter) return null
+  if (!chapters.has(feature.chapter)) chapters.set(feature.chapter, loadChapter(findChapter(feature.chapter)))
+  const chapter = chapters.get(feature.chapter)
+  const section = findSection(chapter, feature.section)
+  return { file: chapter.file, chapter: chapter.number, line: section.start, index: section.index, title: section.title }
+}
+
+module.exports = {
+  DATASET,
+  loadEditions,
+  allFeatures,
+  findEdition,
+  searchFeatures,
+  sectionOf
+}
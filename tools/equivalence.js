@@ -0,0 +1,599 @@
+// Equivalence checker: do the two versions of an example behave the same?
+//
+// The chapters often show an ES5 version and the ES6 version that replaces
+// it: `pick()` and `pick2()` in 03-functions.js, `mixin()` and
+// `Object.assign()` in 04-objects.js... findPairs() finds them in the
+// chapters:
+//  - functions named alike, `fn` and `fn2` or `makeRequest1` and
+//    `makeRequest3`: the ES5 versions go with the ES6 versions in order, and
+//    `fn` with `fn2` when both are of the same edition (a rewrite, like the
+//    hoisted `getValue2()`). The edition is the ES5 or ES6 of the section
+//    title, else the first one the code needs (see min-edition.js)
+//  - a function in a section named after a built-in it does not call,
+//    `mixin()` in the `Object.assign()` section
+//  - a loop that pushes the closures of an IIFE into an array, and the next
+//    `let` loop that pushes closures
+// The inputs are generated from how each parameter is used: the falsy values
+// for one that is tested or defaulted, accessors, symbol keys and inherited
+// properties for an object that is read, a frozen object for one that is
+// written... The edge cases written by hand in EXTRAS come on top. Every
+// input runs both versions in fresh vm contexts, and what can be observed is
+// compared:
+//  - the value returned, or the error thrown
+//  - the arguments after the call, which a mixin changes
+//  - the parameters once their defaults are applied
+//  - what was logged
+// For the loop pair, the input is the number of iterations, and what the
+// closures created in the loop log is compared with the loop variable after
+// the loop
+//
+//   mixin() vs Object.assign(), symbol-keyed property:
+//     argument 1 after the call   { name: "file.js" }   { name: "file.js", [Symbol(id)]: 1 }
+
+const vm = require('vm')
+const walk = require('acorn-walk')
+const { listChapters, findChapter, loadChapter, findSection } = require('./chapters')
+const { parse } = require('./parse')
+const { patternNames } = require('./bindings')
+const { analyzeSource } = require('./min-edition')
+const { createSandbox, DEFAULT_TIMEOUT } = require('./sandbox')
+const { typeOf } = require('../lib/type-of')
+
+const BOOK = "var book = { title: 'Understanding ECMAScript 6', author: 'Nicholas C. Zakas', year: 2015 }"
+const URL = "'http://google.com'"
+
+// Inputs of the makeRequest() pairs: the parameters after the defaults
+const REQUEST_INPUTS = [
+  { label: 'only the url', args: `[${URL}]` },
+  { label: 'timeout = 0', args: `[${URL}, 0]` },
+  { label: 'timeout = null', args: `[${URL}, null]` },
+  { label: "timeout = ''", args: `[${URL}, '']` },
+  { label: 'timeout skipped with undefined', args: `[${URL}, undefined, function done () {}]` },
+  { label: 'every argument', args: `[${URL}, 500, function done () {}]` },
+  { label: 'callback = null', args: `[${URL}, 500, null]` }
+]
+
+// The edge cases written by hand, by the name of the ES5 version (the array
+// of the closures for a loop): { setup, inputs: [{ label, args }] }, or
+// `iterations` for a loop
+const EXTRAS = {
+  getValue: {
+    inputs: [
+      { label: 'condition = true', args: '[true]' },
+      { label: 'truthy condition', args: "['blue']" }
+    ]
+  },
+  funcs: {
+    inputs: [{ label: '3 iterations', iterations: 3 }]
+  },
+  makeRequest1: { inputs: REQUEST_INPUTS },
+  makeRequest2: { inputs: REQUEST_INPUTS },
+  pick: {
+    setup: BOOK,
+    inputs: [
+      { label: 'the example of the chapter', args: "[book, 'author', 'year']" },
+      { label: 'accessor property', args: "[{ get year () { return 2015 } }, 'year']" },
+      { label: 'symbol key', args: "[{ [Symbol.for('id')]: 1 }, Symbol.for('id')]" },
+      { label: 'null object', args: "[null, 'year']" }
+    ]
+  },
+  mixin: {
+    inputs: [
+      { label: 'the example of the chapter', args: "[{}, { type: 'js', name: 'file.js' }]" },
+      { label: 'overwritten property', args: "[{ type: 'js' }, { type: 'css' }]" },
+      { label: 'two suppliers', args: "[{}, { type: 'js' }, { name: 'file.js' }]" }
+    ]
+  }
+}
+
+const LENGTH_INPUT = { label: 'function length' }
+
+// How a function uses a parameter, and the values to try for each use
+const USES = ['receiver', 'object', 'key', 'function', 'value']
+const TYPICAL = {
+  receiver: '{}',
+  object: "{ name: 'file.js', type: 'js' }",
+  key: "'name'",
+  function: 'function done () {}',
+  value: '1'
+}
+const VARIANTS = {
+  receiver: [
+    ['frozen', "Object.freeze({ name: 'app.js' })"],
+    ['setter', "{ set name (value) { console.log('set name to ' + value) } }"],
+    ['null', 'null']
+  ],
+  object: [
+    ['accessor property', "{ get name () { return 'file.js' } }"],
+    ['symbol-keyed property', "{ name: 'file.js', [Symbol('id')]: 1 }"],
+    ['non-enumerable property', "Object.defineProperty({}, 'name', { value: 'file.js' })"],
+    ['inherited property', "Object.create({ name: 'file.js' })"],
+    ['string', "'js'"],
+    ['null', 'null']
+  ],
+  key: [
+    ['missing key', "'publisher'"],
+    ['inherited key', "'toString'"],
+    ['symbol key', "Symbol.for('id')"],
+    ['array of keys', "['name', 'type']"]
+  ],
+  function: [
+    ['null', 'null'],
+    ['not a function', '1']
+  ],
+  value: ['undefined', 'null', '0', "''", 'false', 'NaN'].map(value => [value, value])
+}
+
+// { function, line, params, node } of the functions a chapter declares once
+function declaredFunctions (ast) {
+  const found = []
+  walk.full(ast, node => {
+    if (node.type === 'FunctionDeclaration') found.push(node)
+  })
+  return found.filter(node => found.filter(other => other.id.name === node.id.name).length === 1)
+}
+
+function sectionAt (chapter, line) {
+  return chapter.sections.find(section => line >= section.start && line <= section.end) || null
+}
+
+// 'ES5' or 'ES6'
+function editionOf (chapter, node) {
+  const section = sectionAt(chapter, node.loc.start.line)
+  if (section && /\bES5\b/.test(section.title)) return 'ES5'
+  if (section && /\b(ES6|ES2015)\b/.test(section.title)) return 'ES6'
+  return analyzeSource(chapter.source.slice(node.start, node.end)).minimum === 'ES5' ? 'ES5' : 'ES6'
+}
+
+function isParameterName (node, ancestors, name) {
+  if (node.type !== 'Identifier' || node.name !== name) return false
+  const parent = ancestors[ancestors.length - 2]
+  if (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return false
+  if (parent.type === 'Property' && parent.key === node && !parent.computed && !parent.shorthand) return false
+  return !(parent.type === 'AssignmentExpression' && parent.left === node)
+}
+
+// `arguments[i]` or `rest[i]`: an extra argument
+function isExtraArgument (node, names) {
+  return node.type === 'MemberExpression' && node.computed && node.object.type === 'Identifier' && names.includes(node.object.name)
+}
+
+// How the value of `node` is used, from its parents, or null
+function useOf (node, ancestors) {
+  const parent = ancestors[ancestors.length - 2]
+  const grandparent = ancestors[ancestors.length - 3]
+  switch (parent.type) {
+    case 'MemberExpression':
+      if (parent.object === node) return grandparent.type === 'AssignmentExpression' && grandparent.left === parent ? 'receiver' : 'object'
+      return 'key'
+    case 'CallExpression':
+      if (parent.callee === node) return 'function'
+      return parent.callee.type === 'MemberExpression' && parent.callee.object.name === 'Object' ? 'object' : null
+    case 'LogicalExpression':
+    case 'IfStatement':
+    case 'ConditionalExpression':
+      return 'value'
+    case 'UnaryExpression':
+      return parent.operator === 'typeof' || parent.operator === '!' ? 'value' : null
+    case 'BinaryExpression':
+      return /^[!=]==?$/.test(parent.operator) ? 'value' : null
+    default:
+      return null
+  }
+}
+
+function usesIn (body, matches) {
+  const uses = new Set()
+  walk.fullAncestor(body, (node, state, ancestors) => {
+    if (!matches(node, ancestors)) return
+    const use = useOf(node, ancestors)
+    if (use) uses.add(use)
+  })
+  return uses
+}
+
+// The parameters of a function: [{ name, uses, defaulted }] and `extra`, the
+// uses of the arguments after them (`arguments[i]` or a rest parameter), or
+// null when the function has no access to them
+function parametersOf (node) {
+  const params = []
+  let rest = null
+  node.params.forEach(param => {
+    if (param.type === 'RestElement') {
+      rest = param.argument.name
+      return
+    }
+    const defaulted = param.type === 'AssignmentPattern'
+    const pattern = defaulted ? param.left : param
+    const name = pattern.type === 'Identifier' ? pattern.name : null
+    const uses = name ? usesIn(node.body, (child, ancestors) => isParameterName(child, ancestors, name)) : new Set(['object'])
+    if (defaulted) uses.add('value')
+    params.push({ name: name || `argument ${params.length + 1}`, uses, defaulted })
+  })
+  const names = ['arguments'].concat(rest || [])
+  let extra = rest ? new Set() : null
+  walk.full(node.body, child => {
+    if (child.type === 'Identifier' && child.name === 'arguments' && !extra) extra = new Set()
+  })
+  if (extra) usesIn(node.body, child => isExtraArgument(child, names)).forEach(use => extra.add(use))
+  return { params, extra }
+}
+
+function assigns (node, name) {
+  let found = false
+  walk.simple(node.body, {
+    AssignmentExpression (child) {
+      if (child.left.type === 'Identifier' && child.left.name === name) found = true
+    }
+  })
+  return found
+}
+
+function typicalOf (uses) {
+  const use = USES.find(other => uses.has(other))
+  return use ? TYPICAL[use] : "'a'"
+}
+
+// The inputs of a function pair, from how the versions use their parameters
+function generateInputs (versions) {
+  const [before, after] = versions.map(parametersOf)
+  const count = before.params.length
+  const params = before.params.map((param, i) => {
+    const other = after && after.params[i]
+    const uses = new Set([...param.uses, ...(other ? other.uses : [])])
+    return { name: param.name, uses }
+  })
+  const extra = before.extra || (after && after.extra)
+  const typical = params.map(param => typicalOf(param.uses))
+  const extraTypical = extra ? typicalOf(extra) : null
+  const inputs = [
+    { label: 'every argument', args: `[${typical.concat(extraTypical || []).join(', ')}]` },
+    { label: 'no argument', args: '[]' }
+  ]
+  params.forEach((param, i) => {
+    USES.filter(use => param.uses.has(use)).forEach(use => VARIANTS[use].forEach(([label, value]) => {
+      const args = typical.slice()
+      args[i] = value
+      inputs.push({ label: use === 'value' ? `${param.name} = ${label}` : `${param.name}: ${label}`, args: `[${args.join(', ')}]` })
+    }))
+  })
+  if (extra) {
+    inputs.push({ label: 'no extra argument', args: `[${typical.join(', ')}]` })
+    inputs.push({ label: 'two extra arguments', args: `[${typical.concat(extraTypical, "'type'").join(', ')}]` })
+    inputs.push({ label: 'repeated extra argument', args: `[${typical.concat(extraTypical, extraTypical).join(', ')}]` })
+    USES.filter(use => extra.has(use)).forEach(use => VARIANTS[use].forEach(([label, value]) => {
+      inputs.push({ label: `extra argument: ${label}`, args: `[${typical.concat(value).join(', ')}]` })
+    }))
+  }
+  if (!count && !extra) return inputs.slice(0, 1)
+  return inputs.filter((input, i) => inputs.findIndex(other => other.args === input.args) === i)
+}
+
+function defaults (node, name) {
+  return node.params.some(param => param.type === 'AssignmentPattern' && param.left.name === name)
+}
+
+// The parameters both versions have, that one of them defaults
+function observedOf (versions) {
+  const names = versions.map(node => node.params.map(param => param.type === 'AssignmentPattern' ? param.left.name : param.name))
+  return names[0]
+    .filter((name, i) => name && names[1][i] === name)
+    .filter(name => versions.some(node => defaults(node, name) || assigns(node, name)))
+}
+
+// The extra inputs of a pair, but those it already has
+function withExtras (pair, generated) {
+  const extras = EXTRAS[pair.before.function || pair.before.array]
+  if (!extras) return Object.assign(pair, { inputs: generated })
+  const inputs = generated.concat(extras.inputs.filter(input => !generated.some(other =>
+    other.label === input.label || (other.args !== undefined && other.args === input.args))))
+  return Object.assign(pair, { setup: extras.setup, inputs })
+}
+
+function functionPair (chapter, before, after) {
+  const pair = {
+    id: `${before.id.name}-${after.id.name}`,
+    title: `\`${before.id.name}()\` and \`${after.id.name}()\``,
+    chapter: chapter.file,
+    before: { function: before.id.name },
+    after: { function: after.id.name }
+  }
+  const observe = observedOf([before, after])
+  if (observe.length) {
+    pair.before.observe = observe
+    pair.after.observe = observe
+  }
+  return withExtras(pair, generateInputs([before, after]))
+}
+
+// `fn` and `fn2`, `makeRequest1` (ES5) and `makeRequest3` (ES6)...
+function functionPairs (chapter, functions) {
+  const groups = new Map()
+  functions.forEach(node => {
+    const base = node.id.name.replace(/\d+$/, '')
+    if (!groups.has(base)) groups.set(base, [])
+    groups.get(base).push(node)
+  })
+  const pairs = []
+  groups.forEach((group, base) => {
+    if (group.length < 2) return
+    const editions = new Map(group.map(node => [node, editionOf(chapter, node)]))
+    const es5 = group.filter(node => editions.get(node) === 'ES5')
+    const es6 = group.filter(node => editions.get(node) === 'ES6')
+    es5.forEach((node, i) => { if (es6[i]) pairs.push([node, es6[i]]) })
+    const first = group.find(node => node.id.name === base)
+    const second = group.find(node => node.id.name === `${base}2`)
+    if (first && second && editions.get(first) === editions.get(second)) pairs.push([first, second])
+  })
+  return pairs
+    .filter(([before, after]) => before.params.length || after.params.length)
+    .sort((a, b) => a[0].start - b[0].start || a[1].start - b[1].start)
+    .map(([before, after]) => functionPair(chapter, before, after))
+}
+
+// A function in the section of the built-in that replaces it
+function builtinPairs (chapter, functions) {
+  const pairs = []
+  chapter.sections.forEach(section => {
+    const title = /`([A-Z]\w*(?:\.\w+)+)\(\)`/.exec(section.title)
+    if (!title || vm.runInNewContext(`typeof ${title[1]}`) !== 'function') return
+    functions
+      .filter(node => sectionAt(chapter, node.loc.start.line) === section && node.params.length &&
+        !chapter.source.slice(node.start, node.end).includes(title[1]))
+      .forEach(node => pairs.push(withExtras({
+        id: `${node.id.name}-${title[1]}`,
+        title: `\`${node.id.name}()\` and \`${title[1]}()\``,
+        chapter: chapter.file,
+        before: { function: node.id.name },
+        after: { builtin: title[1] }
+      }, generateInputs([node]))))
+  })
+  return pairs
+}
+
+// The array a loop pushes closures into, and whether they come from an IIFE
+function closuresOf (loop) {
+  let found = null
+  walk.simple(loop.body, {
+    CallExpression (node) {
+      const { callee } = node
+      if (found || callee.type !== 'MemberExpression' || callee.property.name !== 'push' || callee.object.type !== 'Identifier') return
+      const [closure] = node.arguments
+      if (!closure) return
+      const iife = closure.type === 'CallExpression' && closure.callee.type === 'FunctionExpression'
+      if (iife || closure.type === 'FunctionExpression' || closure.type === 'ArrowFunctionExpression') {
+        found = { array: callee.object.name, iife }
+      }
+    }
+  })
+  return found
+}
+
+// The IIFE loop and the next `let` loop
+function loopPairs (chapter, ast) {
+  const loops = []
+  walk.simple(ast, {
+    ForStatement (node) {
+      const { init, test } = node
+      if (!init || init.type !== 'VariableDeclaration' || init.declarations.length !== 1 || init.declarations[0].id.type !== 'Identifier') return
+      if (!test || test.type !== 'BinaryExpression' || test.right.type !== 'Literal' || typeof test.right.value !== 'number') return
+      const closures = closuresOf(node)
+      if (closures) loops.push(Object.assign({ node, kind: init.kind, variable: init.declarations[0].id.name, bound: test.right.value }, closures))
+    }
+  })
+  const pairs = []
+  loops.forEach(loop => {
+    if (loop.kind !== 'var' || !loop.iife) return
+    const next = loops.find(other => other.node.start > loop.node.end && other.kind === 'let' && !other.iife)
+    if (!next) return
+    const version = other => ({ loop: other.variable, array: other.array, section: sectionAt(chapter, other.node.loc.start.line).title })
+    const counts = [0, 1, loop.bound].filter((count, i, all) => all.indexOf(count) === i)
+    pairs.push(withExtras({
+      id: `${loop.array}-${next.array}`,
+      title: `The IIFE loop over \`${loop.variable}\` and the \`let\` loop over \`${next.variable}\``,
+      chapter: chapter.file,
+      before: version(loop),
+      after: version(next)
+    }, counts.map(count => ({ label: count ? `${count} iteration${count > 1 ? 's' : ''}` : 'no iteration', iterations: count }))))
+  })
+  return pairs
+}
+
+// { id, title, chapter, before, after, setup, inputs: [{ label, args }] }
+// A version is { function: name, observe: [parameter...] }, { builtin:
+// expression } or { loop: variable, array: name of the array of closures,
+// section: the section of the loop }
+function findPairs (chapters = listChapters().map(loadChapter)) {
+  return chapters.reduce((pairs, chapter) => {
+    const ast = parse(chapter.source, { recovered: [] })
+    const functions = declaredFunctions(ast)
+    return pairs.concat(loopPairs(chapter, ast), functionPairs(chapter, functions), builtinPairs(chapter, functions))
+  }, [])
+}
+
+// The pairs named `query`, or with a version named so
+function selectPairs (pairs, query) {
+  const wanted = String(query).toLowerCase()
+  return pairs.filter(pair => [pair.id, pair.before.function, pair.before.array, pair.after.function, pair.after.builtin, pair.after.array]
+    .some(name => name && name.toLowerCase() === wanted))
+}
+
+function declaresLoopVariable (node, name) {
+  return node.init && node.init.type === 'VariableDeclaration' &&
+    node.init.declarations.some(declarator => patternNames(declarator.id).includes(name))
+}
+
+// The code of a version and where it is: { label, code, line, callee, observe,
+// array, variable, bound: [start, end] of the iteration count in `code` }
+function locateVersion (chapter, version) {
+  if (version.builtin) return { label: `${version.builtin}()`, code: '', line: null, callee: version.builtin }
+  const section = version.section ? findSection(chapter, version.section) : null
+  const inSection = node => !section || (node.loc.start.line >= section.start && node.loc.end.line <= section.end)
+  let found = null
+  walk.full(parse(chapter.source, { recovered: [] }), node => {
+    if (found || !inSection(node)) return
+    if (version.function && node.type === 'FunctionDeclaration' && node.id.name === version.function) found = node
+    if (version.loop && node.type === 'ForStatement' && declaresLoopVariable(node, version.loop)) found = node
+  })
+  if (!found) throw new Error(`${chapter.file} has no ${version.function ? `function ${version.function}()` : `loop over ${version.loop}`}`)
+
+  const located = { code: chapter.source.slice(found.start, found.end), line: found.loc.start.line }
+  if (version.function) {
+    let code = located.code
+    if (version.observe) {
+      const probe = `; __observe__({ ${version.observe.join(', ')} })`
+      const end = found.body.end - 1 - found.start
+      code = code.slice(0, end) + probe + code.slice(end)
+    }
+    return Object.assign(located, { label: `${version.function}()`, code, callee: version.function, observe: version.observe })
+  }
+  const test = found.test
+  if (!test || test.type !== 'BinaryExpression' || test.right.type !== 'Literal') {
+    throw new Error(`${chapter.file}:${located.line}: the test of the loop over ${version.loop} has no number to change`)
+  }
+  return Object.assign(located, {
+    label: `for (${found.init.kind} ${version.loop} ...)`,
+    array: version.array,
+    variable: version.loop,
+    bound: [test.right.start - found.start, test.right.end - found.start]
+  })
+}
+
+// A description of `value` that two realms agree on: own keys in order,
+// symbols and non-enumerable properties included, accessors as accessors
+function describe (value, depth = 0) {
+  // Not their names: `callback = function () {}` names the function `callback`
+  if (typeof value === 'function') return '[Function]'
+  if (typeof value === 'string') return JSON.stringify(value)
+  if (typeof value === 'symbol') return value.toString()
+  if (Object.is(value, -0)) return '-0'
+  if (value === null || typeof value !== 'object') return String(value)
+  if (depth > 2) return `[${typeOf(value)}]`
+  const properties = Reflect.ownKeys(value).map(key => {
+    const name = typeof key === 'symbol' ? `[${key.toString()}]` : key
+    const descriptor = Object.getOwnPropertyDescriptor(value, key)
+    if (descriptor.get || descriptor.set) {
+      return `${name}: [${[descriptor.get && 'Getter', descriptor.set && 'Setter'].filter(Boolean).join('/')}]`
+    }
+    const hidden = descriptor.enumerable ? '' : ' (non-enumerable)'
+    return `${name}${hidden}: ${describe(descriptor.value, depth + 1)}`
+  })
+  const prototype = Object.getPrototypeOf(value) === null ? '[null prototype] ' : ''
+  const type = typeOf(value) === 'Object' ? '' : `${typeOf(value)} `
+  const frozen = Object.isFrozen(value) && properties.length ? '(frozen) ' : ''
+  return `${prototype}${type}${frozen}{${properties.length ? ` ${properties.join(', ')} ` : ''}}`
+}
+
+function errorText (err) {
+  return err && typeof err === 'object' ? `${err.name}: ${err.message}` : `throws ${describe(err)}`
+}
+
+function outputOf (sandbox) {
+  return sandbox.output.map(entry => entry.text).join('\n')
+}
+
+// What one version does with one input: { [aspect]: description }
+function observeCall (pair, located, input, { filename, timeout }) {
+  const observed = []
+  const sandbox = createSandbox({ globals: { __observe__: locals => observed.push(locals) } })
+  const setup = [pair.setup, located.code].filter(Boolean).join('\n')
+  const failed = setup && sandbox.run(setup, { filename, lineOffset: located.line ? located.line - 1 : 0, timeout })
+  if (failed) throw new Error(`${filename}: ${failed.name}: ${failed.message}`)
+
+  const error = sandbox.run([
+    `var __args__ = ${input.args}`,
+    `try { __outcome__ = { returned: (${located.callee})(...__args__) } } catch (err) { __outcome__ = { threw: err } }`
+  ].join('\n'), { filename: 'input.js', timeout })
+  if (error) return { result: errorText(error) }
+
+  // A mixin returns its receiver: the result is then named after the argument
+  const outcome = sandbox.context.__outcome__
+  const args = sandbox.context.__args__
+  const returned = typeof outcome.returned === 'object' && outcome.returned !== null ? args.indexOf(outcome.returned) : -1
+  const aspects = {
+    result: 'threw' in outcome ? errorText(outcome.threw) : returned >= 0 ? `(argument ${returned + 1})` : describe(outcome.returned)
+  }
+  args.forEach((arg, i) => { aspects[`argument ${i + 1} after the call`] = describe(arg) })
+  if (located.observe) {
+    located.observe.forEach(name => {
+      aspects[`${name} after the defaults`] = observed.length ? describe(observed[0][name]) : '(not reached)'
+    })
+  }
+  aspects.output = outputOf(sandbox)
+  return aspects
+}
+
+function observeLoop (pair, located, input, { filename, timeout }) {
+  const sandbox = createSandbox({ globals: { [located.array]: [] } })
+  const [start, end] = located.bound
+  const code = located.code.slice(0, start) + String(input.iterations) + located.code.slice(end)
+  const error = sandbox.run(code, { filename, lineOffset: located.line - 1, timeout })
+  if (error) return { result: errorText(error) }
+  sandbox.output.length = 0
+  const after = vm.runInContext(`typeof ${located.variable} === 'undefined' ? undefined : ${located.variable}`, sandbox.context)
+  const called = sandbox.run(`${located.array}.forEach(function (func) { func() })`, { filename: 'input.js', timeout })
+  return {
+    'what the closures log': called ? errorText(called) : outputOf(sandbox).split('\n').join(', '),
+    'loop variable after the loop': after === undefined ? '(not defined)' : describe(after)
+  }
+}
+
+// { input, same, differences: [{ aspect, before, after }] }
+function compare (input, before, after) {
+  const aspects = Object.keys(before).concat(Object.keys(after)).filter((aspect, i, all) => all.indexOf(aspect) === i)
+  const differences = aspects
+    .filter(aspect => before[aspect] !== after[aspect])
+    .map(aspect => ({ aspect, before: before[aspect], after: after[aspect] }))
+  return { input: input.label, same: !differences.length, differences }
+}
+
+// The `length` of both functions, which tells how many arguments they expect
+function compareLength (pair, versions, { filename, timeout }) {
+  const lengths = versions.map(located => {
+    const sandbox = createSandbox()
+    sandbox.run(located.code, { filename, timeout })
+    return describe(vm.runInContext(`${located.callee}.length`, sandbox.context))
+  })
+  return compare(LENGTH_INPUT, { length: lengths[0] }, { length: lengths[1] })
+}
+
+// The inputs a run compares: those of the pair, then the `length` of the
+// functions, which a loop does not have
+function inputsOf (pair) {
+  return pair.before.loop ? pair.inputs : [...pair.inputs, LENGTH_INPUT]
+}
+
+// { id, title, chapter, before: { label, line }, after, error, results }
+function checkPair (pair, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const chapter = loadChapter(findChapter(pair.chapter))
+  const report = { id: pair.id, title: pair.title, chapter: chapter.file, before: null, after: null, error: null, results: [] }
+  let versions
+  try {
+    versions = [locateVersion(chapter, pair.before), locateVersion(chapter, pair.after)]
+  } catch (err) {
+    report.error = err.message
+    return report
+  }
+  report.before = { label: versions[0].label, line: versions[0].line }
+  report.after = { label: versions[1].label, line: versions[1].line }
+
+  const options = { filename: chapter.path, timeout }
+  const observe = pair.before.loop ? observeLoop : observeCall
+  try {
+    report.results = inputsOf(pair).map(input => input === LENGTH_INPUT
+      ? compareLength(pair, versions, options)
+      : compare(input, ...versions.map(located => observe(pair, located, input, options))))
+  } catch (err) {
+    report.error = err.message
+  }
+  return report
+}
+
+module.exports = {
+  findPairs,
+  selectPairs,
+  inputsOf,
+  locateVersion,
+  describe,
+  checkPair
+}
@@ -0,0 +1,114 @@
+// V8 error messages and the chapter sections that explain them
+// Entries are tried in order, the first one that matches wins:
+//  - name:        the error class
+//  - pattern:     the message, its groups are available as {1}, {2}...
+//  - chapter and section: where a chapter explains it (see findSection)
+//  - explanation: what the error means, in a sentence or two
+//  - example:     a piece of a line of the section, shown with the code around it
+//  - likely:      false when the message has other causes than the pitfall
+
+const CATALOG = [
+  {
+    id: 'symbol-coercion',
+    name: 'TypeError',
+    pattern: /^Cannot convert a Symbol value to a (number|string)$/,
+    chapter: '06-symbols.js',
+    section: 'SYMBOL TYPE COERCION',
+    explanation: 'A symbol is never converted to a {1} implicitly: `uid + \'\'`, `uid / 1` and template literals throw. Call String(symbol) or read symbol.description instead.',
+    example: 'uid6 / 1'
+  },
+  {
+    id: 'new-symbol',
+    name: 'TypeError',
+    pattern: /^Symbol is not a constructor$/,
+    chapter: '06-symbols.js',
+    section: 'CREATING SYMBOLS',
+    explanation: 'Symbols have no literal form and are created by calling Symbol(description), without `new`.',
+    example: "Symbol('First Name')"
+  },
+  {
+    id: 'tdz',
+    name: 'ReferenceError',
+    pattern: /^Cannot access '(.+)' before initialization$/,
+    chapter: '01-block-bindings.js',
+    section: 'NOTE: TEMPORAL DEAD ZONE AND HOISTING',
+    explanation: '`{1}` is a `let`, `const` or `class` binding used before its declaration ran: it is hoisted to the top of its block but stays in the temporal dead zone (TDZ) until then. `learn scope --file` shows the TDZ of every binding.',
+    example: 'console.log(someLet)'
+  },
+  {
+    id: 'const-assignment',
+    name: 'TypeError',
+    pattern: /^Assignment to constant variable\.$/,
+    chapter: '01-block-bindings.js',
+    section: 'ES6 CONSTANTS',
+    explanation: 'A `const` binding cannot be assigned again. The binding is constant, not its value: the properties of a `const` object can still change.',
+    example: "NAME = 'John'"
+  },
+  {
+    id: 'missing-const-initializer',
+    name: 'SyntaxError',
+    pattern: /^Missing initializer in const declaration$/,
+    chapter: '01-block-bindings.js',
+    section: 'ES6 CONSTANTS',
+    explanation: 'A `const` must be initialized where it is declared.',
+    example: 'const GREET'
+  },
+  {
+    id: 'redeclaration',
+    name: 'SyntaxError',
+    pattern: /^Identifier '(.+)' has already been declared$/,
+    chapter: '01-block-bindings.js',
+    section: 'NO REDECLARATION OF SAME IDENTIFIERS IN SAME SCOPE',
+    explanation: '`{1}` is declared twice in the same scope, and one of the declarations is a `let`, a `const` or a `class`. `var` tolerates redeclarations, block bindings do not.',
+    example: 'let count = 40'
+  },
+  {
+    id: 'arrow-constructor',
+    name: 'TypeError',
+    pattern: /^(.+) is not a constructor$/,
+    chapter: '03-functions.js',
+    section: 'CANNOT BE USED AS CONSTRUCTOR',
+    explanation: '`{1}` was called with `new` but cannot construct: arrow functions and methods have no [[Construct]] behavior and no `prototype`. Declare `{1}` with `function` or `class` to use it as a type.',
+    example: 'new MyType()',
+    likely: false
+  },
+  {
+    id: 'rest-not-last',
+    name: 'SyntaxError',
+    pattern: /^Rest parameter must be last formal parameter$/,
+    chapter: '03-functions.js',
+    section: 'RESTRICTIONS FOR REST PARAMETER',
+    explanation: 'A function has at most one rest parameter, and it comes last.',
+    example: '...keys, last'
+  },
+  {
+    id: 'rest-setter',
+    name: 'SyntaxError',
+    pattern: /^Setter function argument must not be a rest parameter$/,
+    chapter: '03-functions.js',
+    section: 'RESTRICTIONS FOR REST PARAMETER',
+    explanation: 'A setter takes exactly one argument, which cannot be a rest parameter.',
+    example: 'set name(...value)'
+  },
+  {
+    id: 'destructure-nothing',
+    name: 'TypeError',
+    pattern: /^Cannot destructure (?:property '(.+)' of )?'?(.+?)'? as it is (undefined|null)\.$/,
+    chapter: '05-destructuring.js',
+    section: 'DESTRUCTURED PARAMS',
+    explanation: 'Destructuring reads properties, and `{3}` has none. A destructured parameter is required unless it has a default value: `{ secure, path } = {}`.',
+    example: "setCookie('type', 'js')"
+  },
+  {
+    id: 'this-in-callback',
+    name: 'TypeError',
+    pattern: /^Cannot read properties of undefined \(reading '(.+)'\)$/,
+    chapter: '03-functions.js',
+    section: 'NO `this` BINDING',
+    explanation: 'If `this` is undefined where `.{1}` is read, the function was called without its object, e.g. as a callback. An arrow function keeps the `this` of the function around it, bind(this) does the same with an extra function.',
+    example: 'this.doSomething(event.type)',
+    likely: false
+  }
+]
+
+module.exports = { CATALOG }
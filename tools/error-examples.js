@@ -0,0 +1,247 @@
+// Verification of the documented failure paths
+//
+// The chapters show code that throws in two ways:
+//  - commented out, so that the chapter still runs
+//      // let count = 40 // => throw Syntax error
+//  - left in place with a comment
+//      const sum = uid6 / 1 // => Type error
+//
+// Each example is checked on its own:
+//  1. The whole chapter is compiled with the example uncommented: early errors
+//     such as redeclarations only exist at the scale of the full script
+//  2. Otherwise its section runs with the example active and the other live
+//     examples of the section commented out, with the bindings of the sections
+//     above it (see bindings.js)
+// The example is 'confirmed' when the error is raised on its own lines and has
+// the class named in the comment (SyntaxError, ReferenceError, TypeError...)
+// When nothing is thrown, the section runs once more with a call to
+// __reached__() in front of the example: an example that never runs (a branch
+// not taken, a click handler) is 'not-reached' rather than 'no-throw'
+
+const vm = require('vm')
+const { parse } = require('./parse')
+const { carryBindings } = require('./bindings')
+const { createSandbox, describeError, DEFAULT_TIMEOUT } = require('./sandbox')
+const { isErrorComment, errorNameOf } = require('./expectations')
+
+const REACHED = '__reached__'
+const COMMENTED_CODE = /^(\s*)\/\/ ?(.*?\S)\s+\/\/(.*)$/
+const COMMENT_PREFIX = /^(\s*)\/\/ ?/
+const OPENING = '([{'
+const CLOSING = ')]}'
+
+// Opening minus closing brackets of a line of code, strings and comments aside
+function bracketBalance (code) {
+  let depth = 0
+  let quote = null
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char
+    } else if (char === '/' && code[i + 1] === '/') {
+      break
+    } else if (OPENING.includes(char)) {
+      depth++
+    } else if (CLOSING.includes(char)) {
+      depth--
+    }
+  }
+  return depth
+}
+
+function uncomment (line) {
+  return line.replace(COMMENT_PREFIX, '$1')
+}
+
+// A commented-out example can span several commented lines:
+//
+//   // let object = {
+//   //   set name(...value) { /* ... */ } // => Syntax error
+//   // }
+//
+// The range grows upward over lines that open brackets and downward until the
+// brackets balance again. Returns null for fragments that never balance
+function commentedRange (lines, index, commented) {
+  let first = index
+  let depth = bracketBalance(uncomment(lines[index]))
+  while (first > 0 && commented.has(first - 1) && bracketBalance(uncomment(lines[first - 1])) > 0) {
+    first--
+    depth += bracketBalance(uncomment(lines[first]))
+  }
+  let last = index
+  while (depth > 0 && commented.has(last + 1)) {
+    last++
+    depth += bracketBalance(uncomment(lines[last]))
+  }
+  return depth === 0 ? { first, last } : null
+}
+
+// Lists the error examples of a section
+// Line numbers are chapter lines, `first`/`last` are indexes in section.lines
+function collectErrorExamples (section) {
+  const comments = []
+  try {
+    parse(section.code, { comments })
+  } catch (err) {
+    return []
+  }
+
+  const { lines } = section
+  const commented = new Set()
+  comments.forEach(comment => {
+    const index = comment.loc.start.line - 1
+    if (comment.type === 'Line' && lines[index].slice(0, comment.loc.start.column).trim() === '') {
+      commented.add(index)
+    }
+  })
+
+  const examples = []
+  comments.forEach(comment => {
+    if (comment.type !== 'Line') return
+    const index = comment.loc.start.line - 1
+    const line = lines[index]
+
+    if (commented.has(index)) {
+      const match = COMMENTED_CODE.exec(line)
+      if (!match || !isErrorComment(match[3])) return
+      const code = match[2]
+      const range = commentedRange(lines, index, commented)
+      examples.push({
+        live: false,
+        line: index + section.start,
+        code,
+        note: match[3].trim(),
+        errorName: errorNameOf(match[3]),
+        range
+      })
+    } else if (isErrorComment(comment.value)) {
+      const code = line.slice(0, comment.loc.start.column).trim()
+      examples.push({
+        live: true,
+        line: index + section.start,
+        code,
+        note: comment.value.trim(),
+        errorName: errorNameOf(comment.value),
+        range: bracketBalance(code) === 0 ? { first: index, last: index } : null
+      })
+    }
+  })
+  return examples
+}
+
+// Section lines with `example` active and the other live examples commented out
+function activate (section, examples, example) {
+  const lines = section.lines.slice()
+  examples.forEach(other => {
+    if (other !== example && other.live && other.range) {
+      const index = other.range.first
+      lines[index] = lines[index].replace(/^(\s*)/, '$1// ')
+    }
+  })
+  if (!example.live) {
+    for (let i = example.range.first; i <= example.range.last; i++) lines[i] = uncomment(lines[i])
+  }
+  return lines
+}
+
+// `lines` with the call to __reached__() on the first line of the example, so
+// that the line numbers do not change
+function instrument (lines, example) {
+  const marked = lines.slice()
+  const index = example.range.first
+  marked[index] = marked[index].replace(/^(\s*)/, `$1${REACHED}(); `)
+  return marked
+}
+
+// Whether the example runs at all. A SyntaxError tells that the example does
+// not start a statement, where the call cannot go: it is then taken as reached
+function isReached (chapter, section, lines, example, { timeout, globals }) {
+  let reached = false
+  const sandbox = createSandbox({ globals: Object.assign({}, globals, { [REACHED]: () => { reached = true } }) })
+  const error = sandbox.run(instrument(lines, example).join('\n'), {
+    filename: chapter.path,
+    lineOffset: section.start - 1,
+    timeout
+  })
+  return reached || Boolean(error && error.name === 'SyntaxError')
+}
+
+function classify (example, error, phase) {
+  const { first, last } = example.range
+  const range = [first + example.sectionStart, last + example.sectionStart]
+  const onExample = error && error.frames.some(line => line >= range[0] && line <= range[1])
+  if (!error) return { status: 'no-throw', phase }
+  if (!onExample) {
+    const beforeExample = error.line !== null && error.line < range[0]
+    return { status: beforeExample ? 'blocked' : 'no-throw', phase, error }
+  }
+  if (example.errorName && error.name !== example.errorName) {
+    return { status: 'different', phase, error }
+  }
+  return { status: 'confirmed', phase, error }
+}
+
+// Step 1: early errors, compiling the whole chapter with the example uncommented
+function compileChapter (chapter, section, lines) {
+  const chapterLines = chapter.source.split(/\r?\n/)
+  chapterLines.splice(section.start - 1, lines.length, ...lines)
+  try {
+    // eslint-disable-next-line no-new
+    new vm.Script(chapterLines.join('\n'), { filename: chapter.path })
+    return null
+  } catch (err) {
+    return describeError(err, chapter.path)
+  }
+}
+
+function verifyExample (chapter, section, examples, example, { timeout, globals }) {
+  const base = Object.assign({}, example, { section: section.title, sectionStart: section.start })
+  if (!example.range) return Object.assign(base, { status: 'fragment', phase: null })
+
+  const lines = activate(section, examples, example)
+  if (!example.live) {
+    const early = compileChapter(chapter, section, lines)
+    if (early) {
+      const result = classify(base, early, 'compile')
+      if (result.status === 'confirmed' || result.status === 'different') return Object.assign(base, result)
+    }
+  }
+
+  const sandbox = createSandbox({ globals })
+  const error = sandbox.run(lines.join('\n'), {
+    filename: chapter.path,
+    lineOffset: section.start - 1,
+    timeout
+  })
+  const result = classify(base, error, 'run')
+  if (result.status === 'no-throw' && !isReached(chapter, section, lines, example, { timeout, globals })) {
+    return Object.assign(base, { status: 'not-reached', phase: 'run' })
+  }
+  return Object.assign(base, result)
+}
+
+// Verifies every error example of a chapter, in reading order
+function verifyErrorExamples (chapter, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const bindings = carryBindings()
+  const results = []
+  chapter.sections.forEach(section => {
+    const examples = collectErrorExamples(section)
+    const globals = bindings.globalsFor(section)
+    examples.forEach(example => {
+      results.push(verifyExample(chapter, section, examples, example, { timeout, globals }))
+    })
+
+    const sandbox = createSandbox({ globals })
+    sandbox.run(section.code, { filename: chapter.path, lineOffset: section.start - 1, timeout })
+    bindings.harvest(section, sandbox.context)
+  })
+  return results
+}
+
+module.exports = {
+  collectErrorExamples,
+  verifyErrorExamples
+}
@@ -0,0 +1,13 @@
+// Errors raised by the `learn` tooling
+// A UsageError is a mistake in how a command was invoked (unknown chapter,
+// missing argument...): the CLI prints its message with the command usage
+// instead of a stack trace
+
+class UsageError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+module.exports = { UsageError }
@@ -0,0 +1,32 @@
+// ESLint rules for the pitfalls the chapters teach
+// Installed as a local package (`link:` in package.json) and enabled in
+// .eslintrc.json with `plugin:learn/recommended`. The chapters show these
+// pitfalls on purpose: they disable the rules they break at the top of the file
+
+const RULES = [
+  'no-this-in-method-callback',
+  'no-or-default',
+  'prefer-rest-params',
+  'unicode-regexp-for-astral',
+  'no-assign-accessors'
+]
+
+const rules = {}
+RULES.forEach(name => {
+  rules[name] = require(`./rules/${name}`)
+})
+
+const recommended = {}
+RULES.forEach(name => {
+  recommended[`learn/${name}`] = 'error'
+})
+
+module.exports = {
+  rules,
+  configs: {
+    recommended: {
+      plugins: ['learn'],
+      rules: recommended
+    }
+  }
+}
@@ -0,0 +1,48 @@
+// Shared by the rules: scope lookups, and the context that the rewrites of
+// learn-rewrites (tools/rewrites) expect, made from ESLint's own
+
+function isName (node, name) {
+  return Boolean(node) && node.type === 'Identifier' && node.name === name
+}
+
+function findVariable (scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name)
+    if (variable) return variable
+  }
+  return null
+}
+
+// The initial value of a variable that is never assigned again, null otherwise
+function constantInit (scope, node) {
+  if (!node || node.type !== 'Identifier') return null
+  const variable = findVariable(scope, node.name)
+  if (!variable || variable.defs.length !== 1) return null
+  const def = variable.defs[0]
+  if (def.type !== 'Variable' || def.node.id.type !== 'Identifier' || !def.node.init) return null
+  if (variable.references.some(ref => ref.isWrite() && ref.identifier !== def.node.id)) return null
+  return def.node.init
+}
+
+// { code, scopes, parents, comments }, the context of learn-rewrites
+function rewriteContext (context) {
+  const sourceCode = context.getSourceCode()
+  return {
+    code: sourceCode.text,
+    scopes: sourceCode.scopeManager,
+    parents: { get: node => node.parent },
+    comments: sourceCode.getAllComments()
+  }
+}
+
+function toFixes (fixer, edits) {
+  return edits.map(edit => fixer.replaceTextRange([edit.start, edit.end], edit.text))
+}
+
+module.exports = {
+  isName,
+  findVariable,
+  constantInit,
+  rewriteContext,
+  toFixes
+}
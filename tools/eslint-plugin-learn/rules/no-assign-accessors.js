@@ -0,0 +1,69 @@
+// Object.assign() from an object with accessor properties
+//
+//   const supplier = { get name () { return 'file.js' } }
+//   Object.assign(receiver2, supplier) // receiver2.name is a data property
+//
+// `Object.assign()` in 04-objects.js: the getter is called and its value is
+// copied, the accessor is lost. Object.defineProperties() with
+// Object.getOwnPropertyDescriptors() copies the accessor itself. That is a
+// suggestion, not a --fix: the copied getter still reads the source later on,
+// where Object.assign() took a snapshot of its value. It is only offered for a
+// copy into a new object, `Object.assign({}, supplier)`: on an existing
+// receiver, defining a property is not the same as setting it
+
+const { isName, findVariable, constantInit } = require('./helpers')
+
+function accessorsOf (scope, node) {
+  const object = node.type === 'Identifier' ? constantInit(scope, node) : node
+  if (!object || object.type !== 'ObjectExpression') return []
+  return object.properties
+    .filter(property => property.type === 'Property' && (property.kind === 'get' || property.kind === 'set'))
+    .map(property => property.computed ? '[computed]' : property.key.name || String(property.key.value))
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'disallow Object.assign() from objects with accessor properties',
+      category: 'Possible Errors',
+      recommended: true
+    },
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      accessors: 'Object.assign() copies the value of the accessor `{{name}}`, not the accessor: use Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) (04-objects.js)',
+      defineProperties: 'Copy the accessors with Object.defineProperties(), which keeps reading the source'
+    }
+  },
+
+  create (context) {
+    return {
+      CallExpression (node) {
+        const callee = node.callee
+        if (callee.type !== 'MemberExpression' || callee.computed || !isName(callee.object, 'Object') || !isName(callee.property, 'assign')) return
+        const scope = context.getScope()
+        const object = findVariable(scope, 'Object')
+        if (object && object.defs.length) return
+
+        const [target, ...sources] = node.arguments
+        const fresh = target && target.type === 'ObjectExpression' && !target.properties.length && sources.length === 1
+        sources.forEach(source => {
+          if (source.type === 'SpreadElement') return
+          const names = accessorsOf(scope, source)
+          if (!names.length) return
+          const text = context.getSourceCode().getText(source)
+          context.report({
+            node: source,
+            messageId: 'accessors',
+            data: { name: names[0] },
+            suggest: fresh ? [{
+              messageId: 'defineProperties',
+              fix: fixer => fixer.replaceText(node, `Object.defineProperties({}, Object.getOwnPropertyDescriptors(${text}))`)
+            }] : []
+          })
+        })
+      }
+    }
+  }
+}
@@ -0,0 +1,53 @@
+// `||` to give a parameter a default value
+//
+//   function makeRequest1 (url, timeout, callback) {
+//     timeout = timeout || 2000 // 0 || 2000 => 2000
+//   }
+//
+// makeRequest1 in 03-functions.js: 0, '', false and null are replaced as
+// well. There is no autofix: only the author knows whether 0 is a valid
+// timeout. When it is, `timeout = 2000` in the parameters is the fix
+
+const { isName, findVariable } = require('./helpers')
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'disallow simulating default parameters with `||`',
+      category: 'Best Practices',
+      recommended: true
+    },
+    schema: [],
+    messages: {
+      orDefault: "`{{name}} || ...` also replaces 0, '', false and null: use a default parameter if only a missing `{{name}}` should be replaced (makeRequest1 in 03-functions.js)"
+    }
+  },
+
+  create (context) {
+    function check (node, name) {
+      const variable = findVariable(context.getScope(), name)
+      if (!variable || !variable.defs.length || variable.defs[0].type !== 'Parameter') return
+      context.report({ node, messageId: 'orDefault', data: { name } })
+    }
+
+    return {
+      // timeout = timeout || 2000
+      AssignmentExpression (node) {
+        if (node.operator !== '=' || node.left.type !== 'Identifier') return
+        const right = node.right
+        if (right.type === 'LogicalExpression' && right.operator === '||' && isName(right.left, node.left.name)) {
+          check(node, node.left.name)
+        }
+      },
+      // timeout || (timeout = 2000)
+      LogicalExpression (node) {
+        const right = node.right
+        if (node.operator !== '||' || node.left.type !== 'Identifier' || node.parent.type !== 'ExpressionStatement') return
+        if (right.type === 'AssignmentExpression' && right.operator === '=' && isName(right.left, node.left.name)) {
+          check(node, node.left.name)
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// `this` in a regular function passed as a callback from a method: the
+// callback gets its own `this`, not the object of the method
+//
+//   init: function () {
+//     document.addEventListener('click', function (event) {
+//       this.doSomething(event.type) // `this` is the document
+//     }, false)
+//   }
+//
+// PageHandler1 in 03-functions.js. The fix is PageHandler3: an arrow
+// function, which uses the `this` of the method. It is not applied with
+// --fix: some callbacks mean the `this` they are called with, such as the
+// element of an event listener
+//
+//   bind (button) {
+//     button.addEventListener('click', function () { this.classList.toggle('active') })
+//   }
+
+const { ownUsage } = require('learn-rewrites')
+
+// The name of the method that `fn` is written in, null outside of methods
+function enclosingMethod (fn) {
+  let node = fn.parent
+  while (node && node.type !== 'FunctionExpression' && node.type !== 'FunctionDeclaration') node = node.parent
+  if (!node || node.type !== 'FunctionExpression') return null
+  const holder = node.parent
+  const isMethod = (holder.type === 'Property' && holder.parent.type === 'ObjectExpression' && holder.value === node) ||
+    holder.type === 'MethodDefinition'
+  if (!isMethod) return null
+  return holder.computed ? 'method' : holder.key.name || String(holder.key.value)
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'disallow `this` in a regular function callback inside a method',
+      category: 'Possible Errors',
+      recommended: true
+    },
+    schema: [],
+    messages: {
+      thisInCallback: '`this` in this callback is not the object of {{method}}(): use an arrow function if it means the object (PageHandler1 in 03-functions.js)'
+    }
+  },
+
+  create (context) {
+    return {
+      FunctionExpression (fn) {
+        const parent = fn.parent
+        if ((parent.type !== 'CallExpression' && parent.type !== 'NewExpression') || !parent.arguments.includes(fn)) return
+        const method = enclosingMethod(fn)
+        if (!method || !ownUsage(fn).has('this')) return
+        context.report({ node: fn, messageId: 'thisInCallback', data: { method } })
+      }
+    }
+  }
+}
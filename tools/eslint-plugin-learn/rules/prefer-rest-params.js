@@ -0,0 +1,56 @@
+// `arguments` to read the arguments that follow the named parameters
+//
+//   function pick (object) {
+//     for (let i = 1, len = arguments.length; i < len; i++) { ... arguments[i] ... }
+//   }
+//
+// pick in 03-functions.js, pick2 being the fix. The autofix is the
+// rest-parameters rewrite of `learn modernize`: it only applies to the
+// patterns it can rewrite without changing the behavior (the loop above,
+// `Array.prototype.slice.call(arguments, n)`). `arguments.length` alone is
+// left alone
+
+const { restParameters } = require('learn-rewrites')
+const { rewriteContext, toFixes } = require('./helpers')
+
+function isLengthOnly (ref) {
+  const parent = ref.identifier.parent
+  return parent.type === 'MemberExpression' && parent.object === ref.identifier && !parent.computed
+}
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'require rest parameters instead of `arguments`',
+      category: 'ECMAScript 6',
+      recommended: true
+    },
+    fixable: 'code',
+    schema: [],
+    messages: {
+      preferRest: 'Use a rest parameter instead of `arguments` (pick2 in 03-functions.js)'
+    }
+  },
+
+  create (context) {
+    function check (fn) {
+      const variable = context.getScope().set.get('arguments')
+      const refs = variable ? variable.references.filter(ref => !isLengthOnly(ref)) : []
+      if (!refs.length) return
+      const shared = rewriteContext(context)
+      let edits = null
+      restParameters(shared, { rewrite: rewrite => { edits = rewrite.edits }, keep () {} }, fn)
+      context.report({
+        node: refs[0].identifier,
+        messageId: 'preferRest',
+        fix: edits ? fixer => toFixes(fixer, edits) : null
+      })
+    }
+
+    return {
+      FunctionDeclaration: check,
+      FunctionExpression: check
+    }
+  }
+}
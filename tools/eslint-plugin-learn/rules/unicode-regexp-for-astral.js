@@ -0,0 +1,102 @@
+// Regular expressions without the `u` flag on astral text
+//
+//   const text = '𠮷' // one character, two code units
+//   /^.$/.test(text) // => false
+//
+// REGEXP 'u' FLAG in 02-strings-and-regexp.js: without `u`, `.`, classes and
+// quantifiers work on UTF-16 code units and split surrogate pairs. Reported:
+//  - a pattern that quantifies an astral character or puts one in a class
+//  - a pattern with `.`, a class or \S, \W, \D, tested against a string whose
+//    text is known (a literal, or a variable that is never reassigned) and
+//    holds astral characters
+// The fix adds the `u` flag, when the pattern is also valid in unicode mode
+
+const { constantInit } = require('./helpers')
+
+const ASTRAL = /[\uD800-\uDBFF][\uDC00-\uDFFF]/
+const ASTRAL_QUANTIFIED = /[\uD800-\uDBFF][\uDC00-\uDFFF](?:[*+?]|\{\d)/
+const ASTRAL_IN_CLASS = /\[(?:[^\]\\]|\\.)*[\uD800-\uDBFF][\uDC00-\uDFFF]/
+// An unescaped `.` or `[`, or \S, \W, \D
+const CODE_UNIT_SENSITIVE = /(?:^|[^\\])(?:\\\\)*[.[]|\\[SWD]/
+
+// The methods that take the text as argument, and those called on the text
+const REGEXP_METHODS = ['test', 'exec']
+const STRING_METHODS = ['match', 'matchAll', 'replace', 'replaceAll', 'search', 'split']
+
+function astralText (scope, node) {
+  if (!node) return false
+  if (node.type === 'Literal') return typeof node.value === 'string' && ASTRAL.test(node.value)
+  if (node.type === 'TemplateLiteral') return node.quasis.some(quasi => ASTRAL.test(quasi.value.cooked || ''))
+  if (node.type === 'Identifier') {
+    const init = constantInit(scope, node)
+    return init ? astralText(scope, init) : false
+  }
+  return false
+}
+
+// The string a regular expression literal is applied to
+function targetOf (node) {
+  const parent = node.parent
+  if (parent.type === 'MemberExpression' && parent.object === node && !parent.computed &&
+      REGEXP_METHODS.includes(parent.property.name) && parent.parent.type === 'CallExpression' && parent.parent.callee === parent) {
+    return parent.parent.arguments[0]
+  }
+  if (parent.type === 'CallExpression' && parent.arguments[0] === node && parent.callee.type === 'MemberExpression' &&
+      !parent.callee.computed && STRING_METHODS.includes(parent.callee.property.name)) {
+    return parent.callee.object
+  }
+  return null
+}
+
+function validWithUnicode (pattern, flags) {
+  try {
+    RegExp(pattern, flags + 'u')
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'require the `u` flag for regular expressions on astral characters',
+      category: 'Possible Errors',
+      recommended: true
+    },
+    fixable: 'code',
+    schema: [],
+    messages: {
+      astralPattern: 'This pattern splits the surrogate pairs of its astral characters: add the `u` flag (02-strings-and-regexp.js)',
+      astralText: 'Without the `u` flag, this pattern sees {{text}} as two code units per astral character: add the `u` flag (02-strings-and-regexp.js)'
+    }
+  },
+
+  create (context) {
+    return {
+      Literal (node) {
+        if (!node.regex || /[uv]/.test(node.regex.flags)) return
+        const { pattern, flags } = node.regex
+        let messageId = null
+        let text = null
+        if (ASTRAL_QUANTIFIED.test(pattern) || ASTRAL_IN_CLASS.test(pattern)) {
+          messageId = 'astralPattern'
+        } else if (CODE_UNIT_SENSITIVE.test(pattern)) {
+          const target = targetOf(node)
+          if (astralText(context.getScope(), target)) {
+            messageId = 'astralText'
+            text = target.type === 'Identifier' ? `\`${target.name}\`` : 'the text'
+          }
+        }
+        if (!messageId) return
+        context.report({
+          node,
+          messageId,
+          data: { text },
+          fix: validWithUnicode(pattern, flags) ? fixer => fixer.insertTextAfter(node, 'u') : null
+        })
+      }
+    }
+  }
+}
@@ -0,0 +1,128 @@
+// Harness of the event handler examples (PageHandler1/2/3 in 03-functions.js)
+//
+// A handler is a top-level object with an `init()` method that registers
+// listeners on `document`:
+//
+//   const PageHandler1 = {
+//     id: '123456',
+//     init: function () {
+//       document.addEventListener('click', function (event) { ... }, false)
+//     },
+//     ...
+//   }
+//
+// Each handler gets its own sandbox and its own document (see dom.js): its
+// section runs, then `init()` is called and every event type it listens to is
+// dispatched. The result tells whether the listeners threw or logged, and what
+// the comments of the handler say should happen (`// Mistake: => error`,
+// `// No error`)
+
+const vm = require('vm')
+const { parse, trailingComments } = require('./parse')
+const { carryBindings } = require('./bindings')
+const { createSandbox, describeError, DEFAULT_TIMEOUT } = require('./sandbox')
+const { isErrorComment } = require('./expectations')
+const { Event, EventTarget, Document } = require('./dom')
+
+function hasInit (node) {
+  return node && node.type === 'ObjectExpression' && node.properties.some(property =>
+    property.type === 'Property' && !property.computed && property.key.name === 'init' &&
+    /Function/.test(property.value.type)
+  )
+}
+
+// Top-level handler objects of a section, with their chapter lines
+function findHandlers (section) {
+  const comments = []
+  let ast
+  try {
+    ast = parse(section.code, { comments })
+  } catch (err) {
+    return []
+  }
+  const trailing = trailingComments(section.code, comments)
+  const handlers = []
+  ast.body.forEach(node => {
+    if (node.type !== 'VariableDeclaration') return
+    node.declarations.forEach(declarator => {
+      if (declarator.id.type !== 'Identifier' || !hasInit(declarator.init)) return
+      const source = section.code.slice(declarator.init.start, declarator.init.end)
+      if (!source.includes('addEventListener')) return
+      const { start, end } = declarator.loc
+      const notes = []
+      for (let line = start.line; line <= end.line; line++) {
+        if (trailing.has(line)) notes.push(trailing.get(line).value.trim())
+      }
+      handlers.push({
+        name: declarator.id.name,
+        start: start.line + section.start - 1,
+        end: end.line + section.start - 1,
+        expected: notes.some(isErrorComment) ? 'throws' : 'logs'
+      })
+    })
+  })
+  return handlers
+}
+
+function runInSandbox (sandbox, code, chapter, timeout) {
+  try {
+    vm.runInContext(code, sandbox.context, { filename: 'event-handlers.js', timeout })
+    return null
+  } catch (err) {
+    return describeError(err, chapter.path)
+  }
+}
+
+function exerciseHandler (chapter, section, handler, { timeout, globals }) {
+  const reported = []
+  const document = new Document({ reportError: err => reported.push(describeError(err, chapter.path)) })
+  const sandbox = createSandbox({ globals: Object.assign({}, globals, { document, Event, EventTarget }) })
+  const result = Object.assign({ section: section.title, events: [], logged: [], errors: [] }, handler)
+
+  const setupError = sandbox.run(section.code, { filename: chapter.path, lineOffset: section.start - 1, timeout })
+  if (setupError) {
+    return Object.assign(result, { status: 'error', errors: [setupError] })
+  }
+
+  const initError = runInSandbox(sandbox, `${handler.name}.init()`, chapter, timeout)
+  if (initError) {
+    return Object.assign(result, { status: 'throws', phase: 'init', errors: [initError] })
+  }
+
+  const logged = sandbox.output.length
+  const types = Array.from(document.listeners.keys()).filter(type => document.listenerCount(type))
+  types.forEach(type => {
+    const error = runInSandbox(sandbox, `document.dispatchEvent(new Event(${JSON.stringify(type)}))`, chapter, timeout)
+    if (error) reported.push(error)
+  })
+
+  result.events = types
+  result.logged = sandbox.output.slice(logged).map(entry => entry.text)
+  result.errors = reported
+  result.status = reported.length ? 'throws' : result.logged.length ? 'logs' : 'silent'
+  if (reported.length) result.phase = 'dispatch'
+  return result
+}
+
+// Exercises every handler of a chapter, sections see the bindings of the
+// sections above them as in `learn doctest`
+function exerciseHandlers (chapter, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const bindings = carryBindings()
+  const results = []
+  chapter.sections.forEach(section => {
+    const globals = bindings.globalsFor(section)
+    findHandlers(section).forEach(handler => {
+      results.push(exerciseHandler(chapter, section, handler, { timeout, globals }))
+    })
+    const sandbox = createSandbox({ globals })
+    sandbox.run(section.code, { filename: chapter.path, lineOffset: section.start - 1, timeout })
+    bindings.harvest(section, sandbox.context)
+  })
+  return results
+}
+
+module.exports = {
+  findHandlers,
+  exerciseHandler,
+  exerciseHandlers
+}
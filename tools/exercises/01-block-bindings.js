@@ -0,0 +1,48 @@
+// Hidden tests of exercises/01-block-bindings.js (see tools/verify.js)
+
+module.exports = [
+  {
+    name: 'createCounters',
+    section: 'let DECLARATIONS IN LOOPS',
+    hint: 'Each iteration of a `for (let ...)` loop creates a new binding of the loop variable',
+    tests: [
+      ['returns one function per count', ({ createCounters }, assert) => {
+        assert.strictEqual(createCounters(3).length, 3)
+      }],
+      ['each function returns its own index', ({ createCounters }, assert) => {
+        assert.deepStrictEqual(createCounters(4).map(counter => counter()), [0, 1, 2, 3])
+      }],
+      ['does not use `var`', ({ createCounters }, assert) => {
+        assert.doesNotMatch(createCounters.toString(), /\bvar\b/)
+      }]
+    ]
+  },
+  {
+    name: 'deepFreeze',
+    section: 'ES6 CONSTANTS',
+    hint: 'Object.freeze() is shallow: call it on every nested object as well',
+    tests: [
+      ['returns the object it was given', ({ deepFreeze }, assert) => {
+        const object = { a: 1 }
+        assert.strictEqual(deepFreeze(object), object)
+      }],
+      ['freezes the object', ({ deepFreeze }, assert) => {
+        const object = { a: 1 }
+        deepFreeze(object)
+        assert.ok(Object.isFrozen(object))
+      }],
+      ['freezes nested objects and arrays', ({ deepFreeze }, assert) => {
+        const config = deepFreeze({ server: { ports: [80, 443] } })
+        assert.ok(Object.isFrozen(config.server))
+        assert.ok(Object.isFrozen(config.server.ports))
+        assert.throws(() => { 'use strict'; config.server.ports[0] = 8080 }, TypeError)
+      }],
+      ['copes with cycles', ({ deepFreeze }, assert) => {
+        const node = { name: 'root' }
+        node.self = node
+        deepFreeze(node)
+        assert.ok(Object.isFrozen(node))
+      }]
+    ]
+  }
+]
@@ -0,0 +1,57 @@
+// Hidden tests of exercises/02-strings-and-regexp.js (see tools/verify.js)
+
+module.exports = [
+  {
+    name: 'reverse',
+    section: 'COUNTING CODE POINTS',
+    hint: 'Iterate over code points, not code units: the `u` flag, Array.from() or the spread operator',
+    tests: [
+      ['reverses BMP strings', ({ reverse }, assert) => {
+        assert.strictEqual(reverse('abc'), 'cba')
+      }],
+      ['keeps surrogate pairs together', ({ reverse }, assert) => {
+        assert.strictEqual(reverse('𠮷bc'), 'cb𠮷')
+        assert.strictEqual(reverse('a😀b'), 'b😀a')
+      }],
+      ['reverses the empty string', ({ reverse }, assert) => {
+        assert.strictEqual(reverse(''), '')
+      }]
+    ]
+  },
+  {
+    name: 'indent',
+    section: 'str.repeat(times)',
+    hint: "'  '.repeat(level) builds the prefix",
+    tests: [
+      ['indents a single line', ({ indent }, assert) => {
+        assert.strictEqual(indent('let a = 1', 2), '    let a = 1')
+      }],
+      ['indents every line but empty ones', ({ indent }, assert) => {
+        assert.strictEqual(indent('if (a) {\n  b()\n\n}', 1), '  if (a) {\n    b()\n\n  }')
+      }],
+      ['level 0 changes nothing', ({ indent }, assert) => {
+        assert.strictEqual(indent('a\nb', 0), 'a\nb')
+      }]
+    ]
+  },
+  {
+    name: 'html',
+    section: 'TAGGED TEMPLATE',
+    hint: 'literals.length is always substitutions.length + 1: interleave them, escaping only the substitutions',
+    tests: [
+      ['keeps templates without substitutions', ({ html }, assert) => {
+        assert.strictEqual(html`<p>Hello</p>`, '<p>Hello</p>')
+      }],
+      ['escapes the substitutions', ({ html }, assert) => {
+        const name = '<script>alert("x") & \'y\'</script>'
+        assert.strictEqual(html`<p>${name}</p>`, '<p>&lt;script&gt;alert(&quot;x&quot;) &amp; &#39;y&#39;&lt;/script&gt;</p>')
+      }],
+      ['converts other values with String()', ({ html }, assert) => {
+        assert.strictEqual(html`${1} < ${null} < ${[2, 3]}`, '1 < null < 2,3')
+      }],
+      ['handles substitutions at both ends', ({ html }, assert) => {
+        assert.strictEqual(html`${'&'}-${'&'}`, '&amp;-&amp;')
+      }]
+    ]
+  }
+]
@@ -0,0 +1,76 @@
+// Hidden tests of exercises/03-functions.js (see tools/verify.js)
+
+module.exports = [
+  {
+    name: 'makeRequest',
+    section: 'BETTER DEFAULT PARAMS WITH ES6',
+    hint: 'Default parameter values only apply when the argument is `undefined`',
+    tests: [
+      ['uses the defaults', ({ makeRequest }, assert) => {
+        const options = makeRequest('/users')
+        assert.strictEqual(options.url, '/users')
+        assert.strictEqual(options.timeout, 2000)
+        assert.strictEqual(typeof options.callback, 'function')
+      }],
+      ['keeps a timeout of 0', ({ makeRequest }, assert) => {
+        assert.strictEqual(makeRequest('/users', 0).timeout, 0)
+      }],
+      ['keeps a null timeout', ({ makeRequest }, assert) => {
+        assert.strictEqual(makeRequest('/users', null).timeout, null)
+      }],
+      ['defaults a middle argument passed as undefined', ({ makeRequest }, assert) => {
+        const callback = () => {}
+        const options = makeRequest('/users', undefined, callback)
+        assert.strictEqual(options.timeout, 2000)
+        assert.strictEqual(options.callback, callback)
+      }]
+    ]
+  },
+  {
+    name: 'pick',
+    section: 'BETTER UNNAMED PARAMETERS IN ES6: REST PARAMETER',
+    hint: 'A rest parameter `...keys` collects the remaining arguments in a real array',
+    tests: [
+      ['copies the listed properties', ({ pick }, assert) => {
+        const book = { title: 'Understanding ECMAScript 6', author: 'Nicholas C. Zakas', year: 2015 }
+        assert.deepStrictEqual(Object.assign({}, pick(book, 'author', 'year')), { author: 'Nicholas C. Zakas', year: 2015 })
+      }],
+      ['returns an object without prototype', ({ pick }, assert) => {
+        assert.strictEqual(Object.getPrototypeOf(pick({ a: 1 }, 'a')), null)
+      }],
+      ['declares a rest parameter', ({ pick }, assert) => {
+        assert.match(pick.toString(), /\(\s*\w+\s*,\s*\.\.\.\w+\s*\)/)
+        assert.strictEqual(pick.length, 1)
+      }],
+      ['does not use `arguments`', ({ pick }, assert) => {
+        assert.doesNotMatch(pick.toString(), /\barguments\b/)
+      }]
+    ]
+  },
+  {
+    name: 'Person',
+    section: 'new.target META-PROPERTY',
+    hint: '`new.target` is undefined when the function is called without `new`: return `new Person(name)` then',
+    tests: [
+      ['works as a constructor', ({ Person }, assert) => {
+        const person = new Person('Nicholas')
+        assert.ok(person instanceof Person)
+        assert.strictEqual(person.name, 'Nicholas')
+      }],
+      ['works as a factory', ({ Person }, assert) => {
+        const person = Person('Nicholas')
+        assert.ok(person instanceof Person)
+        assert.strictEqual(person.name, 'Nicholas')
+      }],
+      ['does not write to another object with call()', ({ Person }, assert) => {
+        const other = {}
+        const person = Person.call(other, 'Michael')
+        assert.strictEqual(other.name, undefined)
+        assert.ok(person instanceof Person)
+      }],
+      ['uses new.target', ({ Person }, assert) => {
+        assert.match(Person.toString(), /new\.target/)
+      }]
+    ]
+  }
+]
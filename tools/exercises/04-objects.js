@@ -0,0 +1,63 @@
+// Hidden tests of exercises/04-objects.js (see tools/verify.js)
+
+module.exports = [
+  {
+    name: 'indexOfValue',
+    section: 'Object.is()',
+    hint: 'Object.is() treats NaN as equal to NaN and +0 as different from -0',
+    tests: [
+      ['finds ordinary values', ({ indexOfValue }, assert) => {
+        assert.strictEqual(indexOfValue([1, 'a', true], 'a'), 1)
+        assert.strictEqual(indexOfValue([1, 2], 3), -1)
+      }],
+      ['finds NaN', ({ indexOfValue }, assert) => {
+        assert.strictEqual(indexOfValue([1, NaN], NaN), 1)
+      }],
+      ['tells -0 and +0 apart', ({ indexOfValue }, assert) => {
+        assert.strictEqual(indexOfValue([0, -0], -0), 1)
+        assert.strictEqual(indexOfValue([-0], 0), -1)
+      }]
+    ]
+  },
+  {
+    name: 'withDefaults',
+    section: 'Object.assign()',
+    hint: 'Object.assign() copies into its first argument: start from a new empty object',
+    tests: [
+      ['completes the options', ({ withDefaults }, assert) => {
+        assert.deepStrictEqual(withDefaults({ port: 80 }, { host: 'localhost', port: 8080 }), { host: 'localhost', port: 80 })
+      }],
+      ['modifies neither argument', ({ withDefaults }, assert) => {
+        const options = { port: 80 }
+        const defaults = { host: 'localhost', port: 8080 }
+        const result = withDefaults(options, defaults)
+        assert.deepStrictEqual(result, { host: 'localhost', port: 80 })
+        assert.deepStrictEqual(options, { port: 80 })
+        assert.deepStrictEqual(defaults, { host: 'localhost', port: 8080 })
+        assert.notStrictEqual(result, options)
+        assert.notStrictEqual(result, defaults)
+      }],
+      ['keeps falsy options', ({ withDefaults }, assert) => {
+        assert.deepStrictEqual(withDefaults({ retries: 0 }, { retries: 3 }), { retries: 0 })
+      }]
+    ]
+  },
+  {
+    name: 'createFriend',
+    section: 'super REFERENCES',
+    hint: '`super` is bound to the object the concise method is defined on, whatever `this` is',
+    tests: [
+      ['greets through its prototype', ({ createFriend }, assert) => {
+        const dog = { getGreeting () { return 'Woof' } }
+        const friend = createFriend(dog)
+        assert.strictEqual(Object.getPrototypeOf(friend), dog)
+        assert.strictEqual(friend.getGreeting(), 'Woof, hi!')
+      }],
+      ['still works when another object inherits from it', ({ createFriend }, assert) => {
+        const dog = { getGreeting () { return 'Woof' } }
+        const relative = Object.create(createFriend(dog))
+        assert.strictEqual(relative.getGreeting(), 'Woof, hi!')
+      }]
+    ]
+  }
+]
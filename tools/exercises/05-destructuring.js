@@ -0,0 +1,60 @@
+// Hidden tests of exercises/05-destructuring.js (see tools/verify.js)
+
+module.exports = [
+  {
+    name: 'swap',
+    section: 'ARRAY DESTRUCTURING',
+    hint: '`[a, b] = [b, a]` swaps two variables in one statement',
+    tests: [
+      ['swaps the items', ({ swap }, assert) => {
+        assert.deepStrictEqual(swap([1, 2]), [2, 1])
+      }],
+      ['returns a new array', ({ swap }, assert) => {
+        const pair = ['a', 'b']
+        const swapped = swap(pair)
+        assert.deepStrictEqual(swapped, ['b', 'a'])
+        assert.notStrictEqual(swapped, pair)
+        assert.deepStrictEqual(pair, ['a', 'b'])
+      }]
+    ]
+  },
+  {
+    name: 'headAndTail',
+    section: 'REST ITEMS',
+    hint: '`const [head, ...tail] = array` needs neither a copy nor shift()',
+    tests: [
+      ['splits the array', ({ headAndTail }, assert) => {
+        assert.deepStrictEqual(headAndTail([1, 2, 3]), { head: 1, tail: [2, 3] })
+      }],
+      ['copes with empty arrays', ({ headAndTail }, assert) => {
+        assert.deepStrictEqual(headAndTail([]), { head: undefined, tail: [] })
+      }],
+      ['uses a rest item', ({ headAndTail }, assert) => {
+        assert.match(headAndTail.toString(), /\[\s*\w+\s*,\s*\.\.\.\w+\s*\]/)
+      }]
+    ]
+  },
+  {
+    name: 'cookieString',
+    section: 'DEFAULT VALUES FOR DESTRUCTURED PARAMS',
+    hint: 'Give the destructured parameter a default of `{}` so that it is optional, and each property its own default',
+    tests: [
+      ['works without options', ({ cookieString }, assert) => {
+        assert.strictEqual(cookieString('type', 'js'), 'type=js; Path=/')
+      }],
+      ['uses every option', ({ cookieString }, assert) => {
+        assert.strictEqual(
+          cookieString('type', 'js', { secure: true, path: '/docs', domain: 'example.com', maxAge: 60 }),
+          'type=js; Path=/docs; Domain=example.com; Max-Age=60; Secure'
+        )
+      }],
+      ['keeps a Max-Age of 0', ({ cookieString }, assert) => {
+        assert.strictEqual(cookieString('type', 'js', { maxAge: 0 }), 'type=js; Path=/; Max-Age=0')
+      }],
+      ['destructures its options parameter', ({ cookieString }, assert) => {
+        assert.match(cookieString.toString(), /\(\s*\w+\s*,\s*\w+\s*,\s*\{[^}]*\}\s*=\s*\{\s*\}\s*\)/)
+        assert.strictEqual(cookieString.length, 2)
+      }]
+    ]
+  }
+]
@@ -0,0 +1,55 @@
+// Hidden tests of exercises/06-symbols.js (see tools/verify.js)
+
+module.exports = [
+  {
+    name: 'Money',
+    section: 'Symbol.toPrimitive()',
+    hint: 'Define Money.prototype[Symbol.toPrimitive] = function (hint) { ... } and switch on the hint',
+    tests: [
+      ['converts to a number', ({ Money }, assert) => {
+        assert.strictEqual(+new Money(1999, 'USD'), 1999)
+        assert.strictEqual(new Money(500, 'EUR') * 2, 1000)
+      }],
+      ['converts to a string', ({ Money }, assert) => {
+        assert.strictEqual(`${new Money(1999, 'USD')}`, '19.99 USD')
+        assert.strictEqual(String(new Money(5, 'EUR')), '0.05 EUR')
+      }],
+      ['behaves as a number with the default hint', ({ Money }, assert) => {
+        // eslint-disable-next-line eqeqeq
+        assert.ok(new Money(1999, 'USD') == 1999)
+        assert.strictEqual(new Money(1, 'USD') + 1, 2)
+      }]
+    ]
+  },
+  {
+    name: 'Even',
+    section: 'Symbol.hasInstance()',
+    hint: 'Symbol.hasInstance is not writable on functions: use Object.defineProperty(Even, Symbol.hasInstance, { value })',
+    tests: [
+      ['accepts even integers', ({ Even }, assert) => {
+        assert.ok(4 instanceof Even)
+        assert.ok(0 instanceof Even)
+        assert.ok(-2 instanceof Even)
+      }],
+      ['rejects everything else', ({ Even }, assert) => {
+        assert.ok(!(3 instanceof Even))
+        assert.ok(!(2.5 instanceof Even))
+        assert.ok(!('4' instanceof Even))
+        assert.ok(!({} instanceof Even))
+      }]
+    ]
+  },
+  {
+    name: 'Vector',
+    section: 'Symbol.toStringTag()',
+    hint: 'Symbol.toStringTag only changes Object.prototype.toString(): String() still calls your own toString()',
+    tests: [
+      ['has a string tag', ({ Vector }, assert) => {
+        assert.strictEqual(Object.prototype.toString.call(new Vector(1, 2)), '[object Vector]')
+      }],
+      ['has its own toString()', ({ Vector }, assert) => {
+        assert.strictEqual(String(new Vector(1, 2)), 'Vector(1, 2)')
+      }]
+    ]
+  }
+]
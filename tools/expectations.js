@@ -0,0 +1,153 @@
+// The chapters annotate examples with their expected result in a trailing comment:
+//
+//   console.log(codePointLength('abc')) // => 3
+//   console.log(freezing / 2) // 16
+//   const sum = uid6 / 1 // => Type error
+//
+// parseExpectation() turns the comment text into an expectation:
+//  - { kind: 'value', type, text }: a printed value
+//      type 'string'    a quoted string: "abc", 'symbol'
+//      type 'literal'   an array or object literal: ["Hi","Hello","world"]
+//      type 'primitive' a number, boolean, null, undefined, NaN or Symbol(...)
+//      type 'bare'      a single unquoted word after `=>`: anotherFunc
+//  - { kind: 'error', errorName }: the line is documented to throw
+//      errorName is 'SyntaxError', 'ReferenceError', 'TypeError', 'RangeError'
+//      or null when the comment only says "error"
+// Prose comments ("A method used by instanceof...") give null
+// Anything after the value ("undefined: Not found in the registry") is ignored
+
+const util = require('util')
+
+const ERROR_WORDS = /(error|throw)s?\b/i
+const ERROR_ANNOTATION = /^((syntax|type|reference|range)\s*)?(error|throw)s?\b/i
+const NOT_AN_ERROR = /\b(no|doesn't|does not|without)\s+(\w+\s+)?(an\s+)?error/i
+const ERROR_NAMES = [
+  ['SyntaxError', /syntax\s*error/i],
+  ['ReferenceError', /reference\s*error/i],
+  ['TypeError', /type\s*error/i],
+  ['RangeError', /range\s*error/i]
+]
+const PRIMITIVE = /^(-?\d+(\.\d+)?|-?Infinity|NaN|true|false|null|undefined|Symbol\([^)]*\))(?![\w$])/
+
+function errorNameOf (text) {
+  const found = ERROR_NAMES.find(([, pattern]) => pattern.test(text))
+  return found ? found[0] : null
+}
+
+// `// => ...` is an annotation whatever its wording (`=> Within TDZ: throw
+// ReferenceError`). Without the arrow, the comment must start with the error
+// (`// ReferenceError...`, `// throws ...`, `// Error! ...`): prose such as
+// "This line is never executed because the previous line throws an error" is
+// not an annotation
+function isErrorComment (text) {
+  const arrow = text.indexOf('=>')
+  const annotation = arrow === -1 ? text.trim() : text.slice(arrow + 2)
+  if (arrow === -1 && !ERROR_ANNOTATION.test(annotation)) return false
+  return ERROR_WORDS.test(annotation) && !NOT_AN_ERROR.test(annotation)
+}
+
+// Returns the text of the bracketed literal at the start of `text`, or null
+function readLiteral (text) {
+  const closing = { '[': ']', '{': '}' }
+  const stack = []
+  let quote = null
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (closing[char]) {
+      stack.push(closing[char])
+    } else if (char === ']' || char === '}') {
+      if (stack.pop() !== char) return null
+      if (!stack.length) return text.slice(0, i + 1)
+    }
+  }
+  return null
+}
+
+function parseExpectation (comment) {
+  let text = comment.trim()
+  const arrow = text.startsWith('=>')
+  if (arrow) text = text.slice(2).trim()
+  if (!text) return null
+
+  if (isErrorComment(comment)) {
+    return { kind: 'error', errorName: errorNameOf(text), text }
+  }
+
+  const quoted = /^(["'])(.*?)\1/.exec(text)
+  if (quoted) return { kind: 'value', type: 'string', text: quoted[2] }
+
+  if (text[0] === '[' || text[0] === '{') {
+    const literal = readLiteral(text)
+    return literal ? { kind: 'value', type: 'literal', text: literal } : null
+  }
+
+  const primitive = PRIMITIVE.exec(text)
+  if (primitive) return { kind: 'value', type: 'primitive', text: primitive[1] }
+
+  if (arrow && /^[\w$]+$/.test(text)) return { kind: 'value', type: 'bare', text }
+
+  return null
+}
+
+// What console.log prints for `args`
+function printed (args) {
+  return util.format(...args)
+}
+
+// Compares ignoring whitespace and the kind of quotes
+function loose (text) {
+  return text.replace(/\s+/g, '').replace(/"/g, "'")
+}
+
+function asJSON (value) {
+  try {
+    return JSON.stringify(value)
+  } catch (err) {
+    return undefined
+  }
+}
+
+// Checks the arguments of a console.log() call against a value expectation
+function matchValue (expectation, args) {
+  const actual = printed(args)
+  const [value] = args
+  const single = args.length === 1
+
+  switch (expectation.type) {
+    case 'string':
+      if (single && typeof value === 'string') return value === expectation.text
+      return loose(actual) === loose(expectation.text)
+    case 'literal': {
+      if (loose(actual) === loose(expectation.text)) return true
+      const json = single ? asJSON(value) : undefined
+      return json !== undefined && loose(json) === loose(expectation.text)
+    }
+    default:
+      return actual === expectation.text
+  }
+}
+
+// A readable version of the logged value, strings are quoted
+function describeValue (args) {
+  if (args.length === 1 && typeof args[0] === 'string') return JSON.stringify(args[0])
+  return printed(args)
+}
+
+function describeExpectation (expectation) {
+  if (expectation.kind === 'error') return expectation.errorName || 'an error'
+  return expectation.type === 'string' ? JSON.stringify(expectation.text) : expectation.text
+}
+
+module.exports = {
+  parseExpectation,
+  isErrorComment,
+  errorNameOf,
+  matchValue,
+  describeValue,
+  describeExpectation
+}
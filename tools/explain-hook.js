@@ -0,0 +1,4 @@
+// Preload module: `node -r ./tools/explain-hook.js app.js` explains the
+// uncaught errors of app.js with the chapters (see explain.js)
+
+require('./explain').installHook()
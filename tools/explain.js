@@ -0,0 +1,131 @@
+// Runtime error explainer: maps V8 error messages to the chapter sections that
+// explain them (see error-catalog.js)
+//
+//   TypeError: Cannot convert a Symbol value to a number
+//     -> 06-symbols.js SYMBOL TYPE COERCION, its comments and its example
+//
+// It reads errors out of any text (a stack trace, a CI log, the REPL), or
+// hooks into a process with installHook(), e.g. through
+// `node -r ./tools/explain-hook.js app.js`
+
+const { CATALOG } = require('./error-catalog')
+const { findChapter, loadChapter, findSection, parseBlocks } = require('./chapters')
+
+const ERROR_LINE = /^\s*(?:Uncaught\s+)?([A-Z]\w*Error)(?: \[[\w-]+\])?: (.+?)\s*$/
+const FRAME = /^\s+at (?:.*? \()?(.+?:\d+:\d+)\)?$/
+const MAX_EXAMPLE_LINES = 8
+
+// Errors found in a text: [{ name, message, at }], `at` being the first frame
+// of the stack that follows the message, if any
+function parseErrors (text) {
+  const errors = []
+  let last = null
+  String(text).split(/\r?\n/).forEach(line => {
+    const error = ERROR_LINE.exec(line)
+    if (error) {
+      last = { name: error[1], message: error[2], at: null }
+      errors.push(last)
+      return
+    }
+    const frame = FRAME.exec(line)
+    if (frame && last && !last.at && !frame[1].startsWith('node:')) last.at = frame[1]
+  })
+  return errors
+}
+
+function fill (text, groups) {
+  return text.replace(/\{(\d)\}/g, (placeholder, index) => groups[Number(index)] || '')
+}
+
+// What to show of a section: its first paragraph of comments and the one
+// just before the example, then the code of the example, at most
+// MAX_EXAMPLE_LINES up to the line that contains `example`
+function excerptOf (section, example) {
+  const blocks = parseBlocks(section)
+  const code = blocks.filter(block => block.type === 'code')
+  const prose = blocks.filter(block => block.type === 'prose')
+  let block = code.find(candidate => example && candidate.lines.some(line => line.includes(example))) || code[0]
+  if (!block) return { prose: prose.slice(0, 1).map(other => other.lines.join('\n')), example: null }
+
+  const found = example ? block.lines.findIndex(line => line.includes(example)) : -1
+  const last = found === -1 ? Math.min(block.lines.length, MAX_EXAMPLE_LINES) - 1 : found
+  const first = Math.max(0, last - MAX_EXAMPLE_LINES + 1)
+  const before = prose.filter(other => other.end < block.start).pop()
+  const paragraphs = prose.slice(0, 1)
+  if (before && before !== prose[0]) paragraphs.push(before)
+  block = { start: block.start + first, lines: block.lines.slice(first, last + 1) }
+  return { prose: paragraphs.map(other => other.lines.join('\n')), example: block }
+}
+
+// The catalog entry of an error, with its section: null when none matches
+function explainError ({ name, message }, chapters = new Map()) {
+  for (const entry of CATALOG) {
+    if (entry.name !== name) continue
+    const match = entry.pattern.exec(message)
+    if (!match) continue
+    if (!chapters.has(entry.chapter)) chapters.set(entry.chapter, loadChapter(findChapter(entry.chapter)))
+    const chapter = chapters.get(entry.chapter)
+    const section = findSection(chapter, entry.section)
+    const excerpt = excerptOf(section, entry.example)
+    return {
+      id: entry.id,
+      likely: entry.likely !== false,
+      explanation: fill(entry.explanation, match),
+      chapter: chapter.file,
+      section: { index: section.index, title: section.title, start: section.start },
+      prose: excerpt.prose,
+      example: excerpt.example
+    }
+  }
+  return null
+}
+
+function indent (text, prefix = '  ') {
+  return text.split('\n').map(line => line ? prefix + line : line).join('\n')
+}
+
+// Plain text, for the terminal and the hook
+function formatExplanation (error, explanation) {
+  const lines = [`${error.name}: ${error.message}${error.at ? ` (at ${error.at})` : ''}`]
+  if (!explanation) {
+    lines.push('  No chapter explains this error')
+    return lines.join('\n')
+  }
+  const { chapter, section, prose, example } = explanation
+  lines.push(indent(`${explanation.likely ? '' : 'Possibly: '}${explanation.explanation}`))
+  lines.push(`  See ${chapter}:${section.start} ${section.title} (learn repl ${chapter.slice(0, 2)} ${section.index})`)
+  if (prose.length) {
+    lines.push('')
+    lines.push(indent(prose.join('\n\n'), '  | '))
+  }
+  if (example) {
+    lines.push('')
+    example.lines.forEach((line, i) => lines.push(`  ${String(example.start + i).padStart(4)} ${line}`))
+  }
+  return lines.join('\n')
+}
+
+// Prints the explanation of uncaught errors after their stack, then exits
+// with code 1 as Node does. Returns a function that removes the hook
+function installHook ({ write = text => process.stderr.write(text), exit = code => process.exit(code) } = {}) {
+  const chapters = new Map()
+  function onError (err) {
+    const stack = err && err.stack ? String(err.stack) : String(err)
+    write(`${stack}\n`)
+    if (err && typeof err === 'object') {
+      const error = { name: err.name, message: err.message, at: (parseErrors(stack)[0] || {}).at || null }
+      const explanation = explainError(error, chapters)
+      if (explanation) write(`\n${formatExplanation(error, explanation)}\n`)
+    }
+    exit(1)
+  }
+  process.on('uncaughtException', onError)
+  return () => process.removeListener('uncaughtException', onError)
+}
+
+module.exports = {
+  parseErrors,
+  explainError,
+  formatExplanation,
+  installHook
+}
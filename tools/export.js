@@ -0,0 +1,204 @@
+// Chapters as documents: Markdown or Jupyter notebooks (.ipynb)
+//  - banner titles become headings
+//  - comment runs become prose (see parseBlocks in chapters.js)
+//  - code becomes fenced blocks (code cells), each followed by the console
+//    output it printed when the chapter ran
+//
+// Sections run in order with the bindings of the sections above them, as in
+// `learn doctest`. Output is attributed to a code block through the chapter
+// line of the statement that logged it, and an uncaught error is shown after
+// the block that threw it
+
+const { parseBlocks } = require('./chapters')
+const { carryBindings } = require('./bindings')
+const { runSection, DEFAULT_TIMEOUT } = require('./sandbox')
+const { chapterTitle } = require('./readme')
+
+const LIST_ITEM = /^([-#]|\d+\.)\s+(.*)$/
+
+function leadingSpaces (line) {
+  return /^ */.exec(line)[0].length
+}
+
+// Comment lines to Markdown:
+//  - `-` and `#` items become list items, nested by their indentation
+//  - indented lines under an item continue it
+//  - other lines are kept as they are, with hard line breaks as in the readme
+function renderProse (lines) {
+  const texts = lines.filter(line => line.trim() !== '')
+  const base = Math.min(...texts.map(leadingSpaces))
+  const paragraphs = []
+  let current = null
+  let item = false
+
+  texts.forEach(line => {
+    const indent = leadingSpaces(line) - base
+    const text = line.trim()
+    const match = LIST_ITEM.exec(text)
+    if (match) {
+      const marker = match[1] === '#' ? '-' : match[1]
+      if (!current || current.type !== 'list') {
+        current = { type: 'list', lines: [] }
+        paragraphs.push(current)
+      }
+      current.lines.push(`${' '.repeat(indent)}${marker} ${match[2]}`)
+      item = true
+    } else if (item && indent > 0) {
+      current.lines[current.lines.length - 1] += ` ${text}`
+    } else {
+      if (!current || current.type !== 'text') {
+        current = { type: 'text', lines: [] }
+        paragraphs.push(current)
+      }
+      current.lines.push(text)
+      item = false
+    }
+  })
+
+  return paragraphs
+    .map(paragraph => paragraph.lines.join(paragraph.type === 'text' ? '\\\n' : '\n'))
+    .join('\n\n')
+}
+
+function errorText (error) {
+  const where = error.line === null ? '' : ` (line ${error.line})`
+  return `Uncaught ${error.name}: ${error.message}${where}`
+}
+
+// Runs `section` and pairs each code block with its output and error
+function runBlocks (chapter, section, { timeout, globals }) {
+  const blocks = parseBlocks(section)
+  const codeBlocks = blocks.filter(block => block.type === 'code')
+  codeBlocks.forEach(block => Object.assign(block, { output: [], error: null }))
+
+  const result = runSection(chapter, section, { timeout, globals })
+  // A line outside every block (or unknown) goes to the closest block above it
+  const blockAt = line => {
+    const above = codeBlocks.filter(block => line !== null && block.start <= line)
+    return above.length ? above[above.length - 1] : codeBlocks[codeBlocks.length - 1]
+  }
+
+  if (codeBlocks.length) {
+    result.output.forEach(entry => blockAt(entry.line).output.push(entry))
+    if (result.error) blockAt(result.error.line).error = result.error
+  }
+  return { section, blocks, error: result.error, context: result.context }
+}
+
+// Runs the whole chapter, returns its sections with their blocks
+function runChapter (chapter, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const bindings = carryBindings()
+  return chapter.sections.map(section => {
+    const ran = runBlocks(chapter, section, { timeout, globals: bindings.globalsFor(section) })
+    bindings.harvest(section, ran.context)
+    return ran
+  })
+}
+
+function blockOutput (block) {
+  const lines = block.output.map(entry => entry.text)
+  if (block.error) lines.push(errorText(block.error))
+  return lines.join('\n')
+}
+
+function toMarkdown (chapter, sections) {
+  const parts = [
+    `# ${chapter.number}. ${chapterTitle(chapter)}`,
+    `Exported from \`${chapter.file}\`, output captured on Node ${process.version}`
+  ]
+  sections.forEach(({ section, blocks }) => {
+    if (section.banner) parts.push(`## ${section.title}`)
+    blocks.forEach(block => {
+      if (block.type === 'prose') {
+        parts.push(renderProse(block.lines))
+        return
+      }
+      parts.push('```js\n' + block.lines.join('\n') + '\n```')
+      const output = blockOutput(block)
+      if (output) parts.push('```text\n' + output + '\n```')
+    })
+  })
+  return parts.join('\n\n') + '\n'
+}
+
+// nbformat stores multi-line strings as arrays of lines, each ending with \n
+// except the last one
+function sourceLines (text) {
+  return text.split('\n').map((line, i, lines) => i < lines.length - 1 ? `${line}\n` : line)
+}
+
+function streamOutputs (output) {
+  const outputs = []
+  output.forEach(entry => {
+    const last = outputs[outputs.length - 1]
+    if (last && last.name === entry.stream) {
+      last.text.push(`${entry.text}\n`)
+    } else {
+      outputs.push({ output_type: 'stream', name: entry.stream, text: [`${entry.text}\n`] })
+    }
+  })
+  return outputs
+}
+
+function toNotebook (chapter, sections) {
+  const cells = []
+  let markdown = [`# ${chapter.number}. ${chapterTitle(chapter)}`]
+  let count = 0
+
+  const flushMarkdown = () => {
+    if (markdown.length) cells.push({ cell_type: 'markdown', metadata: {}, source: sourceLines(markdown.join('\n\n')) })
+    markdown = []
+  }
+
+  sections.forEach(({ section, blocks }) => {
+    if (section.banner) markdown.push(`## ${section.title}`)
+    blocks.forEach(block => {
+      if (block.type === 'prose') {
+        markdown.push(renderProse(block.lines))
+        return
+      }
+      flushMarkdown()
+      const outputs = streamOutputs(block.output)
+      if (block.error) {
+        outputs.push({ output_type: 'error', ename: block.error.name, evalue: block.error.message, traceback: [errorText(block.error)] })
+      }
+      cells.push({
+        cell_type: 'code',
+        execution_count: ++count,
+        metadata: { chapter_lines: [block.start, block.end] },
+        source: sourceLines(block.lines.join('\n')),
+        outputs
+      })
+    })
+  })
+  flushMarkdown()
+
+  return {
+    cells,
+    metadata: {
+      kernelspec: { name: 'javascript', display_name: 'JavaScript (Node.js)', language: 'javascript' },
+      language_info: { name: 'javascript', version: process.versions.node, file_extension: '.js' },
+      source: chapter.file
+    },
+    nbformat: 4,
+    nbformat_minor: 4
+  }
+}
+
+const FORMATS = {
+  md: { extension: '.md', render: toMarkdown },
+  ipynb: { extension: '.ipynb', render: (chapter, sections) => JSON.stringify(toNotebook(chapter, sections), null, 1) + '\n' }
+}
+
+function exportChapter (chapter, { format = 'md', timeout } = {}) {
+  return FORMATS[format].render(chapter, runChapter(chapter, { timeout }))
+}
+
+module.exports = {
+  FORMATS,
+  renderProse,
+  runChapter,
+  toMarkdown,
+  toNotebook,
+  exportChapter
+}
@@ -0,0 +1,197 @@
+/* eslint-disable no-template-curly-in-string */
+/* eslint-disable no-new-func */
+// Runtime ES feature detection
+// hasRegExpU() and hasRegExpY() in 02-strings-and-regexp.js, generalized to
+// every chapter of the table of contents
+//
+// There are three kinds of probes:
+//  - 'syntax':  the code must compile with `new Function(code)`, nothing runs
+//  - 'api':     the expression must be truthy
+//  - 'runtime': the function body must run and return true (a throw is a "no")
+//
+// Probes run in a fresh `node:vm` context by default, so they see the
+// engine's own built-ins and not what the current process may have patched
+
+const vm = require('vm')
+
+const CHAPTERS = [
+  'Block Bindings',
+  'Strings and Regular Expressions',
+  'Functions',
+  'Objects',
+  'Objects and Arrays Destructuring',
+  'Symbols and Symbols Properties',
+  'Sets and Maps',
+  'Iterators and Generators',
+  'Classes',
+  'Improved Arrays',
+  'Promises and Asynchronous Programming',
+  'Proxies and Reflection API',
+  'Encapsulation and Modules',
+  'Other Changes in ES6',
+  'Other Changes in ES7'
+]
+
+const api = expression => ({ kind: 'api', code: expression })
+const syntax = code => ({ kind: 'syntax', code })
+const runtime = body => ({ kind: 'runtime', code: body })
+const method = (owner, name) => api(`typeof ${owner}.${name} === 'function'`)
+const wellKnown = name => api(`typeof Symbol === 'function' && typeof Symbol.${name} === 'symbol'`)
+
+const FEATURES = [
+  ['Block Bindings', [
+    ['`let` declarations', syntax('let a = 1')],
+    ['`const` declarations', syntax('const a = 1')],
+    ['Temporal Dead Zone', runtime('try { a; return false } catch (e) { return e instanceof ReferenceError } let a')],
+    ['Per-iteration `let` bindings in loops', runtime('var fns = []; for (let i = 0; i < 2; i++) fns.push(function () { return i }); return fns[0]() === 0')],
+    ['Block-level functions (strict mode)', runtime('"use strict"; { function f () {} } return typeof f === "undefined"')]
+  ]],
+  ['Strings and Regular Expressions', [
+    ['`str.codePointAt()`', method('String.prototype', 'codePointAt')],
+    ['`String.fromCodePoint()`', method('String', 'fromCodePoint')],
+    ['`str.normalize()`', method('String.prototype', 'normalize')],
+    ['`str.includes()`', method('String.prototype', 'includes')],
+    ['`str.startsWith()`', method('String.prototype', 'startsWith')],
+    ['`str.endsWith()`', method('String.prototype', 'endsWith')],
+    ['`str.repeat()`', method('String.prototype', 'repeat')],
+    ['RegExp `u` flag', runtime('new RegExp(".", "u"); return true')],
+    ['RegExp `y` flag', runtime('new RegExp(".", "y"); return true')],
+    ['Duplicating a RegExp with new flags', runtime('return new RegExp(/ab/i, "g").flags === "g"')],
+    ['RegExp `flags` property', api('"flags" in RegExp.prototype')],
+    ['Template literals', syntax('var s = `a ${1} b`')],
+    ['Tagged templates', syntax('var s = String.raw`a`')],
+    ['`String.raw()`', method('String', 'raw')]
+  ]],
+  ['Functions', [
+    ['Default parameters', syntax('function f (a = 1) {}')],
+    ['Rest parameters', syntax('function f (a, ...b) {}')],
+    ['Spread operator in calls', syntax('Math.max(...[1, 2])')],
+    ['Default and rest parameters in `Function()`', runtime('return new Function("a = 1", "...b", "return a + b.length")() === 1')],
+    ['`name` property', runtime('var f = function () {}; return f.name === "f"')],
+    ['`new.target`', syntax('function F () { return new.target }')],
+    ['Arrow functions', syntax('var f = (a, b) => a + b')],
+    ['Tail call optimization', runtime('"use strict"; function f (n) { return n === 0 ? true : f(n - 1) } try { return f(1e5) } catch (e) { return false }')]
+  ]],
+  ['Objects', [
+    ['Property initializer shorthand', syntax('var a = 1; var o = { a }')],
+    ['Concise methods', syntax('var o = { m () {} }')],
+    ['Computed property names', syntax('var o = { ["a" + 1]: 1 }')],
+    ['`Object.is()`', method('Object', 'is')],
+    ['`Object.assign()`', method('Object', 'assign')],
+    ['Duplicate properties in strict mode', syntax('"use strict"; var o = { a: 1, a: 2 }')],
+    ['Own properties enumeration order', runtime('var o = { b: 1, 1: 1, a: 1 }; return Object.getOwnPropertyNames(o).join() === "1,b,a"')],
+    ['`Object.setPrototypeOf()`', method('Object', 'setPrototypeOf')],
+    ['`super` references', syntax('var o = { m () { return super.m } }')]
+  ]],
+  ['Objects and Arrays Destructuring', [
+    ['Object destructuring', syntax('var { a, b: c } = {}')],
+    ['Array destructuring', syntax('var [a, , b] = []')],
+    ['Default values', syntax('var { a = 1 } = {}; var [b = 2] = []')],
+    ['Nested destructuring', syntax('var { a: { b }, c: [d] } = { a: {}, c: [] }')],
+    ['Rest items', syntax('var [a, ...b] = []')],
+    ['Destructured parameters', syntax('function f ({ a } = {}, [b] = []) {}')]
+  ]],
+  ['Symbols and Symbols Properties', [
+    ['`Symbol()`', api('typeof Symbol === "function" && typeof Symbol() === "symbol"')],
+    ['`Symbol.for()` and `Symbol.keyFor()`', api('typeof Symbol === "function" && typeof Symbol.for === "function" && typeof Symbol.keyFor === "function"')],
+    ['`Object.getOwnPropertySymbols()`', method('Object', 'getOwnPropertySymbols')],
+    ['`Symbol.hasInstance`', wellKnown('hasInstance')],
+    ['`Symbol.isConcatSpreadable`', wellKnown('isConcatSpreadable')],
+    ['`Symbol.iterator`', wellKnown('iterator')],
+    ['`Symbol.match`', wellKnown('match')],
+    ['`Symbol.replace`', wellKnown('replace')],
+    ['`Symbol.search`', wellKnown('search')],
+    ['`Symbol.species`', wellKnown('species')],
+    ['`Symbol.split`', wellKnown('split')],
+    ['`Symbol.toPrimitive`', wellKnown('toPrimitive')],
+    ['`Symbol.toStringTag`', wellKnown('toStringTag')],
+    ['`Symbol.unscopables`', wellKnown('unscopables')]
+  ]],
+  ['Sets and Maps', [
+    ['`Set`', api('typeof Set === "function"')],
+    ['`Map`', api('typeof Map === "function"')],
+    ['`WeakSet`', api('typeof WeakSet === "function"')],
+    ['`WeakMap`', api('typeof WeakMap === "function"')]
+  ]],
+  ['Iterators and Generators', [
+    ['Generators', syntax('function * g () { yield 1 }')],
+    ['`for-of` loops', syntax('for (var x of []) {}')],
+    ['Iterable built-ins', api('typeof Symbol === "function" && typeof [][Symbol.iterator] === "function"')],
+    ['Spreading iterables', runtime('return [...new Set([1, 1])].length === 1')]
+  ]],
+  ['Classes', [
+    ['Class declarations', syntax('class A {}')],
+    ['Class expressions', syntax('var A = class {}')],
+    ['`extends` and `super()`', syntax('class A {} class B extends A { constructor () { super() } }')],
+    ['Static methods and accessors', syntax('class A { static m () {} get a () { return 1 } }')]
+  ]],
+  ['Improved Arrays', [
+    ['`Array.from()`', method('Array', 'from')],
+    ['`Array.of()`', method('Array', 'of')],
+    ['`arr.find()` and `arr.findIndex()`', api('typeof [].find === "function" && typeof [].findIndex === "function"')],
+    ['`arr.fill()`', method('Array.prototype', 'fill')],
+    ['`arr.copyWithin()`', method('Array.prototype', 'copyWithin')],
+    ['`arr.entries()`, `keys()` and `values()`', api('typeof [].entries === "function" && typeof [].keys === "function" && typeof [].values === "function"')],
+    ['Typed arrays', api('typeof ArrayBuffer === "function" && typeof Uint8Array === "function"')]
+  ]],
+  ['Promises and Asynchronous Programming', [
+    ['`Promise`', api('typeof Promise === "function"')],
+    ['`Promise.prototype.finally()`', api('typeof Promise === "function" && typeof Promise.prototype.finally === "function"')],
+    ['Async functions', syntax('async function f () { await 1 }')],
+    ['Async iteration', syntax('async function f () { for await (var x of []) {} }')]
+  ]],
+  ['Proxies and Reflection API', [
+    ['`Proxy`', api('typeof Proxy === "function"')],
+    ['`Reflect`', api('typeof Reflect === "object" && typeof Reflect.ownKeys === "function"')]
+  ]],
+  ['Encapsulation and Modules', [
+    ['Dynamic `import()`', syntax('return import("./module.js")')]
+  ]],
+  ['Other Changes in ES6', [
+    ['Binary and octal literals', syntax('var n = 0b101 + 0o17')],
+    ['Unicode code point escapes', syntax('var s = "\\u{20BB7}"')],
+    ['`Number.isInteger()` and `Number.EPSILON`', api('typeof Number.isInteger === "function" && typeof Number.EPSILON === "number"')],
+    ['`Math.trunc()` and `Math.sign()`', api('typeof Math.trunc === "function" && typeof Math.sign === "function"')]
+  ]],
+  ['Other Changes in ES7', [
+    ['Exponentiation operator', syntax('var n = 2 ** 3')],
+    ['`arr.includes()`', method('Array.prototype', 'includes')]
+  ]]
+].reduce((features, [chapter, probes]) => {
+  probes.forEach(([name, probe]) => features.push(Object.assign({ chapter, name }, probe)))
+  return features
+}, [])
+
+function probe (Function, feature) {
+  try {
+    switch (feature.kind) {
+      case 'syntax':
+        // eslint-disable-next-line no-new
+        new Function(feature.code)
+        return true
+      case 'api':
+        return Boolean(Function(`return (${feature.code})`)())
+      default:
+        return Function(feature.code)() === true
+    }
+  } catch (err) {
+    return false
+  }
+}
+
+// Runs every probe in `context` (a fresh vm context by default)
+function detectFeatures ({ context = vm.createContext() } = {}) {
+  const ContextFunction = vm.runInContext('Function', context)
+  return FEATURES.map(feature => Object.assign({}, feature, { supported: probe(ContextFunction, feature) }))
+}
+
+function engine () {
+  return { node: process.version, v8: process.versions.v8, platform: process.platform }
+}
+
+module.exports = {
+  CHAPTERS,
+  FEATURES,
+  detectFeatures,
+  engine
+}
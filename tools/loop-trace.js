@@ -0,0 +1,266 @@
+// Loop binding tracer: what the closures created in a loop capture
+//
+// `BLOCK-BINDING IN LOOPS` in 01-block-bindings.js explains why
+//
+//   for (var k = 0; k < 10; k++) funcs.push(function () { console.log(k) })
+//
+// logs 10 ten times while the same loop with `let` logs 0 to 9. The tracer
+// shows it happen: it rewrites every loop that declares its variables in its
+// head (`for`, `for-in`, `for-of`) so that each iteration hands over a probe,
+// a getter and a setter created in the body like any closure of the loop:
+//
+//   for (var k = 0; k < 10; k++) {
+//     __trace__.iteration(0, { k: [() => k, value => { k = value }] })
+//     funcs.push(__trace__.closure(0, function () { console.log(k) }, 212, false))
+//   }
+//
+// Once the snippet ran, writing a marker through the setter of one iteration
+// and reading it back through the getters of the others tells which
+// iterations share a binding. `const` bindings cannot be written: they are
+// told apart by their values, or by what the spec says when values repeat
+
+const util = require('util')
+const walk = require('acorn-walk')
+const { parse } = require('./parse')
+const { patternNames } = require('./bindings')
+const { createSandbox, DEFAULT_TIMEOUT } = require('./sandbox')
+
+const LOOP_TYPES = ['ForStatement', 'ForInStatement', 'ForOfStatement']
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']
+const MAX_ITERATIONS = 1000
+const MAX_VALUE_LENGTH = 24
+
+function headOf (loop) {
+  const head = loop.type === 'ForStatement' ? loop.init : loop.left
+  return head && head.type === 'VariableDeclaration' ? head : null
+}
+
+// The loops that declare variables in their head, outermost first, and the
+// function expressions created directly in their bodies, `iife` when they are
+// called right away
+function findLoops (ast) {
+  const loops = []
+  const closures = []
+  const visitLoop = (node, ancestors) => {
+    const declaration = headOf(node)
+    if (!declaration) return
+    let target = node
+    for (let i = ancestors.length - 2; i >= 0 && ancestors[i].type === 'LabeledStatement'; i--) target = ancestors[i]
+    loops.push({
+      node,
+      target,
+      kind: declaration.kind,
+      names: [].concat(...declaration.declarations.map(declarator => patternNames(declarator.id))),
+      depth: ancestors.length
+    })
+  }
+  walk.ancestor(ast, {
+    ForStatement: visitLoop,
+    ForInStatement: visitLoop,
+    ForOfStatement: visitLoop,
+    Function (node, ancestors) {
+      if (node.type === 'FunctionDeclaration') return
+      for (let i = ancestors.length - 2; i >= 0; i--) {
+        const ancestor = ancestors[i]
+        if (FUNCTION_TYPES.includes(ancestor.type)) return
+        if (LOOP_TYPES.includes(ancestor.type)) {
+          if (ancestor.body !== ancestors[i + 1]) return
+          const parent = ancestors[ancestors.length - 2]
+          const iife = parent.type === 'CallExpression' && parent.callee === node
+          closures.push({ node, loop: ancestor, iife, depth: ancestors.length })
+          return
+        }
+      }
+    }
+  })
+  loops.sort((a, b) => a.node.start - b.node.start)
+  return {
+    loops,
+    closures: closures.filter(closure => loops.some(loop => loop.node === closure.loop))
+  }
+}
+
+// Applies insertions [{ at, text, open, depth }]: at the same position the
+// closing texts come first, innermost first, then the opening ones, outermost
+// first
+function applyInsertions (code, insertions) {
+  const sorted = insertions.slice().sort((a, b) =>
+    a.at - b.at ||
+    Number(a.open) - Number(b.open) ||
+    (a.open ? a.depth - b.depth : b.depth - a.depth)
+  )
+  let result = ''
+  let last = 0
+  sorted.forEach(insertion => {
+    result += code.slice(last, insertion.at) + insertion.text
+    last = insertion.at
+  })
+  return result + code.slice(last)
+}
+
+function probesOf (names) {
+  return `{ ${names.map(name => `${JSON.stringify(name)}: [() => ${name}, __value__ => { ${name} = __value__ }]`).join(', ')} }`
+}
+
+// { code, loops: [{ id, line, head, type, kind, names }] }, `lineOffset`
+// being added to the lines of the snippet
+function instrumentLoops (source, { lineOffset = 0 } = {}) {
+  const ast = parse(source)
+  const { loops, closures } = findLoops(ast)
+  const insertions = []
+  loops.forEach((loop, id) => {
+    const { node, target, depth } = loop
+    insertions.push({ at: target.start, text: `{ __trace__.start(${id}); `, open: true, depth })
+    insertions.push({ at: target.end, text: ' }', open: false, depth })
+    const probe = `__trace__.iteration(${id}, ${probesOf(loop.names)});`
+    if (node.body.type === 'BlockStatement') {
+      insertions.push({ at: node.body.start + 1, text: ` ${probe}`, open: true, depth: depth + 1 })
+    } else {
+      insertions.push({ at: node.body.start, text: `{ ${probe} `, open: true, depth: depth + 1 })
+      insertions.push({ at: node.body.end, text: ' }', open: false, depth: depth + 1 })
+    }
+  })
+  closures.forEach(closure => {
+    const id = loops.findIndex(loop => loop.node === closure.loop)
+    const line = closure.node.loc.start.line + lineOffset
+    insertions.push({ at: closure.node.start, text: `__trace__.closure(${id}, `, open: true, depth: closure.depth })
+    insertions.push({ at: closure.node.end, text: `, ${line}, ${closure.iife})`, open: false, depth: closure.depth })
+  })
+
+  return {
+    code: applyInsertions(source, insertions),
+    loops: loops.map(({ node, kind, names }, id) => ({
+      id,
+      line: node.loc.start.line + lineOffset,
+      head: source.slice(node.start, node.body.start).trim().replace(/\s+/g, ' '),
+      type: node.type,
+      kind,
+      names
+    }))
+  }
+}
+
+function describe (value) {
+  const text = typeof value === 'string' ? JSON.stringify(value) : util.inspect(value, { depth: 0, breakLength: Infinity })
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...` : text
+}
+
+// The `__trace__` global: every run of a loop with its iterations
+function createTracer (count) {
+  const records = Array.from({ length: count }, () => ({ runs: [], skipped: 0 }))
+  const current = id => {
+    const runs = records[id].runs
+    if (!runs.length) runs.push({ iterations: [] })
+    return runs[runs.length - 1]
+  }
+  return {
+    records,
+    start (id) {
+      records[id].runs.push({ iterations: [] })
+    },
+    iteration (id, probes) {
+      const run = current(id)
+      const total = records[id].runs.reduce((sum, other) => sum + other.iterations.length, 0)
+      if (total >= MAX_ITERATIONS) {
+        records[id].skipped++
+        run.last = null
+        return
+      }
+      const entering = {}
+      Object.keys(probes).forEach(name => { entering[name] = describe(probes[name][0]()) })
+      run.last = { index: run.iterations.length, entering, probes, closures: [], iifes: [] }
+      run.iterations.push(run.last)
+    },
+    closure (id, fn, line, iife) {
+      const run = current(id)
+      if (run.last) run.last[iife ? 'iifes' : 'closures'].push(line)
+      return fn
+    }
+  }
+}
+
+// Binding numbers (1, 2...) of `name` for each iteration: iterations that see
+// each other's writes share a binding
+function bindingsOf (name, iterations, loop) {
+  const numbers = new Array(iterations.length).fill(0)
+  let next = 1
+  let inferred = false
+  iterations.forEach((iteration, i) => {
+    if (numbers[i]) return
+    const [get, set] = iteration.probes[name]
+    const marker = {}
+    const original = get()
+    try {
+      set(marker)
+    } catch (err) {
+      inferred = true
+      numbers[i] = next++
+      return
+    }
+    iterations.forEach((other, j) => {
+      if (!numbers[j] && other.probes[name][0]() === marker) numbers[j] = next
+    })
+    set(original)
+    next++
+  })
+  if (!inferred) return { numbers, inferred }
+
+  // `const`: different values prove different bindings, and the spec creates
+  // a binding per iteration everywhere but in the head of a classic `for`
+  if (loop.type === 'ForStatement') {
+    const values = new Set(iterations.map(iteration => iteration.probes[name][0]()))
+    if (values.size === 1) numbers.fill(1)
+  }
+  return { numbers, inferred }
+}
+
+function summarize (loop, record) {
+  const iterations = [].concat(...record.runs.map(run => run.iterations))
+  const variables = loop.names.map(name => {
+    const { numbers, inferred } = bindingsOf(name, iterations, loop)
+    return { name, bindings: new Set(numbers).size, inferred, numbers }
+  })
+  const timeline = iterations.map((iteration, i) => {
+    const later = {}
+    const binding = {}
+    variables.forEach(variable => {
+      later[variable.name] = describe(iteration.probes[variable.name][0]())
+      binding[variable.name] = variable.numbers[i]
+    })
+    const run = record.runs.findIndex(other => other.iterations.includes(iteration))
+    return { run, index: iteration.index, entering: iteration.entering, later, binding, closures: iteration.closures, iifes: iteration.iifes }
+  })
+  return Object.assign({}, loop, {
+    runs: record.runs.filter(run => run.iterations.length).length,
+    iterations: iterations.length,
+    skipped: record.skipped,
+    variables: variables.map(({ name, bindings, inferred }) => ({
+      name,
+      bindings,
+      shared: iterations.length > 1 && bindings === 1,
+      inferred
+    })),
+    timeline
+  })
+}
+
+// Runs a snippet with its loops instrumented: { loops, output, error }
+// `globals` and `filename` are passed to the sandbox as for runSection()
+function traceLoops (source, { filename = 'snippet.js', lineOffset = 0, timeout = DEFAULT_TIMEOUT, globals = {} } = {}) {
+  const { code, loops } = instrumentLoops(source, { lineOffset })
+  const tracer = createTracer(loops.length)
+  const sandbox = createSandbox({ globals: Object.assign({}, globals, { __trace__: tracer }) })
+  const error = sandbox.run(code, { filename, lineOffset, timeout })
+  return {
+    loops: loops.map((loop, id) => summarize(loop, tracer.records[id])),
+    output: sandbox.output,
+    error,
+    context: sandbox.context
+  }
+}
+
+module.exports = {
+  findLoops,
+  instrumentLoops,
+  traceLoops
+}
@@ -0,0 +1,420 @@
+// Minimum ECMAScript edition of a source file
+// The file is parsed with acorn and every construct that came after ES5 is
+// reported as a finding, keyed by the feature ids of data/es-editions.json:
+//  - syntax (`let`, arrow functions, destructuring, `?.`...) is certain
+//  - built-ins (`Object.assign()`, `Symbol`, `Map`...) are certain when read
+//    from a global that the file does not declare itself
+//  - prototype methods and properties (`.includes()`, `.flags`...) are
+//    'likely': the receiver could be any object with a member of that name
+// The minimum edition is the latest edition among the findings
+
+const walk = require('acorn-walk')
+const { parseProgram } = require('./parse')
+const { declaredNames } = require('./bindings')
+const { loadEditions, allFeatures } = require('./editions')
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']
+
+// Global constructors and namespaces
+const GLOBALS = {
+  Symbol: 'symbol',
+  Map: 'map-set',
+  Set: 'map-set',
+  WeakMap: 'map-set',
+  WeakSet: 'map-set',
+  Promise: 'promise',
+  Proxy: 'proxy',
+  Reflect: 'reflect',
+  ArrayBuffer: 'typed-arrays',
+  DataView: 'typed-arrays',
+  Int8Array: 'typed-arrays',
+  Uint8Array: 'typed-arrays',
+  Uint8ClampedArray: 'typed-arrays',
+  Int16Array: 'typed-arrays',
+  Uint16Array: 'typed-arrays',
+  Int32Array: 'typed-arrays',
+  Uint32Array: 'typed-arrays',
+  Float32Array: 'typed-arrays',
+  Float64Array: 'typed-arrays',
+  SharedArrayBuffer: 'shared-memory',
+  Atomics: 'shared-memory',
+  BigInt: 'bigint',
+  BigInt64Array: 'bigint',
+  BigUint64Array: 'bigint',
+  globalThis: 'global-this',
+  WeakRef: 'weak-refs',
+  FinalizationRegistry: 'weak-refs',
+  AggregateError: 'promise-any',
+  Float16Array: 'float16',
+  Iterator: 'iterator-helpers',
+  Temporal: 'temporal'
+}
+
+// Static methods and properties, `Owner.name`
+const STATICS = {
+  'Object.assign': 'object-assign',
+  'Object.is': 'object-is',
+  'Object.setPrototypeOf': 'object-set-prototype-of',
+  'Object.getOwnPropertySymbols': 'get-own-property-symbols',
+  'Object.values': 'object-values-entries',
+  'Object.entries': 'object-values-entries',
+  'Object.getOwnPropertyDescriptors': 'get-own-property-descriptors',
+  'Object.fromEntries': 'object-from-entries',
+  'Object.hasOwn': 'object-has-own',
+  'Object.groupBy': 'array-grouping',
+  'Map.groupBy': 'array-grouping',
+  'String.fromCodePoint': 'from-code-point',
+  'String.raw': 'string-raw',
+  'Array.from': 'array-from',
+  'Array.of': 'array-from',
+  'Number.isInteger': 'number-methods',
+  'Number.isSafeInteger': 'number-methods',
+  'Number.isFinite': 'number-methods',
+  'Number.isNaN': 'number-methods',
+  'Number.parseFloat': 'number-methods',
+  'Number.parseInt': 'number-methods',
+  'Number.EPSILON': 'number-methods',
+  'Number.MAX_SAFE_INTEGER': 'number-methods',
+  'Number.MIN_SAFE_INTEGER': 'number-methods',
+  'Math.trunc': 'math-methods',
+  'Math.sign': 'math-methods',
+  'Math.cbrt': 'math-methods',
+  'Math.hypot': 'math-methods',
+  'Math.log2': 'math-methods',
+  'Math.log10': 'math-methods',
+  'Math.log1p': 'math-methods',
+  'Math.expm1': 'math-methods',
+  'Math.clz32': 'math-methods',
+  'Math.imul': 'math-methods',
+  'Math.fround': 'math-methods',
+  'Math.f16round': 'float16',
+  'Symbol.for': 'symbol-registry',
+  'Symbol.keyFor': 'symbol-registry',
+  'Symbol.hasInstance': 'symbol-has-instance',
+  'Symbol.isConcatSpreadable': 'symbol-is-concat-spreadable',
+  'Symbol.iterator': 'symbol-iterator',
+  'Symbol.asyncIterator': 'async-iteration',
+  'Symbol.match': 'symbol-regexp-methods',
+  'Symbol.matchAll': 'string-match-all',
+  'Symbol.replace': 'symbol-regexp-methods',
+  'Symbol.search': 'symbol-regexp-methods',
+  'Symbol.split': 'symbol-regexp-methods',
+  'Symbol.species': 'symbol',
+  'Symbol.toPrimitive': 'symbol-to-primitive',
+  'Symbol.toStringTag': 'symbol-to-string-tag',
+  'Symbol.unscopables': 'symbol-unscopables',
+  'Symbol.dispose': 'explicit-resource-management',
+  'Symbol.asyncDispose': 'explicit-resource-management',
+  'Promise.allSettled': 'promise-all-settled',
+  'Promise.any': 'promise-any',
+  'Promise.withResolvers': 'promise-with-resolvers',
+  'Promise.try': 'promise-try',
+  'RegExp.escape': 'regexp-escape',
+  'Atomics.waitAsync': 'atomics-wait-async'
+}
+
+// Prototype methods, by name: the receiver is unknown, so these are 'likely'
+// `includes` is either str.includes() (ES2015) or arr.includes() (ES2016)
+const METHODS = {
+  codePointAt: ['code-point-at'],
+  normalize: ['normalize'],
+  startsWith: ['string-includes'],
+  endsWith: ['string-includes'],
+  includes: ['string-includes', 'array-includes'],
+  repeat: ['string-repeat'],
+  find: ['array-find'],
+  findIndex: ['array-find'],
+  fill: ['array-fill'],
+  copyWithin: ['array-fill'],
+  padStart: ['string-padding'],
+  padEnd: ['string-padding'],
+  finally: ['promise-finally'],
+  flat: ['array-flat'],
+  flatMap: ['array-flat'],
+  trimStart: ['string-trim-start-end'],
+  trimEnd: ['string-trim-start-end'],
+  matchAll: ['string-match-all'],
+  replaceAll: ['string-replace-all'],
+  at: ['array-at'],
+  findLast: ['array-find-last'],
+  findLastIndex: ['array-find-last'],
+  toSorted: ['change-array-by-copy'],
+  toReversed: ['change-array-by-copy'],
+  toSpliced: ['change-array-by-copy'],
+  isWellFormed: ['well-formed-strings'],
+  toWellFormed: ['well-formed-strings'],
+  union: ['set-methods'],
+  intersection: ['set-methods'],
+  difference: ['set-methods'],
+  symmetricDifference: ['set-methods'],
+  isSubsetOf: ['set-methods'],
+  isSupersetOf: ['set-methods'],
+  isDisjointFrom: ['set-methods']
+}
+
+// Prototype properties that are read, not called, also 'likely'
+const PROPERTIES = {
+  flags: ['regexp-flags']
+}
+
+const REGEXP_FLAGS = { u: 'regexp-u-flag', y: 'regexp-y-flag', s: 'regexp-dotall', d: 'regexp-match-indices', v: 'regexp-v-flag' }
+
+// Lookups in the tables above must ignore Object.prototype (`.toString()`)
+function lookup (table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined
+}
+
+function isFunction (node) {
+  return node && FUNCTION_TYPES.includes(node.type)
+}
+
+function memberName (node) {
+  if (node.type !== 'MemberExpression' || node.computed || node.object.type !== 'Identifier') return null
+  if (node.property.type !== 'Identifier') return null
+  return `${node.object.name}.${node.property.name}`
+}
+
+// The syntax that inspectNode() and inspectLiteral() report, by feature id
+const SYNTAX = [
+  'let', 'const', 'arrow-functions', 'async-functions', 'async-iteration', 'generators', 'block-level-functions',
+  'default-parameters', 'rest-parameters', 'spread', 'object-rest-spread', 'object-destructuring', 'array-destructuring',
+  'destructured-parameters', 'computed-properties', 'shorthand-properties', 'concise-methods', 'private-methods', 'class-fields',
+  'static-blocks', 'classes', 'super', 'new-target', 'import-meta', 'template-literals', 'tagged-templates', 'unicode-escapes',
+  'for-of', 'exponentiation', 'private-in', 'logical-assignment', 'nullish-coalescing', 'optional-chaining',
+  'optional-catch-binding', 'explicit-resource-management', 'modules', 'dynamic-import', 'export-namespace',
+  'import-attributes', 'top-level-await', 'hashbang', 'regexp-named-groups', 'regexp-lookbehind',
+  'regexp-unicode-property-escapes', 'regexp-modifiers', 'bigint', 'numeric-separators', 'binary-octal-literals'
+]
+
+// Calls `report(id, node, confidence)` for every post-ES5 construct of `node`
+function inspectNode (node, ancestors, report, context) {
+  const parent = ancestors[ancestors.length - 2]
+
+  switch (node.type) {
+    case 'VariableDeclaration':
+      if (node.kind === 'let' || node.kind === 'const') report(node.kind, node)
+      if (node.kind === 'using' || node.kind === 'await using') report('explicit-resource-management', node)
+      break
+    case 'ArrowFunctionExpression':
+      report('arrow-functions', node)
+      break
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+      if (node.async && node.generator) report('async-iteration', node)
+      else if (node.async) report('async-functions', node)
+      else if (node.generator) report('generators', node)
+      if (node.type === 'FunctionDeclaration' && parent && parent.type !== 'Program' &&
+          !(parent.type === 'BlockStatement' && isFunction(ancestors[ancestors.length - 3])) &&
+          parent.type !== 'ExportNamedDeclaration' && parent.type !== 'ExportDefaultDeclaration') {
+        report('block-level-functions', node)
+      }
+      break
+    case 'AssignmentPattern':
+      if (isFunction(parent) && parent.params.includes(node)) report('default-parameters', node)
+      break
+    case 'RestElement':
+      if (isFunction(parent)) report('rest-parameters', node)
+      break
+    case 'SpreadElement':
+      report(parent.type === 'ObjectExpression' ? 'object-rest-spread' : 'spread', node)
+      break
+    case 'ObjectPattern':
+    case 'ArrayPattern': {
+      report(node.type === 'ObjectPattern' ? 'object-destructuring' : 'array-destructuring', node)
+      // acorn-walk does not visit the rest element of an object pattern
+      if (node.type === 'ObjectPattern') {
+        const rest = node.properties.find(property => property.type === 'RestElement')
+        if (rest) report('object-rest-spread', rest)
+      }
+      const owner = parent.type === 'AssignmentPattern' ? ancestors[ancestors.length - 3] : parent
+      if (isFunction(owner) && owner.params.includes(parent.type === 'AssignmentPattern' ? parent : node)) {
+        report('destructured-parameters', node)
+      }
+      break
+    }
+    case 'Property':
+      if (parent.type !== 'ObjectExpression') break
+      if (node.computed) report('computed-properties', node)
+      if (node.shorthand) report('shorthand-properties', node)
+      if (node.method) report('concise-methods', node)
+      break
+    case 'MethodDefinition':
+      if (node.computed) report('computed-properties', node)
+      if (node.key.type === 'PrivateIdentifier') report('private-methods', node)
+      break
+    case 'PropertyDefinition':
+      report('class-fields', node)
+      break
+    case 'StaticBlock':
+      report('static-blocks', node)
+      break
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      report('classes', node)
+      break
+    case 'Super':
+      report('super', node)
+      break
+    case 'MetaProperty':
+      report(node.meta.name === 'new' ? 'new-target' : 'import-meta', node)
+      break
+    case 'TemplateLiteral':
+      report(parent.type === 'TaggedTemplateExpression' ? 'tagged-templates' : 'template-literals', node)
+      if (node.quasis.some(quasi => /\\u\{/.test(quasi.value.raw))) report('unicode-escapes', node)
+      break
+    case 'ForOfStatement':
+      report(node.await ? 'async-iteration' : 'for-of', node)
+      break
+    case 'BinaryExpression':
+      if (node.operator === '**') report('exponentiation', node)
+      if (node.left.type === 'PrivateIdentifier') report('private-in', node)
+      break
+    case 'AssignmentExpression':
+      if (node.operator === '**=') report('exponentiation', node)
+      if (['&&=', '||=', '??='].includes(node.operator)) report('logical-assignment', node)
+      break
+    case 'LogicalExpression':
+      if (node.operator === '??') report('nullish-coalescing', node)
+      break
+    case 'ChainExpression':
+      report('optional-chaining', node)
+      break
+    case 'CatchClause':
+      if (!node.param) report('optional-catch-binding', node)
+      break
+    case 'ImportExpression':
+      report('dynamic-import', node)
+      break
+    case 'ImportDeclaration':
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration':
+    case 'ExportAllDeclaration':
+      report('modules', node)
+      if (node.type === 'ExportAllDeclaration' && node.exported) report('export-namespace', node)
+      if (node.attributes && node.attributes.length) report('import-attributes', node)
+      break
+    case 'AwaitExpression':
+      if (!ancestors.some(isFunction)) report('top-level-await', node)
+      break
+    case 'Literal':
+      inspectLiteral(node, report)
+      break
+    case 'Identifier':
+      if (lookup(GLOBALS, node.name) && !context.declared.has(node.name) && isReference(node, parent)) {
+        report(GLOBALS[node.name], node)
+      }
+      break
+    case 'MemberExpression': {
+      const name = memberName(node)
+      const owner = name && name.split('.')[0]
+      const known = name && lookup(STATICS, name)
+      if (known && !context.declared.has(owner)) report(known, node)
+      const methods = !node.computed && lookup(METHODS, node.property.name)
+      if (methods && !known && parent.type === 'CallExpression' && parent.callee === node) {
+        methods.forEach(id => report(id, node, 'likely', methods))
+      }
+      const properties = !node.computed && lookup(PROPERTIES, node.property.name)
+      if (properties && !known && !(parent.type === 'CallExpression' && parent.callee === node)) {
+        properties.forEach(id => report(id, node, 'likely', properties))
+      }
+      break
+    }
+  }
+}
+
+function inspectLiteral (node, report) {
+  if (node.regex) {
+    const { pattern, flags } = node.regex
+    flags.split('').forEach(flag => lookup(REGEXP_FLAGS, flag) && report(REGEXP_FLAGS[flag], node))
+    if (/\(\?<[^=!]/.test(pattern)) report('regexp-named-groups', node)
+    if (/\(\?<[=!]/.test(pattern)) report('regexp-lookbehind', node)
+    if (/\\[pP]\{/.test(pattern) && /[uv]/.test(flags)) report('regexp-unicode-property-escapes', node)
+    if (/\(\?[ims]*-?[ims]+:/.test(pattern)) report('regexp-modifiers', node)
+    return
+  }
+  if (typeof node.bigint === 'string') {
+    report('bigint', node)
+    return
+  }
+  if (typeof node.value === 'number') {
+    if (node.raw.includes('_')) report('numeric-separators', node)
+    if (/^0[bBoO]/.test(node.raw)) report('binary-octal-literals', node)
+  }
+  if (typeof node.value === 'string' && /\\u\{/.test(node.raw)) report('unicode-escapes', node)
+}
+
+// An identifier that reads a variable, not a property name or a declaration
+function isReference (node, parent) {
+  if (!parent) return true
+  switch (parent.type) {
+    case 'MemberExpression':
+      return parent.object === node || parent.computed
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return parent.value === node || parent.computed
+    case 'VariableDeclarator':
+      return parent.init === node
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return parent.id !== node && !(parent.params || []).includes(node)
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return false
+    default:
+      return true
+  }
+}
+
+// Findings grouped by feature, in edition order:
+// [{ id, name, edition, lines: [...], confidence, alternatives }]
+function analyzeSource (code, { data = loadEditions() } = {}) {
+  const { ast, sourceType } = parseProgram(code)
+  const features = new Map(allFeatures(data).map(feature => [feature.id, feature]))
+  const order = new Map(data.editions.map((edition, i) => [edition.id, i]))
+  order.set(null, data.editions.length)
+  const findings = new Map()
+
+  const report = (id, node, confidence = 'certain', alternatives = null) => {
+    const feature = features.get(id)
+    if (!feature) return
+    if (!findings.has(id)) {
+      findings.set(id, { id, name: feature.name, edition: feature.edition, year: feature.year, feature, lines: [], confidence, alternatives })
+    }
+    const finding = findings.get(id)
+    if (confidence === 'certain') finding.confidence = 'certain'
+    const line = node.loc.start.line
+    if (!finding.lines.includes(line)) finding.lines.push(line)
+  }
+
+  if (code.startsWith('#!')) report('hashbang', ast.body[0] || ast)
+  const context = { declared: declaredNames(ast) }
+  walk.fullAncestor(ast, (node, state, ancestors) => inspectNode(node, ancestors, report, context))
+
+  const list = Array.from(findings.values())
+    .sort((a, b) => order.get(a.edition) - order.get(b.edition) || a.lines[0] - b.lines[0])
+  // Of several alternatives, only the earliest edition counts as required
+  const required = list.filter(finding => {
+    if (!finding.alternatives || finding.confidence === 'certain') return true
+    return finding.alternatives.every(id => !findings.has(id) || order.get(features.get(id).edition) >= order.get(finding.edition))
+  })
+  const editions = required.filter(finding => finding.edition).map(finding => order.get(finding.edition))
+  const minimum = editions.length ? data.editions[Math.max(...editions)].id : 'ES5'
+  return { sourceType, minimum, findings: list }
+}
+
+// The ids of the features that analyzeSource() can find. The others, such as
+// `var` or Function.prototype.bind(), are ES5 or cannot be told from the code
+function detectableFeatures () {
+  const tables = [GLOBALS, STATICS, REGEXP_FLAGS].map(table => Object.values(table))
+  const members = [METHODS, PROPERTIES].map(table => [].concat(...Object.values(table)))
+  return new Set([].concat(SYNTAX, ...tables, ...members))
+}
+
+module.exports = {
+  analyzeSource,
+  detectableFeatures
+}
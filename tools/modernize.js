@@ -0,0 +1,678 @@
+// ES5 to ES2015 codemod, after the before/after pairs of the chapters
+//
+//   let-const           `var` -> `let`/`const`              01-block-bindings.js
+//   default-parameters  makeRequest2 -> makeRequest3        03-functions.js
+//   rest-parameters     pick -> pick2                       03-functions.js
+//   object-assign       mixin() -> Object.assign()          04-objects.js
+//   arrow-functions     PageHandler2 -> PageHandler3        03-functions.js
+//   template-literals   'a' + b -> `a${b}`                  02-strings-and-regexp.js
+//
+// A rewrite is only applied when it keeps the behavior of the code. What is
+// left alone is reported as kept, with the reason:
+//  - `timeout = timeout || 2000` is not a default parameter: 0, '', false and
+//    null would not be replaced anymore (the makeRequest1 flaw)
+//  - a function that uses `this`, `arguments`, `new.target` or `super` does
+//    not become an arrow function
+//  - a `var` stays a `var` when it is global, read before its declaration or
+//    outside of its block, or captured by a closure inside a loop
+// Known differences that are accepted: default parameters change the
+// `length` of the function (it is reported), `Object.assign()` also copies
+// symbol keys, and a template literal converts objects with toString()
+// where `+` calls valueOf() first
+//
+// Each pass parses the code, collects the candidate rewrites and applies those
+// that do not overlap, one at a time, so that every rewrite has its own diff.
+// Passes go on until nothing changes: a rewrite nested in another one is
+// applied by the next pass
+
+const path = require('path')
+const walk = require('acorn-walk')
+const eslintScope = require('eslint-scope')
+const { isName, ownUsage, hasUseStrict, removeStatement, insideLoop, functionName, restParameters } = require('./rewrites')
+const { parseProgram } = require('./parse')
+const { unifiedDiff } = require('./diff')
+
+const REWRITES = ['let-const', 'default-parameters', 'rest-parameters', 'object-assign', 'arrow-functions', 'template-literals']
+const MAX_PASSES = 10
+
+function isRegularFunction (node) {
+  return node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression'
+}
+
+function lineOf (code, offset) {
+  let line = 1
+  for (let i = code.indexOf('\n'); i !== -1 && i < offset; i = code.indexOf('\n', i + 1)) line++
+  return line
+}
+
+function hasComment (context, start, end) {
+  return context.comments.some(comment => comment.start >= start && comment.end <= end)
+}
+
+// Whether `name` resolves to a global from `scope`
+function isGlobalName (scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    if (current.type !== 'global' && current.set.has(name)) return false
+  }
+  return true
+}
+
+// The references of `variable`. In a script, eslint-scope leaves those of
+// global variables unresolved: they are found by name
+function referencesOf (context, variable) {
+  if (variable.scope.type !== 'global') return variable.references
+  return variable.references.concat(variable.scope.through.filter(ref => ref.identifier.name === variable.name))
+}
+
+// let-const
+// *********
+
+// Where a `let` in place of `decl` would be scoped, null when a lexical
+// declaration is not allowed there (`if (x) var y = 1`)
+function lexicalContainer (decl, parents) {
+  const parent = parents.get(decl)
+  if (parent.type === 'ForStatement' && parent.init === decl) return parent
+  if ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === decl) return parent
+  if (['BlockStatement', 'Program', 'StaticBlock'].includes(parent.type)) return parent
+  if (parent.type === 'SwitchCase') return parents.get(parent)
+  return null
+}
+
+// 'let', 'const' or the reason to keep the `var` for one declarator
+function declaratorKind (context, decl, declarator, container) {
+  const variables = context.scopes.getDeclaredVariables(declarator)
+  if (variables.length !== 1) return { reason: 'destructuring pattern' }
+  const variable = variables[0]
+  if (variable.scope.type === 'global') {
+    return { reason: `global \`var ${variable.name}\` is a property of the global object, a \`let\` would not be` }
+  }
+  if (variable.defs.length !== 1) return { reason: `\`${variable.name}\` is declared more than once` }
+  const catchClause = context.parents.get(container)
+  if (catchClause && catchClause.type === 'CatchClause' && context.scopes.acquire(catchClause).set.has(variable.name)) {
+    return { reason: `\`${variable.name}\` is also the catch parameter` }
+  }
+
+  const loop = insideLoop(decl, variable.scope.block, context.parents)
+  const head = container.type !== 'BlockStatement' && container.type !== 'Program' && container.type !== 'SwitchStatement' && container.type !== 'StaticBlock'
+  if (loop && !head && !declarator.init) {
+    return { reason: `\`var ${variable.name}\` keeps its value from one iteration to the next` }
+  }
+  // The cases of a switch share one block, but the switch jumps over the
+  // declarations of the cases above the one it runs
+  const switchCase = container.type === 'SwitchStatement' ? context.parents.get(decl) : null
+  let reassigned = !declarator.init || container.type === 'ForStatement'
+  for (const ref of variable.references) {
+    if (ref.identifier === declarator.id) continue
+    const { start } = ref.identifier
+    if (start < container.start || start >= container.end) {
+      return { reason: `\`${variable.name}\` is used outside of its block` }
+    }
+    if (switchCase && (start < switchCase.start || start >= switchCase.end)) {
+      return { reason: `\`${variable.name}\` is used by another case of the switch` }
+    }
+    if (start < declarator.end || (head && container.right && start >= container.right.start && start < container.right.end)) {
+      return { reason: `\`${variable.name}\` is used before its declaration` }
+    }
+    for (let scope = ref.from.variableScope; scope !== variable.scope; scope = scope.upper.variableScope) {
+      if (scope.block.type === 'FunctionDeclaration') {
+        return { reason: `\`${variable.name}\` is used by function ${scope.block.id.name}(), which can be called before the declaration` }
+      }
+      if (loop) return { reason: `\`${variable.name}\` is captured by a closure inside a loop: \`let\` creates one binding per iteration` }
+    }
+    if (ref.isWrite()) reassigned = true
+  }
+  if ((container.type === 'ForInStatement' || container.type === 'ForOfStatement')) {
+    reassigned = variable.references.some(ref => ref.identifier !== declarator.id && ref.isWrite())
+  }
+  return { kind: reassigned ? 'let' : 'const' }
+}
+
+function letConst (context, report) {
+  if (context.dynamic) return
+  walk.simple(context.ast, {
+    VariableDeclaration (decl) {
+      if (decl.kind !== 'var') return
+      const line = decl.loc.start.line
+      const names = decl.declarations.map(declarator => context.code.slice(declarator.id.start, declarator.id.end)).join(', ')
+      const container = lexicalContainer(decl, context.parents)
+      if (!container) {
+        report.keep({ rewrite: 'let-const', line, title: `var ${names}`, reason: 'a `let` is not allowed in a single-statement body' })
+        return
+      }
+      const kinds = []
+      for (const declarator of decl.declarations) {
+        const result = declaratorKind(context, decl, declarator, container)
+        if (result.reason) {
+          report.keep({ rewrite: 'let-const', line, title: `var ${names}`, reason: result.reason })
+          return
+        }
+        kinds.push(result.kind)
+      }
+      const kind = kinds.includes('let') ? 'let' : 'const'
+      report.rewrite({
+        rewrite: 'let-const',
+        node: decl,
+        title: `var ${names} -> ${kind}`,
+        edits: [{ start: decl.start, end: decl.start + 3, text: kind }]
+      })
+    }
+  })
+}
+
+// default-parameters
+// ******************
+
+// `typeof p === 'undefined'`, `p === undefined`, `p === void 0` (or the
+// reverse): true for ===, false for !==, null for anything else
+function undefinedTest (test, name, scope) {
+  if (!test || test.type !== 'BinaryExpression' || !['===', '!==', '==', '!='].includes(test.operator)) return null
+  const isUndefined = node =>
+    (isName(node, 'undefined') && isGlobalName(scope, 'undefined')) ||
+    (node.type === 'UnaryExpression' && node.operator === 'void' && node.argument.type === 'Literal')
+  const strict = test.operator.length === 3
+  const matches = [[test.left, test.right], [test.right, test.left]].some(([a, b]) =>
+    (a.type === 'UnaryExpression' && a.operator === 'typeof' && isName(a.argument, name) && b.type === 'Literal' && b.value === 'undefined') ||
+    (strict && isName(a, name) && isUndefined(b))
+  )
+  return matches ? test.operator[0] === '=' : null
+}
+
+// `p = <test> ? V : p`, `if (<test>) p = V`, `p = p || V`...:
+// { name, value } or { name, kept: reason }, null for other statements
+function defaultStatement (statement, params, scope) {
+  let assignment = statement.type === 'ExpressionStatement' ? statement.expression : null
+  if (statement.type === 'IfStatement' && !statement.alternate) {
+    let body = statement.consequent
+    if (body.type === 'BlockStatement' && body.body.length === 1) body = body.body[0]
+    if (body.type !== 'ExpressionStatement' || body.expression.type !== 'AssignmentExpression') return null
+    const name = body.expression.left.name
+    if (undefinedTest(statement.test, name, scope) !== true) return null
+    assignment = body.expression
+    return params.includes(name) && assignment.operator === '=' ? { name, value: assignment.right } : null
+  }
+  if (!assignment || assignment.type !== 'AssignmentExpression' || assignment.operator !== '=' || assignment.left.type !== 'Identifier') return null
+  const name = assignment.left.name
+  if (!params.includes(name)) return null
+  const right = assignment.right
+  if (right.type === 'LogicalExpression' && isName(right.left, name)) {
+    if (right.operator === '||') return { name, kept: `\`${name} || ...\` also replaces 0, '', false and null, a default parameter only replaces undefined` }
+    if (right.operator === '??') return { name, kept: `\`${name} ?? ...\` also replaces null, a default parameter only replaces undefined` }
+    return null
+  }
+  if (right.type !== 'ConditionalExpression') return null
+  const whenUndefined = undefinedTest(right.test, name, scope)
+  if (whenUndefined === true && isName(right.alternate, name)) return { name, value: right.consequent }
+  if (whenUndefined === false && isName(right.consequent, name)) return { name, value: right.alternate }
+  return null
+}
+
+function isPure (node) {
+  switch (node.type) {
+    case 'Literal':
+    case 'Identifier':
+    case 'ThisExpression':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return true
+    case 'TemplateLiteral':
+      return node.expressions.every(isPure)
+    case 'ArrayExpression':
+      return node.elements.every(element => element && element.type !== 'SpreadElement' && isPure(element))
+    case 'ObjectExpression':
+      return node.properties.every(property => property.type === 'Property' && !property.computed && isPure(property.value))
+    case 'UnaryExpression':
+      return node.operator !== 'delete' && isPure(node.argument)
+    case 'MemberExpression':
+      return !node.computed && isPure(node.object)
+    default:
+      return false
+  }
+}
+
+// The variables of the function that `node` reads
+function localReads (context, node, fnScope) {
+  const names = []
+  context.scopes.scopes.forEach(scope => scope.references.forEach(ref => {
+    const { start } = ref.identifier
+    if (start >= node.start && start < node.end && ref.resolved && ref.resolved.scope === fnScope) names.push(ref.resolved)
+  }))
+  return names
+}
+
+function defaultParameters (context, report, fn) {
+  if (fn.body.type !== 'BlockStatement' || !fn.params.length || !fn.params.every(param => param.type === 'Identifier')) return
+  const params = fn.params.map(param => param.name)
+  const fnScope = context.scopes.acquire(fn)
+  const name = functionName(context, fn)
+  const defaults = []
+  const kept = []
+  const assigned = new Set()
+  const read = new Set()
+
+  for (const statement of fn.body.body) {
+    const found = defaultStatement(statement, params, fnScope)
+    if (!found) break
+    const line = statement.loc.start.line
+    const keep = reason => {
+      kept.push({ rewrite: 'default-parameters', line, title: `${name}(${found.name})`, reason })
+      assigned.add(found.name)
+      localReads(context, statement, fnScope).forEach(variable => read.add(variable.name))
+    }
+    if (found.kept) {
+      keep(found.kept)
+      continue
+    }
+    const index = params.indexOf(found.name)
+    const previous = defaults.length ? params.indexOf(defaults[defaults.length - 1].name) : -1
+    const reads = localReads(context, found.value, fnScope)
+    const local = reads.find(variable => variable.defs[0].type !== 'Parameter' || params.indexOf(variable.name) >= index)
+    if (assigned.has(found.name) || read.has(found.name)) {
+      keep(`\`${found.name}\` is used above its default value`)
+    } else if (local) {
+      keep(`the default value reads \`${local.name}\`, which a default parameter cannot see`)
+    } else if (reads.some(variable => assigned.has(variable.name))) {
+      keep('the default value reads a parameter that is assigned above it')
+    } else if (index < previous || ((assigned.size || read.size) && !isPure(found.value))) {
+      keep('the default value would be evaluated in a different order')
+    } else {
+      defaults.push({ name: found.name, value: found.value, statement })
+    }
+  }
+
+  kept.forEach(entry => report.keep(entry))
+  if (!defaults.length) return
+  const usage = ownUsage(fn)
+  if (usage.has('arguments')) {
+    report.keep({ rewrite: 'default-parameters', line: fn.loc.start.line, title: name, reason: 'the function uses `arguments`, which default parameters unlink from the parameters' })
+    return
+  }
+  if (hasUseStrict(fn)) {
+    report.keep({ rewrite: 'default-parameters', line: fn.loc.start.line, title: name, reason: 'a function with default parameters cannot have a "use strict" directive' })
+    return
+  }
+  if (new Set(params).size !== params.length) return
+
+  const edits = []
+  defaults.forEach(({ name, value, statement }) => {
+    const param = fn.params[params.indexOf(name)]
+    edits.push({ start: param.start, end: param.end, text: `${name} = ${context.code.slice(value.start, value.end)}` })
+    edits.push(removeStatement(context.code, statement))
+  })
+  const first = Math.min(...defaults.map(entry => params.indexOf(entry.name)))
+  const length = first < fn.params.length ? first : fn.params.length
+  report.rewrite({
+    rewrite: 'default-parameters',
+    node: fn,
+    title: `${name}(${defaults.map(entry => entry.name).join(', ')})`,
+    note: length !== fn.params.length ? `${name}.length becomes ${length} instead of ${fn.params.length}` : null,
+    edits
+  })
+}
+
+// rest-parameters
+// ***************
+
+// restParameters() is in tools/rewrites, shared with the prefer-rest-params
+// rule of tools/eslint-plugin-learn
+
+// object-assign
+// *************
+
+function isCopyStatement (node, receiver, supplier, key) {
+  const assignment = node && node.type === 'ExpressionStatement' ? node.expression : null
+  if (!assignment || assignment.type !== 'AssignmentExpression' || assignment.operator !== '=') return false
+  const { left, right } = assignment
+  return left.type === 'MemberExpression' && left.computed && isName(left.object, receiver) && isName(left.property, key) &&
+    right.type === 'MemberExpression' && right.computed && isName(right.object, supplier) && isName(right.property, key)
+}
+
+function single (node) {
+  return node.type === 'BlockStatement' ? (node.body.length === 1 ? node.body[0] : null) : node
+}
+
+// function mixin (receiver, supplier) {
+//   Object.keys(supplier).forEach(function (key) { receiver[key] = supplier[key] })
+//   return receiver
+// }
+// or the same with `for (var key in supplier) if (supplier.hasOwnProperty(key))`
+function isMixin (fn) {
+  if (fn.params.length !== 2 || !fn.params.every(param => param.type === 'Identifier')) return false
+  const [receiver, supplier] = fn.params.map(param => param.name)
+  const body = fn.body.body
+  if (!body || body.length !== 2 || body[1].type !== 'ReturnStatement' || !isName(body[1].argument, receiver)) return false
+  const copy = body[0]
+
+  if (copy.type === 'ForInStatement') {
+    const left = copy.left.type === 'VariableDeclaration' ? copy.left.declarations[0].id : copy.left
+    if (left.type !== 'Identifier' || !isName(copy.right, supplier)) return false
+    const guard = single(copy.body)
+    if (!guard || guard.type !== 'IfStatement' || guard.alternate) return false
+    const test = guard.test
+    const ownCheck = test.type === 'CallExpression' && test.arguments.length === 1 && isName(test.arguments[0], left.name) &&
+      test.callee.type === 'MemberExpression' && isName(test.callee.object, supplier) && isName(test.callee.property, 'hasOwnProperty')
+    return ownCheck && isCopyStatement(single(guard.consequent), receiver, supplier, left.name)
+  }
+
+  const call = copy.type === 'ExpressionStatement' ? copy.expression : null
+  if (!call || call.type !== 'CallExpression' || call.arguments.length !== 1) return false
+  const callee = call.callee
+  if (callee.type !== 'MemberExpression' || !isName(callee.property, 'forEach')) return false
+  const keys = callee.object
+  const objectKeys = keys.type === 'CallExpression' && keys.callee.type === 'MemberExpression' &&
+    isName(keys.callee.object, 'Object') && isName(keys.callee.property, 'keys') &&
+    keys.arguments.length === 1 && isName(keys.arguments[0], supplier)
+  const callback = call.arguments[0]
+  if (!objectKeys || !/Function/.test(callback.type) || callback.params.length !== 1 || callback.params[0].type !== 'Identifier') return false
+  const statement = callback.body.type === 'BlockStatement' ? single(callback.body) : { type: 'ExpressionStatement', expression: callback.body }
+  return isCopyStatement(statement, receiver, supplier, callback.params[0].name)
+}
+
+function objectAssign (context, report, fn) {
+  if (fn.type !== 'FunctionDeclaration' || !isMixin(fn)) return
+  const name = fn.id.name
+  const [variable] = context.scopes.getDeclaredVariables(fn)
+  const references = referencesOf(context, variable)
+  if (variable.defs.length !== 1 || references.some(ref => ref.isWrite())) {
+    report.keep({ rewrite: 'object-assign', line: fn.loc.start.line, title: `${name}()`, reason: `\`${name}\` is reassigned` })
+    return
+  }
+  const edits = []
+  references.forEach(ref => {
+    const call = context.parents.get(ref.identifier)
+    if (call.type !== 'CallExpression' || call.callee !== ref.identifier || call.arguments.length !== 2) return
+    if (call.arguments.some(arg => arg.type === 'SpreadElement') || !isGlobalName(ref.from, 'Object')) return
+    edits.push({ start: ref.identifier.start, end: ref.identifier.end, text: 'Object.assign' })
+  })
+  if (!edits.length) return
+  const left = references.length - edits.length
+  report.rewrite({
+    rewrite: 'object-assign',
+    node: fn,
+    title: `${name}(receiver, supplier) -> Object.assign()`,
+    note: `Object.assign() also copies symbol keys${left ? '' : `, ${name}() is not called anymore`}`,
+    edits
+  })
+}
+
+// arrow-functions
+// ***************
+
+function arrowEdits (context, fn) {
+  const params = fn.params
+  let head
+  if (params.length === 1 && params[0].type === 'Identifier') head = params[0].name
+  else head = `(${params.length ? context.code.slice(params[0].start, params[params.length - 1].end) : ''})`
+  const edits = [{ start: fn.start, end: fn.body.start, text: `${fn.async ? 'async ' : ''}${head} => ` }]
+
+  // { return value } becomes a concise body
+  const body = fn.body.body
+  if (body.length === 1 && body[0].type === 'ReturnStatement' && body[0].argument && !hasComment(context, fn.body.start, fn.body.end) &&
+      context.code.slice(fn.body.start, fn.body.end).indexOf('\n') === -1) {
+    const value = body[0].argument
+    const wrap = value.type === 'ObjectExpression' || value.type === 'SequenceExpression'
+    edits.push({ start: fn.body.start, end: value.start, text: wrap ? '(' : '' })
+    edits.push({ start: value.end, end: fn.body.end, text: wrap ? ')' : '' })
+  }
+  return edits
+}
+
+// Why `fn` cannot become an arrow function, null when it can
+function arrowBlocker (context, fn, allowThis) {
+  if (fn.generator) return 'generator'
+  if (fn.id) {
+    const [variable] = context.scopes.getDeclaredVariables(fn)
+    if (variable && variable.references.length) return `it calls itself by its name \`${fn.id.name}\``
+  }
+  const usage = ownUsage(fn)
+  for (const used of ['arguments', 'new.target', 'super']) {
+    if (usage.has(used)) return `it uses \`${used}\``
+  }
+  if (!allowThis && usage.has('this')) return 'it uses `this`'
+  return null
+}
+
+function arrowFunctions (context, report, fn) {
+  if (fn.type !== 'FunctionExpression') return
+  const parent = context.parents.get(fn)
+  const line = fn.loc.start.line
+
+  // function () { ... }.bind(this)
+  const bound = parent.type === 'MemberExpression' && parent.object === fn && !parent.computed && isName(parent.property, 'bind')
+  if (bound) {
+    const call = context.parents.get(parent)
+    if (call.type !== 'CallExpression' || call.callee !== parent || call.arguments.length !== 1 || call.arguments[0].type !== 'ThisExpression') return
+    const reason = arrowBlocker(context, fn, true)
+    if (reason) {
+      report.keep({ rewrite: 'arrow-functions', line, title: 'function () {}.bind(this)', reason })
+      return
+    }
+    // (function () {}).bind(this): the parentheses stay, around the arrow function
+    let end = fn.end
+    for (let i = fn.end; i < parent.property.start; i++) {
+      const commented = context.comments.some(comment => comment.start <= i && i < comment.end)
+      if (context.code[i] === ')' && !commented) end = i + 1
+    }
+    const edits = arrowEdits(context, fn)
+    edits.push({ start: end, end: call.end, text: '' })
+    report.rewrite({ rewrite: 'arrow-functions', node: fn, title: 'function () {}.bind(this) -> arrow function', edits })
+    return
+  }
+
+  // Callbacks: someArray.map(function (x) { ... })
+  const callback = (parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.arguments.includes(fn)
+  if (!callback) return
+  const reason = arrowBlocker(context, fn, false)
+  if (reason) {
+    report.keep({ rewrite: 'arrow-functions', line, title: 'callback', reason })
+    return
+  }
+  report.rewrite({ rewrite: 'arrow-functions', node: fn, title: 'callback -> arrow function', edits: arrowEdits(context, fn) })
+}
+
+// template-literals
+// *****************
+
+// `a + b + c` is `(a + b) + c`: the operands from left to right
+function concatOperands (node) {
+  if (node.type === 'BinaryExpression' && node.operator === '+') return concatOperands(node.left).concat([node.right])
+  return [node]
+}
+
+function isString (node) {
+  return node.type === 'Literal' && typeof node.value === 'string'
+}
+
+// The body of a template literal with the same value as a string literal,
+// null when there is no such template (octal escapes)
+function templateText (raw) {
+  const quote = raw[0]
+  const body = raw.slice(1, -1)
+  if (/\\(0\d|[1-7])/.test(body)) return null
+  let out = ''
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i]
+    if (char === '\\') {
+      const next = body[i + 1]
+      out += next === quote ? next : char + next
+      i++
+    } else if (char === '`') {
+      out += '\\`'
+    } else if (char === '$' && body[i + 1] === '{') {
+      out += '\\$'
+    } else {
+      out += char
+    }
+  }
+  return out
+}
+
+function templateLiterals (context, report, node) {
+  if (node.operator !== '+') return
+  const parent = context.parents.get(node)
+  if (parent.type === 'BinaryExpression' && parent.operator === '+' && parent.left === node) return
+  const operands = concatOperands(node)
+  const firstString = operands.findIndex(isString)
+  if (firstString === -1 || operands.every(isString)) return
+  if (operands.some(operand => operand.type === 'TemplateLiteral') || hasComment(context, node.start, node.end)) return
+  const line = node.loc.start.line
+  if (firstString > 1) {
+    const sum = context.code.slice(operands[0].start, operands[firstString - 1].end)
+    report.keep({ rewrite: 'template-literals', line, title: sum, reason: `\`${sum}\` may be a numeric addition` })
+    return
+  }
+  const objects = ['ObjectExpression', 'ArrayExpression', 'NewExpression', 'FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression']
+  if (operands.some(operand => objects.includes(operand.type))) {
+    report.keep({ rewrite: 'template-literals', line, title: 'concatenation', reason: 'an operand is an object, `+` calls its valueOf()' })
+    return
+  }
+  let text = ''
+  for (const operand of operands) {
+    if (isString(operand)) {
+      const part = templateText(operand.raw)
+      if (part === null) return
+      text += part
+    } else {
+      text += '${' + context.code.slice(operand.start, operand.end) + '}'
+    }
+  }
+  report.rewrite({
+    rewrite: 'template-literals',
+    node,
+    title: 'string concatenation -> template literal',
+    edits: [{ start: node.start, end: node.end, text: `\`${text}\`` }]
+  })
+}
+
+// Passes
+// ******
+
+function analyze (code) {
+  const comments = []
+  const { ast, sourceType } = parseProgram(code, { comments, ranges: true })
+  const scopes = eslintScope.analyze(ast, { ecmaVersion: 2020, sourceType, fallback: 'iteration' })
+  const parents = new Map()
+  let dynamic = false
+  walk.fullAncestor(ast, (node, state, ancestors) => {
+    if (ancestors.length > 1) parents.set(node, ancestors[ancestors.length - 2])
+    if (node.type === 'WithStatement' || (node.type === 'CallExpression' && isName(node.callee, 'eval'))) dynamic = true
+  })
+  return { code, ast, sourceType, scopes, parents, comments, dynamic }
+}
+
+function collect (context, enabled) {
+  const candidates = []
+  const kept = []
+  const report = {
+    rewrite: candidate => candidates.push(Object.assign({ line: candidate.node.loc.start.line }, candidate)),
+    keep: entry => kept.push(entry)
+  }
+  const on = name => enabled.includes(name)
+  if (on('let-const')) letConst(context, report)
+  const functions = []
+  const concatenations = []
+  walk.full(context.ast, node => {
+    if (isRegularFunction(node)) functions.push(node)
+    if (node.type === 'BinaryExpression') concatenations.push(node)
+  })
+  functions.forEach(fn => {
+    if (on('default-parameters')) defaultParameters(context, report, fn)
+    if (on('rest-parameters')) restParameters(context, report, fn)
+    if (on('object-assign')) objectAssign(context, report, fn)
+    if (on('arrow-functions')) arrowFunctions(context, report, fn)
+  })
+  if (on('template-literals')) concatenations.forEach(node => templateLiterals(context, report, node))
+  candidates.sort((a, b) => enabled.indexOf(a.rewrite) - enabled.indexOf(b.rewrite))
+  return { candidates, kept }
+}
+
+function overlaps (edits, taken) {
+  return edits.some(edit => taken.some(other =>
+    (edit.start < other.end && other.start < edit.end) ||
+    (edit.start === edit.end && edit.start > other.start && edit.start < other.end) ||
+    (other.start === other.end && other.start > edit.start && other.start < edit.end)
+  ))
+}
+
+// How far the edits already `applied` during a pass moved `offset`
+function shift (applied, offset) {
+  return applied.reduce((sum, edit) => edit.end <= offset ? sum + edit.text.length - (edit.end - edit.start) : sum, 0)
+}
+
+// Applies `edits` (offsets of the text the pass started with) to `code`
+function applyEdits (code, edits, applied) {
+  const sorted = edits.slice().sort((a, b) => b.start - a.start)
+  let out = code
+  sorted.forEach(edit => {
+    const start = edit.start + shift(applied, edit.start)
+    const end = edit.end + shift(applied, edit.end)
+    out = out.slice(0, start) + edit.text + out.slice(end)
+  })
+  return out
+}
+
+// Where `offset`, in the text that `applied` edits gave, was before them. An
+// offset inside the text of an edit goes to the start of the edit
+function unshift (applied, offset) {
+  let delta = 0
+  for (const edit of applied.slice().sort((a, b) => a.start - b.start)) {
+    const start = edit.start + delta
+    if (offset < start) break
+    if (offset < start + edit.text.length) return edit.start
+    delta += edit.text.length - (edit.end - edit.start)
+  }
+  return offset - delta
+}
+
+// Modernizes `code`: { code, rewrites: [{ rewrite, line, title, note, diff }], kept: [{ rewrite, line, title, reason }] }
+// Lines are those of the original code, also for a rewrite applied to the
+// code that earlier rewrites gave (its diff is against that code)
+function modernize (code, { file = 'input.js', only = REWRITES } = {}) {
+  const unknown = only.filter(name => !REWRITES.includes(name))
+  if (unknown.length) throw new Error(`Unknown rewrite ${unknown.join(', ')}`)
+  const enabled = REWRITES.filter(name => only.includes(name))
+  const rewrites = []
+  const [from, to] = path.isAbsolute(file) ? [file, file] : [`a/${file}`, `b/${file}`]
+  let kept = null
+  let current = code
+  // The edits applied by each pass, to tell the original line of a rewrite
+  const passes = []
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const context = analyze(current)
+    const { candidates, kept: passKept } = collect(context, enabled)
+    if (!kept) kept = passKept
+    const taken = []
+    const accepted = candidates.filter(candidate => {
+      if (overlaps(candidate.edits, taken)) return false
+      taken.push(...candidate.edits)
+      return true
+    })
+    if (!accepted.length) break
+
+    const applied = []
+    let text = current
+    accepted.sort((a, b) => Math.min(...a.edits.map(edit => edit.start)) - Math.min(...b.edits.map(edit => edit.start)))
+    accepted.forEach(candidate => {
+      const next = applyEdits(text, candidate.edits, applied)
+      const start = Math.min(...candidate.edits.map(edit => edit.start))
+      const original = passes.reduceRight((offset, edits) => unshift(edits, offset), start)
+      rewrites.push({
+        rewrite: candidate.rewrite,
+        line: lineOf(code, original),
+        title: candidate.title,
+        note: candidate.note || null,
+        diff: unifiedDiff(text, next, { from, to, context: 2 })
+      })
+      applied.push(...candidate.edits)
+      text = next
+    })
+    passes.push(applied)
+    current = text
+  }
+  return { code: current, rewrites, kept: kept || [] }
+}
+
+module.exports = {
+  REWRITES,
+  modernize
+}
@@ -0,0 +1,134 @@
+// Unicode data of the `normalize()` polyfill (lib/polyfills.js), derived from
+// the runtime's own String.prototype.normalize() rather than from the Unicode
+// Character Database files:
+//  - canonical: the full canonical decomposition of each code point, NFD(c)
+//  - compatibility: NFKD(c), where it differs from NFD(c)
+//  - classes: the combining characters, ordered by canonical combining class.
+//    A character c is combining when it moves before U+0334 (class 1) or
+//    after U+0345 (class 240) in NFD, and NFD(a + b) === b + a tells that
+//    the class of a is above the one of b: the polyfill only needs that order
+//  - compositions: the primary composites P (NFC(P) === P) with the pair
+//    <first, second> they compose from
+// Hangul syllables are left out: the polyfill composes and decomposes them
+// with the arithmetic of UAX #15
+//
+// `learn polyfills --data` writes lib/normalization-data.js with it. Run it on
+// a Node.js built with full ICU, the default since Node.js 13
+
+const fs = require('fs')
+const path = require('path')
+const { ROOT } = require('./chapters')
+
+const DATA_FILE = path.join(ROOT, 'lib', 'normalization-data.js')
+const MAX_CODE_POINT = 0x10FFFF
+const SURROGATES = [0xD800, 0xDFFF]
+const HANGUL_SYLLABLES = [0xAC00, 0xD7A3]
+const LOWEST_MARK = '\u0334'
+const HIGHEST_MARK = '\u0345'
+
+function hex (codePoint) {
+  return codePoint.toString(16)
+}
+
+function codePointsOf (text) {
+  return Array.from(text, char => char.codePointAt(0))
+}
+
+function isCombining (char) {
+  return (char + LOWEST_MARK).normalize('NFD') === LOWEST_MARK + char ||
+    (HIGHEST_MARK + char).normalize('NFD') === char + HIGHEST_MARK
+}
+
+function compareClasses (a, b) {
+  if ((a + b).normalize('NFD') === b + a) return 1
+  if ((b + a).normalize('NFD') === a + b) return -1
+  return 0
+}
+
+// <first, second> such that first + second is P, first being a single code
+// point: the last character of NFD(P) is tried first, as the second
+// character of a pair is the mark added last
+function compositionOf (char, decomposition) {
+  const codePoints = codePointsOf(decomposition)
+  for (let i = codePoints.length - 1; i >= 0; i--) {
+    const second = String.fromCodePoint(codePoints[i])
+    const first = String.fromCodePoint(...codePoints.filter((codePoint, j) => j !== i)).normalize('NFC')
+    if (codePointsOf(first).length !== 1) continue
+    if ((first + second).normalize('NFD') === decomposition && (first + second).normalize('NFC') === char) {
+      return [first.codePointAt(0), codePoints[i]]
+    }
+  }
+  return null
+}
+
+function generateNormalizationData () {
+  const canonical = []
+  const compatibility = []
+  const combining = []
+  const compositions = []
+  for (let codePoint = 0; codePoint <= MAX_CODE_POINT; codePoint++) {
+    if (codePoint >= SURROGATES[0] && codePoint <= SURROGATES[1]) continue
+    if (codePoint >= HANGUL_SYLLABLES[0] && codePoint <= HANGUL_SYLLABLES[1]) continue
+    const char = String.fromCodePoint(codePoint)
+    const nfd = char.normalize('NFD')
+    const nfkd = char.normalize('NFKD')
+    if (nfd !== char) {
+      canonical.push(`${hex(codePoint)}:${codePointsOf(nfd).map(hex).join(' ')}`)
+      if (char.normalize('NFC') === char) {
+        const pair = compositionOf(char, nfd)
+        if (pair) compositions.push(`${pair.map(hex).join(' ')}:${hex(codePoint)}`)
+      }
+    } else if (isCombining(char)) {
+      combining.push(char)
+    }
+    if (nfkd !== nfd) compatibility.push(`${hex(codePoint)}:${codePointsOf(nfkd).map(hex).join(' ')}`)
+  }
+
+  const classes = []
+  combining.sort(compareClasses).forEach((char, i) => {
+    if (!i || compareClasses(combining[i - 1], char)) classes.push([])
+    classes[classes.length - 1].push(hex(char.codePointAt(0)))
+  })
+  return {
+    unicode: process.versions.unicode,
+    canonical: canonical.join(','),
+    compatibility: compatibility.join(','),
+    classes: classes.map(group => group.join(',')).join(';'),
+    compositions: compositions.join(',')
+  }
+}
+
+// The source of lib/normalization-data.js: a script that hands the data to
+// lib/polyfills.js through `module.exports`, or through a global where there
+// is no CommonJS
+function formatNormalizationData (data) {
+  return [
+    '// Generated by `learn polyfills --data` (tools/normalization-data.js) from the',
+    `// String.prototype.normalize() of Node.js ${process.version}: do not edit`,
+    '//  - canonical, compatibility: `code point:decomposition`, in hexadecimal',
+    '//  - classes: the combining characters from the lowest canonical combining',
+    '//    class to the highest, classes separated with `;`',
+    '//  - compositions: `first second:composite`',
+    '',
+    ';(function (global, data) {',
+    "  if (typeof module === 'object' && module.exports) module.exports = data",
+    '  else global.ES2015_NORMALIZATION_DATA = data',
+    "}(typeof global === 'object' ? global : this, {",
+    Object.keys(data).map(key => `  ${key}: ${JSON.stringify(data[key]).replace(/'/g, "\\'").replace(/^"|"$/g, "'")}`).join(',\n'),
+    '}))',
+    ''
+  ].join('\n')
+}
+
+function writeNormalizationData (file = DATA_FILE) {
+  const data = generateNormalizationData()
+  fs.writeFileSync(file, formatNormalizationData(data))
+  return { file, data }
+}
+
+module.exports = {
+  DATA_FILE,
+  generateNormalizationData,
+  formatNormalizationData,
+  writeNormalizationData
+}
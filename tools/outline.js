@@ -0,0 +1,159 @@
+// The outline of the chapters, and how it drifted from the readme
+//
+// A chapter outline has three levels: the chapter, its banner sections, and
+// the notes inside a section (`// NOTE: ...` and the like):
+//
+//   04-objects.js  Objects
+//     [10] OWN PROPERTIES ENUMERATION ORDER  (lines 198-230)
+//          NOTE: The `for-in` loop still has an unspecified enumeration order  (line 222)
+//
+// The readme describes the same chapters twice, in its table of contents and
+// under a heading per chapter, with file names that have no number
+// (`objects.js` for 04-objects.js). outlineDrift() matches both against the
+// files: chapters are matched by name, topics to sections by their words
+
+const { tableOfContents, chapterOutlines, chapterTitle } = require('./readme')
+const { tokenize } = require('./search')
+
+const NOTE = /^\s*\/\/\s*((?:NOTE|TIP|WARNING|IMPORTANT)\b:?\s*(.*))$/
+const MAX_NOTE_LENGTH = 72
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'to', 'for', 'with', 'on', 'vs', 'es5', 'es6', 'es2015', 'note'])
+// Minimum share of the words of the shorter title found in the other
+const MATCH_THRESHOLD = 0.5
+
+function notesOf (section) {
+  const notes = []
+  section.lines.forEach((line, i) => {
+    const match = NOTE.exec(line)
+    if (!match || (section.banner && i === 0)) return
+    // `// NOTE:` alone introduces the comment line that follows it
+    const next = section.lines[i + 1] || ''
+    const label = match[2] || !/^\s*\/\/\s*\S/.test(next) ? match[1] : `${match[1].replace(/:?$/, ':')} ${next.replace(/^\s*\/\/\s*/, '')}`
+    const text = label.length > MAX_NOTE_LENGTH ? `${label.slice(0, MAX_NOTE_LENGTH - 3)}...` : label
+    notes.push({ text, line: section.start + i })
+  })
+  return notes
+}
+
+function chapterOutline (chapter, toc = tableOfContents()) {
+  return {
+    file: chapter.file,
+    number: chapter.number,
+    title: chapterTitle(chapter, toc),
+    sections: chapter.sections.map(section => ({
+      index: section.index,
+      title: section.title,
+      start: section.start,
+      end: section.end,
+      notes: notesOf(section)
+    }))
+  }
+}
+
+function words (text) {
+  return new Set(tokenize(text).filter(word => !STOPWORDS.has(word)))
+}
+
+function similarity (a, b) {
+  const left = words(a)
+  const right = words(b)
+  if (!left.size || !right.size) return 0
+  let common = 0
+  left.forEach(word => { if (right.has(word)) common++ })
+  return common / Math.min(left.size, right.size)
+}
+
+// Whether all the words of `topic` are in the broader `title`, as for
+// "`Symbol.replace`" in "`Symbol.match`, `Symbol.replace`, `Symbol.search`..."
+function coveredBy (topic, title) {
+  const left = words(topic)
+  const right = words(title)
+  return left.size > 0 && right.size > left.size && Array.from(left).every(word => right.has(word))
+}
+
+// Matches between readme topics and sections, best pairs first. A section
+// matches one topic, then the topics left that its title lists with others
+function matchTopics (items, sections) {
+  const pairs = []
+  items.forEach(item => sections.forEach(section => {
+    const score = similarity(item.text, section.title)
+    if (score >= MATCH_THRESHOLD) pairs.push({ item, section, score })
+  }))
+  pairs.sort((a, b) => b.score - a.score)
+  const items2sections = new Map()
+  const taken = new Set()
+  pairs.forEach(({ item, section }) => {
+    if (items2sections.has(item) || taken.has(section)) return
+    items2sections.set(item, section)
+    taken.add(section)
+  })
+  items.forEach(item => {
+    if (items2sections.has(item)) return
+    const section = sections.find(other => taken.has(other) && coveredBy(item.text, other.title))
+    if (section) items2sections.set(item, section)
+  })
+  return { matched: items2sections, taken }
+}
+
+// [{ type, chapter, line, message }], `line` being a readme line for the
+// issues found in the readme and a chapter line otherwise
+//  - 'missing-chapter':  listed in the table of contents, no file
+//  - 'unlisted-chapter': a file the table of contents does not list
+//  - 'number':           the file is not numbered as its position in the list
+//  - 'title':            the heading and the table of contents disagree
+//  - 'empty-chapter':    the file exists but has no section yet
+//  - 'readme-only':      a topic of the readme no section covers
+//  - 'chapter-only':     a section the readme does not list
+function outlineDrift (chapters, source) {
+  const toc = tableOfContents(source)
+  const outlines = chapterOutlines(source)
+  const issues = []
+  const byName = file => chapters.find(chapter => `${chapter.name}.js` === file)
+
+  toc.forEach(entry => {
+    const chapter = byName(entry.file)
+    if (!chapter) {
+      issues.push({ type: 'missing-chapter', chapter: null, line: entry.line, message: `${entry.number}. ${entry.title}: \`${entry.file}\` has no chapter file (${String(entry.number).padStart(2, '0')}-${entry.file})` })
+      return
+    }
+    if (chapter.number !== entry.number) {
+      issues.push({ type: 'number', chapter: chapter.file, line: entry.line, message: `\`${entry.file}\` is number ${entry.number} in the table of contents, its file is ${chapter.file}` })
+    }
+    if (!chapter.sections.length) {
+      issues.push({ type: 'empty-chapter', chapter: chapter.file, line: entry.line, message: `${chapter.file} has no section yet` })
+    }
+  })
+  chapters.forEach(chapter => {
+    if (!toc.some(entry => entry.file === `${chapter.name}.js`)) {
+      issues.push({ type: 'unlisted-chapter', chapter: chapter.file, line: null, message: `${chapter.file} is not in the table of contents (\`${chapter.name}.js\`)` })
+    }
+  })
+
+  outlines.forEach(outline => {
+    const chapter = byName(outline.file)
+    const entry = toc.find(other => other.file === outline.file)
+    if (entry && entry.title !== outline.title) {
+      issues.push({ type: 'title', chapter: chapter ? chapter.file : null, line: outline.line, message: `the heading says "${outline.title}", the table of contents "${entry.title}"` })
+    }
+    if (!chapter || !chapter.sections.length) return
+
+    const { matched, taken } = matchTopics(outline.items, chapter.sections)
+    outline.items.forEach(item => {
+      if (!matched.has(item)) {
+        issues.push({ type: 'readme-only', chapter: chapter.file, line: item.line, message: `"${item.text}" matches no section of ${chapter.file}` })
+      }
+    })
+    chapter.sections.forEach(section => {
+      if (section.banner && !taken.has(section)) {
+        issues.push({ type: 'chapter-only', chapter: chapter.file, line: section.start, message: `[${section.index}] ${section.title} is not in the readme outline` })
+      }
+    })
+  })
+  return issues
+}
+
+module.exports = {
+  notesOf,
+  chapterOutline,
+  outlineDrift
+}
@@ -0,0 +1,60 @@
+// Shared acorn setup: every tool parses with the latest syntax and locations
+// so that nodes can be mapped back to chapter lines
+
+const acorn = require('acorn')
+
+// Collects the errors that do not stop the parser (redeclarations, duplicate
+// parameters, strict mode violations...) instead of throwing them
+class TolerantParser extends acorn.Parser {
+  raiseRecoverable (pos, message) {
+    this.recovered.push({ pos, loc: acorn.getLineInfo(this.input, pos), message })
+  }
+}
+
+// `ranges` adds the [start, end] pairs that eslint-scope expects
+// `recovered` is an array that receives the recoverable errors, which are
+// thrown otherwise
+function parse (code, { sourceType = 'script', comments, ranges = false, recovered } = {}) {
+  const options = {
+    ecmaVersion: 'latest',
+    sourceType,
+    locations: true,
+    ranges,
+    allowHashBang: true,
+    onComment: comments
+  }
+  if (!recovered) return acorn.parse(code, options)
+  const parser = new TolerantParser(options, code)
+  parser.recovered = recovered
+  return parser.parse()
+}
+
+// Parses as a script, or as a module when the file uses import/export:
+// { ast, sourceType }
+function parseProgram (code, options = {}) {
+  try {
+    return { ast: parse(code, options), sourceType: 'script' }
+  } catch (err) {
+    if (options.comments) options.comments.length = 0
+    if (options.recovered) options.recovered.length = 0
+    try {
+      return { ast: parse(code, Object.assign({}, options, { sourceType: 'module' })), sourceType: 'module' }
+    } catch (moduleError) {
+      throw err
+    }
+  }
+}
+
+// Line comments keyed by line, only those that follow code on their line
+function trailingComments (code, comments) {
+  const lines = code.split('\n')
+  const byLine = new Map()
+  comments.forEach(comment => {
+    if (comment.type !== 'Line') return
+    const { line, column } = comment.loc.start
+    if (lines[line - 1].slice(0, column).trim() !== '') byLine.set(line, comment)
+  })
+  return byLine
+}
+
+module.exports = { parse, parseProgram, trailingComments }
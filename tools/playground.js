@@ -0,0 +1,114 @@
+// Static server of the browser playground (tools/playground/)
+// Some examples only make sense in a browser (`document.addEventListener()`
+// in 03-functions.js, `window` in 01-block-bindings.js): the playground lists
+// the chapters and their sections, shows the code of a section in an editor
+// and runs it in a sandboxed iframe
+//
+// Everything is served from this repository, nothing is loaded from a CDN, so
+// the playground works offline:
+//  - GET /api/chapters         the chapters and the titles of their sections
+//  - GET /api/chapters/<file>  the sections of a chapter, with their code
+//  - GET /<file>               the files of tools/playground/
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const { listChapters, findChapter, loadChapter } = require('./chapters')
+const { chapterTitle, tableOfContents } = require('./readme')
+
+const PUBLIC = path.join(__dirname, 'playground')
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+}
+
+function describeSections (chapter, withCode) {
+  return chapter.sections.map(section => Object.assign(
+    { index: section.index, title: section.title, slug: section.slug, start: section.start, end: section.end },
+    withCode ? { code: section.code } : {}
+  ))
+}
+
+function chapterSummary (chapter, toc) {
+  return { number: chapter.number, file: chapter.file, title: chapterTitle(chapter, toc) }
+}
+
+function sendJSON (response, status, body) {
+  response.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' })
+  response.end(JSON.stringify(body))
+}
+
+function sendFile (response, file) {
+  fs.readFile(file, (err, content) => {
+    if (err) {
+      sendJSON(response, 404, { error: 'Not found' })
+      return
+    }
+    response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' })
+    response.end(content)
+  })
+}
+
+// Chapters are read on every request so that edits show up on reload
+function handleAPI (response, route) {
+  const toc = tableOfContents()
+  if (route === '') {
+    const chapters = listChapters().map(loadChapter).map(chapter =>
+      Object.assign(chapterSummary(chapter, toc), { sections: describeSections(chapter, false) })
+    )
+    sendJSON(response, 200, chapters)
+    return
+  }
+  let chapter
+  try {
+    chapter = loadChapter(findChapter(route))
+  } catch (err) {
+    sendJSON(response, 404, { error: err.message })
+    return
+  }
+  sendJSON(response, 200, Object.assign(chapterSummary(chapter, toc), { sections: describeSections(chapter, true) }))
+}
+
+function handleRequest (request, response) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    sendJSON(response, 405, { error: 'Method not allowed' })
+    return
+  }
+  let pathname
+  try {
+    pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname)
+  } catch (err) {
+    sendJSON(response, 400, { error: 'Bad request' })
+    return
+  }
+  const api = /^\/api\/chapters\/?(.*)$/.exec(pathname)
+  if (api) {
+    handleAPI(response, api[1])
+    return
+  }
+
+  // Only the files of tools/playground/ are served
+  const file = path.join(PUBLIC, path.normalize(pathname === '/' ? '/index.html' : pathname))
+  if (!file.startsWith(PUBLIC + path.sep)) {
+    sendJSON(response, 403, { error: 'Forbidden' })
+    return
+  }
+  sendFile(response, file)
+}
+
+// Resolves to the listening server once it is bound to `host:port`
+function startPlayground ({ port = 8080, host = '127.0.0.1' } = {}) {
+  const server = http.createServer(handleRequest)
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => resolve(server))
+  })
+}
+
+module.exports = {
+  PUBLIC,
+  handleRequest,
+  startPlayground
+}
@@ -0,0 +1,154 @@
+/* eslint-env browser */
+// The playground page: chapter list, editor and console
+// Sections are addressed by the location hash, e.g. #03-functions.js/12
+// Each run gets a fresh sandboxed frame (runner.html), unless "Keep the frame"
+// is checked: then the code runs on top of the previous runs, as the sections
+// of a chapter do when the file is read from top to bottom
+
+const chapterCache = new Map()
+const elements = {
+  chapters: document.getElementById('chapters'),
+  title: document.getElementById('title'),
+  editor: document.getElementById('editor'),
+  frame: document.getElementById('frame'),
+  console: document.getElementById('console'),
+  run: document.getElementById('run'),
+  reset: document.getElementById('reset'),
+  keep: document.getElementById('keep')
+}
+const state = { chapter: null, section: null, frameReady: false, pending: null }
+
+async function getJSON (url) {
+  const response = await fetch(url)
+  const body = await response.json()
+  if (!response.ok) throw new Error(body.error || response.statusText)
+  return body
+}
+
+async function getChapter (file) {
+  if (!chapterCache.has(file)) chapterCache.set(file, await getJSON(`/api/chapters/${encodeURIComponent(file)}`))
+  return chapterCache.get(file)
+}
+
+function renderChapters (chapters) {
+  chapters.forEach(chapter => {
+    const details = document.createElement('details')
+    const summary = document.createElement('summary')
+    summary.textContent = `${chapter.number}. ${chapter.title}`
+    const list = document.createElement('ol')
+    chapter.sections.forEach(section => {
+      const item = document.createElement('li')
+      const link = document.createElement('a')
+      link.href = `#${chapter.file}/${section.index}`
+      link.textContent = section.title
+      item.appendChild(link)
+      list.appendChild(item)
+    })
+    details.append(summary, list)
+    elements.chapters.appendChild(details)
+  })
+}
+
+function print (level, text) {
+  const item = document.createElement('li')
+  item.className = level
+  item.textContent = text
+  elements.console.appendChild(item)
+  item.scrollIntoView({ block: 'nearest' })
+}
+
+// Frame lines are lines of the editor, shown as lines of the chapter file
+function chapterLine (line) {
+  return line && state.section ? line + state.section.start - 1 : line
+}
+
+function newFrame () {
+  const frame = elements.frame.cloneNode()
+  elements.frame.replaceWith(frame)
+  elements.frame = frame
+  state.frameReady = false
+  frame.src = 'runner.html'
+}
+
+function sendCode () {
+  const file = state.chapter ? state.chapter.file : 'playground.js'
+  elements.frame.contentWindow.postMessage({ type: 'run', code: state.pending, file }, '*')
+  state.pending = null
+}
+
+function run () {
+  state.pending = elements.editor.value
+  if (elements.keep.checked && state.frameReady) {
+    print('info', '--- run ---')
+    sendCode()
+    return
+  }
+  elements.console.textContent = ''
+  newFrame()
+}
+
+window.addEventListener('message', event => {
+  if (event.source !== elements.frame.contentWindow) return
+  const message = event.data
+  switch (message.type) {
+    case 'ready':
+      state.frameReady = true
+      if (state.pending !== null) sendCode()
+      break
+    case 'console':
+      print(message.level, message.text)
+      break
+    case 'error': {
+      const line = chapterLine(message.line)
+      print('error', `Uncaught ${message.name}: ${message.message}${line ? ` (line ${line})` : ''}`)
+      break
+    }
+    case 'done':
+      if (!elements.console.children.length) print('info', '(no output)')
+      break
+  }
+})
+
+async function showSection () {
+  const match = /^#(.+)\/(\d+)$/.exec(decodeURIComponent(location.hash))
+  if (!match) return
+  try {
+    state.chapter = await getChapter(match[1])
+  } catch (err) {
+    print('error', err.message)
+    return
+  }
+  state.section = state.chapter.sections[Number(match[2]) - 1] || state.chapter.sections[0]
+  const { section, chapter } = state
+  elements.title.textContent = `${chapter.number}. ${chapter.title}: ${section.title} (lines ${section.start}-${section.end})`
+  elements.editor.value = section.code
+  elements.console.textContent = ''
+  document.querySelectorAll('nav a').forEach(link => {
+    const current = link.getAttribute('href') === `#${chapter.file}/${section.index}`
+    link.classList.toggle('current', current)
+    if (current) link.closest('details').open = true
+  })
+}
+
+elements.run.addEventListener('click', run)
+elements.reset.addEventListener('click', () => {
+  if (state.section) elements.editor.value = state.section.code
+})
+elements.editor.addEventListener('keydown', event => {
+  if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+    event.preventDefault()
+    run()
+  } else if (event.key === 'Tab') {
+    event.preventDefault()
+    elements.editor.setRangeText('  ', elements.editor.selectionStart, elements.editor.selectionEnd, 'end')
+  }
+})
+window.addEventListener('hashchange', showSection)
+
+getJSON('/api/chapters')
+  .then(chapters => {
+    renderChapters(chapters)
+    if (!location.hash && chapters.length) location.hash = `#${chapters[0].file}/1`
+    else showSection()
+  })
+  .catch(err => print('error', `Cannot load the chapters: ${err.message}`))
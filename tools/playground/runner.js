@@ -0,0 +1,98 @@
+/* eslint-env browser */
+// Runs inside the sandboxed iframe of the playground (sandbox="allow-scripts",
+// without allow-same-origin): the code cannot reach the playground page, it
+// only talks to it with postMessage()
+//
+//  parent -> frame  { type: 'run', code, file }
+//  frame -> parent  { type: 'ready' }
+//                   { type: 'console', level, text }
+//                   { type: 'error', name, message, line }
+//                   { type: 'done' }
+//
+// The code runs as a classic <script>, so top-level `var` and function
+// declarations become properties of `window` as in the chapters' examples
+
+(function () {
+  function send (message) {
+    window.parent.postMessage(message, '*')
+  }
+
+  // A short description of any value, close to what the Node console prints
+  function inspect (value, depth) {
+    if (typeof value === 'string') return depth ? "'" + value.replace(/'/g, "\\'") + "'" : value
+    if (typeof value === 'function') return value.name ? '[Function: ' + value.name + ']' : '[Function (anonymous)]'
+    if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString() + (typeof value === 'bigint' ? 'n' : '')
+    if (value === null || typeof value !== 'object') return String(value)
+    if (value instanceof Error) return value.name + ': ' + value.message
+    if (depth > 2) return Array.isArray(value) ? '[Array]' : '[Object]'
+
+    const next = (depth || 0) + 1
+    if (Array.isArray(value)) {
+      return '[ ' + value.map(function (item) { return inspect(item, next) }).join(', ') + ' ]'
+    }
+    if (value instanceof Map) {
+      return 'Map(' + value.size + ') { ' + Array.from(value, function (entry) {
+        return inspect(entry[0], next) + ' => ' + inspect(entry[1], next)
+      }).join(', ') + ' }'
+    }
+    if (value instanceof Set) {
+      return 'Set(' + value.size + ') { ' + Array.from(value, function (item) { return inspect(item, next) }).join(', ') + ' }'
+    }
+    if (value === window) return '[Window]'
+    if (value instanceof Node) return '[' + value.nodeName + ']'
+
+    const keys = Reflect.ownKeys(value)
+    const prefix = value.constructor && value.constructor !== Object ? value.constructor.name + ' ' : ''
+    if (!keys.length) return prefix + '{}'
+    return prefix + '{ ' + keys.map(function (key) {
+      const name = typeof key === 'symbol' ? '[' + key.toString() + ']' : key
+      let shown
+      try {
+        shown = inspect(value[key], next)
+      } catch (err) {
+        shown = '[Getter]'
+      }
+      return name + ': ' + shown
+    }).join(', ') + ' }'
+  }
+
+  function format (args) {
+    return args.map(function (arg) { return inspect(arg, 0) }).join(' ')
+  }
+
+  ['log', 'info', 'debug', 'warn', 'error'].forEach(function (level) {
+    console[level] = function (...args) {
+      send({ type: 'console', level: level === 'debug' ? 'log' : level, text: format(args) })
+    }
+  })
+
+  window.addEventListener('error', function (event) {
+    const error = event.error
+    send({
+      type: 'error',
+      name: error && error.name ? error.name : 'Error',
+      message: error && error.message !== undefined ? error.message : event.message,
+      line: event.lineno || null
+    })
+  })
+
+  window.addEventListener('unhandledrejection', function (event) {
+    const reason = event.reason
+    send({
+      type: 'error',
+      name: reason && reason.name ? reason.name : 'Error',
+      message: 'Unhandled rejection: ' + (reason && reason.message !== undefined ? reason.message : inspect(reason, 0)),
+      line: null
+    })
+  })
+
+  window.addEventListener('message', function (event) {
+    if (event.source !== window.parent || !event.data || event.data.type !== 'run') return
+    const script = document.createElement('script')
+    script.textContent = event.data.code + '\n//# sourceURL=' + event.data.file
+    document.body.appendChild(script)
+    send({ type: 'done' })
+  })
+
+  send({ type: 'ready' })
+})()
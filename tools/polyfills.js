@@ -0,0 +1,222 @@
+// Polyfill lab: lib/polyfills.js in place of the native built-ins
+//
+// A polyfilled realm is a sandbox (see sandbox.js) where the native built-ins
+// that lib/polyfills.js replaces are deleted before lib/normalization-data.js
+// and lib/polyfills.js are run, as `<script>`s on a runtime without them.
+// Each polyfill is then wrapped to count its calls, which tells that the
+// chapters ran them and not a native left behind. Two checks use it:
+//  - compareChapter(): runs every section of a chapter natively and in a
+//    polyfilled realm, and compares what they log and throw
+//  - checkCases(), checkNormalization(): evaluate the CASES in a native and in
+//    a polyfilled realm, and the polyfilled normalize() with every code point
+//    in the 4 forms
+
+const fs = require('fs')
+const vm = require('vm')
+const path = require('path')
+const { ROOT } = require('./chapters')
+const { createSandbox, runSection, DEFAULT_TIMEOUT } = require('./sandbox')
+const { describe } = require('./equivalence')
+
+const POLYFILLS_FILE = path.join(ROOT, 'lib', 'polyfills.js')
+const DATA_FILE = path.join(ROOT, 'lib', 'normalization-data.js')
+const FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD']
+
+// 'String.prototype.codePointAt'...
+const NAMES = Object.keys(require('../lib/polyfills').polyfills)
+
+// [name, expressions evaluated in both realms], edge cases included
+const CASES = [
+  ['String.fromCodePoint', [
+    'String.fromCodePoint(134071)', 'String.fromCodePoint()', 'String.fromCodePoint(97, 0x1F600, 98)', "String.fromCodePoint('42')",
+    'String.fromCodePoint(-0)', 'String.fromCodePoint(-1)', 'String.fromCodePoint(1.5)', 'String.fromCodePoint(0x110000)',
+    'String.fromCodePoint(NaN)', 'String.fromCodePoint(Infinity)', 'String.fromCodePoint(Symbol())', 'String.fromCodePoint.length'
+  ]],
+  ['String.prototype.codePointAt', [
+    "'𠮷a'.codePointAt(0)", "'𠮷a'.codePointAt(1)", "'𠮷a'.codePointAt(2)", "'𠮷a'.codePointAt(3)", "'𠮷a'.codePointAt(-1)",
+    "'𠮷a'.codePointAt()", "'𠮷a'.codePointAt('1')", "'𠮷a'.codePointAt(0.9)", "'\\ud842'.codePointAt(0)", "'\\udfb7\\ud842'.codePointAt(0)",
+    'String.prototype.codePointAt.call(42, 1)', 'String.prototype.codePointAt.call(null, 0)', "'a'.codePointAt(Symbol())",
+    'String.prototype.codePointAt.length'
+  ]],
+  ['String.prototype.normalize', [
+    "'\\u1E9B\\u0323'.normalize()", "'\\u1E9B\\u0323'.normalize('NFD')", "'\\u1E9B\\u0323'.normalize('NFKC')", "'\\u1E9B\\u0323'.normalize('NFKD')",
+    "'\\u0041\\u030A\\u0323'.normalize()", "'\\u1100\\u1161\\u11A8'.normalize()", "'\\uAC01'.normalize('NFD')", "'\\u212B'.normalize()",
+    "'\\u0308\\u0041'.normalize()", "'\\ud800a'.normalize('NFD')", "'a'.normalize(undefined)", "'a'.normalize('nfc')", "'a'.normalize(null)",
+    'String.prototype.normalize.call(undefined)', 'String.prototype.normalize.length'
+  ]],
+  ['String.prototype.includes', [
+    "'Hello world!'.includes('o')", "'Hello world!'.includes('o', 8)", "'Hello world!'.includes('')", "'Hello world!'.includes('', 99)",
+    "'Hello world!'.includes('H', -5)", "'Hello world!'.includes('o', NaN)", "'Hello world!'.includes(/o/)", "'/o/'.includes({ [Symbol.match]: false, toString () { return '/o/' } })",
+    "'undefined'.includes()", "'a'.includes(Symbol())", "String.prototype.includes.call(null, 'a')", 'String.prototype.includes.length'
+  ]],
+  ['String.prototype.startsWith', [
+    "'Hello world!'.startsWith('Hello')", "'Hello world!'.startsWith('o', 4)", "'Hello world!'.startsWith('H', -1)", "'Hello world!'.startsWith('!', 11)",
+    "'Hello world!'.startsWith('!', Infinity)", "'Hello world!'.startsWith('')", "'Hello world!'.startsWith(/H/)", 'String.prototype.startsWith.length'
+  ]],
+  ['String.prototype.endsWith', [
+    "'Hello world!'.endsWith('!')", "'Hello world!'.endsWith('o', 8)", "'Hello world!'.endsWith('world!')", "'Hello world!'.endsWith('H', 1)",
+    "'Hello world!'.endsWith('H', 0)", "'Hello world!'.endsWith('!', undefined)", "'Hello world!'.endsWith('!', -Infinity)", "'Hello world!'.endsWith(/!/)",
+    'String.prototype.endsWith.length'
+  ]],
+  ['String.prototype.repeat', [
+    "'z'.repeat(3)", "'abc'.repeat(0)", "'abc'.repeat(2.7)", "'abc'.repeat('2')", "'abc'.repeat(NaN)", "''.repeat(2 ** 40)",
+    "'abc'.repeat(-1)", "'abc'.repeat(Infinity)", "'abc'.repeat(-0.5)", 'String.prototype.repeat.call(null, 1)', 'String.prototype.repeat.length'
+  ]],
+  ['RegExp.prototype.flags', [
+    '/ab/gi.flags', '/ab/.flags', '/ab/yumig.flags', '/ab/sd.flags', 'new RegExp(/ab/g, "iy").flags', 'RegExp.prototype.flags',
+    "Object.getOwnPropertyDescriptor(RegExp.prototype, 'flags').get.call({ global: 1, sticky: 'yes', unicode: 0 })",
+    "Object.getOwnPropertyDescriptor(RegExp.prototype, 'flags').get.call(1)",
+    "Object.getOwnPropertyDescriptor(RegExp.prototype, 'flags').get.name"
+  ]],
+  ['Object.is', [
+    'Object.is(+0, -0)', 'Object.is(NaN, NaN)', 'Object.is(5, 5)', "Object.is(5, '5')", 'Object.is(NaN, 0 / 0)', 'Object.is(-0, -0)',
+    'Object.is({}, {})', 'Object.is()', 'Object.is.length'
+  ]],
+  ['Object.assign', [
+    "Object.assign({}, { type: 'js', name: 'file.js' }, { type: 'css' })", "Object.assign({}, { get name () { return 'file.js' } })",
+    "Object.assign({}, { name: 'file.js', [Symbol('id')]: 1 })", "Object.assign({}, Object.defineProperty({}, 'hidden', { value: 1 }))",
+    'Object.assign({}, { b: 1, 2: 2, a: 3, 1: 4 })', "Object.assign({}, null, undefined, 'js')", 'Object.assign(1)', 'Object.assign(null)',
+    "Object.assign(Object.freeze({ name: 'file.js' }), { name: 'app.js' })", "Object.assign({ set name (value) { this.seen = value } }, { name: 'file.js' })",
+    'Object.assign.length'
+  ]],
+  ['Object.setPrototypeOf', [
+    'Object.getPrototypeOf(Object.setPrototypeOf({}, Array.prototype)) === Array.prototype', 'Object.setPrototypeOf({ a: 1 }, null)',
+    'Object.setPrototypeOf(1, null)', 'Object.setPrototypeOf(null, {})', 'Object.setPrototypeOf({}, 1)', 'Object.setPrototypeOf({})',
+    'Object.setPrototypeOf(Object.preventExtensions({}), {})', 'var parent = {}; Object.setPrototypeOf(parent, Object.create(parent))',
+    'Object.setPrototypeOf(Object.prototype, {})', 'Object.setPrototypeOf.length'
+  ]],
+  ['Object.getOwnPropertySymbols', [
+    "Object.getOwnPropertySymbols({ a: 1, [Symbol('b')]: 2, [Symbol.iterator]: 3 })", "Object.getOwnPropertySymbols('abc')",
+    'Object.getOwnPropertySymbols([])', 'Object.getOwnPropertySymbols(null)', 'Object.getOwnPropertySymbols.length'
+  ]]
+]
+
+// The built-in of `name`: its value, or the getter of an accessor
+function builtInOf (name) {
+  const owner = name.slice(0, name.lastIndexOf('.'))
+  const key = JSON.stringify(name.slice(name.lastIndexOf('.') + 1))
+  return `(function (descriptor) { return descriptor && (descriptor.get || descriptor.value) }(Object.getOwnPropertyDescriptor(${owner}, ${key})))`
+}
+
+// Wraps every polyfill, keeping its name and length, to call `record(name)`.
+// In strict mode, so that the polyfills get \`this\` as it was passed
+const WRAP = `(function (names, record) {
+  'use strict'
+  names.forEach(function (name) {
+    var owner = eval(name.slice(0, name.lastIndexOf('.')))
+    var key = name.slice(name.lastIndexOf('.') + 1)
+    var descriptor = Object.getOwnPropertyDescriptor(owner, key)
+    var slot = descriptor.get ? 'get' : 'value'
+    var polyfill = descriptor[slot]
+    var wrapper = function () {
+      record(name)
+      return polyfill.apply(this, arguments)
+    }
+    Object.defineProperty(wrapper, 'name', { value: polyfill.name })
+    Object.defineProperty(wrapper, 'length', { value: polyfill.length })
+    descriptor[slot] = wrapper
+    Object.defineProperty(owner, key, descriptor)
+  })
+})`
+
+// A sandbox where lib/polyfills.js stands for the native built-ins, with
+// `calls`, the number of calls per polyfill
+function createPolyfilledSandbox ({ globals } = {}) {
+  const sandbox = createSandbox({ globals })
+  const calls = {}
+  vm.runInContext(NAMES.map(name => `delete ${name}`).join('\n'), sandbox.context)
+  ;[DATA_FILE, POLYFILLS_FILE].forEach(file => {
+    const error = sandbox.run(fs.readFileSync(file, 'utf8'), { filename: file })
+    if (error) throw new Error(`${path.relative(ROOT, file)}: ${error.name}: ${error.message}`)
+  })
+  const natives = NAMES.filter(name => {
+    const builtIn = vm.runInContext(builtInOf(name), sandbox.context)
+    return typeof builtIn !== 'function' || /\[native code\]/.test(Function.prototype.toString.call(builtIn))
+  })
+  if (natives.length) throw new Error(`Not polyfilled: ${natives.join(', ')}`)
+  vm.runInContext(WRAP, sandbox.context)(NAMES, name => { calls[name] = (calls[name] || 0) + 1 })
+  sandbox.output.length = 0
+  return Object.assign(sandbox, { calls })
+}
+
+function outcomeOf (output, error) {
+  const lines = output.map(entry => (entry.stream === 'stderr' ? '! ' : '') + entry.text)
+  if (error) lines.push(`x ${error.name}: ${error.message}${error.line ? ` (line ${error.line})` : ''}`)
+  return lines
+}
+
+// { index, title, start, calls, same, difference: { line, native, polyfilled } }
+// `line` being the index of the first line of output that differs
+function compareSection (chapter, section, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const native = runSection(chapter, section, { timeout })
+  const sandbox = createPolyfilledSandbox()
+  const error = sandbox.run(section.code, { filename: chapter.path, lineOffset: section.start - 1, timeout })
+  const expected = outcomeOf(native.output, native.error)
+  const actual = outcomeOf(sandbox.output, error)
+  const line = expected.findIndex((text, i) => text !== actual[i])
+  const differs = line !== -1 || expected.length !== actual.length
+  const at = line !== -1 ? line : Math.min(expected.length, actual.length)
+  return {
+    index: section.index,
+    title: section.title,
+    start: section.start,
+    calls: sandbox.calls,
+    same: !differs,
+    difference: differs ? { line: at, native: expected[at], polyfilled: actual[at] } : null
+  }
+}
+
+function compareChapter (chapter, options) {
+  return { chapter: chapter.file, sections: chapter.sections.map(section => compareSection(chapter, section, options)) }
+}
+
+function evaluate (sandbox, expression) {
+  try {
+    return describe(vm.runInContext(expression, sandbox.context))
+  } catch (err) {
+    return `${err && err.name}: ${err && err.message}`
+  }
+}
+
+// [{ name, cases: [{ expression, native, polyfilled, same }], calls }]
+function checkCases () {
+  return CASES.map(([name, expressions]) => {
+    const native = createSandbox()
+    const polyfilled = createPolyfilledSandbox()
+    const cases = expressions.map(expression => {
+      const expected = evaluate(native, expression)
+      const actual = evaluate(polyfilled, expression)
+      return { expression, native: expected, polyfilled: actual, same: expected === actual }
+    })
+    return { name, cases, calls: polyfilled.calls[name] || 0 }
+  })
+}
+
+// normalize() of every code point, surrogates included, in the 4 forms:
+// { checked, differences: [{ codePoint, form, native, polyfilled }] }
+function checkNormalization ({ limit = 10 } = {}) {
+  const normalize = vm.runInContext('String.prototype.normalize', createPolyfilledSandbox().context)
+  const differences = []
+  let checked = 0
+  for (let codePoint = 0; codePoint <= 0x10FFFF; codePoint++) {
+    const char = String.fromCodePoint(codePoint)
+    FORMS.forEach(form => {
+      checked++
+      const expected = char.normalize(form)
+      const actual = normalize.call(char, form)
+      if (expected !== actual && differences.length < limit) differences.push({ codePoint, form, native: expected, polyfilled: actual })
+    })
+  }
+  return { checked, differences }
+}
+
+module.exports = {
+  NAMES,
+  CASES,
+  FORMS,
+  createPolyfilledSandbox,
+  compareSection,
+  compareChapter,
+  checkCases,
+  checkNormalization
+}
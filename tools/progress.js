@@ -0,0 +1,189 @@
+// Learner progress: what each learner did with each section of the chapters
+//
+// `learn run` records the sections it ran, `learn quiz` the sections of the
+// questions answered and `learn verify` the sections of the exercises solved,
+// per learner ($LEARN_USER, else the login name) in the `progress` store (see
+// store.js):
+//
+//   { version: 1, learners: { alice: { last: { key, activity, date },
+//     sections: { '04-objects.js#object-assign': { ran: date, quizzed: date } } } } }
+//
+// A section is complete when it was run, quizzed if the quiz has questions
+// about it and solved if an exercise refers to it. The next section to read
+// is the first incomplete one from the last activity on, unless
+// data/prerequisites.json lists sections it builds on that are not complete:
+// `Symbol.toPrimitive()` in 06-symbols.js, for instance, needs the prototype
+// sections of 04-objects.js
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { ROOT } = require('./chapters')
+const { sectionKeys } = require('./watch')
+const { readStore, writeStore, storePath } = require('./store')
+const { UsageError } = require('./errors')
+const { collectQuestions } = require('./quiz')
+const { exerciseSections } = require('./verify')
+
+const STORE = 'progress'
+const STORE_VERSION = 1
+const ACTIVITIES = ['ran', 'quizzed', 'exercises']
+const PREREQUISITES = path.join(ROOT, 'data', 'prerequisites.json')
+
+function learnerName (env = process.env) {
+  if (env.LEARN_USER) return env.LEARN_USER
+  try {
+    return os.userInfo().username
+  } catch (err) {
+    return 'learner'
+  }
+}
+
+function emptyProgress () {
+  return { version: STORE_VERSION, learners: {} }
+}
+
+function loadProgress (env = process.env) {
+  const progress = readStore(STORE, null, env)
+  if (!progress) return emptyProgress()
+  if (progress.version !== STORE_VERSION) throw new UsageError(`${storePath(STORE, env)} has an unknown version: delete it to start over`)
+  return progress
+}
+
+function learnerOf (progress, learner) {
+  return progress.learners[learner] || (progress.learners[learner] = { last: null, sections: {} })
+}
+
+// `04-objects.js#object-assign` for each section of `chapter`
+function sectionKeysOf (chapter) {
+  return sectionKeys(chapter.sections).map(key => `${chapter.file}#${key}`)
+}
+
+function recordActivity (progress, { learner, activity, keys, date }) {
+  const record = learnerOf(progress, learner)
+  keys.forEach(key => {
+    const section = record.sections[key] || (record.sections[key] = {})
+    section[activity] = date
+  })
+  if (keys.length) record.last = { key: keys[keys.length - 1], activity, date }
+  return progress
+}
+
+// Records `activity` for the sections `keys` in the store. Progress is a side
+// record: a store that cannot be read or written never makes the command
+// that records it fail, and null is returned instead of the file
+function recordProgress (activity, keys, env = process.env) {
+  if (!keys.length) return null
+  try {
+    const progress = loadProgress(env)
+    recordActivity(progress, { learner: learnerName(env), activity, keys, date: new Date().toISOString() })
+    return writeStore(STORE, progress, env)
+  } catch (err) {
+    return null
+  }
+}
+
+// { [key]: [prerequisite keys] }
+function loadPrerequisites (file = PREREQUISITES) {
+  return JSON.parse(fs.readFileSync(file, 'utf8')).prerequisites
+}
+
+// The keys of `prerequisites` that name no section of `chapters`
+function unknownPrerequisites (prerequisites, chapters) {
+  const known = new Set([].concat(...chapters.map(sectionKeysOf)))
+  const keys = [].concat(...Object.keys(prerequisites).map(key => [key].concat(prerequisites[key])))
+  return keys.filter((key, i) => !known.has(key) && keys.indexOf(key) === i)
+}
+
+// The keys of the sections the quiz asks about and of those the exercises
+// refer to
+function applicableKeys (chapters) {
+  const quizzed = new Set(collectQuestions(chapters).map(question => question.topic))
+  const exercised = new Set()
+  chapters.forEach(chapter => {
+    const keys = sectionKeysOf(chapter)
+    exerciseSections(chapter).forEach(section => exercised.add(keys[section.index - 1]))
+  })
+  return { quizzed, exercised }
+}
+
+// Per chapter and per section, what was done and what is needed:
+// [{ chapter, number, complete, sections: [{ key, chapter, number, index,
+// title, start, needs, done, complete }] }]
+function chapterProgress (chapters, progress, learner) {
+  const { quizzed, exercised } = applicableKeys(chapters)
+  const record = progress.learners[learner] || { sections: {} }
+  return chapters.map(chapter => {
+    const keys = sectionKeysOf(chapter)
+    const sections = chapter.sections.map((section, i) => {
+      const key = keys[i]
+      const needs = ACTIVITIES.filter(activity =>
+        activity === 'ran' ||
+        (activity === 'quizzed' && quizzed.has(key)) ||
+        (activity === 'exercises' && exercised.has(key)))
+      const done = record.sections[key] || {}
+      return {
+        key,
+        chapter: chapter.file,
+        number: chapter.number,
+        index: section.index,
+        title: section.title,
+        start: section.start,
+        needs,
+        done,
+        complete: needs.every(activity => done[activity])
+      }
+    })
+    return {
+      chapter: chapter.file,
+      number: chapter.number,
+      complete: sections.filter(section => section.complete).length,
+      sections
+    }
+  })
+}
+
+// The first incomplete prerequisite of `section`, itself resolved to its own
+// first incomplete prerequisite: the chain of sections from `section` down to
+// the one to read first
+function blockingChain (section, byKey, prerequisites, seen = new Set([section.key])) {
+  const missing = (prerequisites[section.key] || [])
+    .map(key => byKey.get(key))
+    .find(prerequisite => prerequisite && !prerequisite.complete && !seen.has(prerequisite.key))
+  if (!missing) return [section]
+  seen.add(missing.key)
+  return [section].concat(blockingChain(missing, byKey, prerequisites, seen))
+}
+
+// { section, chain, last } where `chain` goes from the next section in
+// reading order, starting with the last one the learner worked on, to
+// `section`, the one to read first; null once every section is complete.
+// `chapters` is what chapterProgress() returns
+function recommendNext (chapters, progress, learner, prerequisites) {
+  const sections = [].concat(...chapters.map(chapter => chapter.sections))
+  const byKey = new Map(sections.map(section => [section.key, section]))
+  const record = progress.learners[learner]
+  const last = record && record.last ? record.last : null
+  const from = last ? Math.max(0, sections.findIndex(section => section.key === last.key)) : 0
+  const ordered = sections.slice(from).concat(sections.slice(0, from))
+  const target = ordered.find(section => !section.complete)
+  if (!target) return null
+  const chain = blockingChain(target, byKey, prerequisites)
+  return { section: chain[chain.length - 1], chain, last }
+}
+
+module.exports = {
+  STORE,
+  STORE_VERSION,
+  ACTIVITIES,
+  learnerName,
+  emptyProgress,
+  loadProgress,
+  sectionKeysOf,
+  recordActivity,
+  recordProgress,
+  loadPrerequisites,
+  unknownPrerequisites,
+  chapterProgress,
+  recommendNext
+}
@@ -0,0 +1,380 @@
+// Predict-the-output quiz built from the annotated examples of the chapters
+//
+//   console.log(freezing + '!') // "32 degrees!"
+//
+// becomes "what does `freezing + '!'` log?". The answer is what the example
+// logs when it runs (see doctest.js), not the annotation, so a wrong comment
+// never makes a wrong answer: only the examples whose annotation holds are
+// asked. The wrong choices come from common misconceptions:
+//  - what another line of the same section logs, e.g. "32°" for the "default"
+//    hint of `freezing + '!'`, which is what `String(freezing)` logs
+//  - an off-by-one number, the opposite boolean, null for undefined, the
+//    array sorted or reversed, another error class or no error at all...
+// and every one of them carries a short note saying what it stands for. A
+// choice that console.log() prints as the answer is left out: `12345` and
+// "12345" both log 12345
+//
+// Scores are kept per question and per topic (a section of a chapter) in the
+// learn directory (see store.js), and the next quizzes favor the questions
+// missed or never asked
+
+const { verifyChapter } = require('./doctest')
+const { parseBlocks } = require('./chapters')
+const { sectionKeys } = require('./watch')
+const { errorNameOf } = require('./expectations')
+
+const CHOICES = 4
+const LETTERS = 'ABCDEFGH'
+const MAX_CONTEXT_LINES = 20
+const ERROR_NAME = /^([A-Z]\w*Error)\b/
+const ERRORS = {
+  SyntaxError: 'code that does not even parse',
+  ReferenceError: 'a name that is not declared, or read in its TDZ',
+  TypeError: 'an operation on the wrong kind of value',
+  RangeError: 'a value out of its allowed range'
+}
+const STORE_VERSION = 1
+const MAX_SESSIONS = 100
+
+// string, number, boolean, null, undefined, symbol, array, object, error or
+// other, from the way doctest.js describes a value
+function valueKind (text) {
+  if (/^"/.test(text)) return 'string'
+  if (/^(-?(\d+(\.\d+)?(e[+-]?\d+)?|Infinity)|NaN)$/.test(text)) return 'number'
+  if (text === 'true' || text === 'false') return 'boolean'
+  if (text === 'null' || text === 'undefined') return text
+  if (/^Symbol\(/.test(text)) return 'symbol'
+  if (/^[A-Z]\w*Error$/.test(text)) return 'error'
+  if (/^\[(?!object |Function|class)[^]*\]$/.test(text)) return 'array'
+  if (/^\{[^]*\}$/.test(text)) return 'object'
+  return 'other'
+}
+
+function loose (text) {
+  return String(text).trim().replace(/\s+/g, '').replace(/"/g, "'")
+}
+
+function unquote (text) {
+  return valueKind(text) === 'string' ? JSON.parse(text) : text
+}
+
+// What console.log() prints for a value as doctest.js describes it: strings
+// lose their quotes
+function printedForm (text) {
+  try {
+    return loose(unquote(text))
+  } catch (err) {
+    return loose(text)
+  }
+}
+
+// The items of a flat array literal as printed by console.log(), or null
+function arrayItems (text) {
+  const inner = text.slice(1, -1).trim()
+  if (!inner) return []
+  const items = inner.match(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^,\s]+/g) || []
+  return items.every(item => /^(['"].*['"]|-?[\d.]+|true|false|null|undefined)$/.test(item)) ? items : null
+}
+
+function unquoteItem (item) {
+  return /^['"]/.test(item) ? item.slice(1, -1) : item
+}
+
+function formatArray (items) {
+  return items.length ? `[ ${items.join(', ')} ]` : '[]'
+}
+
+// Wrong answers that stand for a misconception about a value of this kind
+function misconceptions (answer, question) {
+  const kind = valueKind(answer)
+  switch (kind) {
+    case 'number': {
+      const found = []
+      const number = Number(answer)
+      if (Number.isInteger(number)) {
+        const counts = /length|size|count|index/i.test(question.expression)
+        if (counts && number > 0) found.push({ text: String(number - 1), why: 'one too few: an element not counted' })
+        found.push({ text: String(number + 1), why: counts ? 'one too many: counting code units, or from 1' : 'an off-by-one result' })
+      }
+      found.push({ text: 'NaN', why: 'a conversion to a number that fails' })
+      return found
+    }
+    case 'string': {
+      const found = []
+      if (unquote(answer) !== '') found.push({ text: '""', why: 'an empty string' })
+      found.push({ text: 'undefined', why: 'no value at all' })
+      return found
+    }
+    case 'boolean':
+      return [
+        { text: answer === 'true' ? 'false' : 'true', why: 'the opposite' },
+        { text: 'undefined', why: 'no value at all' }
+      ]
+    case 'null':
+      return [
+        { text: 'undefined', why: 'undefined, which is not null' },
+        { text: '-1', why: 'what indexOf() returns when nothing is found' },
+        { text: '""', why: 'an empty string' }
+      ]
+    case 'undefined':
+      return [
+        { text: 'null', why: 'null, which is not undefined' },
+        { text: 'ReferenceError', why: 'an error, but reading a missing value does not throw' },
+        { text: '""', why: 'an empty string' }
+      ]
+    case 'symbol':
+      return [
+        { text: 'Symbol()', why: 'a symbol without its description' },
+        { text: 'undefined', why: 'no value at all' },
+        { text: 'TypeError', why: 'an error, but logging a symbol does not convert it' }
+      ]
+    case 'array': {
+      const items = arrayItems(answer)
+      const found = []
+      if (items && items.length > 1) {
+        found.push({ text: formatArray(items.slice().sort()), why: 'sorted: the order is not alphabetical' })
+        found.push({ text: formatArray(items.slice().reverse()), why: 'in reverse order' })
+        found.push({ text: JSON.stringify(items.map(unquoteItem).join(',')), why: 'the elements joined into a string' })
+      }
+      found.push({ text: '[]', why: 'an empty array' })
+      return found
+    }
+    case 'object':
+      return [
+        { text: '"[object Object]"', why: 'what `+` makes of an object' },
+        { text: '{}', why: 'an object without own enumerable properties' }
+      ]
+    case 'error':
+      return [{ text: 'undefined', why: 'no error at all' }].concat(
+        Object.keys(ERRORS).filter(name => name !== answer).map(name => ({ text: name, why: ERRORS[name] }))
+      )
+    default:
+      return [{ text: 'undefined', why: 'no value at all' }]
+  }
+}
+
+// The code of the section up to the question, its annotation removed: the
+// code blocks that fit in MAX_CONTEXT_LINES, null between two blocks
+function contextOf (section, line, expression) {
+  const blocks = parseBlocks(section)
+    .filter(block => block.type === 'code' && block.start <= line)
+    .map(block => block.lines
+      .map((text, i) => ({ line: block.start + i, text }))
+      .filter(entry => entry.line <= line))
+  const last = blocks.pop() || []
+  const lines = last.slice(-MAX_CONTEXT_LINES)
+  while (blocks.length && lines.length + blocks[blocks.length - 1].length < MAX_CONTEXT_LINES) {
+    lines.unshift(...blocks.pop(), null)
+  }
+  const question = lines[lines.length - 1]
+  if (question && question.line === line) {
+    const after = question.text.indexOf(expression)
+    const comment = question.text.indexOf('//', after === -1 ? 0 : after + expression.length)
+    if (comment !== -1) question.text = question.text.slice(0, comment).trimEnd()
+  }
+  return lines
+}
+
+// What an example logs, or the name of the error it throws
+function outcomeOf (result) {
+  if (result.status === 'unreached' || result.actual === null) return null
+  if (result.status === 'error') {
+    const name = ERROR_NAME.exec(result.actual)
+    return name ? name[1] : null
+  }
+  return result.actual
+}
+
+// Every question of the chapters: [{ id, topic, chapter, section, line,
+// expression, answer, kind, context, siblings }], `siblings` being what the
+// other examples of the section log
+function collectQuestions (chapters, { timeout } = {}) {
+  const questions = []
+  chapters.forEach(chapter => {
+    const keys = sectionKeys(chapter.sections)
+    verifyChapter(chapter, { timeout }).forEach(({ section, results }, i) => {
+      const topic = `${chapter.file}#${keys[i]}`
+      const outcomes = results
+        .map(result => ({ expression: result.expression, text: outcomeOf(result) }))
+        .filter(outcome => outcome.text !== null)
+      results.forEach(result => {
+        if (result.status !== 'pass') return
+        const answer = outcomeOf(result)
+        questions.push({
+          id: `${topic}:${result.expression}`,
+          topic,
+          chapter: chapter.file,
+          section: { index: section.index, title: section.title, start: section.start },
+          line: result.line,
+          expression: result.expression,
+          answer,
+          kind: valueKind(answer),
+          context: contextOf(section, result.line, result.expression),
+          siblings: outcomes.filter(outcome => outcome.expression !== result.expression)
+        })
+      })
+    })
+  })
+  // The same example asked twice is one question
+  const seen = new Set()
+  return questions.filter(question => !seen.has(question.id) && seen.add(question.id))
+}
+
+// Wrong choices: what the section logs elsewhere for a value of the same
+// kind, alternating with the misconceptions of the kind, then anything else
+function distractorsFor (question, count = CHOICES - 1) {
+  const siblings = question.siblings.map(sibling => ({ text: sibling.text, why: `what \`${sibling.expression}\` logs` }))
+  const same = siblings.filter(sibling => valueKind(sibling.text) === question.kind)
+  const other = siblings.filter(sibling => valueKind(sibling.text) !== question.kind)
+  const specific = misconceptions(question.answer, question)
+  const ordered = []
+  for (let i = 0; i < Math.max(same.length, specific.length); i++) {
+    if (same[i]) ordered.push(same[i])
+    if (specific[i]) ordered.push(specific[i])
+  }
+  ordered.push(...other, { text: 'undefined', why: 'no value at all' }, { text: 'TypeError', why: ERRORS.TypeError })
+
+  const taken = new Set([printedForm(question.answer)])
+  const distractors = []
+  ordered.forEach(candidate => {
+    if (distractors.length === count || taken.has(printedForm(candidate.text))) return
+    taken.add(printedForm(candidate.text))
+    distractors.push(candidate)
+  })
+  return distractors
+}
+
+// Deterministic random numbers in [0, 1) for a seed (mulberry32)
+function createRandom (seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function shuffle (items, random) {
+  const shuffled = items.slice()
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = swap
+  }
+  return shuffled
+}
+
+function emptyStats () {
+  return { version: STORE_VERSION, topics: {}, questions: {}, sessions: [] }
+}
+
+// Missed questions weigh 3, never asked ones 2, the others 1, more so in
+// the topics with the lowest scores
+function weightOf (question, stats) {
+  const record = stats.questions[question.id]
+  const topic = stats.topics[question.topic]
+  const missRate = topic && topic.asked ? 1 - topic.correct / topic.asked : 0
+  const base = !record ? 2 : record.last ? 1 : 3
+  return base * (1 + missRate)
+}
+
+// Picks `count` questions and gives them their choices (`options`, null for
+// free answers): [{ ...question, options: [{ letter, text, why, correct }] }]
+function buildQuiz (questions, stats = emptyStats(), { count = 10, random = Math.random, free = false } = {}) {
+  const pool = questions.map(question => ({ question, weight: weightOf(question, stats) }))
+  const picked = []
+  while (picked.length < count && pool.length) {
+    const total = pool.reduce((sum, entry) => sum + entry.weight, 0)
+    let target = random() * total
+    const index = pool.findIndex(entry => (target -= entry.weight) < 0)
+    picked.push(pool.splice(index === -1 ? pool.length - 1 : index, 1)[0].question)
+  }
+  return picked.map(question => {
+    if (free) return Object.assign({}, question, { options: null })
+    const choices = [{ text: question.answer, why: null, correct: true }]
+      .concat(distractorsFor(question).map(distractor => Object.assign({ correct: false }, distractor)))
+    const options = shuffle(choices, random).map((choice, i) => Object.assign({ letter: LETTERS[i] }, choice))
+    return Object.assign({}, question, { options })
+  })
+}
+
+function sameValue (input, answer) {
+  // Strings may be typed with or without their quotes: they log the same
+  if (loose(input) === loose(answer) || printedForm(input) === printedForm(answer)) return true
+  const kind = valueKind(answer)
+  if (kind === 'error') return errorNameOf(input) === answer || loose(input).toLowerCase() === answer.toLowerCase()
+  return false
+}
+
+// { correct, picked }: `picked` is the option chosen by letter, by number or
+// by its text, if any
+function checkAnswer (question, input) {
+  const text = String(input).trim()
+  const options = question.options || []
+  let picked = null
+  if (/^[a-z]$/i.test(text)) picked = options.find(option => option.letter === text.toUpperCase()) || null
+  else if (/^\d$/.test(text) && options.length) picked = options[Number(text) - 1] || null
+  if (!picked) picked = options.find(option => sameValue(text, option.text)) || null
+  if (picked) return { correct: picked.correct, picked }
+  return { correct: sameValue(text, question.answer), picked: null }
+}
+
+function recordAnswer (stats, question, correct) {
+  const topic = stats.topics[question.topic] || (stats.topics[question.topic] = {
+    chapter: question.chapter,
+    section: question.section.title,
+    asked: 0,
+    correct: 0
+  })
+  topic.asked++
+  if (correct) topic.correct++
+  const record = stats.questions[question.id] || (stats.questions[question.id] = { asked: 0, correct: 0, last: false })
+  record.asked++
+  if (correct) record.correct++
+  record.last = correct
+  return stats
+}
+
+function recordSession (stats, session) {
+  stats.sessions = stats.sessions.concat(session).slice(-MAX_SESSIONS)
+  return stats
+}
+
+// The scores per topic, worst first, then per chapter in file order
+function topicScores (stats) {
+  const topics = Object.keys(stats.topics).map(key => {
+    const topic = stats.topics[key]
+    return Object.assign({ topic: key, score: topic.correct / topic.asked }, topic)
+  })
+  topics.sort((a, b) => a.score - b.score || a.topic.localeCompare(b.topic))
+  const chapters = new Map()
+  topics.forEach(topic => {
+    const chapter = chapters.get(topic.chapter) || { chapter: topic.chapter, asked: 0, correct: 0 }
+    chapter.asked += topic.asked
+    chapter.correct += topic.correct
+    chapters.set(topic.chapter, chapter)
+  })
+  const byChapter = Array.from(chapters.values())
+    .sort((a, b) => a.chapter.localeCompare(b.chapter))
+    .map(chapter => Object.assign(chapter, { score: chapter.correct / chapter.asked }))
+  return { topics, chapters: byChapter }
+}
+
+module.exports = {
+  CHOICES,
+  STORE_VERSION,
+  valueKind,
+  misconceptions,
+  collectQuestions,
+  distractorsFor,
+  createRandom,
+  emptyStats,
+  buildQuiz,
+  checkAnswer,
+  recordAnswer,
+  recordSession,
+  topicScores
+}
@@ -0,0 +1,75 @@
+// Reads the table of contents of readme.md:
+//
+//   1. Block Bindings: `block-bindings.js`
+//
+// Chapters are numbered by their position in the list. Each chapter then has
+// a heading with the outline of its topics:
+//
+//   ## 1. Block Bindings: `block-bindings.js`
+//
+//   - Block-Binding in Loops
+//     - Functions in Loops
+
+const fs = require('fs')
+const path = require('path')
+const { ROOT } = require('./chapters')
+
+const README = path.join(ROOT, 'readme.md')
+const TOC_ENTRY = /^\d+\.\s+(.+?):\s+`([^`]+)`\s*$/
+const CHAPTER_HEADING = /^##\s+(\d+)\.\s+(.+?):\s+`([^`]+)`\s*$/
+const OUTLINE_ITEM = /^( *)- (.+?)\s*$/
+
+function readReadme (file = README) {
+  return fs.readFileSync(file, 'utf8')
+}
+
+function tableOfContents (source = readReadme()) {
+  const lines = source.split(/\r?\n/)
+  const start = lines.findIndex(line => /^##\s+Table of Contents/i.test(line))
+  if (start === -1) return []
+
+  const entries = []
+  for (let i = start + 1; i < lines.length && !/^#/.test(lines[i]); i++) {
+    const match = TOC_ENTRY.exec(lines[i].trim())
+    if (match) entries.push({ number: entries.length + 1, title: match[1], file: match[2], line: i + 1 })
+  }
+  return entries
+}
+
+// The chapter headings and their bulleted topics: [{ number, title, file,
+// line, items: [{ text, level, line }] }], `level` 1 for the top bullets
+function chapterOutlines (source = readReadme()) {
+  const lines = source.split(/\r?\n/)
+  const outlines = []
+  let current = null
+  lines.forEach((line, i) => {
+    const heading = CHAPTER_HEADING.exec(line)
+    if (heading) {
+      current = { number: Number(heading[1]), title: heading[2], file: heading[3], line: i + 1, items: [] }
+      outlines.push(current)
+      return
+    }
+    if (/^#/.test(line)) {
+      current = null
+      return
+    }
+    const item = current && OUTLINE_ITEM.exec(line)
+    if (item) current.items.push({ text: item[2], level: Math.floor(item[1].length / 2) + 1, line: i + 1 })
+  })
+  return outlines
+}
+
+// The readme title of a chapter, falling back on its file name
+function chapterTitle (chapter, toc = tableOfContents()) {
+  const entry = toc.find(entry => entry.number === chapter.number)
+  if (entry) return entry.title
+  return chapter.name.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ')
+}
+
+module.exports = {
+  README,
+  readReadme,
+  tableOfContents,
+  chapterOutlines,
+  chapterTitle
+}
@@ -0,0 +1,159 @@
+// Cross-realm lab: values passed between `node:vm` realms
+//
+// `Symbol.toStringTag()` in 06-symbols.js says that identifying a value
+// passed between global environments is "one of the most interesting
+// problems" of JavaScript. Each experiment makes a value in realm A, hands it
+// over to realm B and evaluates the same checks in both:
+//
+//   value instanceof Array                  A: true    B: false
+//   Object.prototype.toString.call(value)   A: "[object Array]"   B: "[object Array]"
+//
+// Every check states what it is expected to give in the realm that made the
+// value and in the other one, so the lab also tells when a runtime behaves
+// differently. `typeOf` (see lib/type-of.js) is a global of both realms
+
+const vm = require('vm')
+const util = require('util')
+const { findChapter, loadChapter, findSection } = require('./chapters')
+const { createSandbox } = require('./sandbox')
+const { typeOf } = require('../lib/type-of')
+
+// The `Person` of 06-symbols.js, as the chapter defines it
+function personSetup () {
+  const chapter = loadChapter(findChapter('06'))
+  const section = findSection(chapter, 'Symbol.toStringTag')
+  return { code: section.code, filename: chapter.path, lineOffset: section.start - 1 }
+}
+
+// { id, title, setup, create, checks: [[expression, same realm, other realm]], lesson }
+const EXPERIMENTS = [
+  {
+    id: 'arrays',
+    title: 'Arrays',
+    create: '[1, 2, 3]',
+    checks: [
+      ['value instanceof Array', true, false],
+      ['value.constructor === Array', true, false],
+      ['Array.isArray(value)', true, true],
+      ['Object.prototype.toString.call(value)', '[object Array]', '[object Array]'],
+      ['typeOf(value)', 'Array', 'Array']
+    ],
+    lesson: 'Each realm has its own Array: `instanceof` compares prototypes, while Array.isArray() and Object.prototype.toString() read what the array is'
+  },
+  {
+    id: 'person',
+    title: '`Person` instances of 06-symbols.js',
+    setup: personSetup,
+    create: "new Person('Nicholas')",
+    checks: [
+      ['value instanceof Person', true, false],
+      ['value.constructor === Person', true, false],
+      ['Object.prototype.toString.call(value)', '[object Person]', '[object Person]'],
+      ['String(value)', 'Nicholas', 'Nicholas'],
+      ['typeOf(value)', 'Person', 'Person']
+    ],
+    lesson: 'Both realms run the same code, yet they define two `Person` functions: Symbol.toStringTag is the name that travels with the instances'
+  },
+  {
+    id: 'symbols',
+    title: 'Registry symbols',
+    create: "Symbol.for('uid')",
+    checks: [
+      ["value === Symbol.for('uid')", true, true],
+      ['Symbol.keyFor(value)', 'uid', 'uid'],
+      ["value === Symbol('uid')", false, false],
+      ['typeOf(value)', 'symbol', 'symbol']
+    ],
+    lesson: 'The global symbol registry is shared by every realm: Symbol.for() gives the same symbol everywhere, Symbol() a new one each time'
+  },
+  {
+    id: 'well-known-symbols',
+    title: 'Well-known symbols',
+    create: 'Symbol.iterator',
+    checks: [
+      ['value === Symbol.iterator', true, true],
+      ['Symbol.keyFor(value)', undefined, undefined]
+    ],
+    lesson: 'Well-known symbols are the same in every realm, without being in the registry'
+  },
+  {
+    id: 'errors',
+    title: 'Errors',
+    create: "new TypeError('Cannot convert a Symbol value to a number')",
+    checks: [
+      ['value instanceof TypeError', true, false],
+      ['value instanceof Error', true, false],
+      ['Object.prototype.toString.call(value)', '[object Error]', '[object Error]'],
+      ['value.name', 'TypeError', 'TypeError'],
+      ['typeOf(value)', 'TypeError', 'TypeError']
+    ],
+    lesson: 'A `catch (err)` with `err instanceof TypeError` misses the errors thrown by another realm: test `err.name`, or use typeOf()'
+  }
+]
+
+function createRealm (name) {
+  const sandbox = createSandbox({ globals: { typeOf } })
+  return {
+    name,
+    sandbox,
+    evaluate (code) {
+      return vm.runInContext(code, sandbox.context)
+    }
+  }
+}
+
+function describe (value) {
+  return typeof value === 'string' ? JSON.stringify(value) : util.inspect(value)
+}
+
+function evaluateCheck (realm, expression) {
+  try {
+    return { value: realm.evaluate(`(${expression})`) }
+  } catch (err) {
+    return { error: `${err && err.name}: ${err && err.message}` }
+  }
+}
+
+// Runs an experiment in two fresh realms: { id, title, lesson, error, checks:
+// [{ expression, results: [{ realm, actual, expected, ok }] }] }
+function runExperiment (experiment) {
+  const realms = [createRealm('A'), createRealm('B')]
+  const result = { id: experiment.id, title: experiment.title, create: experiment.create, lesson: experiment.lesson, error: null, checks: [] }
+  if (experiment.setup) {
+    const { code, filename, lineOffset } = experiment.setup()
+    const failed = realms.map(realm => realm.sandbox.run(code, { filename, lineOffset })).find(Boolean)
+    if (failed) {
+      result.error = `${failed.name}: ${failed.message}`
+      return result
+    }
+  }
+
+  const value = realms[0].evaluate(`(${experiment.create})`)
+  realms.forEach(realm => { realm.sandbox.context.value = value })
+  result.checks = experiment.checks.map(([expression, same, other]) => ({
+    expression,
+    results: realms.map((realm, i) => {
+      const expected = i === 0 ? same : other
+      const evaluation = evaluateCheck(realm, expression)
+      const ok = !evaluation.error && Object.is(evaluation.value, expected)
+      return {
+        realm: realm.name,
+        actual: evaluation.error ? evaluation.error : describe(evaluation.value),
+        expected: describe(expected),
+        ok
+      }
+    })
+  }))
+  return result
+}
+
+function findExperiment (id) {
+  return EXPERIMENTS.find(experiment => experiment.id === id) || null
+}
+
+module.exports = {
+  EXPERIMENTS,
+  createRealm,
+  runExperiment,
+  findExperiment
+}
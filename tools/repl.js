@@ -0,0 +1,88 @@
+// Contexts for `learn repl`: a chapter section that already ran
+//
+// The sections above the chosen one run first, in reading order, so that the
+// chosen section finds the bindings it borrows from them (see bindings.js).
+// The chosen section then runs in a context of its own: its top-level
+// bindings, `let` and `const` included, stay defined there for the REPL.
+// What the sections log while loading is kept out of the terminal
+
+const vm = require('vm')
+const { parse } = require('./parse')
+const { carryBindings, declaredNames } = require('./bindings')
+const { runSection, DEFAULT_TIMEOUT } = require('./sandbox')
+
+const KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+  'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined',
+  'var', 'void', 'while', 'with', 'yield'
+]
+
+function namesOf (code) {
+  try {
+    return Array.from(declaredNames(parse(code)))
+  } catch (err) {
+    return []
+  }
+}
+
+// { section, context, bindings, carried, error }: `bindings` are the names the
+// section declares, `carried` those of the sections above, `error` what
+// stopped the section early (the bindings declared after that point are left
+// in their TDZ)
+function loadSection (chapter, section, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const carried = carryBindings()
+  for (const other of chapter.sections) {
+    if (other === section) break
+    const result = runSection(chapter, other, { timeout, globals: carried.globalsFor(other) })
+    carried.harvest(other, result.context)
+  }
+  const globals = carried.globalsFor(section, { all: true })
+  const result = runSection(chapter, section, { timeout, globals })
+  result.context.console = console
+  return {
+    section,
+    context: result.context,
+    bindings: namesOf(section.code),
+    carried: Object.keys(globals),
+    error: result.error
+  }
+}
+
+// Every property name along the prototype chain of `value`
+function propertyNames (value) {
+  const names = new Set()
+  for (let object = Object(value); object; object = Object.getPrototypeOf(object)) {
+    Object.getOwnPropertyNames(object).forEach(name => {
+      if (/^[A-Za-z_$][\w$]*$/.test(name)) names.add(name)
+    })
+  }
+  return Array.from(names)
+}
+
+// [completions, the text they complete], as expected by the readline completer
+// `a.b.` completes the properties of `a.b`, which is evaluated: only plain
+// member chains are, nothing that calls a function
+function completeCode (line, context, names) {
+  const match = /(?:([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\.)?([A-Za-z_$][\w$]*)?$/.exec(line)
+  const prefix = match[2] || ''
+  let candidates
+  if (match[1]) {
+    try {
+      candidates = propertyNames(vm.runInContext(match[1], context))
+    } catch (err) {
+      candidates = []
+    }
+  } else {
+    const globals = vm.runInContext('Object.getOwnPropertyNames(globalThis)', context)
+    candidates = names.concat(globals, KEYWORDS)
+  }
+  const hits = Array.from(new Set(candidates)).filter(name => name.startsWith(prefix)).sort()
+  return [hits, prefix]
+}
+
+module.exports = {
+  namesOf,
+  loadSection,
+  completeCode
+}
@@ -0,0 +1,246 @@
+// Building blocks of the rewrites of `learn modernize` (tools/modernize.js),
+// shared with the rules of tools/eslint-plugin-learn, and the rest-parameters
+// rewrite that the prefer-rest-params rule applies as its fix
+//
+// `context` is { code, scopes, parents, comments }: the source, its
+// eslint-scope scope manager, a map from a node to its parent and the
+// comments. tools/modernize.js makes it from acorn, the rules from ESLint's
+// source code. `report` is { rewrite (candidate), keep (entry) }
+
+const walk = require('acorn-walk')
+
+const LOOP_TYPES = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']
+
+function isName (node, name) {
+  return Boolean(node) && node.type === 'Identifier' && node.name === name
+}
+
+// What a function uses of its own: 'this', 'arguments', 'new.target',
+// 'super', 'yield', 'await'. Arrow functions inside it share them
+function ownUsage (fn) {
+  const used = new Set()
+  const visitor = {
+    Function (node, state, c) {
+      if (node.type === 'ArrowFunctionExpression') walk.base.Function(node, state, c)
+    },
+    ThisExpression () { used.add('this') },
+    Super () { used.add('super') },
+    MetaProperty (node) {
+      if (node.meta.name === 'new') used.add('new.target')
+    },
+    Identifier (node) {
+      if (node.name === 'arguments') used.add('arguments')
+    },
+    YieldExpression (node, state, c) {
+      used.add('yield')
+      walk.base.YieldExpression(node, state, c)
+    },
+    AwaitExpression (node, state, c) {
+      used.add('await')
+      walk.base.AwaitExpression(node, state, c)
+    }
+  }
+  fn.params.forEach(param => walk.recursive(param, null, visitor, walk.base, 'Pattern'))
+  walk.recursive(fn.body, null, visitor)
+  return used
+}
+
+function hasUseStrict (fn) {
+  return fn.body.type === 'BlockStatement' && fn.body.body.some(statement => statement.directive === 'use strict')
+}
+
+function scopeOf (context, node) {
+  let current = node
+  while (current) {
+    const scope = context.scopes.acquire(current, true)
+    if (scope) return scope
+    current = context.parents.get(current)
+  }
+  return context.scopes.globalScope
+}
+
+// Edit that removes a statement, with its line when it stands alone on it.
+// A trailing comment stays in place
+function removeStatement (code, node) {
+  const lineStart = code.lastIndexOf('\n', node.start - 1) + 1
+  let lineEnd = code.indexOf('\n', node.end)
+  if (lineEnd === -1) lineEnd = code.length
+  const before = code.slice(lineStart, node.start)
+  const after = code.slice(node.end, lineEnd)
+  if (!before.trim() && !after.trim()) return { start: lineStart, end: Math.min(lineEnd + 1, code.length), text: '' }
+  const spaces = /^[ \t]*/.exec(after)[0].length
+  return { start: node.start, end: node.end + spaces, text: '' }
+}
+
+function insideLoop (decl, until, parents) {
+  for (let node = parents.get(decl); node && node !== until; node = parents.get(node)) {
+    if (LOOP_TYPES.includes(node.type)) return true
+  }
+  return false
+}
+
+function functionName (context, fn) {
+  if (fn.id) return fn.id.name
+  const parent = context.parents.get(fn)
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name
+  if (parent.type === 'Property' && !parent.computed) return context.code.slice(parent.key.start, parent.key.end)
+  if (parent.type === 'AssignmentExpression') return context.code.slice(parent.left.start, parent.left.end)
+  return 'function'
+}
+
+// rest-parameters
+// ***************
+
+// `Array.prototype.slice.call(arguments, n)` or `[].slice.call(arguments, n)`
+function isSliceCall (node, ref, count) {
+  if (node.type !== 'CallExpression' || node.arguments[0] !== ref) return false
+  const callee = node.callee
+  if (callee.type !== 'MemberExpression' || callee.computed || !isName(callee.property, 'call')) return false
+  const slice = callee.object
+  if (slice.type !== 'MemberExpression' || slice.computed || !isName(slice.property, 'slice')) return false
+  const owner = slice.object
+  const arrayPrototype = owner.type === 'MemberExpression' && !owner.computed && isName(owner.object, 'Array') && isName(owner.property, 'prototype')
+  const emptyArray = owner.type === 'ArrayExpression' && !owner.elements.length
+  if (!arrayPrototype && !emptyArray) return false
+  const start = node.arguments[1]
+  if (node.arguments.length === 1) return count === 0
+  return node.arguments.length === 2 && start.type === 'Literal' && start.value === count
+}
+
+function isArgumentsLength (node) {
+  return node && node.type === 'MemberExpression' && !node.computed && isName(node.object, 'arguments') && isName(node.property, 'length')
+}
+
+// `for (var i = n, len = arguments.length; i < len; i++) { ... arguments[i] ... }`
+// Returns the edits that make the loop read `rest` instead, null otherwise
+function restLoop (context, loop, count, uses, name) {
+  if (loop.type !== 'ForStatement' || !loop.init || loop.init.type !== 'VariableDeclaration') return null
+  const [counter, ...others] = loop.init.declarations
+  if (!counter || counter.id.type !== 'Identifier' || !counter.init || counter.init.type !== 'Literal' || counter.init.value !== count) return null
+  const index = counter.id.name
+  const lengthName = others.length === 1 && isArgumentsLength(others[0].init) && others[0].id.type === 'Identifier' ? others[0].id.name : null
+  if (others.length > (lengthName ? 1 : 0)) return null
+
+  const test = loop.test
+  if (!test || test.type !== 'BinaryExpression' || test.operator !== '<' || !isName(test.left, index)) return null
+  if (!(isArgumentsLength(test.right) || (lengthName && isName(test.right, lengthName)))) return null
+  const update = loop.update
+  const increments = update && ((update.type === 'UpdateExpression' && update.operator === '++' && isName(update.argument, index)) ||
+    (update.type === 'AssignmentExpression' && update.operator === '+=' && isName(update.left, index) && update.right.value === 1))
+  if (!increments) return null
+
+  const [variable] = context.scopes.getDeclaredVariables(counter)
+  const refs = variable.references.filter(ref => ref.identifier !== counter.id)
+  const inBody = ref => ref.identifier.start >= loop.body.start && ref.identifier.end <= loop.body.end
+  const indexesArguments = ref => {
+    const parent = context.parents.get(ref.identifier)
+    return parent.type === 'MemberExpression' && parent.computed && parent.property === ref.identifier && isName(parent.object, 'arguments')
+  }
+  if (refs.some(ref => ref.identifier.start < loop.start || ref.identifier.end > loop.end)) return null
+  if (refs.some(ref => inBody(ref) && (ref.isWrite() || !indexesArguments(ref)))) return null
+
+  const edits = [{ start: counter.init.start, end: counter.init.end, text: '0' }]
+  for (const ref of uses) {
+    const parent = context.parents.get(ref)
+    if (ref.start < loop.start || ref.end > loop.end) return null
+    if (isArgumentsLength(parent) || (parent.type === 'MemberExpression' && parent.computed && isName(parent.property, index))) {
+      edits.push({ start: ref.start, end: ref.end, text: name })
+    } else {
+      return null
+    }
+  }
+  return edits
+}
+
+function freeName (context, fn, wanted) {
+  const source = context.code.slice(fn.start, fn.end)
+  for (let i = 1; ; i++) {
+    const candidate = i === 1 ? wanted : `${wanted}${i}`
+    if (!new RegExp(`\\b${candidate}\\b`).test(source)) return candidate
+  }
+}
+
+function argumentUses (fn) {
+  const uses = []
+  const visitor = {
+    Function (node, state, c) {
+      if (node.type === 'ArrowFunctionExpression') walk.base.Function(node, state, c)
+    },
+    Identifier (node) {
+      if (node.name === 'arguments') uses.push(node)
+    }
+  }
+  walk.recursive(fn.body, null, visitor)
+  return uses
+}
+
+function paramListEnd (context, fn) {
+  if (fn.params.length) return { at: fn.params[fn.params.length - 1].end, prefix: ', ' }
+  const from = fn.id ? fn.id.end : fn.start
+  return { at: context.code.indexOf('(', from) + 1, prefix: '' }
+}
+
+function restParameters (context, report, fn) {
+  if (fn.body.type !== 'BlockStatement') return
+  const uses = argumentUses(fn)
+  if (!uses.length) return
+  const name = functionName(context, fn)
+  const line = fn.loc.start.line
+  const keep = reason => report.keep({ rewrite: 'rest-parameters', line, title: name, reason })
+  if (!fn.params.every(param => param.type === 'Identifier')) return keep('the parameters are not all plain names')
+  if (hasUseStrict(fn)) return keep('a function with a rest parameter cannot have a "use strict" directive')
+  const count = fn.params.length
+
+  // var keys = Array.prototype.slice.call(arguments, 1): `keys` becomes the rest parameter
+  const [use] = uses
+  const call = context.parents.get(use)
+  const declarator = context.parents.get(call)
+  const declaration = declarator && context.parents.get(declarator)
+  if (uses.length === 1 && isSliceCall(call, use, count) && declarator.type === 'VariableDeclarator' &&
+      declarator.init === call && declarator.id.type === 'Identifier' && declaration.declarations.length === 1 &&
+      fn.body.body.includes(declaration) && context.scopes.getDeclaredVariables(declarator)[0].defs.length === 1) {
+    const { at, prefix } = paramListEnd(context, fn)
+    report.rewrite({
+      rewrite: 'rest-parameters',
+      node: fn,
+      title: `${name}(...${declarator.id.name})`,
+      edits: [{ start: at, end: at, text: `${prefix}...${declarator.id.name}` }, removeStatement(context.code, declaration)]
+    })
+    return
+  }
+
+  const rest = freeName(context, fn, 'rest')
+  let edits = []
+  if (uses.every(ref => isSliceCall(context.parents.get(ref), ref, count))) {
+    // One copy is needed per call, unless the only call runs once
+    const once = uses.length === 1 && !insideLoop(context.parents.get(use), fn, context.parents) &&
+      !(scopeOf(context, use).variableScope.block !== fn)
+    edits = uses.map(ref => {
+      const slice = context.parents.get(ref)
+      return { start: slice.start, end: slice.end, text: once ? rest : `${rest}.slice()` }
+    })
+  } else {
+    const loops = new Set(uses.map(ref => {
+      let node = ref
+      while (node && node !== fn && node.type !== 'ForStatement') node = context.parents.get(node)
+      return node
+    }))
+    const loop = loops.size === 1 ? Array.from(loops)[0] : null
+    edits = loop && loop !== fn ? restLoop(context, loop, count, uses, rest) : null
+    if (!edits) return keep('`arguments` is used in other ways than the remaining arguments')
+  }
+  const { at, prefix } = paramListEnd(context, fn)
+  edits.push({ start: at, end: at, text: `${prefix}...${rest}` })
+  report.rewrite({ rewrite: 'rest-parameters', node: fn, title: `${name}(...${rest})`, edits })
+}
+
+module.exports = {
+  isName,
+  ownUsage,
+  hasUseStrict,
+  scopeOf,
+  removeStatement,
+  insideLoop,
+  functionName,
+  restParameters
+}
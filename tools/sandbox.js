@@ -0,0 +1,104 @@
+// Every section runs in its own `node:vm` context
+//  - Redeclared names (`person`, `obj`...) never collide between sections
+//  - Changes to built-ins (`Array.prototype[Symbol.unscopables]`...) stay inside the context
+//  - `console` is replaced by a recorder so the output can be reported per section
+//  - `window` is an alias of the context's global object for the browser-oriented examples
+
+const util = require('util')
+const vm = require('vm')
+
+const DEFAULT_TIMEOUT = 1000
+
+function escapeRegExp (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Lines of `filename` found in a stack trace, innermost frame first
+function framesOf (stack, filename) {
+  if (!filename) return []
+  const location = new RegExp(`${escapeRegExp(filename)}:(\\d+)`, 'g')
+  return Array.from(String(stack || '').matchAll(location), match => Number(match[1]))
+}
+
+// The line of `filename` whose top-level statement is running: the outermost
+// frame of the file, so a log from inside a function is attributed to the call
+function callerLine (filename) {
+  const limit = Error.stackTraceLimit
+  const holder = {}
+  Error.stackTraceLimit = 100
+  Error.captureStackTrace(holder)
+  Error.stackTraceLimit = limit
+  const frames = framesOf(holder.stack, filename)
+  return frames.length ? frames[frames.length - 1] : null
+}
+
+// Each entry records the stream, the formatted text and the chapter line
+// that produced it (see callerLine)
+function createConsole (output, currentFile) {
+  const write = stream => (...args) => {
+    output.push({ stream, text: util.format(...args), line: callerLine(currentFile()) })
+  }
+  return {
+    log: write('stdout'),
+    info: write('stdout'),
+    debug: write('stdout'),
+    warn: write('stderr'),
+    error: write('stderr')
+  }
+}
+
+// Errors thrown inside a context come from another realm: `instanceof Error`
+// cannot be trusted, so only their name, message and stack are read
+// `line` is where the error was thrown, `frames` every line of `filename`
+// found in the stack (the throwing line first, then its callers)
+function describeError (err, filename) {
+  if (err === null || (typeof err !== 'object' && typeof err !== 'function')) {
+    return { name: 'Error', message: `Uncaught ${util.inspect(err)}`, line: null, frames: [] }
+  }
+  const frames = framesOf(err.stack, filename)
+  return {
+    name: err.name || 'Error',
+    message: err.message || '',
+    line: frames.length ? frames[0] : null,
+    frames
+  }
+}
+
+function createSandbox ({ globals = {} } = {}) {
+  const output = []
+  let currentFile = null
+  const console = createConsole(output, () => currentFile)
+  const context = vm.createContext(Object.assign({ console }, globals))
+  context.window = vm.runInContext('this', context)
+
+  // Runs `code` in the context, returns the thrown error description or null
+  function run (code, { filename = 'sandbox.js', lineOffset = 0, timeout = DEFAULT_TIMEOUT } = {}) {
+    currentFile = filename
+    try {
+      const script = new vm.Script(code, { filename, lineOffset })
+      script.runInContext(context, { timeout })
+      return null
+    } catch (err) {
+      return describeError(err, filename)
+    }
+  }
+
+  return { context, output, run }
+}
+
+function runSection (chapter, section, { timeout = DEFAULT_TIMEOUT, globals } = {}) {
+  const sandbox = createSandbox({ globals })
+  const error = sandbox.run(section.code, {
+    filename: chapter.path,
+    lineOffset: section.start - 1,
+    timeout
+  })
+  return { section, output: sandbox.output, error, context: sandbox.context }
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  createSandbox,
+  runSection,
+  describeError
+}
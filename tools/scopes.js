@@ -0,0 +1,335 @@
+// Static scope analysis of a snippet: every binding with its kind, the scope
+// that owns it, where it is hoisted to and its temporal dead zone (TDZ)
+//
+// 01-block-bindings.js explains it with getValue() and getValue2(): a `var`
+// is hoisted to the top of its function and starts as undefined, a `let` or a
+// `const` is hoisted to the top of its block but stays uninitialized until
+// its declaration runs. The TDZ of a binding is the range of source from the
+// top of its scope to the end of its declaration:
+//
+//   {                        <- TDZ of `value` starts
+//     typeof value           <- ReferenceError
+//     let value = 'blue'     <- TDZ ends after the initializer
+//   }
+//
+// Parameters have a TDZ as well once a parameter list has default values:
+// they are initialized from left to right, so `add1(first = second, second)`
+// reads `second` in its TDZ when `first` is missing.
+//
+// Problems:
+//  - 'redeclaration': `var count` then `let count` in the same scope, a `var`
+//    hoisted through a block that has a `let` of the same name... (SyntaxError)
+//  - 'tdz': a binding used inside its TDZ, in the same function (ReferenceError
+//    when the code runs) or in a closure created there (when it is called early)
+//  - 'const': an assignment to a `const` (TypeError when it runs)
+//  - 'syntax': other errors that do not stop the parser (duplicate parameters
+//    in strict mode...)
+// The snippet is parsed without stopping at redeclarations, so that they can
+// be reported with the rest
+
+const walk = require('acorn-walk')
+const eslintScope = require('eslint-scope')
+const { parseProgram } = require('./parse')
+
+const LEXICAL_KINDS = ['let', 'const', 'class']
+const FUNCTION_SCOPES = ['function', 'global', 'module']
+
+function kindOf (def) {
+  switch (def.type) {
+    case 'Variable':
+      return def.parent.kind
+    case 'FunctionName':
+      return 'function'
+    case 'Parameter':
+      return 'param'
+    case 'ClassName':
+      return 'class'
+    case 'CatchClause':
+      return 'catch'
+    case 'ImportBinding':
+      return 'import'
+    default:
+      return null
+  }
+}
+
+// Function declarations are lexical in blocks: they conflict like `let`
+function isLexical (def, scope) {
+  const kind = kindOf(def)
+  return LEXICAL_KINDS.includes(kind) || (kind === 'function' && !FUNCTION_SCOPES.includes(scope.type))
+}
+
+function hasSimpleParams (fn) {
+  return fn.params.every(param => param.type === 'Identifier')
+}
+
+class ScopeAnalysis {
+  constructor (code, { lineOffset = 0 } = {}) {
+    this.code = code
+    this.lineOffset = lineOffset
+    this.recovered = []
+    const { ast, sourceType } = parseProgram(code, { ranges: true, recovered: this.recovered })
+    this.ast = ast
+    this.sourceType = sourceType
+    this.scopes = eslintScope.analyze(ast, { ecmaVersion: 2020, sourceType, fallback: 'iteration' })
+    this.parents = new Map()
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+      if (ancestors.length > 1) this.parents.set(node, ancestors[ancestors.length - 2])
+    })
+  }
+
+  position (offset) {
+    const before = this.code.slice(0, offset).split('\n')
+    return { line: before.length + this.lineOffset, column: before[before.length - 1].length + 1 }
+  }
+
+  where (offset) {
+    const { line, column } = this.position(offset)
+    return `${line}:${column}`
+  }
+
+  lines (node) {
+    const start = node.loc.start.line + this.lineOffset
+    const end = node.loc.end.line + this.lineOffset
+    return start === end ? `line ${start}` : `lines ${start}-${end}`
+  }
+
+  functionName (fn) {
+    if (fn.id) return fn.id.name
+    const parent = this.parents.get(fn)
+    if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name
+    if (parent && (parent.type === 'Property' || parent.type === 'MethodDefinition') && !parent.computed && parent.key.type === 'Identifier') {
+      return parent.key.name
+    }
+    return null
+  }
+
+  scopeLabel (scope) {
+    const block = scope.block
+    switch (scope.type) {
+      case 'global':
+        return 'the global scope'
+      case 'module':
+        return 'the module scope'
+      case 'function': {
+        const name = this.functionName(block)
+        const kind = block.type === 'ArrowFunctionExpression' ? 'arrow function' : 'function'
+        return `${name ? `${kind} ${name}()` : `anonymous ${kind}`} (${this.lines(block)})`
+      }
+      case 'block': {
+        const parent = this.parents.get(block)
+        let label = 'block'
+        if (parent && parent.type === 'IfStatement') label = parent.consequent === block ? 'if block' : 'else block'
+        else if (parent && /^(For|ForIn|ForOf|While|DoWhile)Statement$/.test(parent.type)) label = 'loop body'
+        else if (parent && parent.type === 'CatchClause') label = 'catch block'
+        else if (parent && parent.type === 'TryStatement') label = parent.block === block ? 'try block' : 'finally block'
+        return `the ${label} (${this.lines(block)})`
+      }
+      case 'for':
+        return `the for loop (${this.lines(block)})`
+      case 'catch':
+        return `the catch clause (${this.lines(block)})`
+      case 'switch':
+        return `the switch (${this.lines(block)})`
+      case 'class':
+        return `class ${block.id ? block.id.name : ''} (${this.lines(block)})`
+      default:
+        return `the ${scope.type} scope (${this.lines(block)})`
+    }
+  }
+
+  // The innermost scope around `node`
+  scopeOf (node) {
+    for (let current = node; current; current = this.parents.get(current)) {
+      const scope = this.scopes.acquire(current, true)
+      if (scope) return scope
+    }
+    return this.scopes.globalScope
+  }
+
+  // Where the TDZ of a definition starts: the top of the scope that owns it
+  tdzStart (scope) {
+    const block = scope.block
+    switch (scope.type) {
+      case 'global':
+      case 'module':
+        return 0
+      case 'function':
+        return block.body.start
+      case 'switch':
+        return block.discriminant.end
+      default:
+        return block.start
+    }
+  }
+
+  // [start, end) of the TDZ of a definition, null when it has none
+  tdzRange (def, scope) {
+    const kind = kindOf(def)
+    if (kind === 'let' || kind === 'const') {
+      const parent = this.parents.get(def.parent)
+      if (parent && (parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === def.parent) {
+        return [this.tdzStart(scope), parent.right.end]
+      }
+      return [this.tdzStart(scope), def.node.end]
+    }
+    if (kind === 'class') return [this.tdzStart(scope), def.node.end]
+    if (kind === 'param' && !hasSimpleParams(def.node)) {
+      const params = def.node.params
+      const param = params.find(node => node.start <= def.name.start && def.name.end <= node.end)
+      return [params[0].start, param.end]
+    }
+    return null
+  }
+
+  hoisting (variable, def, tdz) {
+    const kind = kindOf(def)
+    const label = this.scopeLabel(variable.scope)
+    const uninitialized = tdz ? `, in the TDZ until ${this.where(tdz[1])}` : ''
+    switch (kind) {
+      case 'var': {
+        const inner = this.scopeOf(def.name)
+        const from = inner !== variable.scope ? `out of ${this.scopeLabel(inner)} ` : ''
+        return `hoisted ${from}to the top of ${label}, initialized to undefined`
+      }
+      case 'function':
+        if (FUNCTION_SCOPES.includes(variable.scope.type)) return `hoisted to the top of ${label} with its value`
+        return `hoisted to the top of ${label} with its value${variable.scope.isStrict ? '' : ' (in sloppy mode, also a `var` of the enclosing function)'}`
+      case 'let':
+      case 'const':
+      case 'class':
+        return `hoisted to the top of ${label} but not initialized${uninitialized}`
+      case 'param':
+        return tdz
+          ? `initialized from left to right when the function is called${uninitialized}`
+          : 'initialized when the function is called'
+      case 'catch':
+        return 'initialized when the catch clause runs'
+      case 'import':
+        return 'initialized before the module runs'
+      default:
+        return ''
+    }
+  }
+
+  // The definitions of the same name that `def` conflicts with
+  conflicts (variable, def) {
+    const found = []
+    const scope = variable.scope
+    const lexical = isLexical(def, scope)
+    variable.defs.forEach(other => {
+      if (other === def || other.name.start > def.name.start) return
+      if (lexical || isLexical(other, scope)) found.push({ def: other, scope })
+    })
+    // A `var` is hoisted through the blocks between its declaration and its function
+    if (kindOf(def) === 'var') {
+      for (let inner = this.scopeOf(def.name); inner && inner !== scope; inner = inner.upper) {
+        const shadow = inner.set.get(variable.name)
+        const lexicalDef = shadow && shadow.defs.find(other => isLexical(other, inner))
+        if (lexicalDef) found.push({ def: lexicalDef, scope: inner, through: true })
+      }
+    }
+    // `catch (e) { let e }`
+    const parent = this.parents.get(scope.block)
+    if (lexical && scope.type === 'block' && parent && parent.type === 'CatchClause') {
+      const param = this.scopes.acquire(parent).set.get(variable.name)
+      if (param) found.push({ def: param.defs[0], scope: this.scopes.acquire(parent) })
+    }
+    return found
+  }
+
+  describeDef (def) {
+    return `\`${kindOf(def)} ${def.name.name}\` (${this.where(def.name.start)})`
+  }
+
+  analyze () {
+    const bindings = []
+    const problems = []
+    const reported = new Set()
+
+    this.scopes.scopes.forEach(scope => {
+      if (scope.type === 'class' || scope.type === 'function-expression-name') return
+      scope.variables.forEach(variable => {
+        const defs = variable.defs.filter(def => kindOf(def))
+        if (!defs.length) return
+        const def = defs[0]
+        const tdz = this.tdzRange(def, scope)
+        bindings.push({
+          name: variable.name,
+          kind: Array.from(new Set(defs.map(kindOf))).join(', '),
+          declarations: defs.map(other => Object.assign({ kind: kindOf(other) }, this.position(other.name.start))),
+          scope: this.scopeLabel(scope),
+          hoisted: this.hoisting(variable, def, tdz),
+          tdz: tdz ? { start: this.position(tdz[0]), end: this.position(tdz[1]), range: tdz } : null,
+          references: variable.references.filter(ref => !defs.some(other => other.name === ref.identifier)).length
+        })
+
+        defs.forEach(other => {
+          this.conflicts(variable, other).forEach(conflict => {
+            const how = conflict.through
+              ? `is hoisted through ${this.scopeLabel(conflict.scope)}, which declares ${this.describeDef(conflict.def)}`
+              : `conflicts with ${this.describeDef(conflict.def)} in ${this.scopeLabel(conflict.scope)}`
+            reported.add(this.position(other.name.start).line)
+            problems.push(Object.assign(
+              { type: 'redeclaration', name: variable.name },
+              this.position(other.name.start),
+              { message: `${this.describeDef(other)} ${how}: SyntaxError` }
+            ))
+          })
+          const range = this.tdzRange(other, scope)
+          if (range) problems.push(...this.tdzReads(variable, other, range))
+          if (kindOf(other) === 'const') problems.push(...this.constWrites(variable, other))
+        })
+      })
+    })
+
+    this.recovered.forEach(error => {
+      const { line, column } = this.position(error.pos)
+      if (!reported.has(line)) problems.push({ type: 'syntax', line, column, message: `${error.message}: SyntaxError` })
+    })
+    problems.sort((a, b) => a.line - b.line || a.column - b.column)
+    return { sourceType: this.sourceType, bindings, problems }
+  }
+
+  tdzReads (variable, def, [start, end]) {
+    const problems = []
+    const kind = kindOf(def)
+    variable.references.forEach(ref => {
+      const at = ref.identifier.start
+      if (ref.identifier === def.name || at < start || at >= end) return
+      const closure = ref.from.variableScope !== variable.scope.variableScope
+      const used = `\`${variable.name}\` is used at ${this.where(at)}`
+      let message
+      if (kind === 'param' && !closure) {
+        const param = def.node.params.find(node => node.start <= at && at < node.end)
+        const owner = param && (param.type === 'AssignmentPattern' ? param.left : param)
+        const name = owner && owner.type === 'Identifier' ? `\`${owner.name}\`` : 'a parameter'
+        message = `${used} in the default value of ${name}, before \`${variable.name}\` is initialized: ReferenceError when ${name} is missing`
+      } else if (closure) {
+        message = `${used} by a function created inside its TDZ (${this.where(start)}-${this.where(end)}): ReferenceError if it runs before ${this.where(end)}`
+      } else {
+        message = `${used} inside its TDZ (${this.where(start)}-${this.where(end)}): ReferenceError`
+      }
+      problems.push(Object.assign({ type: 'tdz', name: variable.name, severity: closure ? 'warning' : 'error' }, this.position(at), { message }))
+    })
+    return problems
+  }
+
+  constWrites (variable, def) {
+    return variable.references
+      .filter(ref => ref.isWrite() && !variable.defs.some(other => other.name === ref.identifier))
+      .map(ref => Object.assign({ type: 'const', name: variable.name }, this.position(ref.identifier.start), {
+        message: `\`${variable.name}\` is assigned at ${this.where(ref.identifier.start)}, but it is a \`const\` (${this.where(def.name.start)}): TypeError`
+      }))
+  }
+}
+
+// { sourceType, bindings, problems } of `code`, with line numbers shifted by
+// `lineOffset` (to report chapter lines for a section)
+function analyzeScopes (code, options) {
+  return new ScopeAnalysis(code, options).analyze()
+}
+
+module.exports = {
+  analyzeScopes
+}
@@ -0,0 +1,163 @@
+// Full-text search over the sections of every chapter
+//
+// A section is indexed as three fields: its title, its prose (the comments)
+// and its code. Sections are ranked with BM25, the title weighing more than
+// the prose and the prose more than the code:
+//  - sections that contain every word of the query come first
+//  - the exact phrase ("enumeration order") doubles the score
+// Words are lowercased and lose a plural `s`, so that `identifiers` finds
+// `identifier`
+
+const { parseBlocks } = require('./chapters')
+
+const FIELDS = { title: 3, prose: 1.5, code: 1 }
+const K1 = 1.2
+const B = 0.75
+const MAX_LINES = 3
+
+function stem (word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word
+}
+
+function tokenize (text) {
+  return (String(text).toLowerCase().match(/[a-z0-9_$]+/g) || []).map(stem)
+}
+
+function counts (tokens) {
+  const map = new Map()
+  tokens.forEach(token => map.set(token, (map.get(token) || 0) + 1))
+  return map
+}
+
+// The searchable text of a section, with the chapter line of each line
+function sectionLines (section) {
+  const prose = []
+  const code = []
+  parseBlocks(section).forEach(block => {
+    const target = block.type === 'prose' ? prose : code
+    block.lines.forEach((text, i) => target.push({ line: block.start + i, text }))
+  })
+  return { prose, code }
+}
+
+// { documents, frequencies, lengths }: a document per section
+function buildIndex (chapters) {
+  const documents = []
+  chapters.forEach(chapter => {
+    chapter.sections.forEach(section => {
+      const { prose, code } = sectionLines(section)
+      const fields = {
+        title: section.title,
+        prose: prose.map(line => line.text).join('\n'),
+        code: code.map(line => line.text).join('\n')
+      }
+      const terms = {}
+      Object.keys(FIELDS).forEach(field => { terms[field] = counts(tokenize(fields[field])) })
+      const lengths = {}
+      Object.keys(FIELDS).forEach(field => {
+        lengths[field] = Array.from(terms[field].values()).reduce((sum, count) => sum + count, 0)
+      })
+      documents.push({ chapter: chapter.file, section, fields, terms, lengths, lines: { prose, code } })
+    })
+  })
+
+  // Documents per term, and the average length of each field
+  const frequencies = new Map()
+  documents.forEach(document => {
+    const seen = new Set()
+    Object.keys(FIELDS).forEach(field => document.terms[field].forEach((count, term) => seen.add(term)))
+    seen.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1))
+  })
+  const averages = {}
+  Object.keys(FIELDS).forEach(field => {
+    averages[field] = documents.reduce((sum, document) => sum + document.lengths[field], 0) / (documents.length || 1) || 1
+  })
+  return { documents, frequencies, averages }
+}
+
+function idf (index, term) {
+  const count = index.frequencies.get(term) || 0
+  const total = index.documents.length
+  return Math.log(1 + (total - count + 0.5) / (count + 0.5))
+}
+
+function scoreDocument (index, document, terms, fields) {
+  let score = 0
+  let matched = 0
+  terms.forEach(term => {
+    let weighted = 0
+    fields.forEach(field => {
+      const count = document.terms[field].get(term) || 0
+      if (!count) return
+      const norm = 1 - B + B * document.lengths[field] / index.averages[field]
+      weighted += FIELDS[field] * count * (K1 + 1) / (count + K1 * norm)
+    })
+    if (weighted) matched++
+    score += idf(index, term) * weighted
+  })
+  return { score, matched }
+}
+
+function normalize (text) {
+  return tokenize(text).join(' ')
+}
+
+// The lines that show why a section matched: the phrase first, then the
+// lines with the most query words
+function matchingLines (document, terms, phrase, fields) {
+  const candidates = []
+  if (fields.includes('title')) candidates.push({ line: document.section.start, text: document.section.title, field: 'title' })
+  ;['prose', 'code'].forEach(field => {
+    if (fields.includes(field)) document.lines[field].forEach(line => candidates.push(Object.assign({ field }, line)))
+  })
+  return candidates
+    .map(candidate => {
+      const tokens = new Set(tokenize(candidate.text))
+      const hits = terms.filter(term => tokens.has(term)).length
+      const exact = phrase && normalize(candidate.text).includes(phrase) ? terms.length : 0
+      return Object.assign(candidate, { hits: hits + exact })
+    })
+    .filter(candidate => candidate.hits)
+    .sort((a, b) => b.hits - a.hits || a.line - b.line)
+    .slice(0, MAX_LINES)
+    .sort((a, b) => a.line - b.line)
+}
+
+// Ranked results: [{ chapter, section: { index, title, start, end }, score,
+// matched, lines: [{ line, text, field }] }]
+// `fields` restricts the search, e.g. ['code']
+function search (index, query, { limit = 10, fields = Object.keys(FIELDS) } = {}) {
+  const terms = Array.from(new Set(tokenize(query)))
+  if (!terms.length) return []
+  const phrase = terms.length > 1 ? normalize(query) : null
+
+  return index.documents
+    .map(document => {
+      const { score, matched } = scoreDocument(index, document, terms, fields)
+      const text = fields.map(field => normalize(document.fields[field])).join('\n')
+      const exact = phrase !== null && text.includes(phrase)
+      return { document, score: exact ? score * 2 : score, matched }
+    })
+    .filter(result => result.matched)
+    .sort((a, b) => b.matched - a.matched || b.score - a.score)
+    .slice(0, limit)
+    .map(({ document, score, matched }) => ({
+      chapter: document.chapter,
+      section: {
+        index: document.section.index,
+        title: document.section.title,
+        start: document.section.start,
+        end: document.section.end
+      },
+      score: Math.round(score * 100) / 100,
+      matched: `${matched}/${terms.length}`,
+      lines: matchingLines(document, terms, phrase, fields).map(({ line, text, field }) => ({ line, text, field }))
+    }))
+}
+
+module.exports = {
+  FIELDS,
+  tokenize,
+  buildIndex,
+  search
+}
@@ -0,0 +1,67 @@
+// State the `learn` commands keep between runs (quiz scores...), one JSON file
+// per command in the learn directory:
+//  - $LEARN_HOME when it is set
+//  - else $XDG_CONFIG_HOME/learn-es6
+//  - else ~/.config/learn-es6
+// Files are written to a temporary file first and renamed, so an interrupted
+// run never leaves half a file behind
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { UsageError } = require('./errors')
+
+function storeDir (env = process.env) {
+  if (env.LEARN_HOME) return path.resolve(env.LEARN_HOME)
+  const config = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+  return path.join(config, 'learn-es6')
+}
+
+function storePath (name, env = process.env) {
+  return path.join(storeDir(env), `${name}.json`)
+}
+
+// The stored data, or `fallback` when nothing was stored yet
+function readStore (name, fallback, env = process.env) {
+  const file = storePath(name, env)
+  let text
+  try {
+    text = fs.readFileSync(file, 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback
+    throw new UsageError(`Cannot read ${file}: ${err.code || err.message}`)
+  }
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    throw new UsageError(`${file} is not valid JSON (${err.message}): fix or delete it`)
+  }
+}
+
+function writeStore (name, data, env = process.env) {
+  const file = storePath(name, env)
+  const temporary = `${file}.${process.pid}.tmp`
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(temporary, `${JSON.stringify(data, null, 2)}\n`)
+  fs.renameSync(temporary, file)
+  return file
+}
+
+// Returns whether there was anything to remove
+function removeStore (name, env = process.env) {
+  try {
+    fs.unlinkSync(storePath(name, env))
+    return true
+  } catch (err) {
+    if (err.code === 'ENOENT') return false
+    throw err
+  }
+}
+
+module.exports = {
+  storeDir,
+  storePath,
+  readStore,
+  writeStore,
+  removeStore
+}
@@ -0,0 +1,70 @@
+// Runs the hidden tests of one exercise inside a worker thread (see verify.js)
+// Messages to the parent:
+//  { type: 'start', index }                   test `index` is running
+//  { type: 'result', index, status, message } status is 'pass', 'fail' or 'error'
+//  { type: 'load-error', message }            the solution could not be used
+
+const util = require('util')
+const { parentPort, workerData } = require('worker_threads')
+const assert = require('assert').strict
+
+function show (value) {
+  const text = util.inspect(value, { breakLength: Infinity })
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text
+}
+
+// One line instead of the multi-line messages of `assert`
+function assertionMessage (err) {
+  if (!err.generatedMessage) return err.message
+  switch (err.operator) {
+    case 'strictEqual':
+    case 'deepStrictEqual':
+      return `expected ${show(err.expected)}, got ${show(err.actual)}`
+    case 'notStrictEqual':
+    case 'notDeepStrictEqual':
+      return `expected anything but ${show(err.expected)}`
+    case 'match':
+      return `${show(err.actual)} does not match ${err.expected}`
+    case 'doesNotMatch':
+      return `${show(err.actual)} matches ${err.expected}`
+    default: {
+      // assert.ok(): the message ends with the failing expression
+      const lines = err.message.split('\n').map(line => line.trim()).filter(Boolean)
+      return `failed: ${lines[lines.length - 1]}`
+    }
+  }
+}
+
+function describe (err) {
+  if (err && err.code === 'ERR_ASSERTION') return { status: 'fail', message: assertionMessage(err) }
+  if (err && typeof err === 'object') return { status: 'error', message: `${err.name}: ${err.message}` }
+  return { status: 'error', message: `Uncaught ${String(err)}` }
+}
+
+async function main ({ solution, suite, exercise }) {
+  let exports
+  try {
+    exports = require(solution)
+  } catch (err) {
+    parentPort.postMessage({ type: 'load-error', message: describe(err).message })
+    return
+  }
+  if (!exports || !(exercise in exports)) {
+    parentPort.postMessage({ type: 'load-error', message: `\`${exercise}\` is not exported by ${solution}` })
+    return
+  }
+
+  const { tests } = require(suite).find(entry => entry.name === exercise)
+  for (let index = 0; index < tests.length; index++) {
+    const [, test] = tests[index]
+    parentPort.postMessage({ type: 'start', index })
+    try {
+      await test(exports, assert)
+      parentPort.postMessage({ type: 'result', index, status: 'pass' })
+    } catch (err) {
+      parentPort.postMessage(Object.assign({ type: 'result', index }, describe(err)))
+    }
+  }
+}
+
+main(workerData)
@@ -0,0 +1,149 @@
+// Exercises: exercises/<chapter>.js holds the functions to write, the hidden
+// tests are in tools/exercises/<chapter>.js:
+//
+//   module.exports = [
+//     {
+//       name: 'pick',                   the export under test
+//       section: 'REST PARAMETER',      the chapter section the hint links to
+//       hint: '...',
+//       tests: [
+//         ['copies the listed properties', (exports, assert) => { ... }],
+//         ...
+//       ]
+//     },
+//     ...
+//   ]
+//
+// The learner's code is not trusted to terminate: each exercise runs in its
+// own worker thread with a heap limit, and the worker is terminated when a
+// test (or loading the solution) takes longer than the time limit
+// Test statuses: 'pass', 'fail', 'error', 'timeout', 'memory' and 'unreached'
+// when an earlier test ended the worker
+
+const fs = require('fs')
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { ROOT, findSection } = require('./chapters')
+
+const EXERCISES = path.join(ROOT, 'exercises')
+const SUITES = path.join(__dirname, 'exercises')
+const WORKER = path.join(__dirname, 'verify-worker.js')
+const DEFAULT_LIMITS = { timeout: 1000, memory: 64 }
+
+function suiteFile (chapter) {
+  return path.join(SUITES, chapter.file)
+}
+
+function hasExercises (chapter) {
+  return fs.existsSync(suiteFile(chapter))
+}
+
+// The chapter section a hint refers to: { index, title, line }
+function hintSection (chapter, query) {
+  try {
+    const section = findSection(chapter, query)
+    return { index: section.index, title: section.title, line: section.start }
+  } catch (err) {
+    return null
+  }
+}
+
+// The sections the exercises of `chapter` refer to, without running them
+function exerciseSections (chapter) {
+  if (!hasExercises(chapter)) return []
+  return require(suiteFile(chapter)).map(exercise => hintSection(chapter, exercise.section)).filter(Boolean)
+}
+
+function runExercise (solution, suite, exercise, { timeout, memory }) {
+  const results = exercise.tests.map(([name]) => ({ name, status: 'unreached', message: null }))
+  return new Promise(resolve => {
+    const worker = new Worker(WORKER, {
+      workerData: { solution, suite, exercise: exercise.name },
+      resourceLimits: { maxOldGenerationSizeMb: memory, maxYoungGenerationSizeMb: Math.max(1, Math.floor(memory / 4)) },
+      stdout: true,
+      stderr: true
+    })
+    // What the solution logs is not part of the report
+    worker.stdout.resume()
+    worker.stderr.resume()
+    let current = null
+    let ended = false
+    let timer = null
+
+    const end = () => {
+      ended = true
+      clearTimeout(timer)
+      resolve(results)
+    }
+    // The current test (or the loading of the solution) gets the blame
+    const abort = (status, message) => {
+      if (ended) return
+      if (current !== null) Object.assign(results[current], { status, message })
+      else results.forEach(result => Object.assign(result, { status, message }))
+      worker.terminate().then(end, end)
+      ended = true
+    }
+    const restartTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => abort('timeout', `Did not finish within ${timeout}ms`), timeout)
+    }
+
+    restartTimer()
+    worker.on('message', message => {
+      switch (message.type) {
+        case 'start':
+          current = message.index
+          restartTimer()
+          break
+        case 'result':
+          Object.assign(results[message.index], { status: message.status, message: message.message || null })
+          current = null
+          break
+        case 'load-error':
+          results.forEach(result => Object.assign(result, { status: 'error', message: message.message }))
+          break
+      }
+    })
+    worker.on('error', err => {
+      if (err.code === 'ERR_WORKER_OUT_OF_MEMORY') abort('memory', `Went over the ${memory}MB heap limit`)
+      else abort('error', `${err.name}: ${err.message}`)
+    })
+    worker.on('exit', () => {
+      if (!ended) end()
+    })
+  })
+}
+
+function summarize (results) {
+  return results.every(result => result.status === 'pass') ? 'pass' : 'fail'
+}
+
+// Runs every exercise of `chapter` against `file` (exercises/<chapter>.js by default)
+async function verifyChapter (chapter, { file = path.join(EXERCISES, chapter.file), timeout, memory } = {}) {
+  const limits = {
+    timeout: timeout || DEFAULT_LIMITS.timeout,
+    memory: memory || DEFAULT_LIMITS.memory
+  }
+  const suite = suiteFile(chapter)
+  const solution = path.resolve(file)
+  const exercises = []
+  for (const exercise of require(suite)) {
+    const tests = await runExercise(solution, suite, exercise, limits)
+    exercises.push({
+      name: exercise.name,
+      status: summarize(tests),
+      hint: exercise.hint,
+      section: hintSection(chapter, exercise.section),
+      tests
+    })
+  }
+  return { chapter: chapter.file, file: solution, exercises }
+}
+
+module.exports = {
+  EXERCISES,
+  DEFAULT_LIMITS,
+  hasExercises,
+  exerciseSections,
+  verifyChapter
+}
@@ -0,0 +1,90 @@
+// Re-runs of a chapter being edited, section by section
+//
+// Each banner-delimited section is hashed: on every save, only the sections
+// whose code changed run again, each in its own sandbox without the bindings
+// of the sections above it (like `learn doctest --isolated`). A run reports:
+//  - the diff of what the section logs, against its previous run
+//  - its `// =>` annotations that do not hold (see doctest.js)
+// Sections are matched between two saves by their title, so renaming a banner
+// runs the section again
+
+const crypto = require('crypto')
+const { parseSections } = require('./chapters')
+const { verifySection } = require('./doctest')
+const { diffLines } = require('./diff')
+const { DEFAULT_TIMEOUT } = require('./sandbox')
+
+function hashSection (section) {
+  return crypto.createHash('sha1').update(section.code).digest('hex')
+}
+
+// Slugs, numbered from the second section of the same title: 'object-assign#2'
+function sectionKeys (sections) {
+  const seen = new Map()
+  return sections.map(section => {
+    const count = (seen.get(section.slug) || 0) + 1
+    seen.set(section.slug, count)
+    return count === 1 ? section.slug : `${section.slug}#${count}`
+  })
+}
+
+// What a run printed, one line per entry: stderr lines start with '! ' and
+// an uncaught error comes last with 'x '
+function outputLines (verified) {
+  const lines = []
+  verified.output.forEach(entry => {
+    entry.text.split('\n').forEach(text => lines.push(entry.stream === 'stderr' ? `! ${text}` : text))
+  })
+  if (verified.error) lines.push(`x ${verified.error.name}: ${verified.error.message}`)
+  return lines
+}
+
+// update(source) runs what changed since the previous call and returns
+// { sections, changes: [{ section, status: 'added' | 'changed', diff, lines, results, error }], removed: [title] }
+// `diff` is null for an added section (see diff.js for its operations)
+function createWatcher (chapter, { timeout = DEFAULT_TIMEOUT } = {}) {
+  let previous = new Map()
+
+  function update (source) {
+    const sections = parseSections(source)
+    const keys = sectionKeys(sections)
+    const next = new Map()
+    const changes = []
+
+    sections.forEach((section, i) => {
+      const hash = hashSection(section)
+      const old = previous.get(keys[i])
+      if (old && old.hash === hash) {
+        next.set(keys[i], old)
+        return
+      }
+      const verified = verifySection(chapter, section, { timeout })
+      const lines = outputLines(verified)
+      next.set(keys[i], { hash, title: section.title, lines })
+      changes.push({
+        section,
+        status: old ? 'changed' : 'added',
+        diff: old ? diffLines(old.lines, lines) : null,
+        lines,
+        results: verified.results,
+        error: verified.error
+      })
+    })
+
+    const removed = []
+    previous.forEach((entry, key) => {
+      if (!next.has(key)) removed.push(entry.title)
+    })
+    previous = next
+    return { sections: sections.length, changes, removed }
+  }
+
+  return { update }
+}
+
+module.exports = {
+  hashSection,
+  sectionKeys,
+  outputLines,
+  createWatcher
+}